@@ -7,12 +7,16 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import { testConnection, getDatabaseHealth } from './src/config/database.js';
+import { CacheService } from './src/services/cacheService.js';
+import { EventService } from './src/services/eventService.js';
 
 // Import all routes
 import authRoutes from './src/routes/auth.js';
 import userRoutes from './src/routes/users.js';
 import taskRoutes from './src/routes/tasks.js';
+import adminRoutes from './src/routes/admin.js';
 import leaderboardRoutes from './src/routes/leaderboard.js';
+import streamRoutes from './src/routes/stream.js';
 
 // ✅ YANGI: Import bot functions
 import { processWebhookUpdate, CONFIG } from './telegram-bot.js';
@@ -79,7 +83,10 @@ app.use((req, res, next) => {
   const userAgent = req.get('User-Agent') || 'Unknown';
   const ip = req.ip || req.connection.remoteAddress || 'Unknown';
   
-  console.log(`${timestamp} - ${req.method} ${req.url} - ${ip} - ${userAgent.substring(0, 50)}`);
+  // Stream clients pass their access token in the query string
+  const url = req.url.replace(/access_token=[^&]+/, 'access_token=[REDACTED]');
+  
+  console.log(`${timestamp} - ${req.method} ${url} - ${ip} - ${userAgent.substring(0, 50)}`);
   
   // Add request ID for tracking
   req.requestId = Math.random().toString(36).substring(2, 15);
@@ -165,6 +172,8 @@ app.get('/', (req, res) => {
       // Authentication Flow
       auth: {
         check: "POST /api/auth/check",
+        refresh: "POST /api/auth/refresh",
+        revoke: "POST /api/auth/revoke",
         register: "POST /api/auth/register",
         approve: "POST /api/auth/approve/:tg_id",
         reject: "POST /api/auth/reject/:tg_id",
@@ -175,6 +184,11 @@ app.get('/', (req, res) => {
         statistics: "GET /api/users/:userId/statistics",
         profile: "GET /api/users/:userId",
         achievements: "GET /api/users/:userId/achievements/progress",
+        achievement_summary: "GET /api/users/:userId/achievements/summary?days=7",
+        timezone: "PUT /api/users/:userId/timezone",
+        streaks: "GET /api/users/:userId/streaks",
+        task_analytics: "GET /api/users/:userId/tasks/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD",
+        streak_freezes: "GET|POST /api/users/:userId/streak/freezes { date }",
       },
 
       // Task Management
@@ -182,11 +196,44 @@ app.get('/', (req, res) => {
         submit: "POST /api/tasks/submit",
         daily: "GET /api/tasks/daily/:userId",
         history: "GET /api/tasks/history/:userId",
+        edit: "PUT /api/tasks/progress/:userId/:date",
+        definitions: "GET /api/tasks/definitions?lang=uz",
+      },
+
+      // Admin (tasks: admin role, progress edits: moderator role)
+      admin: {
+        tasks: "GET|POST /api/admin/tasks",
+        task: "GET|PUT|DELETE /api/admin/tasks/:taskId",
+        reorder: "PUT /api/admin/tasks/reorder",
+        task_analytics: "GET /api/admin/tasks/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD",
+        progress_edits: "GET /api/admin/progress-edits?status=pending",
+        review_edit: "POST /api/admin/progress-edits/:requestId/approve|reject",
+        audit: "GET /api/admin/users/:tg_id/audit?from=YYYY-MM-DD&to=YYYY-MM-DD",
+        seasons: "POST /api/admin/seasons, PUT|DELETE /api/admin/seasons/:seasonId",
+        leaderboard_snapshot: "POST /api/admin/leaderboard/snapshots { date? }",
+        achievements: "GET|POST /api/admin/achievements",
+        achievement: "GET|PUT|DELETE /api/admin/achievements/:ruleId",
+        achievement_recompute: "POST /api/admin/achievements/recompute { dry_run?, revoke?, user_ids? }, GET /api/admin/achievements/recompute/:jobId",
+        streak_freezes: "POST /api/admin/users/:tg_id/streak-freezes { amount?, note? }",
+        excused_days: "GET|POST /api/admin/excused-days, DELETE /api/admin/excused-days/:dayId",
+        staff: "GET|POST /api/admin/staff { tg_id, role? }, DELETE /api/admin/staff/:tg_id",
+        applicant_notifications: "POST|DELETE /api/admin/applicants/:tg_id/notifications",
+      },
+
+      // Live Updates (Server-Sent Events)
+      stream: {
+        subscribe: "GET /api/stream?access_token=<access_token>",
+        events: "progress.updated | leaderboard.changed | achievement.earned | achievement.revoked | user.approved",
       },
 
       // Leaderboard System
       leaderboard: {
-        main: "GET /api/leaderboard?period=weekly&type=overall&limit=100",
+        main: "GET /api/leaderboard?period=weekly&type=overall&limit=100&date=YYYY-MM-DD",
+        periods: "daily | weekly | calendar_week | month | custom&from=&to= | season&season_id= | all",
+        rank_mode: "competition (1, 2, 2, 4) | dense (1, 2, 2, 3)",
+        seasons: "GET /api/leaderboard/seasons",
+        history: "GET /api/leaderboard/history?period=weekly&date=YYYY-MM-DD",
+        rank_history: "GET /api/users/:userId/rank/history?period=weekly&days=30",
         weekly_stats: "GET /api/leaderboard/stats/weekly/:userId",
       },
     },
@@ -194,24 +241,27 @@ app.get('/', (req, res) => {
     // Frontend Integration Details
     frontend_integration: {
       api_base_url: `${req.protocol}://${req.get("host")}/api`,
+      live_updates: "new EventSource('/api/stream?access_token=...'), refetch on events",
       polling_endpoints: [
         "/api/users/:userId/statistics",
         "/api/leaderboard?period=weekly",
       ],
+      caching: "Polled endpoints return ETag, send If-None-Match to get 304 Not Modified while nothing changed",
       authentication_flow: [
         "1. User opens mini app",
-        "2. POST /api/auth/check with Telegram user ID", 
+        "2. POST /api/auth/check with Telegram initData (X-Telegram-Init-Data header)",
         "3. If not registered: Bot registration flow",
         "4. If not approved: Wait for admin approval",
-        "5. If approved: Access granted to app",
+        "5. If approved: Access granted to app + session tokens issued",
+        "6. Poll with Authorization: Bearer <access_token>, renew via POST /api/auth/refresh",
       ],
     },
 
     // Technical Specifications
     technical_specs: {
       database: "Supabase PostgreSQL",
-      authentication: "Telegram WebApp + Admin approval",
-      real_time: "Frontend polling (15s intervals)",
+      authentication: "Telegram WebApp initData (HMAC-SHA256) + JWT sessions + Admin approval",
+      real_time: "Server-Sent Events (GET /api/stream), polling as fallback",
       performance: "Sub-500ms response times",
       scalability: "1000+ concurrent users", 
       compatibility: "100% frontend compatible",
@@ -277,7 +327,9 @@ app.get('/api/health', async (req, res) => {
     performance: {
       response_time: dbHealth.response_time ? `${dbHealth.response_time}ms` : 'Unknown',
       status: dbHealth.response_time < 200 ? 'excellent' : 
-              dbHealth.response_time < 500 ? 'good' : 'slow'
+              dbHealth.response_time < 500 ? 'good' : 'slow',
+      response_cache: CacheService.getStats(),
+      stream_connections: EventService.getSubscriberCount()
     }
   };
   
@@ -397,6 +449,8 @@ app.use('/api/auth', authRoutes);           // Authentication routes
 app.use('/api/users', userRoutes);          // User management routes  
 app.use('/api/tasks', taskRoutes);          // Task management routes
 app.use('/api/leaderboard', leaderboardRoutes); // Leaderboard routes
+app.use('/api/admin', adminRoutes);         // Admin routes (admin/moderator roles)
+app.use('/api/stream', streamRoutes);       // Live updates (SSE)
 
 /**
  * Additional compatibility route for stats
@@ -431,6 +485,7 @@ app.use((req, res) => {
       "GET /api/users/:userId/statistics",
       "POST /api/tasks/submit",
       "GET /api/leaderboard",
+      "GET /api/stream",
       "POST /webhook/:botToken", // ✅ YANGI
     ],
 
@@ -0,0 +1,115 @@
+-- =====================================================
+-- MIGRATION 001 - TASK CATALOG (shart_1..shart_10 -> tasks)
+-- =====================================================
+-- Existing databases only. New databases get everything from schema.sql.
+--
+-- 1. Creates tasks + task_completions and seeds the 10 default tasks
+-- 2. Back-fills task_completions from shart_N = 1
+-- 3. Turns generated total_points into a regular column,
+--    adds earned_points / total_tasks
+-- 4. Drops shart_1..shart_10
+--
+-- After this migration run schema.sql again to (re)create
+-- recalculate_daily_progress() and submit_daily_progress().
+-- Requires PostgreSQL 13+ (DROP EXPRESSION).
+
+BEGIN;
+
+-- =====================================================
+-- 1. TASKS CATALOG + COMPLETIONS
+-- =====================================================
+CREATE TABLE IF NOT EXISTS tasks (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    icon VARCHAR(20),
+    category VARCHAR(50) NOT NULL,
+    points INTEGER NOT NULL DEFAULT 50 CHECK (points >= 0),
+    difficulty VARCHAR(20) DEFAULT 'easy'
+        CHECK (difficulty IN ('easy', 'medium', 'hard')),
+    sort_order INTEGER DEFAULT 0,
+    active_from DATE,
+    active_to DATE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (active_to IS NULL OR active_from IS NULL OR active_to >= active_from)
+);
+
+INSERT INTO tasks (id, title, description, icon, category, points, difficulty, sort_order) VALUES
+    (1, 'Kunlik vird', 'Zikr, Qur''on tilovati, ibodat', '🕌', 'prayer', 50, 'easy', 1),
+    (2, 'Silai rahm', 'Ota-ona va qarindoshlar bilan aloqa', '❤️', 'family', 50, 'easy', 2),
+    (3, 'Qur''on tinglash', 'Kamida 1/114 qism', '🎧', 'quran', 50, 'easy', 3),
+    (4, 'Ehson qilish', '1000 so''mdan ko''p', '💝', 'charity', 50, 'easy', 4),
+    (5, 'Kitob o''qish', 'Kamida 10 bet', '📖', 'knowledge', 50, 'medium', 5),
+    (6, 'Dars/Kurs', 'Ta''lim kursi yoki dars', '🎓', 'education', 50, 'easy', 6),
+    (7, 'Audio kitob', 'Kamida 30 daqiqa', '🎧', 'audio', 50, 'easy', 7),
+    (8, 'Erta uxlash', '21:00 - 23:00 orasida', '🌙', 'sleep', 50, 'easy', 8),
+    (9, 'Erta turish', '03:00 - 06:00 orasida', '🌅', 'wake', 50, 'easy', 9),
+    (10, 'Sport/Mashqlar', 'Yugurish yoki mashqlar', '🏃‍♂️', 'sport', 50, 'medium', 10)
+ON CONFLICT (id) DO NOTHING;
+
+SELECT setval(pg_get_serial_sequence('tasks', 'id'), GREATEST((SELECT MAX(id) FROM tasks), 1));
+
+CREATE TABLE IF NOT EXISTS task_completions (
+    id SERIAL PRIMARY KEY,
+    tg_id BIGINT NOT NULL,
+    date DATE NOT NULL,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE RESTRICT,
+    completed_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(tg_id, date, task_id),
+    FOREIGN KEY (tg_id, date) REFERENCES daily_progress(tg_id, date) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_active ON tasks(active_from, active_to);
+CREATE INDEX IF NOT EXISTS idx_task_completions_task ON task_completions(task_id, date);
+
+-- =====================================================
+-- 2. BACK-FILL COMPLETIONS FROM shart_N
+-- =====================================================
+INSERT INTO task_completions (tg_id, date, task_id, completed_at)
+SELECT dp.tg_id, dp.date, s.task_id, dp.updated_at
+FROM daily_progress dp
+CROSS JOIN LATERAL (VALUES
+    (1, dp.shart_1), (2, dp.shart_2), (3, dp.shart_3), (4, dp.shart_4), (5, dp.shart_5),
+    (6, dp.shart_6), (7, dp.shart_7), (8, dp.shart_8), (9, dp.shart_9), (10, dp.shart_10)
+) AS s(task_id, done)
+WHERE s.done = 1
+ON CONFLICT (tg_id, date, task_id) DO NOTHING;
+
+-- =====================================================
+-- 3. TOTALS BECOME REGULAR COLUMNS
+-- =====================================================
+ALTER TABLE daily_progress ALTER COLUMN total_points DROP EXPRESSION;
+ALTER TABLE daily_progress ALTER COLUMN total_points SET DEFAULT 0;
+ALTER TABLE daily_progress ADD COLUMN IF NOT EXISTS earned_points INTEGER DEFAULT 0;
+ALTER TABLE daily_progress ADD COLUMN IF NOT EXISTS total_tasks INTEGER DEFAULT 0;
+
+UPDATE daily_progress dp SET
+    total_points = COALESCE(done.completed_count, 0),
+    earned_points = COALESCE(done.points_sum, 0),
+    total_tasks = (SELECT COUNT(*) FROM tasks)
+FROM (
+    SELECT d.tg_id, d.date, COUNT(tc.task_id) AS completed_count, SUM(t.points) AS points_sum
+    FROM daily_progress d
+    LEFT JOIN task_completions tc ON tc.tg_id = d.tg_id AND tc.date = d.date
+    LEFT JOIN tasks t ON t.id = tc.task_id
+    GROUP BY d.tg_id, d.date
+) done
+WHERE dp.tg_id = done.tg_id AND dp.date = done.date;
+
+-- =====================================================
+-- 4. DROP LEGACY COLUMNS
+-- =====================================================
+ALTER TABLE daily_progress
+    DROP COLUMN IF EXISTS shart_1,
+    DROP COLUMN IF EXISTS shart_2,
+    DROP COLUMN IF EXISTS shart_3,
+    DROP COLUMN IF EXISTS shart_4,
+    DROP COLUMN IF EXISTS shart_5,
+    DROP COLUMN IF EXISTS shart_6,
+    DROP COLUMN IF EXISTS shart_7,
+    DROP COLUMN IF EXISTS shart_8,
+    DROP COLUMN IF EXISTS shart_9,
+    DROP COLUMN IF EXISTS shart_10;
+
+COMMIT;
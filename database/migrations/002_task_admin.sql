@@ -0,0 +1,17 @@
+-- =====================================================
+-- MIGRATION 002 - TASK ADMIN (translations + archive flag)
+-- =====================================================
+-- Existing databases only. Run after 001_task_catalog.sql,
+-- then run schema.sql again to update submit_daily_progress()
+-- and recalculate_daily_progress() (they skip archived tasks).
+
+BEGIN;
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS is_archived BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+
+DROP INDEX IF EXISTS idx_tasks_active;
+CREATE INDEX idx_tasks_active ON tasks(active_from, active_to) WHERE is_archived = false;
+
+COMMIT;
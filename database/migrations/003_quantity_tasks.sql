@@ -0,0 +1,40 @@
+-- =====================================================
+-- MIGRATION 003 - QUANTITY TASKS (unit, daily target, partial credit)
+-- =====================================================
+-- Existing databases only. Run after 002_task_admin.sql,
+-- then run schema.sql again: it replaces submit_daily_progress()
+-- with the version accepting p_quantities and recreates the views.
+
+BEGIN;
+
+-- =====================================================
+-- 1. TASK TYPE COLUMNS
+-- =====================================================
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS task_type VARCHAR(20) NOT NULL DEFAULT 'boolean'
+    CHECK (task_type IN ('boolean', 'quantity'));
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS unit VARCHAR(30);
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS daily_target DECIMAL(12,2)
+    CHECK (daily_target IS NULL OR daily_target > 0);
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS scoring_tiers JSONB NOT NULL
+    DEFAULT '[{"ratio": 0.5, "credit": 0.5}, {"ratio": 1, "credit": 1}]';
+ALTER TABLE tasks ADD CONSTRAINT tasks_quantity_target_check
+    CHECK (task_type = 'boolean' OR daily_target IS NOT NULL);
+
+-- =====================================================
+-- 2. COMPLETION VALUE + CREDIT
+-- =====================================================
+ALTER TABLE task_completions ADD COLUMN IF NOT EXISTS value DECIMAL(12,2);
+ALTER TABLE task_completions ADD COLUMN IF NOT EXISTS credit DECIMAL(4,3) NOT NULL DEFAULT 1
+    CHECK (credit >= 0 AND credit <= 1);
+ALTER TABLE task_completions ADD COLUMN IF NOT EXISTS points_awarded INTEGER NOT NULL DEFAULT 0;
+
+-- Existing completions are boolean: full task points
+UPDATE task_completions tc
+SET points_awarded = t.points
+FROM tasks t
+WHERE t.id = tc.task_id;
+
+-- Old 5-argument version is replaced by schema.sql
+DROP FUNCTION IF EXISTS submit_daily_progress(BIGINT, DATE, INTEGER[], INTEGER, DECIMAL);
+
+COMMIT;
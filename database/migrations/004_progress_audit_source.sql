@@ -0,0 +1,18 @@
+-- =====================================================
+-- MIGRATION 004 - PROGRESS AUDIT SOURCE AND IP
+-- =====================================================
+-- Existing databases only. Run after 003_quantity_tasks.sql
+-- on databases where progress_audit was already created.
+
+BEGIN;
+
+ALTER TABLE progress_audit ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'mini_app'
+    CHECK (source IN ('mini_app', 'bot', 'admin', 'import'));
+ALTER TABLE progress_audit ADD COLUMN IF NOT EXISTS ip VARCHAR(45);
+
+-- Approved edit requests were made by staff
+UPDATE progress_audit SET source = 'admin' WHERE action = 'edit_approved';
+
+CREATE INDEX IF NOT EXISTS idx_progress_audit_created ON progress_audit(tg_id, created_at DESC);
+
+COMMIT;
@@ -0,0 +1,12 @@
+-- =====================================================
+-- MIGRATION 005 - USER TIMEZONE
+-- =====================================================
+-- Existing databases only. Run after 004_progress_audit_source.sql.
+-- "Today" of every user is resolved from users.timezone,
+-- existing users get the previous API default (Asia/Tashkent).
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Tashkent';
+
+COMMIT;
@@ -0,0 +1,22 @@
+-- =====================================================
+-- MIGRATION 006 - SEASONS AND PERIOD LEADERBOARDS
+-- =====================================================
+-- Existing databases only. Run after 005_user_timezone.sql,
+-- then run schema.sql again: it creates get_period_leaderboard()
+-- used by calendar_week / month / custom / season leaderboards.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_seasons_dates ON seasons(start_date, end_date);
+
+COMMIT;
@@ -0,0 +1,31 @@
+-- =====================================================
+-- MIGRATION 007 - LEADERBOARD SNAPSHOTS
+-- =====================================================
+-- Existing databases only. Run after 006_seasons.sql,
+-- then run schema.sql again: it creates take_leaderboard_snapshot()
+-- called by the snapshot job. Past days can be backfilled with
+-- POST /api/admin/leaderboard/snapshots { "date": "YYYY-MM-DD" }.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    snapshot_date DATE NOT NULL,
+    period VARCHAR(20) NOT NULL
+        CHECK (period IN ('daily', 'weekly', 'monthly', 'all_time')),
+    metric VARCHAR(20) NOT NULL
+        CHECK (metric IN ('overall', 'reading', 'distance')),
+    period_start DATE,
+    tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+    rank INTEGER NOT NULL,
+    dense_rank INTEGER NOT NULL,
+    score NUMERIC(12,2) NOT NULL,
+    total_participants INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (snapshot_date, period, metric, tg_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_snapshots_board ON leaderboard_snapshots(period, metric, snapshot_date, rank);
+CREATE INDEX IF NOT EXISTS idx_leaderboard_snapshots_user ON leaderboard_snapshots(tg_id, period, metric, snapshot_date DESC);
+
+COMMIT;
@@ -0,0 +1,27 @@
+-- =====================================================
+-- MIGRATION 008 - MAINTAINED USER STATS
+-- =====================================================
+-- Existing databases only. Run after 007_leaderboard_snapshots.sql,
+-- then run schema.sql again: it creates refresh_user_stats(),
+-- trigger_progress_user_stats and backfills user_stats with
+-- refresh_all_user_stats(). user_statistics and all-time leaderboards
+-- read all-time totals from user_stats instead of aggregating
+-- daily_progress; today / last 7 days are still summed per read.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS user_stats (
+    tg_id BIGINT PRIMARY KEY,
+    total_points BIGINT NOT NULL DEFAULT 0,
+    total_earned_points BIGINT NOT NULL DEFAULT 0,
+    total_pages BIGINT NOT NULL DEFAULT 0,
+    total_distance NUMERIC NOT NULL DEFAULT 0,
+    total_days BIGINT NOT NULL DEFAULT 0,
+    first_date DATE,
+    last_date DATE,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_stats_points ON user_stats(total_points DESC);
+
+COMMIT;
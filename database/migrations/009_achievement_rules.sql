@@ -0,0 +1,31 @@
+-- =====================================================
+-- MIGRATION 009 - DECLARATIVE ACHIEVEMENT RULES
+-- =====================================================
+-- Existing databases only. Run after 008_user_stats.sql,
+-- then run schema.sql again: it seeds the default rules
+-- (consistent, reader, athlete, early_bird, perfectionist)
+-- that replace the hard-coded achievement checks.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS achievement_rules (
+    id VARCHAR(50) PRIMARY KEY,           -- "reader", "early_bird"
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    icon VARCHAR(20),
+    color VARCHAR(20),
+    rule_type VARCHAR(20) NOT NULL
+        CHECK (rule_type IN ('streak', 'count_days', 'cumulative')),
+    -- streak / count_days: active | perfect_day | task_completed | pages_read | distance_km
+    -- cumulative: pages_read | distance_km | total_points | earned_points | task_completions
+    metric VARCHAR(30) NOT NULL,
+    threshold NUMERIC NOT NULL CHECK (threshold > 0),
+    window_days INTEGER CHECK (window_days IS NULL OR window_days > 0),
+    task_filter JSONB,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMIT;
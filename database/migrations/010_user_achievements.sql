@@ -0,0 +1,24 @@
+-- =====================================================
+-- MIGRATION 010 - EARNED ACHIEVEMENTS WITH TIMESTAMPS
+-- =====================================================
+-- Existing databases only. Run after 009_achievement_rules.sql,
+-- then run schema.sql again: it creates trigger_user_achievements_sync
+-- (keeps users.achievements in sync) and copies badges already in
+-- users.achievements into user_achievements.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS user_achievements (
+    id BIGSERIAL PRIMARY KEY,
+    tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+    achievement_id VARCHAR(50) NOT NULL,  -- achievement_rules.id (no FK: badges outlive rules)
+    earned_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    -- Stat that triggered the badge: {"rule_type", "metric", "value", "threshold", "window_days", "date"}
+    -- {"source": "migrated"} for badges copied from users.achievements
+    stat_snapshot JSONB NOT NULL DEFAULT '{}',
+    UNIQUE(tg_id, achievement_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_achievements_earned ON user_achievements(tg_id, earned_at DESC);
+
+COMMIT;
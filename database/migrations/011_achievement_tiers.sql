@@ -0,0 +1,72 @@
+-- =====================================================
+-- MIGRATION 011 - TIERED ACHIEVEMENTS (BRONZE / SILVER / GOLD)
+-- =====================================================
+-- Existing databases only. Run after 010_user_achievements.sql,
+-- then run schema.sql again: it recreates sync_user_achievements()
+-- (an id leaves users.achievements with its last level).
+--
+-- Default rules that still have their original single threshold get
+-- three tiers; the former threshold becomes silver. Badges stored for
+-- those rules were earned at that threshold, so each holder gets levels
+-- 1 and 2 (bronze and silver). Afterwards run
+-- POST /api/admin/achievements/recompute { "dry_run": false } to grant
+-- gold to members who already qualify.
+
+BEGIN;
+
+ALTER TABLE achievement_rules ADD COLUMN IF NOT EXISTS tiers JSONB;
+
+ALTER TABLE user_achievements ADD COLUMN IF NOT EXISTS level SMALLINT NOT NULL DEFAULT 1 CHECK (level > 0);
+ALTER TABLE user_achievements DROP CONSTRAINT IF EXISTS user_achievements_tg_id_achievement_id_key;
+ALTER TABLE user_achievements DROP CONSTRAINT IF EXISTS user_achievements_tg_id_achievement_id_level_key;
+ALTER TABLE user_achievements ADD CONSTRAINT user_achievements_tg_id_achievement_id_level_key
+    UNIQUE (tg_id, achievement_id, level);
+
+-- Badges earned at the former single threshold are silver (rules not tiered yet)
+INSERT INTO user_achievements (tg_id, achievement_id, level, earned_at, stat_snapshot)
+SELECT ua.tg_id, ua.achievement_id, 2, ua.earned_at, ua.stat_snapshot || '{"tier": "silver"}'::JSONB
+FROM user_achievements ua
+JOIN achievement_rules r ON r.id = ua.achievement_id
+WHERE ua.level = 1
+  AND r.tiers IS NULL
+  AND (r.id, r.threshold) IN (
+      ('consistent', 21), ('reader', 6000), ('athlete', 100), ('early_bird', 21), ('perfectionist', 21)
+  )
+ON CONFLICT (tg_id, achievement_id, level) DO NOTHING;
+
+UPDATE achievement_rules
+SET threshold = 7,
+    description = '7 / 21 / 60 kun ketma-ket faol bo''lish',
+    tiers = '[{"name": "bronze", "threshold": 7}, {"name": "silver", "threshold": 21}, {"name": "gold", "threshold": 60}]',
+    updated_at = NOW()
+WHERE id = 'consistent' AND tiers IS NULL AND threshold = 21;
+
+UPDATE achievement_rules
+SET threshold = 1000,
+    description = '1,000 / 6,000 / 20,000 bet kitob o''qish',
+    tiers = '[{"name": "bronze", "threshold": 1000}, {"name": "silver", "threshold": 6000}, {"name": "gold", "threshold": 20000}]',
+    updated_at = NOW()
+WHERE id = 'reader' AND tiers IS NULL AND threshold = 6000;
+
+UPDATE achievement_rules
+SET threshold = 25,
+    description = '25 / 100 / 500 km yugurish',
+    tiers = '[{"name": "bronze", "threshold": 25}, {"name": "silver", "threshold": 100}, {"name": "gold", "threshold": 500}]',
+    updated_at = NOW()
+WHERE id = 'athlete' AND tiers IS NULL AND threshold = 100;
+
+UPDATE achievement_rules
+SET threshold = 7,
+    description = '7 / 21 / 60 kun ketma-ket erta turish',
+    tiers = '[{"name": "bronze", "threshold": 7}, {"name": "silver", "threshold": 21}, {"name": "gold", "threshold": 60}]',
+    updated_at = NOW()
+WHERE id = 'early_bird' AND tiers IS NULL AND threshold = 21;
+
+UPDATE achievement_rules
+SET threshold = 7,
+    description = '7 / 21 / 60 kun ketma-ket barcha vazifalar',
+    tiers = '[{"name": "bronze", "threshold": 7}, {"name": "silver", "threshold": 21}, {"name": "gold", "threshold": 60}]',
+    updated_at = NOW()
+WHERE id = 'perfectionist' AND tiers IS NULL AND threshold = 21;
+
+COMMIT;
@@ -0,0 +1,42 @@
+-- =====================================================
+-- MIGRATION 012 - STREAK FREEZES AND EXCUSED DAYS
+-- =====================================================
+-- Existing databases only. Run after 011_achievement_tiers.sql,
+-- then run schema.sql again: it creates use_streak_freeze()
+-- (spends a freeze token on a missed day).
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS streak_excused_days (
+    id BIGSERIAL PRIMARY KEY,
+    tg_id BIGINT REFERENCES users(tg_id) ON DELETE CASCADE,  -- NULL = everyone
+    date DATE NOT NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('freeze', 'excused')),
+    reason TEXT,
+    created_by BIGINT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CHECK (kind = 'excused' OR tg_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_streak_excused_days_user ON streak_excused_days(tg_id, date) WHERE tg_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_streak_excused_days_community ON streak_excused_days(date) WHERE tg_id IS NULL;
+
+-- Freeze tokens, balance = SUM(amount) - freeze days
+--   earned  - every 7th consecutive active day (milestone_date = that day)
+--   granted - by admin
+CREATE TABLE IF NOT EXISTS streak_freeze_credits (
+    id BIGSERIAL PRIMARY KEY,
+    tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('earned', 'granted')),
+    milestone_date DATE,
+    note TEXT,
+    granted_by BIGINT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CHECK (reason = 'granted' OR milestone_date IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_streak_freeze_credits_user ON streak_freeze_credits(tg_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_streak_freeze_credits_earned ON streak_freeze_credits(tg_id, milestone_date) WHERE reason = 'earned';
+
+COMMIT;
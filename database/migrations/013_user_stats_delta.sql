@@ -0,0 +1,16 @@
+-- =====================================================
+-- MIGRATION 013 - INCREMENTAL USER STATS
+-- =====================================================
+-- Existing databases only. Run after 012_streak_freezes.sql,
+-- then run schema.sql again: it creates apply_user_stats_delta() and
+-- recreates sync_user_stats(), so a daily_progress write adds its
+-- OLD / NEW difference to user_stats instead of recalculating the
+-- user's whole history. refresh_all_user_stats() stays for repair.
+
+BEGIN;
+
+-- Today / last 7 days of one user (get_user_statistics) as index-only reads
+CREATE INDEX IF NOT EXISTS idx_progress_user_window ON daily_progress(tg_id, date)
+    INCLUDE (total_points, earned_points, pages_read, distance_km);
+
+COMMIT;
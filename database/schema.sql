@@ -24,6 +24,9 @@ CREATE TABLE IF NOT EXISTS users (
     -- Achievements (Frontend expects array)
     achievements TEXT[] DEFAULT '{}',     -- ["consistent", "reader", "athlete"]
     
+    -- IANA timezone: daily_progress.date is the user's local date
+    timezone VARCHAR(64) NOT NULL DEFAULT 'Asia/Tashkent',
+    
     -- Timestamps
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
@@ -42,27 +45,14 @@ CREATE TABLE IF NOT EXISTS daily_progress (
     tg_id BIGINT NOT NULL,
     date DATE NOT NULL DEFAULT CURRENT_DATE,
     
-    -- 10 Daily Tasks (Boolean: 0 or 1)
-    shart_1 INTEGER DEFAULT 0 CHECK (shart_1 IN (0,1)),
-    shart_2 INTEGER DEFAULT 0 CHECK (shart_2 IN (0,1)),
-    shart_3 INTEGER DEFAULT 0 CHECK (shart_3 IN (0,1)),
-    shart_4 INTEGER DEFAULT 0 CHECK (shart_4 IN (0,1)),
-    shart_5 INTEGER DEFAULT 0 CHECK (shart_5 IN (0,1)),
-    shart_6 INTEGER DEFAULT 0 CHECK (shart_6 IN (0,1)),
-    shart_7 INTEGER DEFAULT 0 CHECK (shart_7 IN (0,1)),
-    shart_8 INTEGER DEFAULT 0 CHECK (shart_8 IN (0,1)),
-    shart_9 INTEGER DEFAULT 0 CHECK (shart_9 IN (0,1)),
-    shart_10 INTEGER DEFAULT 0 CHECK (shart_10 IN (0,1)),
-    
     -- Additional Metrics
     pages_read INTEGER DEFAULT 0 CHECK (pages_read >= 0),
     distance_km DECIMAL(10,2) DEFAULT 0 CHECK (distance_km >= 0),
     
-    -- Auto-calculated total points
-    total_points INTEGER GENERATED ALWAYS AS (
-        shart_1 + shart_2 + shart_3 + shart_4 + shart_5 + 
-        shart_6 + shart_7 + shart_8 + shart_9 + shart_10
-    ) STORED,
+    -- ✅ Task totals (recalculated from task_completions by recalculate_daily_progress)
+    total_points INTEGER DEFAULT 0,       -- Fully completed tasks count (credit = 1)
+    earned_points INTEGER DEFAULT 0,      -- Sum of awarded points (incl. partial credit)
+    total_tasks INTEGER DEFAULT 0,        -- Tasks active on that date
     
     -- Timestamps
     created_at TIMESTAMP DEFAULT NOW(),
@@ -74,7 +64,85 @@ CREATE TABLE IF NOT EXISTS daily_progress (
 );
 
 -- =====================================================
--- 3. SIMPLE PERFORMANCE INDEXES (NO FUNCTION DEPENDENCY)
+-- 3. TASKS CATALOG - Configurable daily tasks
+-- =====================================================
+CREATE TABLE IF NOT EXISTS tasks (
+    id SERIAL PRIMARY KEY,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    icon VARCHAR(20),
+    category VARCHAR(50) NOT NULL,        -- prayer, family, quran, wake, sport ...
+    points INTEGER NOT NULL DEFAULT 50 CHECK (points >= 0),
+    difficulty VARCHAR(20) DEFAULT 'easy'
+        CHECK (difficulty IN ('easy', 'medium', 'hard')),
+    sort_order INTEGER DEFAULT 0,
+    
+    -- ✅ Task type: 'boolean' (checkbox) or 'quantity' (value towards daily target)
+    task_type VARCHAR(20) NOT NULL DEFAULT 'boolean'
+        CHECK (task_type IN ('boolean', 'quantity')),
+    unit VARCHAR(30),                     -- 'daqiqa', 'so''m', 'marta'
+    daily_target DECIMAL(12,2) CHECK (daily_target IS NULL OR daily_target > 0),
+    -- Partial credit: highest tier whose ratio (value / daily_target) is reached
+    scoring_tiers JSONB NOT NULL DEFAULT '[{"ratio": 0.5, "credit": 0.5}, {"ratio": 1, "credit": 1}]',
+    
+    -- Localized title/description: {"ru": {"title": "...", "description": "..."}, "en": {...}}
+    translations JSONB NOT NULL DEFAULT '{}',
+    
+    -- Active date range (NULL = no limit)
+    active_from DATE,
+    active_to DATE,
+    
+    -- Archived tasks are hidden from daily tasks, history stays readable
+    is_archived BOOLEAN NOT NULL DEFAULT false,
+    archived_at TIMESTAMP,
+    
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    
+    CHECK (active_to IS NULL OR active_from IS NULL OR active_to >= active_from),
+    CHECK (task_type = 'boolean' OR daily_target IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_tasks_active ON tasks(active_from, active_to) WHERE is_archived = false;
+
+-- Default tasks (former shart_1..shart_10 columns keep their ids)
+INSERT INTO tasks (id, title, description, icon, category, points, difficulty, sort_order) VALUES
+    (1, 'Kunlik vird', 'Zikr, Qur''on tilovati, ibodat', '🕌', 'prayer', 50, 'easy', 1),
+    (2, 'Silai rahm', 'Ota-ona va qarindoshlar bilan aloqa', '❤️', 'family', 50, 'easy', 2),
+    (3, 'Qur''on tinglash', 'Kamida 1/114 qism', '🎧', 'quran', 50, 'easy', 3),
+    (4, 'Ehson qilish', '1000 so''mdan ko''p', '💝', 'charity', 50, 'easy', 4),
+    (5, 'Kitob o''qish', 'Kamida 10 bet', '📖', 'knowledge', 50, 'medium', 5),
+    (6, 'Dars/Kurs', 'Ta''lim kursi yoki dars', '🎓', 'education', 50, 'easy', 6),
+    (7, 'Audio kitob', 'Kamida 30 daqiqa', '🎧', 'audio', 50, 'easy', 7),
+    (8, 'Erta uxlash', '21:00 - 23:00 orasida', '🌙', 'sleep', 50, 'easy', 8),
+    (9, 'Erta turish', '03:00 - 06:00 orasida', '🌅', 'wake', 50, 'easy', 9),
+    (10, 'Sport/Mashqlar', 'Yugurish yoki mashqlar', '🏃‍♂️', 'sport', 50, 'medium', 10)
+ON CONFLICT (id) DO NOTHING;
+
+SELECT setval(pg_get_serial_sequence('tasks', 'id'), GREATEST((SELECT MAX(id) FROM tasks), 1));
+
+-- =====================================================
+-- 4. TASK COMPLETIONS - One row per user, date and task
+-- =====================================================
+CREATE TABLE IF NOT EXISTS task_completions (
+    id SERIAL PRIMARY KEY,
+    tg_id BIGINT NOT NULL,
+    date DATE NOT NULL,
+    task_id INTEGER NOT NULL REFERENCES tasks(id) ON DELETE RESTRICT,
+    value DECIMAL(12,2),                  -- Quantity tasks: reached amount
+    credit DECIMAL(4,3) NOT NULL DEFAULT 1 CHECK (credit >= 0 AND credit <= 1),
+    points_awarded INTEGER NOT NULL DEFAULT 0,  -- Task points * credit at submit time
+    completed_at TIMESTAMP DEFAULT NOW(),
+    
+    UNIQUE(tg_id, date, task_id),
+    -- Composite FK lets daily_progress embed its completions
+    FOREIGN KEY (tg_id, date) REFERENCES daily_progress(tg_id, date) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_completions_task ON task_completions(task_id, date);
+
+-- =====================================================
+-- 5. SIMPLE PERFORMANCE INDEXES (NO FUNCTION DEPENDENCY)
 -- =====================================================
 -- Basic indexes without function dependencies
 CREATE INDEX IF NOT EXISTS idx_progress_tg_id ON daily_progress(tg_id);
@@ -82,6 +150,10 @@ CREATE INDEX IF NOT EXISTS idx_progress_date ON daily_progress(date DESC);
 CREATE INDEX IF NOT EXISTS idx_progress_points ON daily_progress(total_points DESC);
 CREATE INDEX IF NOT EXISTS idx_progress_composite ON daily_progress(tg_id, date DESC);
 
+-- Today / last 7 days of one user (get_user_statistics) as index-only reads
+CREATE INDEX IF NOT EXISTS idx_progress_user_window ON daily_progress(tg_id, date)
+    INCLUDE (total_points, earned_points, pages_read, distance_km);
+
 -- For recent data queries (simple date comparison)
 CREATE INDEX IF NOT EXISTS idx_progress_recent ON daily_progress(date DESC, total_points DESC);
 
@@ -94,13 +166,191 @@ CREATE INDEX IF NOT EXISTS idx_leaderboard_alltime ON daily_progress(tg_id, tota
 CREATE INDEX IF NOT EXISTS idx_leaderboard_today ON daily_progress(total_points DESC, tg_id);
 
 -- =====================================================
--- 4. USER STATISTICS VIEW - Frontend Compatible
+-- 6. USER STATISTICS - Maintained totals + Frontend Compatible view
 -- =====================================================
--- Drop existing view if exists
+-- ✅ All-time totals, one row per user with progress. Kept current by
+-- trigger_progress_user_stats (section 8), which adds the difference of
+-- each changed daily_progress row, so neither reads nor writes aggregate
+-- the user's whole history.
+CREATE TABLE IF NOT EXISTS user_stats (
+    tg_id BIGINT PRIMARY KEY,             -- No FK: row is removed with the user's progress
+    total_points BIGINT NOT NULL DEFAULT 0,
+    total_earned_points BIGINT NOT NULL DEFAULT 0,
+    total_pages BIGINT NOT NULL DEFAULT 0,
+    total_distance NUMERIC NOT NULL DEFAULT 0,
+    total_days BIGINT NOT NULL DEFAULT 0,
+    first_date DATE,
+    last_date DATE,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_stats_points ON user_stats(total_points DESC);
+
+-- Recalculate totals of one user from daily_progress (repair / fallback,
+-- deletes the row when no progress is left)
+CREATE OR REPLACE FUNCTION refresh_user_stats(
+    p_tg_id BIGINT
+) RETURNS VOID AS $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM daily_progress WHERE tg_id = p_tg_id) THEN
+        DELETE FROM user_stats WHERE tg_id = p_tg_id;
+        RETURN;
+    END IF;
+
+    INSERT INTO user_stats (
+        tg_id, total_points, total_earned_points, total_pages,
+        total_distance, total_days, first_date, last_date, updated_at
+    )
+    SELECT 
+        p_tg_id,
+        COALESCE(SUM(dp.total_points), 0),
+        COALESCE(SUM(dp.earned_points), 0),
+        COALESCE(SUM(dp.pages_read), 0),
+        COALESCE(SUM(dp.distance_km), 0),
+        COUNT(DISTINCT dp.date),
+        MIN(dp.date),
+        MAX(dp.date),
+        NOW()
+    FROM daily_progress dp
+    WHERE dp.tg_id = p_tg_id
+    ON CONFLICT (tg_id) DO UPDATE SET
+        total_points = EXCLUDED.total_points,
+        total_earned_points = EXCLUDED.total_earned_points,
+        total_pages = EXCLUDED.total_pages,
+        total_distance = EXCLUDED.total_distance,
+        total_days = EXCLUDED.total_days,
+        first_date = EXCLUDED.first_date,
+        last_date = EXCLUDED.last_date,
+        updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql;
+
+-- Add one daily_progress change to the user's totals
+--   p_days: 1 = day added, -1 = day removed, 0 = same day changed
+-- Only the first / last date needs a lookup, when that edge day is removed.
+CREATE OR REPLACE FUNCTION apply_user_stats_delta(
+    p_tg_id BIGINT,
+    p_date DATE,
+    p_days INTEGER,
+    p_points BIGINT,
+    p_earned_points BIGINT,
+    p_pages BIGINT,
+    p_distance NUMERIC
+) RETURNS VOID AS $$
+DECLARE
+    stats user_stats%ROWTYPE;
+BEGIN
+    INSERT INTO user_stats (
+        tg_id, total_points, total_earned_points, total_pages,
+        total_distance, total_days, first_date, last_date, updated_at
+    )
+    VALUES (
+        p_tg_id, p_points, p_earned_points, p_pages,
+        p_distance, p_days, p_date, p_date, NOW()
+    )
+    ON CONFLICT (tg_id) DO UPDATE SET
+        total_points = user_stats.total_points + EXCLUDED.total_points,
+        total_earned_points = user_stats.total_earned_points + EXCLUDED.total_earned_points,
+        total_pages = user_stats.total_pages + EXCLUDED.total_pages,
+        total_distance = user_stats.total_distance + EXCLUDED.total_distance,
+        total_days = user_stats.total_days + EXCLUDED.total_days,
+        first_date = LEAST(user_stats.first_date, EXCLUDED.first_date),
+        last_date = GREATEST(user_stats.last_date, EXCLUDED.last_date),
+        updated_at = NOW()
+    RETURNING * INTO stats;
+
+    IF stats.total_days <= 0 THEN
+        -- Last day removed (or totals never backfilled): recalculate
+        PERFORM refresh_user_stats(p_tg_id);
+    ELSIF p_days < 0 AND p_date IN (stats.first_date, stats.last_date) THEN
+        UPDATE user_stats SET
+            first_date = (SELECT MIN(dp.date) FROM daily_progress dp WHERE dp.tg_id = p_tg_id),
+            last_date = (SELECT MAX(dp.date) FROM daily_progress dp WHERE dp.tg_id = p_tg_id)
+        WHERE tg_id = p_tg_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Rebuild totals of all users (backfill / repair)
+CREATE OR REPLACE FUNCTION refresh_all_user_stats()
+RETURNS INTEGER AS $$
+DECLARE
+    refreshed INTEGER;
+BEGIN
+    DELETE FROM user_stats
+    WHERE tg_id NOT IN (SELECT DISTINCT tg_id FROM daily_progress);
+
+    INSERT INTO user_stats (
+        tg_id, total_points, total_earned_points, total_pages,
+        total_distance, total_days, first_date, last_date, updated_at
+    )
+    SELECT 
+        dp.tg_id,
+        COALESCE(SUM(dp.total_points), 0),
+        COALESCE(SUM(dp.earned_points), 0),
+        COALESCE(SUM(dp.pages_read), 0),
+        COALESCE(SUM(dp.distance_km), 0),
+        COUNT(DISTINCT dp.date),
+        MIN(dp.date),
+        MAX(dp.date),
+        NOW()
+    FROM daily_progress dp
+    GROUP BY dp.tg_id
+    ON CONFLICT (tg_id) DO UPDATE SET
+        total_points = EXCLUDED.total_points,
+        total_earned_points = EXCLUDED.total_earned_points,
+        total_pages = EXCLUDED.total_pages,
+        total_distance = EXCLUDED.total_distance,
+        total_days = EXCLUDED.total_days,
+        first_date = EXCLUDED.first_date,
+        last_date = EXCLUDED.last_date,
+        updated_at = NOW();
+
+    GET DIAGNOSTICS refreshed = ROW_COUNT;
+    RETURN refreshed;
+END;
+$$ LANGUAGE plpgsql;
+
+-- daily_progress.date is the user's local date, so "today" and "last 7 days"
+-- are never taken from the server's CURRENT_DATE:
+--   get_user_statistics(date) - windows end on the given date (leaderboards)
+--   user_statistics view      - windows end on each user's own local today
+-- Only all-time totals are maintained (user_stats). Today / last 7 days are
+-- still summed from daily_progress on every read: the window moves with each
+-- user's local date, so a stored counter would go stale on days without a
+-- write. That sum is bounded to at most 7 rows per user, read index-only
+-- from idx_progress_user_window.
 DROP VIEW IF EXISTS user_statistics;
+DROP FUNCTION IF EXISTS get_user_statistics(DATE);
 
--- Create optimized view
-CREATE VIEW user_statistics AS
+CREATE OR REPLACE FUNCTION get_user_statistics(
+    p_reference_date DATE DEFAULT NULL
+) RETURNS TABLE (
+    tg_id BIGINT,
+    name VARCHAR,
+    username VARCHAR,
+    photo_url TEXT,
+    is_registered BOOLEAN,
+    is_approved BOOLEAN,
+    achievements TEXT[],
+    timezone VARCHAR,
+    created_at TIMESTAMP,
+    updated_at TIMESTAMP,
+    reference_date DATE,
+    daily_points INTEGER,
+    daily_pages INTEGER,
+    daily_distance NUMERIC,
+    daily_earned_points INTEGER,
+    weekly_points BIGINT,
+    weekly_pages BIGINT,
+    weekly_distance NUMERIC,
+    weekly_earned_points BIGINT,
+    total_points BIGINT,
+    total_pages BIGINT,
+    total_distance NUMERIC,
+    total_days BIGINT,
+    total_earned_points BIGINT
+) AS $$
 SELECT 
     u.tg_id,
     u.name,
@@ -109,183 +359,357 @@ SELECT
     u.is_registered,
     u.is_approved,
     u.achievements,
+    u.timezone,
     u.created_at,
     u.updated_at,
+    ref.day,
     
     -- TODAY STATISTICS
-    COALESCE(today.total_points, 0) as daily_points,
-    COALESCE(today.pages_read, 0) as daily_pages,
-    COALESCE(today.distance_km, 0) as daily_distance,
+    COALESCE(today.total_points, 0)::INTEGER,
+    COALESCE(today.pages_read, 0)::INTEGER,
+    COALESCE(today.distance_km, 0)::NUMERIC,
+    COALESCE(today.earned_points, 0)::INTEGER,
     
     -- WEEKLY STATISTICS (Last 7 days including today)
-    COALESCE(weekly.weekly_points, 0) as weekly_points,
-    COALESCE(weekly.weekly_pages, 0) as weekly_pages,
-    COALESCE(weekly.weekly_distance, 0) as weekly_distance,
+    COALESCE(weekly.weekly_points, 0)::BIGINT,
+    COALESCE(weekly.weekly_pages, 0)::BIGINT,
+    COALESCE(weekly.weekly_distance, 0)::NUMERIC,
+    COALESCE(weekly.weekly_earned_points, 0)::BIGINT,
     
     -- ALL TIME STATISTICS
-    COALESCE(all_time.total_points, 0) as total_points,
-    COALESCE(all_time.total_pages, 0) as total_pages,
-    COALESCE(all_time.total_distance, 0) as total_distance,
-    COALESCE(all_time.total_days, 0) as total_days
+    COALESCE(all_time.total_points, 0)::BIGINT,
+    COALESCE(all_time.total_pages, 0)::BIGINT,
+    COALESCE(all_time.total_distance, 0)::NUMERIC,
+    COALESCE(all_time.total_days, 0)::BIGINT,
+    COALESCE(all_time.total_earned_points, 0)::BIGINT
     
 FROM users u
 
+-- REFERENCE DATE (given date or user's local today)
+CROSS JOIN LATERAL (
+    SELECT COALESCE(p_reference_date, (NOW() AT TIME ZONE u.timezone)::DATE) as day
+) ref
+
 -- TODAY'S DATA
-LEFT JOIN (
-    SELECT 
-        tg_id,
-        total_points,
-        pages_read,
-        distance_km
-    FROM daily_progress 
-    WHERE date = CURRENT_DATE
-) today ON u.tg_id = today.tg_id
+LEFT JOIN daily_progress today
+    ON today.tg_id = u.tg_id
+   AND today.date = ref.day
 
 -- WEEKLY DATA (Last 7 days including today)
-LEFT JOIN (
+LEFT JOIN LATERAL (
     SELECT 
-        tg_id,
-        SUM(total_points) as weekly_points,
-        SUM(pages_read) as weekly_pages,
-        SUM(distance_km) as weekly_distance
-    FROM daily_progress 
-    WHERE date >= CURRENT_DATE - INTERVAL '6 days'
-      AND date <= CURRENT_DATE
-    GROUP BY tg_id
-) weekly ON u.tg_id = weekly.tg_id
-
--- ALL TIME DATA
-LEFT JOIN (
-    SELECT 
-        tg_id,
-        SUM(total_points) as total_points,
-        SUM(pages_read) as total_pages,
-        SUM(distance_km) as total_distance,
-        COUNT(DISTINCT date) as total_days
-    FROM daily_progress 
-    GROUP BY tg_id
-) all_time ON u.tg_id = all_time.tg_id
+        SUM(dp.total_points) as weekly_points,
+        SUM(dp.pages_read) as weekly_pages,
+        SUM(dp.distance_km) as weekly_distance,
+        SUM(dp.earned_points) as weekly_earned_points
+    FROM daily_progress dp
+    WHERE dp.tg_id = u.tg_id
+      AND dp.date >= ref.day - 6
+      AND dp.date <= ref.day
+) weekly ON true
+
+-- ALL TIME DATA (maintained totals)
+LEFT JOIN user_stats all_time ON all_time.tg_id = u.tg_id
 
 WHERE u.is_approved = true;  -- Only approved users
+$$ LANGUAGE sql STABLE;
+
+-- Create optimized view
+CREATE VIEW user_statistics AS
+SELECT * FROM get_user_statistics(NULL);
 
 -- Index for view performance
 CREATE INDEX IF NOT EXISTS idx_user_statistics_base ON users(tg_id) WHERE is_approved = true;
 
+-- ✅ Per-task totals (quantity tasks: summed values, e.g. minutes, so'm, reps)
+DROP VIEW IF EXISTS user_task_statistics;
+
+CREATE VIEW user_task_statistics AS
+SELECT
+    tc.tg_id,
+    tc.task_id,
+    t.task_type,
+    t.unit,
+    COUNT(*) FILTER (WHERE tc.credit >= 1) as completed_days,
+    COUNT(*) FILTER (WHERE tc.credit > 0 AND tc.credit < 1) as partial_days,
+    COALESCE(SUM(tc.value), 0) as total_value,
+    COALESCE(SUM(tc.points_awarded), 0) as total_earned_points,
+    MAX(tc.date) as last_date
+FROM task_completions tc
+JOIN tasks t ON t.id = tc.task_id
+GROUP BY tc.tg_id, tc.task_id, t.task_type, t.unit;
+
 -- =====================================================
--- 5. HELPER FUNCTIONS FOR FRONTEND
+-- 7. HELPER FUNCTIONS FOR FRONTEND
 -- =====================================================
 
--- Function to get user rank in leaderboard
-CREATE OR REPLACE FUNCTION get_user_rank(
-    user_tg_id BIGINT,
-    period_type VARCHAR DEFAULT 'weekly',
-    metric_type VARCHAR DEFAULT 'overall'
-) RETURNS INTEGER AS $$
+-- Replaced by get_leaderboard_position (ties share a rank there)
+DROP FUNCTION IF EXISTS get_user_rank(BIGINT, VARCHAR, VARCHAR);
+DROP FUNCTION IF EXISTS get_user_rank(BIGINT, VARCHAR, VARCHAR, DATE);
+
+-- ✅ Ranked leaderboard of any date range (NULL bounds = all time)
+-- p_metric: overall (completed tasks) | reading (pages) | distance (km)
+-- p_rank_mode: competition (1, 2, 2, 4) | dense (1, 2, 2, 3)
+CREATE OR REPLACE FUNCTION get_period_leaderboard(
+    p_start_date DATE DEFAULT NULL,
+    p_end_date DATE DEFAULT NULL,
+    p_metric VARCHAR DEFAULT 'overall',
+    p_rank_mode VARCHAR DEFAULT 'competition'
+) RETURNS TABLE (
+    tg_id BIGINT,
+    name VARCHAR,
+    username VARCHAR,
+    photo_url TEXT,
+    achievements TEXT[],
+    period_points BIGINT,
+    period_earned_points BIGINT,
+    period_pages BIGINT,
+    period_distance NUMERIC,
+    active_days BIGINT,
+    score NUMERIC,
+    rank BIGINT
+) AS $$
+WITH totals AS (
+    -- All time: maintained totals
+    SELECT 
+        us.tg_id,
+        us.total_points as points,
+        us.total_earned_points as earned_points,
+        us.total_pages as pages,
+        us.total_distance as distance,
+        us.total_days as active_days
+    FROM user_stats us
+    WHERE p_start_date IS NULL AND p_end_date IS NULL
+
+    UNION ALL
+
+    -- Date range: aggregate only days inside the range
+    SELECT 
+        dp.tg_id,
+        SUM(dp.total_points) as points,
+        SUM(dp.earned_points) as earned_points,
+        SUM(dp.pages_read) as pages,
+        SUM(dp.distance_km) as distance,
+        COUNT(*) as active_days
+    FROM daily_progress dp
+    WHERE (p_start_date IS NOT NULL OR p_end_date IS NOT NULL)
+      AND (p_start_date IS NULL OR dp.date >= p_start_date)
+      AND (p_end_date IS NULL OR dp.date <= p_end_date)
+    GROUP BY dp.tg_id
+),
+scored AS (
+    SELECT 
+        u.tg_id,
+        u.name,
+        u.username,
+        u.photo_url,
+        u.achievements,
+        COALESCE(t.points, 0)::BIGINT as period_points,
+        COALESCE(t.earned_points, 0)::BIGINT as period_earned_points,
+        COALESCE(t.pages, 0)::BIGINT as period_pages,
+        COALESCE(t.distance, 0)::NUMERIC as period_distance,
+        t.active_days::BIGINT as active_days,
+        (CASE p_metric
+            WHEN 'reading' THEN COALESCE(t.pages, 0)
+            WHEN 'distance' THEN COALESCE(t.distance, 0)
+            ELSE COALESCE(t.points, 0)
+        END)::NUMERIC as score
+    FROM totals t
+    JOIN users u ON u.tg_id = t.tg_id
+    WHERE u.is_approved = true
+)
+SELECT 
+    s.*,
+    CASE WHEN p_rank_mode = 'dense'
+        THEN DENSE_RANK() OVER (ORDER BY s.score DESC)
+        ELSE RANK() OVER (ORDER BY s.score DESC)
+    END as rank
+FROM scored s
+WHERE s.score > 0;
+$$ LANGUAGE sql STABLE;
+
+-- ✅ Position of one user in get_period_leaderboard: own row plus p_neighbours
+-- rows above and below, all with total_participants (one call per lookup).
+-- User without score: the last p_neighbours ranked rows (is_current = false)
+CREATE OR REPLACE FUNCTION get_leaderboard_position(
+    p_tg_id BIGINT,
+    p_start_date DATE DEFAULT NULL,
+    p_end_date DATE DEFAULT NULL,
+    p_metric VARCHAR DEFAULT 'overall',
+    p_rank_mode VARCHAR DEFAULT 'competition',
+    p_neighbours INTEGER DEFAULT 2
+) RETURNS TABLE (
+    tg_id BIGINT,
+    name VARCHAR,
+    username VARCHAR,
+    photo_url TEXT,
+    achievements TEXT[],
+    period_points BIGINT,
+    period_earned_points BIGINT,
+    period_pages BIGINT,
+    period_distance NUMERIC,
+    active_days BIGINT,
+    score NUMERIC,
+    rank BIGINT,
+    row_position BIGINT,
+    total_participants BIGINT,
+    is_current BOOLEAN
+) AS $$
+WITH ranked AS (
+    SELECT 
+        lb.*,
+        ROW_NUMBER() OVER (ORDER BY lb.rank, lb.tg_id) as row_position,
+        COUNT(*) OVER () as total_participants
+    FROM get_period_leaderboard(p_start_date, p_end_date, p_metric, p_rank_mode) lb
+),
+me AS (
+    SELECT r.row_position FROM ranked r WHERE r.tg_id = p_tg_id
+)
+SELECT 
+    r.*,
+    r.tg_id = p_tg_id as is_current
+FROM ranked r
+LEFT JOIN me ON true
+WHERE r.row_position BETWEEN COALESCE(me.row_position, r.total_participants + 1) - p_neighbours
+                         AND COALESCE(me.row_position, r.total_participants + 1) + p_neighbours
+ORDER BY r.row_position;
+$$ LANGUAGE sql STABLE;
+
+-- ✅ Credit (0..1) for task value: boolean tasks always 1,
+-- quantity tasks get the highest scoring tier reached
+CREATE OR REPLACE FUNCTION calculate_task_credit(
+    p_task tasks,
+    p_value NUMERIC
+) RETURNS NUMERIC AS $$
 DECLARE
-    user_rank INTEGER := 0;
+    ratio NUMERIC;
+    best_credit NUMERIC := 0;
+    tier JSONB;
 BEGIN
-    -- Weekly overall ranking
-    IF period_type = 'weekly' AND metric_type = 'overall' THEN
-        SELECT COALESCE(sub.rank, 0) INTO user_rank
-        FROM (
-            SELECT tg_id, 
-                   RANK() OVER (ORDER BY weekly_points DESC, tg_id ASC) as rank
-            FROM user_statistics 
-            WHERE weekly_points > 0
-        ) sub
-        WHERE sub.tg_id = user_tg_id;
-        
-    -- Daily ranking
-    ELSIF period_type = 'daily' AND metric_type = 'overall' THEN
-        SELECT COALESCE(sub.rank, 0) INTO user_rank
-        FROM (
-            SELECT tg_id,
-                   RANK() OVER (ORDER BY daily_points DESC, tg_id ASC) as rank
-            FROM user_statistics 
-            WHERE daily_points > 0
-        ) sub
-        WHERE sub.tg_id = user_tg_id;
-        
-    -- All time ranking
-    ELSIF period_type = 'all_time' AND metric_type = 'overall' THEN
-        SELECT COALESCE(sub.rank, 0) INTO user_rank
-        FROM (
-            SELECT tg_id,
-                   RANK() OVER (ORDER BY total_points DESC, tg_id ASC) as rank
-            FROM user_statistics 
-            WHERE total_points > 0
-        ) sub
-        WHERE sub.tg_id = user_tg_id;
-        
-    -- Reading rankings
-    ELSIF metric_type = 'reading' THEN
-        IF period_type = 'weekly' THEN
-            SELECT COALESCE(sub.rank, 0) INTO user_rank
-            FROM (
-                SELECT tg_id,
-                       RANK() OVER (ORDER BY weekly_pages DESC, tg_id ASC) as rank
-                FROM user_statistics 
-                WHERE weekly_pages > 0
-            ) sub
-            WHERE sub.tg_id = user_tg_id;
-        ELSIF period_type = 'daily' THEN
-            SELECT COALESCE(sub.rank, 0) INTO user_rank
-            FROM (
-                SELECT tg_id,
-                       RANK() OVER (ORDER BY daily_pages DESC, tg_id ASC) as rank
-                FROM user_statistics 
-                WHERE daily_pages > 0
-            ) sub
-            WHERE sub.tg_id = user_tg_id;
-        ELSE
-            SELECT COALESCE(sub.rank, 0) INTO user_rank
-            FROM (
-                SELECT tg_id,
-                       RANK() OVER (ORDER BY total_pages DESC, tg_id ASC) as rank
-                FROM user_statistics 
-                WHERE total_pages > 0
-            ) sub
-            WHERE sub.tg_id = user_tg_id;
-        END IF;
-        
-    -- Distance rankings
-    ELSIF metric_type = 'distance' THEN
-        IF period_type = 'weekly' THEN
-            SELECT COALESCE(sub.rank, 0) INTO user_rank
-            FROM (
-                SELECT tg_id,
-                       RANK() OVER (ORDER BY weekly_distance DESC, tg_id ASC) as rank
-                FROM user_statistics 
-                WHERE weekly_distance > 0
-            ) sub
-            WHERE sub.tg_id = user_tg_id;
-        ELSIF period_type = 'daily' THEN
-            SELECT COALESCE(sub.rank, 0) INTO user_rank
-            FROM (
-                SELECT tg_id,
-                       RANK() OVER (ORDER BY daily_distance DESC, tg_id ASC) as rank
-                FROM user_statistics 
-                WHERE daily_distance > 0
-            ) sub
-            WHERE sub.tg_id = user_tg_id;
-        ELSE
-            SELECT COALESCE(sub.rank, 0) INTO user_rank
-            FROM (
-                SELECT tg_id,
-                       RANK() OVER (ORDER BY total_distance DESC, tg_id ASC) as rank
-                FROM user_statistics 
-                WHERE total_distance > 0
-            ) sub
-            WHERE sub.tg_id = user_tg_id;
-        END IF;
+    IF p_task.task_type = 'boolean' THEN
+        RETURN 1;
     END IF;
-    
-    RETURN COALESCE(user_rank, 0);
+
+    IF p_value IS NULL OR p_value <= 0 OR p_task.daily_target IS NULL THEN
+        RETURN 0;
+    END IF;
+
+    ratio := p_value / p_task.daily_target;
+
+    -- No tiers: all or nothing
+    IF jsonb_array_length(p_task.scoring_tiers) = 0 THEN
+        RETURN CASE WHEN ratio >= 1 THEN 1 ELSE 0 END;
+    END IF;
+
+    FOR tier IN SELECT * FROM jsonb_array_elements(p_task.scoring_tiers) LOOP
+        IF ratio >= (tier->>'ratio')::NUMERIC THEN
+            best_credit := GREATEST(best_credit, (tier->>'credit')::NUMERIC);
+        END IF;
+    END LOOP;
+
+    RETURN LEAST(best_credit, 1);
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- ✅ Recalculate task totals of one daily_progress row from task_completions
+CREATE OR REPLACE FUNCTION recalculate_daily_progress(
+    p_tg_id BIGINT,
+    p_date DATE
+) RETURNS VOID AS $$
+BEGIN
+    UPDATE daily_progress dp SET
+        total_points = COALESCE(done.completed_count, 0),
+        earned_points = COALESCE(done.points_sum, 0),
+        -- Tasks active on p_date: archived later still count for that day
+        total_tasks = (
+            SELECT COUNT(*) FROM tasks t
+            WHERE (t.is_archived = false OR t.archived_at::DATE > p_date)
+              AND (t.active_from IS NULL OR t.active_from <= p_date)
+              AND (t.active_to IS NULL OR t.active_to >= p_date)
+        )
+    FROM (
+        SELECT COUNT(*) FILTER (WHERE tc.credit >= 1) AS completed_count,
+               SUM(tc.points_awarded) AS points_sum
+        FROM task_completions tc
+        WHERE tc.tg_id = p_tg_id AND tc.date = p_date
+    ) done
+    WHERE dp.tg_id = p_tg_id AND dp.date = p_date;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ✅ Save daily progress atomically: metrics + completed tasks
+-- p_task_ids: completed boolean tasks, p_quantities: {"<task_id>": value} for quantity tasks
+-- (quantity tasks not in p_quantities keep their saved value)
+-- Archived tasks and tasks not active on p_date are ignored
+DROP FUNCTION IF EXISTS submit_daily_progress(BIGINT, DATE, INTEGER[], INTEGER, DECIMAL);
+CREATE OR REPLACE FUNCTION submit_daily_progress(
+    p_tg_id BIGINT,
+    p_date DATE,
+    p_task_ids INTEGER[],
+    p_pages_read INTEGER DEFAULT 0,
+    p_distance_km DECIMAL DEFAULT 0,
+    p_quantities JSONB DEFAULT '{}'
+) RETURNS SETOF daily_progress AS $$
+BEGIN
+    p_task_ids := COALESCE(p_task_ids, '{}');
+    p_quantities := COALESCE(p_quantities, '{}');
+
+    INSERT INTO daily_progress (tg_id, date, pages_read, distance_km)
+    VALUES (p_tg_id, p_date, p_pages_read, p_distance_km)
+    ON CONFLICT (tg_id, date) DO UPDATE SET
+        pages_read = EXCLUDED.pages_read,
+        distance_km = EXCLUDED.distance_km;
+
+    -- Boolean tasks missing from p_task_ids are unchecked; quantity tasks are
+    -- cleared only when p_quantities sends them with 0 (absent key = unchanged)
+    DELETE FROM task_completions tc
+    USING tasks t
+    WHERE t.id = tc.task_id
+      AND tc.tg_id = p_tg_id
+      AND tc.date = p_date
+      AND CASE WHEN t.task_type = 'quantity'
+          THEN p_quantities ? tc.task_id::TEXT
+               AND COALESCE((p_quantities ->> tc.task_id::TEXT)::NUMERIC, 0) <= 0
+          ELSE NOT (tc.task_id = ANY(p_task_ids))
+      END;
+
+    -- Boolean tasks: full credit
+    INSERT INTO task_completions (tg_id, date, task_id, credit, points_awarded)
+    SELECT p_tg_id, p_date, t.id, 1, t.points
+    FROM tasks t
+    WHERE t.id = ANY(p_task_ids)
+      AND t.task_type = 'boolean'
+      AND t.is_archived = false
+      AND (t.active_from IS NULL OR t.active_from <= p_date)
+      AND (t.active_to IS NULL OR t.active_to >= p_date)
+    ON CONFLICT (tg_id, date, task_id) DO NOTHING;
+
+    -- Quantity tasks: credit from scoring tiers
+    INSERT INTO task_completions (tg_id, date, task_id, value, credit, points_awarded)
+    SELECT p_tg_id, p_date, t.id, q.value, c.credit, ROUND(t.points * c.credit)
+    FROM tasks t
+    CROSS JOIN LATERAL (SELECT (p_quantities ->> t.id::TEXT)::NUMERIC AS value) q
+    CROSS JOIN LATERAL (SELECT calculate_task_credit(t, q.value) AS credit) c
+    WHERE t.task_type = 'quantity'
+      AND q.value > 0
+      AND t.is_archived = false
+      AND (t.active_from IS NULL OR t.active_from <= p_date)
+      AND (t.active_to IS NULL OR t.active_to >= p_date)
+    ON CONFLICT (tg_id, date, task_id) DO UPDATE SET
+        value = EXCLUDED.value,
+        credit = EXCLUDED.credit,
+        points_awarded = EXCLUDED.points_awarded,
+        completed_at = NOW();
+
+    PERFORM recalculate_daily_progress(p_tg_id, p_date);
+
+    RETURN QUERY
+    SELECT * FROM daily_progress WHERE tg_id = p_tg_id AND date = p_date;
 END;
 $$ LANGUAGE plpgsql;
 
 -- =====================================================
--- 6. DATA TRIGGERS FOR CONSISTENCY
+-- 8. DATA TRIGGERS FOR CONSISTENCY
 -- =====================================================
 
 -- Update user updated_at on changes
@@ -320,8 +744,569 @@ CREATE TRIGGER trigger_progress_updated_at
     FOR EACH ROW
     EXECUTE FUNCTION update_progress_timestamp();
 
+-- Update tasks updated_at on changes
+CREATE OR REPLACE FUNCTION update_task_timestamp()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Drop trigger if exists, then create
+DROP TRIGGER IF EXISTS trigger_tasks_updated_at ON tasks;
+CREATE TRIGGER trigger_tasks_updated_at
+    BEFORE UPDATE ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION update_task_timestamp();
+
+-- ✅ Keep user_stats totals in sync with daily_progress (OLD / NEW difference)
+CREATE OR REPLACE FUNCTION sync_user_stats()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'UPDATE' AND NEW.tg_id = OLD.tg_id AND NEW.date = OLD.date THEN
+        IF NEW.total_points IS NOT DISTINCT FROM OLD.total_points
+           AND NEW.earned_points IS NOT DISTINCT FROM OLD.earned_points
+           AND NEW.pages_read IS NOT DISTINCT FROM OLD.pages_read
+           AND NEW.distance_km IS NOT DISTINCT FROM OLD.distance_km THEN
+            RETURN NULL;
+        END IF;
+
+        PERFORM apply_user_stats_delta(
+            NEW.tg_id, NEW.date, 0,
+            COALESCE(NEW.total_points, 0) - COALESCE(OLD.total_points, 0),
+            COALESCE(NEW.earned_points, 0) - COALESCE(OLD.earned_points, 0),
+            COALESCE(NEW.pages_read, 0) - COALESCE(OLD.pages_read, 0),
+            COALESCE(NEW.distance_km, 0) - COALESCE(OLD.distance_km, 0)
+        );
+        RETURN NULL;
+    END IF;
+
+    -- Row moved to another user / date: remove OLD, add NEW
+    IF TG_OP <> 'INSERT' THEN
+        PERFORM apply_user_stats_delta(
+            OLD.tg_id, OLD.date, -1,
+            -COALESCE(OLD.total_points, 0),
+            -COALESCE(OLD.earned_points, 0),
+            -COALESCE(OLD.pages_read, 0),
+            -COALESCE(OLD.distance_km, 0)
+        );
+    END IF;
+
+    IF TG_OP <> 'DELETE' THEN
+        PERFORM apply_user_stats_delta(
+            NEW.tg_id, NEW.date, 1,
+            COALESCE(NEW.total_points, 0),
+            COALESCE(NEW.earned_points, 0),
+            COALESCE(NEW.pages_read, 0),
+            COALESCE(NEW.distance_km, 0)
+        );
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Drop trigger if exists, then create
+DROP TRIGGER IF EXISTS trigger_progress_user_stats ON daily_progress;
+CREATE TRIGGER trigger_progress_user_stats
+    AFTER INSERT OR UPDATE OR DELETE ON daily_progress
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_user_stats();
+
+-- Backfill totals of existing progress (safe to re-run)
+SELECT refresh_all_user_stats();
+
+-- =====================================================
+-- 9. REFRESH TOKENS - Session auth after initData verification
+-- =====================================================
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id SERIAL PRIMARY KEY,
+    tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,  -- SHA-256 of the opaque token
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    replaced_by VARCHAR(64),                 -- Rotation chain
+    user_agent TEXT,
+    ip VARCHAR(64),
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(tg_id) WHERE revoked_at IS NULL;
+
+-- =====================================================
+-- 10. ADMINS - Role based authorization
+-- =====================================================
+CREATE TABLE IF NOT EXISTS admins (
+    tg_id BIGINT PRIMARY KEY,
+    role VARCHAR(20) NOT NULL DEFAULT 'moderator'
+        CHECK (role IN ('admin', 'moderator')),  -- admin > moderator
+    added_by BIGINT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Registration notifications sent to each staff member (for syncing decisions)
+CREATE TABLE IF NOT EXISTS admin_notifications (
+    id SERIAL PRIMARY KEY,
+    applicant_tg_id BIGINT NOT NULL,      -- No FK: rejected users are deleted
+    admin_tg_id BIGINT NOT NULL,
+    chat_id BIGINT NOT NULL,
+    message_id BIGINT NOT NULL,
+    decision VARCHAR(20) CHECK (decision IN ('approved', 'rejected')),
+    decided_by BIGINT,
+    decided_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_notifications_applicant ON admin_notifications(applicant_tg_id);
+
+-- =====================================================
+-- 11. PROGRESS EDITS - Past-day edits and audit trail
+-- =====================================================
+-- Edits older than the grace window wait for admin approval
+CREATE TABLE IF NOT EXISTS progress_edit_requests (
+    id SERIAL PRIMARY KEY,
+    tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+    date DATE NOT NULL,
+    payload JSONB NOT NULL,               -- { completed_tasks, quantities, pages_read, distance_km }
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected')),
+    reviewed_by BIGINT,
+    reviewed_at TIMESTAMP,
+    review_note TEXT,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_progress_edit_requests_status ON progress_edit_requests(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_progress_edit_requests_user ON progress_edit_requests(tg_id, date);
+
+-- Every change of daily progress (old and new values)
+CREATE TABLE IF NOT EXISTS progress_audit (
+    id SERIAL PRIMARY KEY,
+    tg_id BIGINT NOT NULL,                -- No FK: audit outlives deleted users
+    date DATE NOT NULL,
+    action VARCHAR(20) NOT NULL
+        CHECK (action IN ('submit', 'edit', 'edit_approved')),
+    changed_by BIGINT,                    -- User or admin tg_id
+    source VARCHAR(20) NOT NULL DEFAULT 'mini_app'
+        CHECK (source IN ('mini_app', 'bot', 'admin', 'import')),
+    ip VARCHAR(45),                       -- IPv4 / IPv6 of the request
+    old_values JSONB,                     -- NULL when row was created
+    new_values JSONB,
+    edit_request_id INTEGER REFERENCES progress_edit_requests(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_progress_audit_user ON progress_audit(tg_id, date DESC);
+CREATE INDEX IF NOT EXISTS idx_progress_audit_created ON progress_audit(tg_id, created_at DESC);
+
+-- =====================================================
+-- 12. SEASONS - Named date ranges for leaderboards
+-- =====================================================
+CREATE TABLE IF NOT EXISTS seasons (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,           -- "Ramazon 2025", "1-mavsum"
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,               -- Inclusive
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_seasons_dates ON seasons(start_date, end_date);
+
+-- =====================================================
+-- 13. LEADERBOARD SNAPSHOTS - Rank history
+-- =====================================================
+-- Written once per closed day by the snapshot job (take_leaderboard_snapshot):
+--   daily    - that day
+--   weekly   - 7 days ending that day (on Sundays = calendar week)
+--   monthly  - month to date (on last day = whole month)
+--   all_time - everything up to that day
+CREATE TABLE IF NOT EXISTS leaderboard_snapshots (
+    id BIGSERIAL PRIMARY KEY,
+    snapshot_date DATE NOT NULL,          -- Last day included in the board
+    period VARCHAR(20) NOT NULL
+        CHECK (period IN ('daily', 'weekly', 'monthly', 'all_time')),
+    metric VARCHAR(20) NOT NULL
+        CHECK (metric IN ('overall', 'reading', 'distance')),
+    period_start DATE,                    -- NULL for all_time
+    tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+    rank INTEGER NOT NULL,                -- Competition ranking (1, 2, 2, 4)
+    dense_rank INTEGER NOT NULL,          -- Dense ranking (1, 2, 2, 3)
+    score NUMERIC(12,2) NOT NULL,
+    total_participants INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE (snapshot_date, period, metric, tg_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leaderboard_snapshots_board ON leaderboard_snapshots(period, metric, snapshot_date, rank);
+CREATE INDEX IF NOT EXISTS idx_leaderboard_snapshots_user ON leaderboard_snapshots(tg_id, period, metric, snapshot_date DESC);
+
+-- Snapshot all boards of a day (re-running replaces that day)
+CREATE OR REPLACE FUNCTION take_leaderboard_snapshot(
+    p_date DATE
+) RETURNS INTEGER AS $$
+DECLARE
+    board RECORD;
+    metric_name VARCHAR;
+    affected INTEGER;
+    total_rows INTEGER := 0;
+BEGIN
+    DELETE FROM leaderboard_snapshots WHERE snapshot_date = p_date;
+
+    FOR board IN
+        SELECT * FROM (VALUES
+            ('daily', p_date),
+            ('weekly', p_date - 6),
+            ('monthly', date_trunc('month', p_date)::DATE),
+            ('all_time', NULL::DATE)
+        ) AS b(period_name, start_date)
+    LOOP
+        FOREACH metric_name IN ARRAY ARRAY['overall', 'reading', 'distance'] LOOP
+            INSERT INTO leaderboard_snapshots (
+                snapshot_date, period, metric, period_start,
+                tg_id, rank, dense_rank, score, total_participants
+            )
+            SELECT 
+                p_date, board.period_name, metric_name, board.start_date,
+                lb.tg_id,
+                lb.rank,
+                DENSE_RANK() OVER (ORDER BY lb.score DESC),
+                lb.score,
+                COUNT(*) OVER ()
+            FROM get_period_leaderboard(board.start_date, p_date, metric_name, 'competition') lb;
+
+            GET DIAGNOSTICS affected = ROW_COUNT;
+            total_rows := total_rows + affected;
+        END LOOP;
+    END LOOP;
+
+    RETURN total_rows;
+END;
+$$ LANGUAGE plpgsql;
+
 -- =====================================================
--- 7. ADMIN USER SETUP 
+-- 14. ACHIEVEMENTS - Declarative rules and earned badges
+-- =====================================================
+-- Evaluated by AchievementService, ids are stored in users.achievements.
+--   streak     - consecutive days (ending today) matching condition
+--   count_days - days matching condition inside window
+--   cumulative - sum of metric inside window
+-- window_days NULL = lifetime (streak: look back up to threshold days)
+-- task_filter narrows task_completed / task_completions:
+--   {"task_ids": [9]} or {"categories": ["wake"]}
+-- tiers (optional) are ascending levels, threshold = first tier:
+--   [{"name": "bronze", "threshold": 1000}, {"name": "silver", "threshold": 6000}, {"name": "gold", "threshold": 20000}]
+CREATE TABLE IF NOT EXISTS achievement_rules (
+    id VARCHAR(50) PRIMARY KEY,           -- "reader", "early_bird"
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    icon VARCHAR(20),
+    color VARCHAR(20),
+    rule_type VARCHAR(20) NOT NULL
+        CHECK (rule_type IN ('streak', 'count_days', 'cumulative')),
+    -- streak / count_days: active | perfect_day | task_completed | pages_read | distance_km
+    -- cumulative: pages_read | distance_km | total_points | earned_points | task_completions
+    metric VARCHAR(30) NOT NULL,
+    threshold NUMERIC NOT NULL CHECK (threshold > 0),
+    window_days INTEGER CHECK (window_days IS NULL OR window_days > 0),
+    task_filter JSONB,
+    tiers JSONB,                          -- NULL = single level badge
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- Default badges (former hard-coded checks, former single threshold is silver)
+INSERT INTO achievement_rules (id, name, description, icon, color, rule_type, metric, threshold, task_filter, tiers, sort_order) VALUES
+    ('consistent', 'Faol', '7 / 21 / 60 kun ketma-ket faol bo''lish', '🔥', '#ef4444', 'streak', 'active', 7, NULL,
+        '[{"name": "bronze", "threshold": 7}, {"name": "silver", "threshold": 21}, {"name": "gold", "threshold": 60}]', 1),
+    ('reader', 'Kitobxon', '1,000 / 6,000 / 20,000 bet kitob o''qish', '📚', '#3b82f6', 'cumulative', 'pages_read', 1000, NULL,
+        '[{"name": "bronze", "threshold": 1000}, {"name": "silver", "threshold": 6000}, {"name": "gold", "threshold": 20000}]', 2),
+    ('athlete', 'Sportchi', '25 / 100 / 500 km yugurish', '🏃‍♂️', '#10b981', 'cumulative', 'distance_km', 25, NULL,
+        '[{"name": "bronze", "threshold": 25}, {"name": "silver", "threshold": 100}, {"name": "gold", "threshold": 500}]', 3),
+    ('early_bird', 'Uyg''oq', '7 / 21 / 60 kun ketma-ket erta turish', '🌅', '#8b5cf6', 'streak', 'task_completed', 7, '{"categories": ["wake"]}',
+        '[{"name": "bronze", "threshold": 7}, {"name": "silver", "threshold": 21}, {"name": "gold", "threshold": 60}]', 4),
+    ('perfectionist', 'Olov', '7 / 21 / 60 kun ketma-ket barcha vazifalar', '⭐', '#f59e0b', 'streak', 'perfect_day', 7, NULL,
+        '[{"name": "bronze", "threshold": 7}, {"name": "silver", "threshold": 21}, {"name": "gold", "threshold": 60}]', 5)
+ON CONFLICT (id) DO NOTHING;
+
+-- Earned badges, one row per user, achievement and level (1 = first tier)
+-- users.achievements mirrors achievement ids (trigger below) for views and leaderboards
+CREATE TABLE IF NOT EXISTS user_achievements (
+    id BIGSERIAL PRIMARY KEY,
+    tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+    achievement_id VARCHAR(50) NOT NULL,  -- achievement_rules.id (no FK: badges outlive rules)
+    level SMALLINT NOT NULL DEFAULT 1 CHECK (level > 0),
+    earned_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    -- Stat that triggered the badge: {"rule_type", "metric", "value", "threshold", "window_days", "date", "tier"}
+    -- {"source": "migrated"} for badges copied from users.achievements
+    stat_snapshot JSONB NOT NULL DEFAULT '{}',
+    UNIQUE(tg_id, achievement_id, level)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_achievements_earned ON user_achievements(tg_id, earned_at DESC);
+
+-- ✅ Keep users.achievements in sync with user_achievements
+CREATE OR REPLACE FUNCTION sync_user_achievements()
+RETURNS TRIGGER AS $$
+BEGIN
+    -- Id leaves the array with its last level
+    IF TG_OP = 'DELETE' THEN
+        UPDATE users
+        SET achievements = array_remove(achievements, OLD.achievement_id)
+        WHERE tg_id = OLD.tg_id
+          AND NOT EXISTS (
+              SELECT 1 FROM user_achievements ua
+              WHERE ua.tg_id = OLD.tg_id AND ua.achievement_id = OLD.achievement_id
+          );
+        RETURN NULL;
+    END IF;
+
+    UPDATE users
+    SET achievements = array_append(COALESCE(achievements, '{}'), NEW.achievement_id)
+    WHERE tg_id = NEW.tg_id
+      AND NOT (NEW.achievement_id = ANY(COALESCE(achievements, '{}')));
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Drop trigger if exists, then create
+DROP TRIGGER IF EXISTS trigger_user_achievements_sync ON user_achievements;
+CREATE TRIGGER trigger_user_achievements_sync
+    AFTER INSERT OR DELETE ON user_achievements
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_user_achievements();
+
+-- Copy badges earned before user_achievements existed (safe to re-run)
+-- Real earn time is unknown, registration time keeps them out of "recently earned".
+-- Ids without a rule (e.g. 'admin') are not badges and stay only in the array.
+-- They were earned at the former single threshold, so tiered badges are copied
+-- up to silver (levels 1 and 2); only ids without any stored level are copied.
+-- POST /api/admin/achievements/recompute grants higher tiers.
+INSERT INTO user_achievements (tg_id, achievement_id, level, earned_at, stat_snapshot)
+SELECT u.tg_id, a.achievement_id, lvl.level, COALESCE(u.created_at, NOW()), '{"source": "migrated"}'::JSONB
+FROM users u
+CROSS JOIN LATERAL UNNEST(u.achievements) AS a(achievement_id)
+JOIN achievement_rules r ON r.id = a.achievement_id
+CROSS JOIN LATERAL generate_series(1, COALESCE((
+    SELECT t.ordinality::INTEGER
+    FROM jsonb_array_elements(r.tiers) WITH ORDINALITY AS t(tier, ordinality)
+    WHERE t.tier->>'name' = 'silver'
+), 1)) AS lvl(level)
+WHERE NOT EXISTS (
+    SELECT 1 FROM user_achievements ua
+    WHERE ua.tg_id = u.tg_id AND ua.achievement_id = a.achievement_id
+)
+ON CONFLICT (tg_id, achievement_id, level) DO NOTHING;
+
+-- =====================================================
+-- 15. STREAK FREEZES AND EXCUSED DAYS - Neutral days
+-- =====================================================
+-- Neutral days neither break nor extend a streak (current, longest and
+-- achievement streaks); a day with activity still counts as active.
+--   freeze  - user spent a freeze token on a missed day
+--   excused - admin excused the day, tg_id NULL = whole community
+--             (e.g. religious holidays, community trips)
+CREATE TABLE IF NOT EXISTS streak_excused_days (
+    id BIGSERIAL PRIMARY KEY,
+    tg_id BIGINT REFERENCES users(tg_id) ON DELETE CASCADE,  -- NULL = everyone
+    date DATE NOT NULL,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('freeze', 'excused')),
+    reason TEXT,
+    created_by BIGINT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CHECK (kind = 'excused' OR tg_id IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_streak_excused_days_user ON streak_excused_days(tg_id, date) WHERE tg_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_streak_excused_days_community ON streak_excused_days(date) WHERE tg_id IS NULL;
+
+-- Freeze tokens, balance = SUM(amount) - freeze days
+--   earned  - every 7th consecutive active day (milestone_date = that day)
+--   granted - by admin
+CREATE TABLE IF NOT EXISTS streak_freeze_credits (
+    id BIGSERIAL PRIMARY KEY,
+    tg_id BIGINT NOT NULL REFERENCES users(tg_id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    reason VARCHAR(20) NOT NULL CHECK (reason IN ('earned', 'granted')),
+    milestone_date DATE,
+    note TEXT,
+    granted_by BIGINT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CHECK (reason = 'granted' OR milestone_date IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_streak_freeze_credits_user ON streak_freeze_credits(tg_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_streak_freeze_credits_earned ON streak_freeze_credits(tg_id, milestone_date) WHERE reason = 'earned';
+
+-- Spend one token on a missed day (balance check and insert under user row lock)
+-- Returns: 'frozen' | 'no_tokens' | 'already_neutral'
+CREATE OR REPLACE FUNCTION use_streak_freeze(
+    p_tg_id BIGINT,
+    p_date DATE
+) RETURNS VARCHAR AS $$
+DECLARE
+    v_balance INTEGER;
+BEGIN
+    PERFORM 1 FROM users WHERE tg_id = p_tg_id FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM streak_excused_days
+        WHERE date = p_date AND (tg_id = p_tg_id OR tg_id IS NULL)
+    ) THEN
+        RETURN 'already_neutral';
+    END IF;
+
+    SELECT COALESCE((SELECT SUM(amount) FROM streak_freeze_credits WHERE tg_id = p_tg_id), 0)
+         - (SELECT COUNT(*) FROM streak_excused_days WHERE tg_id = p_tg_id AND kind = 'freeze')
+    INTO v_balance;
+
+    IF v_balance <= 0 THEN
+        RETURN 'no_tokens';
+    END IF;
+
+    INSERT INTO streak_excused_days (tg_id, date, kind, created_by)
+    VALUES (p_tg_id, p_date, 'freeze', p_tg_id);
+
+    RETURN 'frozen';
+END;
+$$ LANGUAGE plpgsql;
+
+-- =====================================================
+-- 16. STREAKS - Runs of consecutive days
+-- =====================================================
+-- One row per run instead of one per day (gaps and islands: date - row_number
+-- is constant inside a run). Every streak in the API is derived from these runs
+-- (StreakService), neutral days between runs are bridged there.
+--   active     - at least one task completed (total_points > 0)
+--   perfect    - every task active that day completed
+--   early_bird - 'wake' category task submitted
+--   task       - task_id fully completed (credit 1)
+-- p_tg_id: NULL = every user, p_to: ignore days after user's local today,
+-- p_kinds: NULL = every kind
+DROP FUNCTION IF EXISTS get_streak_runs(BIGINT, DATE, VARCHAR[]);
+
+CREATE OR REPLACE FUNCTION get_streak_runs(
+    p_tg_id BIGINT,
+    p_to DATE DEFAULT NULL,
+    p_kinds VARCHAR[] DEFAULT NULL
+) RETURNS TABLE (
+    tg_id BIGINT,
+    kind VARCHAR,
+    task_id INTEGER,
+    start_date DATE,
+    end_date DATE,
+    days INTEGER
+) AS $$
+WITH qualifying_days AS (
+    SELECT dp.tg_id, 'active'::VARCHAR AS kind, NULL::INTEGER AS task_id, dp.date
+    FROM daily_progress dp
+    WHERE (p_tg_id IS NULL OR dp.tg_id = p_tg_id)
+      AND dp.total_points > 0
+      AND (p_kinds IS NULL OR 'active' = ANY(p_kinds))
+
+    UNION ALL
+    SELECT dp.tg_id, 'perfect', NULL, dp.date
+    FROM daily_progress dp
+    WHERE (p_tg_id IS NULL OR dp.tg_id = p_tg_id)
+      AND dp.total_tasks > 0
+      AND dp.total_points >= dp.total_tasks
+      AND (p_kinds IS NULL OR 'perfect' = ANY(p_kinds))
+
+    UNION ALL
+    SELECT DISTINCT tc.tg_id, 'early_bird', NULL::INTEGER, tc.date
+    FROM task_completions tc
+    JOIN tasks t ON t.id = tc.task_id
+    WHERE (p_tg_id IS NULL OR tc.tg_id = p_tg_id)
+      AND t.category = 'wake'
+      AND (p_kinds IS NULL OR 'early_bird' = ANY(p_kinds))
+
+    UNION ALL
+    SELECT tc.tg_id, 'task', tc.task_id, tc.date
+    FROM task_completions tc
+    WHERE (p_tg_id IS NULL OR tc.tg_id = p_tg_id)
+      AND tc.credit >= 1
+      AND (p_kinds IS NULL OR 'task' = ANY(p_kinds))
+),
+islands AS (
+    SELECT
+        q.tg_id,
+        q.kind,
+        q.task_id,
+        q.date,
+        q.date - (ROW_NUMBER() OVER (PARTITION BY q.tg_id, q.kind, q.task_id ORDER BY q.date))::INTEGER AS island
+    FROM qualifying_days q
+    WHERE p_to IS NULL OR q.date <= p_to
+)
+SELECT i.tg_id, i.kind, i.task_id, MIN(i.date), MAX(i.date), COUNT(*)::INTEGER
+FROM islands i
+GROUP BY i.tg_id, i.kind, i.task_id, i.island
+ORDER BY i.tg_id, i.kind, i.task_id, MIN(i.date);
+$$ LANGUAGE sql STABLE;
+
+-- =====================================================
+-- 17. TASK ANALYTICS - Completion rates per task and weekday
+-- =====================================================
+-- A task is due on each day of [p_from, p_to] it was active (not yet archived),
+-- from the user's local join date on. Neutral days (freezes / excused days) are
+-- not due. p_tg_id: NULL = every approved user (community figures).
+-- weekday: 1 = Monday ... 7 = Sunday
+CREATE OR REPLACE FUNCTION get_task_analytics(
+    p_from DATE,
+    p_to DATE,
+    p_tg_id BIGINT DEFAULT NULL
+) RETURNS TABLE (
+    task_id INTEGER,
+    weekday INTEGER,
+    due_days BIGINT,
+    completed_days BIGINT,
+    partial_days BIGINT
+) AS $$
+WITH user_days AS (
+    SELECT u.tg_id, d.day::DATE AS date
+    FROM users u
+    CROSS JOIN LATERAL generate_series(
+        GREATEST(p_from, (u.created_at AT TIME ZONE 'UTC' AT TIME ZONE u.timezone)::DATE),
+        p_to,
+        INTERVAL '1 day'
+    ) AS d(day)
+    WHERE u.is_approved = true
+      AND (p_tg_id IS NULL OR u.tg_id = p_tg_id)
+      AND NOT EXISTS (
+          SELECT 1 FROM streak_excused_days e
+          WHERE e.date = d.day::DATE
+            AND (e.tg_id = u.tg_id OR e.tg_id IS NULL)
+      )
+),
+due AS (
+    SELECT t.id AS task_id, ud.tg_id, ud.date
+    FROM user_days ud
+    JOIN tasks t
+      ON (t.active_from IS NULL OR t.active_from <= ud.date)
+     AND (t.active_to IS NULL OR t.active_to >= ud.date)
+     AND (t.is_archived = false OR t.archived_at::DATE > ud.date)
+)
+SELECT
+    due.task_id,
+    EXTRACT(ISODOW FROM due.date)::INTEGER,
+    COUNT(*),
+    COUNT(tc.id) FILTER (WHERE tc.credit >= 1),
+    COUNT(tc.id) FILTER (WHERE tc.credit > 0 AND tc.credit < 1)
+FROM due
+LEFT JOIN task_completions tc
+    ON tc.tg_id = due.tg_id
+   AND tc.date = due.date
+   AND tc.task_id = due.task_id
+GROUP BY due.task_id, EXTRACT(ISODOW FROM due.date)
+ORDER BY due.task_id, 2;
+$$ LANGUAGE sql STABLE;
+
+-- =====================================================
+-- 18. ADMIN USER SETUP 
 -- =====================================================
 -- Your admin user (replace with correct data)
 INSERT INTO users (tg_id, name, username, is_registered, is_approved, achievements) 
@@ -331,13 +1316,48 @@ ON CONFLICT (tg_id) DO UPDATE SET
     achievements = EXCLUDED.achievements,
     updated_at = NOW();
 
+-- Seed admin role (ADMIN_ID from .env is also seeded on server startup)
+INSERT INTO admins (tg_id, role)
+VALUES (1176941228, 'admin')
+ON CONFLICT (tg_id) DO UPDATE SET role = 'admin';
+
 -- =====================================================
--- 8. TEST QUERIES (for verification)
+-- 19. TEST QUERIES (for verification)
 -- =====================================================
 
 -- Test user statistics view
 -- SELECT * FROM user_statistics LIMIT 5;
 
+-- Test statistics for a given local date (daily/weekly windows end on it)
+-- SELECT tg_id, daily_points, weekly_points FROM get_user_statistics('2024-12-01') LIMIT 5;
+
+-- Test calendar week leaderboard with dense ranking
+-- SELECT * FROM get_period_leaderboard('2024-12-02', '2024-12-08', 'overall', 'dense') LIMIT 10;
+
+-- Test position of user with 2 neighbours above and below (weekly)
+-- SELECT * FROM get_leaderboard_position(1176941228, CURRENT_DATE - 6, CURRENT_DATE);
+
+-- Test rank history of user
+-- SELECT snapshot_date, rank, score FROM leaderboard_snapshots
+-- WHERE tg_id = 1176941228 AND period = 'weekly' AND metric = 'overall'
+-- ORDER BY snapshot_date DESC LIMIT 10;
+
+-- Test active achievement rules
+-- SELECT id, rule_type, metric, threshold, window_days, task_filter, tiers FROM achievement_rules WHERE is_active;
+
+-- Test neutral days of a user (own freezes/excuses and community days)
+-- SELECT date, kind, reason FROM streak_excused_days WHERE tg_id = 123456789 OR tg_id IS NULL ORDER BY date DESC;
+
+-- Test streak runs of a user up to a local date (longest first)
+-- SELECT kind, task_id, start_date, end_date, days FROM get_streak_runs(123456789, '2024-12-01') ORDER BY days DESC LIMIT 10;
+
+-- Test task completion rates of a user per weekday (NULL user = community)
+-- SELECT * FROM get_task_analytics('2024-11-01', '2024-11-30', 123456789);
+
+-- Test badges earned in the last 7 days
+-- SELECT tg_id, achievement_id, level, earned_at, stat_snapshot FROM user_achievements
+-- WHERE earned_at >= NOW() - INTERVAL '7 days' ORDER BY earned_at DESC;
+
 -- Test leaderboard query
 -- SELECT tg_id, name, weekly_points, 
 --        RANK() OVER (ORDER BY weekly_points DESC, tg_id ASC) as rank
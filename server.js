@@ -6,6 +6,9 @@
 import dotenv from 'dotenv';
 import app from './app.js';
 import { testConnection, initializeDatabase } from './src/config/database.js';
+import { AdminService } from './src/services/adminService.js';
+import { startLeaderboardSnapshotJob } from './src/jobs/leaderboardSnapshotJob.js';
+import { EventService } from './src/services/eventService.js';
 
 // Load environment variables
 dotenv.config();
@@ -24,6 +27,7 @@ async function startServer() {
     // Initialize database connection
     console.log('\n🗄️ Initializing database...');
     await initializeDatabase();
+    await AdminService.seedFromEnvironment();
     
     // Start HTTP server
     const server = app.listen(PORT, async () => {
@@ -42,6 +46,9 @@ async function startServer() {
       console.log(`🤖 Bot Mode: Polling (separate process) ✅`);
       console.log('═'.repeat(50));
       
+      // Background jobs
+      startLeaderboardSnapshotJob();
+      
       // Bot startup instructions
       console.log('\n🤖 TELEGRAM BOT INSTRUCTIONS:');
       console.log('📝 The bot runs as a separate process in polling mode');
@@ -58,6 +65,9 @@ async function startServer() {
     const gracefulShutdown = (signal) => {
       console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
       
+      // Live update streams never finish on their own
+      EventService.shutdown();
+      
       server.close(() => {
         console.log('✅ HTTP server closed');
         console.log('✅ Graceful shutdown complete');
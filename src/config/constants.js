@@ -32,15 +32,40 @@ export const RATE_LIMITS = {
   },
 };
 
-export const TASK_DEFINITIONS = [
-  { id: 1, title: "Kunlik vird", points: 50, category: "prayer" },
-  { id: 2, title: "Silai rahm", points: 50, category: "family" },
-  { id: 3, title: "Qur'on tinglash", points: 50, category: "quran" },
-  { id: 4, title: "Ehson qilish", points: 50, category: "charity" },
-  { id: 5, title: "Kitob o'qish", points: 50, category: "knowledge" },
-  { id: 6, title: "Dars/Kurs", points: 50, category: "education" },
-  { id: 7, title: "Audio kitob", points: 50, category: "audio" },
-  { id: 8, title: "Erta uxlash", points: 50, category: "sleep" },
-  { id: 9, title: "Erta turish", points: 50, category: "wake" },
-  { id: 10, title: "Sport/Mashqlar", points: 50, category: "sport" },
-];
+// Response cache lifetimes (ms), writes invalidate earlier
+export const CACHE_TTLS = {
+  LEADERBOARD: 60000, // 1 minute (bounds day rollover)
+  LEADERBOARD_HISTORY: 600000, // 10 minutes, snapshots only change when taken
+  USER_STATISTICS: 60000, // 1 minute
+};
+
+// Response cache size, oldest entries are evicted beyond it
+export const CACHE_MAX_ENTRIES = 5000;
+
+// Task catalog languages (base title/description is Uzbek)
+export const DEFAULT_LANGUAGE = "uz";
+export const SUPPORTED_LANGUAGES = ["uz", "ru", "en"];
+
+// Users without a stored timezone (community is in Uzbekistan)
+export const DEFAULT_TIMEZONE = "Asia/Tashkent";
+
+// Achievement tier names (ascending) and their medals in display names
+export const ACHIEVEMENT_TIERS = {
+  bronze: "🥉",
+  silver: "🥈",
+  gold: "🥇",
+  platinum: "💎",
+};
+
+// Streak freezes (tokens spent on missed days)
+export const STREAK_FREEZES = {
+  EARN_EVERY_DAYS: 7, // one token per 7 consecutive active days
+  MAX_BALANCE: 3, // earning stops at this balance (admin grants are not capped)
+  MAX_AGE_DAYS: 7, // how many days back a missed day can be frozen
+};
+
+// Task analytics periods (compared with the same number of days before them)
+export const TASK_ANALYTICS = {
+  DEFAULT_DAYS: 30, // period when only `to` (or nothing) is given
+  MAX_DAYS: 366,
+};
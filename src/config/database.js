@@ -5,6 +5,7 @@
 
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { getTodayInTimezone } from '../utils/dateUtils.js';
 
 dotenv.config();
 
@@ -245,7 +246,7 @@ export const getDatabaseStats = async () => {
       .eq('is_approved', true);
     
     // Get today's active users
-    const today = new Date().toISOString().split('T')[0];
+    const today = getTodayInTimezone(); // Community default timezone
     const { count: todayActiveCount } = await supabase
       .from('daily_progress')
       .select('*', { count: 'exact', head: true })
@@ -343,7 +344,7 @@ export const validateSchema = async () => {
     console.log('🔍 Validating database schema...');
     
     // Check if required tables exist
-    const requiredTables = ['users', 'daily_progress'];
+    const requiredTables = ['users', 'daily_progress', 'tasks', 'task_completions', 'refresh_tokens', 'admins', 'progress_edit_requests', 'progress_audit', 'seasons', 'leaderboard_snapshots', 'user_stats', 'achievement_rules', 'user_achievements', 'streak_excused_days', 'streak_freeze_credits'];
     const tableChecks = [];
     
     for (const table of requiredTables) {
@@ -390,6 +391,7 @@ export const validateSchema = async () => {
     if (!allTablesExist) {
       console.error('❌ Schema validation failed. Please run the schema.sql file in Supabase.');
       console.log('💡 Schema file should create: users table, daily_progress table, user_statistics view');
+      console.log('💡 Existing databases: run database/migrations/*.sql in order, then schema.sql');
     } else {
       console.log('✅ Database schema validation successful');
     }
@@ -1,3 +1,4 @@
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -19,6 +20,11 @@ function validateEnvironment() {
     throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
   }
 
+  // Access tokens are signed with JWT_SECRET, a known fallback would let anyone forge them
+  if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+
   // Validate URLs
   if (process.env.SUPABASE_URL && !process.env.SUPABASE_URL.startsWith('https://')) {
     throw new Error('SUPABASE_URL must be a valid HTTPS URL');
@@ -27,6 +33,14 @@ function validateEnvironment() {
   console.log('✅ Environment validation passed');
 }
 
+/**
+ * Random per-process secret outside production (tokens do not survive a restart)
+ */
+function getDevelopmentJwtSecret() {
+  console.warn('⚠️ JWT_SECRET is not set - using a random secret, sessions end on restart');
+  return crypto.randomBytes(32).toString('hex');
+}
+
 /**
  * Get environment configuration with defaults
  */
@@ -45,21 +59,31 @@ export function getEnvironmentConfig() {
     // Telegram configuration
     BOT_TOKEN: process.env.BOT_TOKEN || null,
     ADMIN_ID: process.env.ADMIN_ID ? parseInt(process.env.ADMIN_ID) : null,
+    INIT_DATA_MAX_AGE: parseInt(process.env.INIT_DATA_MAX_AGE) || 86400, // seconds
     
     // Frontend configuration
     FRONTEND_URL: process.env.FRONTEND_URL || 'https://yuldagilar.vercel.app',
     
     // Security configuration
-    JWT_SECRET: process.env.JWT_SECRET || 'fallback-secret-key',
+    JWT_SECRET: process.env.JWT_SECRET || getDevelopmentJwtSecret(),
+    ACCESS_TOKEN_TTL: parseInt(process.env.ACCESS_TOKEN_TTL) || 900, // 15 minutes
+    REFRESH_TOKEN_TTL: parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 24 * 60 * 60, // 30 days
     API_RATE_LIMIT: parseInt(process.env.API_RATE_LIMIT) || 100,
     
+    // Progress configuration
+    PROGRESS_EDIT_GRACE_DAYS: process.env.PROGRESS_EDIT_GRACE_DAYS !== undefined
+      ? parseInt(process.env.PROGRESS_EDIT_GRACE_DAYS) || 0
+      : 2, // past days editable without admin approval
+    
     // Logging configuration
     LOG_LEVEL: process.env.LOG_LEVEL || 'info',
     
     // Feature flags
     ENABLE_RATE_LIMITING: process.env.ENABLE_RATE_LIMITING !== 'false',
     ENABLE_REQUEST_LOGGING: process.env.ENABLE_REQUEST_LOGGING !== 'false',
-    ENABLE_ACHIEVEMENT_SYSTEM: process.env.ENABLE_ACHIEVEMENT_SYSTEM !== 'false'
+    ENABLE_ACHIEVEMENT_SYSTEM: process.env.ENABLE_ACHIEVEMENT_SYSTEM !== 'false',
+    ENABLE_LEADERBOARD_SNAPSHOTS: process.env.ENABLE_LEADERBOARD_SNAPSHOTS !== 'false',
+    ENABLE_RESPONSE_CACHE: process.env.ENABLE_RESPONSE_CACHE !== 'false'
   };
 }
 
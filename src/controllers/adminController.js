@@ -0,0 +1,914 @@
+// =====================================================
+// ADMIN CONTROLLER - TASK CATALOG, ANALYTICS, PROGRESS EDITS, AUDIT, LEADERBOARD, ACHIEVEMENTS, STREAKS AND STAFF
+// =====================================================
+import { TaskService } from '../services/taskService.js';
+import { ProgressService } from '../services/progressService.js';
+import { AuditService } from '../services/auditService.js';
+import { LeaderboardService } from '../services/leaderboardService.js';
+import { AchievementService } from '../services/achievementService.js';
+import { DatabaseService } from '../services/databaseService.js';
+import { StreakFreezeService } from '../services/streakFreezeService.js';
+import { StatisticsService } from '../services/statisticsService.js';
+import { AdminService } from '../services/adminService.js';
+import { config } from '../config/environment.js';
+import { TASK_ANALYTICS } from '../config/constants.js';
+import { getRequestLanguage } from '../utils/helpers.js';
+import {
+  startAchievementRecompute,
+  getRunningAchievementRecompute,
+  getAchievementRecomputeJob,
+  listAchievementRecomputeJobs
+} from '../jobs/achievementRecomputeJob.js';
+import { sendSuccess, sendError, sendNotFound, sendServerError } from '../utils/responses.js';
+import { getTodayInTimezone, addDays } from '../utils/dateUtils.js';
+
+/**
+ * Check active date range (YYYY-MM-DD strings compare lexicographically)
+ */
+function isValidDateRange(activeFrom, activeTo) {
+  return !activeFrom || !activeTo || activeTo >= activeFrom;
+}
+
+/**
+ * ✅ List task catalog
+ * GET /api/admin/tasks?include_archived=true&lang=ru
+ */
+export const listTasks = async (req, res) => {
+  try {
+    const { include_archived, lang } = req.query;
+
+    const allTasks = await TaskService.getAllTasks();
+    const tasks = allTasks
+      .filter(task => include_archived || !task.is_archived)
+      .map(task => lang ? TaskService.localize(task, lang) : task);
+
+    return sendSuccess(res, {
+      total: tasks.length,
+      active_count: allTasks.filter(task => !task.is_archived).length,
+      archived_count: allTasks.filter(task => task.is_archived).length,
+      tasks
+    }, 'Tasks retrieved');
+
+  } catch (error) {
+    console.error('Error in listTasks:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Get single task with completion count
+ * GET /api/admin/tasks/:taskId
+ */
+export const getTask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const task = await TaskService.getTaskById(taskId);
+    if (!task) {
+      return sendNotFound(res, 'Task');
+    }
+
+    const completions = await TaskService.countCompletions(taskId);
+
+    return sendSuccess(res, { task: { ...task, completions } }, 'Task retrieved');
+
+  } catch (error) {
+    console.error('Error in getTask:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Create task
+ * POST /api/admin/tasks
+ */
+export const createTask = async (req, res) => {
+  try {
+    if (!isValidDateRange(req.body.active_from, req.body.active_to)) {
+      return sendError(res, 'active_to must be on or after active_from', 400);
+    }
+
+    const task = await TaskService.createTask(req.body);
+
+    console.log(`✅ Task created by ${req.user?.tg_id || 'service'}: ${task.id} - ${task.title}`);
+
+    return sendSuccess(res, { task }, 'Task created', 201);
+
+  } catch (error) {
+    console.error('Error in createTask:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Update task (points, type/target, texts, translations, ordering, date range, archive flag)
+ * PUT /api/admin/tasks/:taskId
+ */
+export const updateTask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+
+    const existing = await TaskService.getTaskById(taskId);
+    if (!existing) {
+      return sendNotFound(res, 'Task');
+    }
+
+    const activeFrom = req.body.active_from !== undefined ? req.body.active_from : existing.active_from;
+    const activeTo = req.body.active_to !== undefined ? req.body.active_to : existing.active_to;
+
+    if (!isValidDateRange(activeFrom, activeTo)) {
+      return sendError(res, 'active_to must be on or after active_from', 400);
+    }
+
+    const taskType = req.body.task_type || existing.task_type;
+    const dailyTarget = req.body.daily_target !== undefined ? req.body.daily_target : existing.daily_target;
+
+    if (taskType === TaskService.TASK_TYPES.QUANTITY && !dailyTarget) {
+      return sendError(res, 'daily_target is required for quantity tasks', 400);
+    }
+
+    const task = await TaskService.updateTask(taskId, req.body);
+
+    console.log(`✅ Task ${taskId} updated by ${req.user?.tg_id || 'service'}:`, Object.keys(req.body));
+
+    return sendSuccess(res, { task }, 'Task updated');
+
+  } catch (error) {
+    console.error('Error in updateTask:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Delete task
+ * DELETE /api/admin/tasks/:taskId?hard=true
+ *
+ * Default: archive (history stays readable).
+ * hard=true: permanent delete, only allowed when nobody has completed the task.
+ */
+export const deleteTask = async (req, res) => {
+  try {
+    const { taskId } = req.params;
+    const hardDelete = req.query.hard === 'true';
+
+    const existing = await TaskService.getTaskById(taskId);
+    if (!existing) {
+      return sendNotFound(res, 'Task');
+    }
+
+    if (!hardDelete) {
+      const task = await TaskService.archiveTask(taskId);
+      console.log(`🗄️ Task ${taskId} archived by ${req.user?.tg_id || 'service'}`);
+      return sendSuccess(res, { task, archived: true }, 'Task archived');
+    }
+
+    const completions = await TaskService.countCompletions(taskId);
+    if (completions > 0) {
+      return sendError(res, 'Task has completion history and cannot be deleted. Archive it instead.', 409, {
+        completions
+      });
+    }
+
+    const task = await TaskService.deleteTask(taskId);
+    console.log(`🗑️ Task ${taskId} deleted by ${req.user?.tg_id || 'service'}`);
+
+    return sendSuccess(res, { task, deleted: true }, 'Task deleted');
+
+  } catch (error) {
+    console.error('Error in deleteTask:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Reorder tasks
+ * PUT /api/admin/tasks/reorder
+ */
+export const reorderTasks = async (req, res) => {
+  try {
+    const { task_ids } = req.body;
+
+    const allTasks = await TaskService.getAllTasks();
+    const knownIds = allTasks.map(task => task.id);
+    const unknownIds = task_ids.filter(id => !knownIds.includes(id));
+
+    if (unknownIds.length > 0) {
+      return sendError(res, `Unknown tasks: ${unknownIds.join(', ')}`, 400);
+    }
+
+    const tasks = await TaskService.reorderTasks(task_ids);
+
+    return sendSuccess(res, { tasks }, 'Tasks reordered');
+
+  } catch (error) {
+    console.error('Error in reorderTasks:', error);
+    return sendServerError(res, error);
+  }
+};
+
+// =====================================================
+// PROGRESS EDIT REQUESTS
+// =====================================================
+
+/**
+ * ✅ List progress edit requests
+ * GET /api/admin/progress-edits?status=pending&limit=50
+ */
+export const listEditRequests = async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+
+    const requests = await ProgressService.listEditRequests({ status, limit });
+
+    return sendSuccess(res, {
+      status,
+      total: requests.length,
+      requests
+    }, 'Edit requests retrieved');
+
+  } catch (error) {
+    console.error('Error in listEditRequests:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * Approve or reject pending edit request
+ */
+const reviewEditRequest = (approve) => async (req, res) => {
+  try {
+    const { requestId } = req.params;
+
+    // Claim and apply in one step, a request reviewed meanwhile is not touched
+    const result = await ProgressService.reviewEditRequest(
+      requestId,
+      AuditService.getRequestContext(req, AuditService.SOURCES.ADMIN),
+      approve,
+      req.body.note || null
+    );
+
+    if (!result) {
+      const editRequest = await ProgressService.getEditRequest(requestId);
+      if (!editRequest) {
+        return sendNotFound(res, 'Edit request');
+      }
+
+      return sendError(res, `Edit request is already ${editRequest.status}`, 409, {
+        reviewed_by: editRequest.reviewed_by,
+        reviewed_at: editRequest.reviewed_at
+      });
+    }
+
+    console.log(`${approve ? '✅' : '❌'} Edit request ${requestId} ${result.request.status} by ${req.user?.tg_id || 'service'}`);
+
+    return sendSuccess(res, result, approve ? 'Edit request approved' : 'Edit request rejected');
+
+  } catch (error) {
+    console.error('Error in reviewEditRequest:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Approve edit request (applies the edit)
+ * POST /api/admin/progress-edits/:requestId/approve
+ */
+export const approveEditRequest = reviewEditRequest(true);
+
+/**
+ * ✅ Reject edit request
+ * POST /api/admin/progress-edits/:requestId/reject
+ */
+export const rejectEditRequest = reviewEditRequest(false);
+
+// =====================================================
+// PROGRESS AUDIT
+// =====================================================
+
+/**
+ * ✅ Browse progress audit of user
+ * GET /api/admin/users/:tg_id/audit?from=YYYY-MM-DD&to=YYYY-MM-DD&date=YYYY-MM-DD&limit=100
+ */
+export const getUserAudit = async (req, res) => {
+  try {
+    const { tg_id } = req.params;
+    const { from, to, date, limit } = req.query;
+
+    if (from && to && to < from) {
+      return sendError(res, 'to must be on or after from', 400);
+    }
+
+    const entries = await AuditService.getProgressAudit(tg_id, { from, to, date, limit });
+
+    return sendSuccess(res, {
+      tg_id,
+      filters: { from: from || null, to: to || null, date: date || null },
+      total: entries.length,
+      entries
+    }, 'Audit retrieved');
+
+  } catch (error) {
+    console.error('Error in getUserAudit:', error);
+    return sendServerError(res, error);
+  }
+};
+
+// =====================================================
+// LEADERBOARD SEASONS AND SNAPSHOTS
+// =====================================================
+
+/**
+ * ✅ Create season
+ * POST /api/admin/seasons
+ */
+export const createSeason = async (req, res) => {
+  try {
+    if (!isValidDateRange(req.body.start_date, req.body.end_date)) {
+      return sendError(res, 'end_date must be on or after start_date', 400);
+    }
+
+    const season = await LeaderboardService.createSeason(req.body);
+
+    console.log(`✅ Season created by ${req.user?.tg_id || 'service'}: ${season.id} - ${season.name}`);
+
+    return sendSuccess(res, { season }, 'Season created', 201);
+
+  } catch (error) {
+    console.error('Error in createSeason:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Update season (name or date range)
+ * PUT /api/admin/seasons/:seasonId
+ */
+export const updateSeason = async (req, res) => {
+  try {
+    const { seasonId } = req.params;
+
+    const existing = await LeaderboardService.getSeason(seasonId);
+    if (!existing) {
+      return sendNotFound(res, 'Season');
+    }
+
+    const startDate = req.body.start_date || existing.start_date;
+    const endDate = req.body.end_date || existing.end_date;
+
+    if (!isValidDateRange(startDate, endDate)) {
+      return sendError(res, 'end_date must be on or after start_date', 400);
+    }
+
+    const season = await LeaderboardService.updateSeason(seasonId, req.body);
+
+    console.log(`✅ Season ${seasonId} updated by ${req.user?.tg_id || 'service'}:`, Object.keys(req.body));
+
+    return sendSuccess(res, { season }, 'Season updated');
+
+  } catch (error) {
+    console.error('Error in updateSeason:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Delete season (daily progress is not affected)
+ * DELETE /api/admin/seasons/:seasonId
+ */
+export const deleteSeason = async (req, res) => {
+  try {
+    const { seasonId } = req.params;
+
+    const existing = await LeaderboardService.getSeason(seasonId);
+    if (!existing) {
+      return sendNotFound(res, 'Season');
+    }
+
+    await LeaderboardService.deleteSeason(seasonId);
+
+    console.log(`🗑️ Season ${seasonId} deleted by ${req.user?.tg_id || 'service'}`);
+
+    return sendSuccess(res, { season_id: seasonId }, 'Season deleted');
+
+  } catch (error) {
+    console.error('Error in deleteSeason:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Snapshot leaderboards of closed day (backfill or re-run)
+ * POST /api/admin/leaderboard/snapshots
+ * Body: { date?: "YYYY-MM-DD" }  // default yesterday
+ */
+export const takeLeaderboardSnapshot = async (req, res) => {
+  try {
+    const today = getTodayInTimezone();
+    const date = req.body.date || addDays(today, -1);
+
+    if (date >= today) {
+      return sendError(res, 'Only closed days (before today) can be snapshotted', 400);
+    }
+
+    const rows = await LeaderboardService.takeSnapshot(date);
+
+    console.log(`📸 Leaderboard snapshot ${date} taken by ${req.user?.tg_id || 'service'}: ${rows} rows`);
+
+    return sendSuccess(res, { date, rows }, 'Snapshot taken', 201);
+
+  } catch (error) {
+    console.error('Error in takeLeaderboardSnapshot:', error);
+    return sendServerError(res, error);
+  }
+};
+
+// =====================================================
+// ACHIEVEMENT RULES
+// =====================================================
+
+/**
+ * ✅ List achievement rules
+ * GET /api/admin/achievements?include_inactive=true
+ */
+export const listAchievementRules = async (req, res) => {
+  try {
+    const allRules = await AchievementService.getAllRules();
+    const rules = allRules.filter(rule => req.query.include_inactive || rule.is_active);
+
+    return sendSuccess(res, {
+      total: rules.length,
+      active_count: allRules.filter(rule => rule.is_active).length,
+      inactive_count: allRules.filter(rule => !rule.is_active).length,
+      rule_types: Object.values(AchievementService.RULE_TYPES),
+      conditions: Object.keys(AchievementService.DAY_CONDITIONS),
+      metrics: Object.keys(AchievementService.METRICS),
+      rules
+    }, 'Achievement rules retrieved');
+
+  } catch (error) {
+    console.error('Error in listAchievementRules:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Get achievement rule with number of users holding the badge
+ * GET /api/admin/achievements/:ruleId
+ */
+export const getAchievementRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    const rule = await AchievementService.getRuleById(ruleId);
+    if (!rule) {
+      return sendNotFound(res, 'Achievement rule');
+    }
+
+    const earnedUsers = await AchievementService.countEarnedUsers(ruleId);
+
+    return sendSuccess(res, { rule: { ...rule, earned_users: earnedUsers } }, 'Achievement rule retrieved');
+
+  } catch (error) {
+    console.error('Error in getAchievementRule:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Create achievement rule
+ * POST /api/admin/achievements
+ */
+export const createAchievementRule = async (req, res) => {
+  try {
+    const ruleData = AchievementService.withTierThreshold(req.body);
+
+    const ruleError = AchievementService.findRuleError(ruleData);
+    if (ruleError) {
+      return sendError(res, ruleError, 400);
+    }
+
+    if (await AchievementService.getRuleById(ruleData.id)) {
+      return sendError(res, `Achievement rule ${ruleData.id} already exists`, 409);
+    }
+
+    const rule = await AchievementService.createRule(ruleData);
+
+    console.log(`✅ Achievement rule created by ${req.user?.tg_id || 'service'}: ${rule.id} - ${rule.name}`);
+
+    return sendSuccess(res, { rule }, 'Achievement rule created', 201);
+
+  } catch (error) {
+    console.error('Error in createAchievementRule:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Update achievement rule (texts, type/metric, threshold or tiers, window, filter, active flag)
+ * PUT /api/admin/achievements/:ruleId
+ */
+export const updateAchievementRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+
+    const existing = await AchievementService.getRuleById(ruleId);
+    if (!existing) {
+      return sendNotFound(res, 'Achievement rule');
+    }
+
+    const updates = AchievementService.withTierThreshold(req.body);
+
+    const ruleError = AchievementService.findRuleError({ ...existing, ...updates });
+    if (ruleError) {
+      return sendError(res, ruleError, 400);
+    }
+
+    const rule = await AchievementService.updateRule(ruleId, updates);
+
+    console.log(`✅ Achievement rule ${ruleId} updated by ${req.user?.tg_id || 'service'}:`, Object.keys(req.body));
+
+    return sendSuccess(res, { rule }, 'Achievement rule updated');
+
+  } catch (error) {
+    console.error('Error in updateAchievementRule:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Delete achievement rule
+ * DELETE /api/admin/achievements/:ruleId?hard=true
+ *
+ * Default: deactivate (earned badges stay on profiles).
+ * hard=true: permanent delete, only allowed when nobody holds the badge.
+ */
+export const deleteAchievementRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const hardDelete = req.query.hard === 'true';
+
+    const existing = await AchievementService.getRuleById(ruleId);
+    if (!existing) {
+      return sendNotFound(res, 'Achievement rule');
+    }
+
+    if (!hardDelete) {
+      const rule = await AchievementService.deactivateRule(ruleId);
+      console.log(`🗄️ Achievement rule ${ruleId} deactivated by ${req.user?.tg_id || 'service'}`);
+      return sendSuccess(res, { rule, deactivated: true }, 'Achievement rule deactivated');
+    }
+
+    const earnedUsers = await AchievementService.countEarnedUsers(ruleId);
+    if (earnedUsers > 0) {
+      return sendError(res, 'Badge has been earned and cannot be deleted. Deactivate it instead.', 409, {
+        earned_users: earnedUsers
+      });
+    }
+
+    const rule = await AchievementService.deleteRule(ruleId);
+    console.log(`🗑️ Achievement rule ${ruleId} deleted by ${req.user?.tg_id || 'service'}`);
+
+    return sendSuccess(res, { rule, deleted: true }, 'Achievement rule deleted');
+
+  } catch (error) {
+    console.error('Error in deleteAchievementRule:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Start bulk re-evaluation of stored badges (approved users, active rules)
+ * POST /api/admin/achievements/recompute
+ * Body: { dry_run?: true, revoke?: false, user_ids?: [123, ...] }
+ */
+export const recomputeAchievements = async (req, res) => {
+  try {
+    const { dry_run, revoke, user_ids } = req.body;
+
+    const job = startAchievementRecompute({
+      dry_run,
+      revoke,
+      user_ids: user_ids || null,
+      started_by: req.user?.tg_id || null
+    });
+
+    if (!job) {
+      return sendError(res, 'Achievement recompute is already running', 409, {
+        job: getRunningAchievementRecompute()
+      });
+    }
+
+    console.log(`🔁 Achievement recompute #${job.id} started by ${req.user?.tg_id || 'service'} (dry_run: ${dry_run}, revoke: ${revoke})`);
+
+    return sendSuccess(res, {
+      job,
+      status_url: `/api/admin/achievements/recompute/${job.id}`
+    }, 'Achievement recompute started', 202);
+
+  } catch (error) {
+    console.error('Error in recomputeAchievements:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Recent recompute jobs (status and summary)
+ * GET /api/admin/achievements/recompute
+ */
+export const listRecomputeJobs = async (req, res) => {
+  try {
+    const jobs = listAchievementRecomputeJobs();
+
+    return sendSuccess(res, { total: jobs.length, jobs }, 'Recompute jobs retrieved');
+
+  } catch (error) {
+    console.error('Error in listRecomputeJobs:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Recompute job status with per-user diff report
+ * GET /api/admin/achievements/recompute/:jobId
+ */
+export const getRecomputeJob = async (req, res) => {
+  try {
+    const job = getAchievementRecomputeJob(req.params.jobId);
+    if (!job) {
+      return sendNotFound(res, 'Recompute job');
+    }
+
+    return sendSuccess(res, { job }, 'Recompute job retrieved');
+
+  } catch (error) {
+    console.error('Error in getRecomputeJob:', error);
+    return sendServerError(res, error);
+  }
+};
+
+// =====================================================
+// TASK ANALYTICS
+// =====================================================
+
+/**
+ * ✅ Community-wide per-task analytics (all approved users)
+ * GET /api/admin/tasks/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&lang=uz
+ *
+ * Same figures as GET /api/users/:userId/tasks/analytics, summed over users.
+ * Streaks: best current / longest streak of any user and users_on_streak.
+ */
+export const getCommunityTaskAnalytics = async (req, res) => {
+  try {
+    const today = getTodayInTimezone(); // Community default timezone
+    const period = StatisticsService.getAnalyticsPeriod(req.query, today);
+
+    if (period.to < period.from) {
+      return sendError(res, 'from must be on or before to (to is capped at today)', 400);
+    }
+
+    if (period.days > TASK_ANALYTICS.MAX_DAYS) {
+      return sendError(res, `Period can not be longer than ${TASK_ANALYTICS.MAX_DAYS} days`, 400);
+    }
+
+    const analytics = await StatisticsService.getTaskAnalytics(null, period, { lang: getRequestLanguage(req) });
+
+    return sendSuccess(res, analytics, 'Task analytics retrieved');
+
+  } catch (error) {
+    console.error('Error in getCommunityTaskAnalytics:', error);
+    return sendServerError(res, error);
+  }
+};
+
+// =====================================================
+// STREAK FREEZES AND EXCUSED DAYS
+// =====================================================
+
+/**
+ * ✅ Grant streak freezes to user (not capped by MAX_BALANCE)
+ * POST /api/admin/users/:tg_id/streak-freezes
+ * Body: { amount?: 1, note? }
+ */
+export const grantStreakFreezes = async (req, res) => {
+  try {
+    const { tg_id } = req.params;
+    const { amount, note } = req.body;
+
+    if (!(await DatabaseService.getUserByTelegramId(tg_id))) {
+      return sendNotFound(res, 'User');
+    }
+
+    const credit = await StreakFreezeService.grantFreezes(tg_id, amount, {
+      note: note || null,
+      granted_by: req.user?.tg_id || null
+    });
+
+    console.log(`🧊 ${amount} streak freezes granted to ${tg_id} by ${req.user?.tg_id || 'service'}`);
+
+    return sendSuccess(res, {
+      credit,
+      freezes: await StreakFreezeService.getBalance(tg_id)
+    }, 'Streak freezes granted', 201);
+
+  } catch (error) {
+    console.error('Error in grantStreakFreezes:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ List excused and frozen days
+ * GET /api/admin/excused-days?tg_id=123&from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+export const listExcusedDays = async (req, res) => {
+  try {
+    const { tg_id, from, to } = req.query;
+
+    if (from && to && to < from) {
+      return sendError(res, 'to must be on or after from', 400);
+    }
+
+    const days = await StreakFreezeService.listExcusedDays({ tg_id, from, to });
+
+    return sendSuccess(res, {
+      filters: { tg_id: tg_id || null, from: from || null, to: to || null },
+      total: days.length,
+      days
+    }, 'Excused days retrieved');
+
+  } catch (error) {
+    console.error('Error in listExcusedDays:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Excuse a day for one user or the whole community (tg_id null)
+ * POST /api/admin/excused-days
+ * Body: { date: "YYYY-MM-DD", tg_id?: 123 | null, reason? }
+ */
+export const createExcusedDay = async (req, res) => {
+  try {
+    const { date, tg_id, reason } = req.body;
+
+    if (tg_id && !(await DatabaseService.getUserByTelegramId(tg_id))) {
+      return sendNotFound(res, 'User');
+    }
+
+    const existing = await StreakFreezeService.findExcusedDay(tg_id, date);
+    if (existing?.kind === StreakFreezeService.KINDS.EXCUSED) {
+      return sendError(res, `Day ${date} is already excused`, 409, { day: existing });
+    }
+
+    const { day, refunded } = await StreakFreezeService.excuseDay({
+      tg_id,
+      date,
+      reason: reason || null,
+      created_by: req.user?.tg_id || null
+    });
+
+    // Bridged streak may complete a streak badge (community days: run the recompute job)
+    if (tg_id && config.ENABLE_ACHIEVEMENT_SYSTEM) {
+      AchievementService.updateUserAchievements(tg_id);
+    }
+
+    console.log(`🗓️ Day ${date} excused for ${tg_id || 'everyone'} by ${req.user?.tg_id || 'service'} (${refunded} freezes refunded)`);
+
+    return sendSuccess(res, { day, refunded_freezes: refunded }, 'Day excused', 201);
+
+  } catch (error) {
+    console.error('Error in createExcusedDay:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Delete excused or frozen day (a deleted freeze returns the token)
+ * DELETE /api/admin/excused-days/:dayId
+ */
+export const deleteExcusedDay = async (req, res) => {
+  try {
+    const { dayId } = req.params;
+
+    const day = await StreakFreezeService.deleteExcusedDay(dayId);
+    if (!day) {
+      return sendNotFound(res, 'Excused day');
+    }
+
+    console.log(`🗑️ Excused day ${dayId} (${day.date}, ${day.kind}) deleted by ${req.user?.tg_id || 'service'}`);
+
+    return sendSuccess(res, { day, deleted: true }, 'Excused day deleted');
+
+  } catch (error) {
+    console.error('Error in deleteExcusedDay:', error);
+    return sendServerError(res, error);
+  }
+};
+
+// =====================================================
+// STAFF AND APPLICANT NOTIFICATIONS (used by the bot)
+// =====================================================
+
+/**
+ * ✅ List admins and moderators
+ * GET /api/admin/staff
+ */
+export const listStaff = async (req, res) => {
+  try {
+    const admins = await AdminService.listAdmins();
+
+    return sendSuccess(res, {
+      total: admins.length,
+      admins
+    }, 'Staff retrieved');
+
+  } catch (error) {
+    console.error('Error in listStaff:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Add staff member or change role
+ * POST /api/admin/staff
+ */
+export const addStaff = async (req, res) => {
+  try {
+    const { tg_id, role } = req.body;
+
+    if (tg_id === config.ADMIN_ID && role !== AdminService.ROLES.ADMIN) {
+      return sendError(res, 'ADMIN_ID from environment cannot be demoted', 400);
+    }
+
+    const admin = await AdminService.addAdmin(tg_id, role, req.user?.tg_id || null);
+
+    console.log(`👮 ${tg_id} added as ${role} by ${req.user?.tg_id || 'service'}`);
+
+    return sendSuccess(res, { admin }, 'Staff member added', 201);
+
+  } catch (error) {
+    console.error('Error in addStaff:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Remove staff member (ADMIN_ID from environment is protected)
+ * DELETE /api/admin/staff/:tg_id
+ */
+export const removeStaff = async (req, res) => {
+  try {
+    const { tg_id } = req.params;
+
+    if (tg_id === config.ADMIN_ID) {
+      return sendError(res, 'ADMIN_ID from environment cannot be removed', 400);
+    }
+
+    const admin = await AdminService.removeAdmin(tg_id);
+    if (!admin) {
+      return sendNotFound(res, 'Staff member');
+    }
+
+    console.log(`🗑️ Staff member ${tg_id} removed by ${req.user?.tg_id || 'service'}`);
+
+    return sendSuccess(res, { admin, deleted: true }, 'Staff member removed');
+
+  } catch (error) {
+    console.error('Error in removeStaff:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Forget notifications of previous application (new registration)
+ * DELETE /api/admin/applicants/:tg_id/notifications
+ */
+export const clearApplicantNotifications = async (req, res) => {
+  try {
+    await AdminService.clearNotifications(req.params.tg_id);
+
+    return sendSuccess(res, { tg_id: req.params.tg_id }, 'Notifications cleared');
+
+  } catch (error) {
+    console.error('Error in clearApplicantNotifications:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Remember applicant message sent to a staff member (decisions edit it later)
+ * POST /api/admin/applicants/:tg_id/notifications
+ */
+export const recordApplicantNotification = async (req, res) => {
+  try {
+    const { admin_tg_id, chat_id, message_id } = req.body;
+
+    await AdminService.recordNotification(req.params.tg_id, admin_tg_id, chat_id, message_id);
+
+    return sendSuccess(res, { tg_id: req.params.tg_id, admin_tg_id }, 'Notification recorded', 201);
+
+  } catch (error) {
+    console.error('Error in recordApplicantNotification:', error);
+    return sendServerError(res, error);
+  }
+};
@@ -3,6 +3,11 @@
 // =====================================================
 import supabase from '../config/database.js';
 import { sendSuccess, sendError, sendNotFound, sendServerError } from '../utils/responses.js';
+import { TokenService } from '../services/tokenService.js';
+import { CacheService } from '../services/cacheService.js';
+import { EventService } from '../services/eventService.js';
+import { AdminService } from '../services/adminService.js';
+import { normalizeTimezone } from '../utils/dateUtils.js';
 
 /**
  * ✅ YANGI: Generate fallback avatar URL
@@ -68,7 +73,8 @@ async function validatePhotoUrl(photoUrl) {
  */
 export const checkUserAuth = async (req, res) => {
   try {
-    const { userId } = req.body;
+    // Signed Telegram user is used when body omits userId
+    const userId = req.body?.userId || req.user?.tg_id;
     
     if (!userId) {
       return sendError(res, 'userId is required', 400);
@@ -161,6 +167,14 @@ export const checkUserAuth = async (req, res) => {
         photo_url: validatedPhotoUrl, // ✅ Validated/fallback photo
         achievements: user.achievements || []
       };
+
+      // ✅ YANGI: Issue session tokens only after initData verification
+      if (req.user?.auth_method === 'init_data') {
+        response.session = await TokenService.issueTokens(user.tg_id, {
+          userAgent: req.get('User-Agent'),
+          ip: req.ip
+        });
+      }
     }
 
     return sendSuccess(res, response);
@@ -176,7 +190,7 @@ export const checkUserAuth = async (req, res) => {
  */
 export const registerUser = async (req, res) => {
   try {
-    const { tg_id, name, username, photo_url } = req.body;
+    const { tg_id, name, username, photo_url, timezone } = req.body;
 
     // Validate required fields
     if (!tg_id || !name) {
@@ -245,7 +259,8 @@ export const registerUser = async (req, res) => {
         photo_url: finalPhotoUrl, // ✅ Always have a valid photo URL
         is_registered: true,
         is_approved: false,
-        achievements: []
+        achievements: [],
+        timezone: normalizeTimezone(timezone || req.headers['x-timezone']) // ✅ "Bugun" shu timezone bo'yicha
       })
       .select()
       .single();
@@ -269,6 +284,7 @@ export const registerUser = async (req, res) => {
         name: newUser.name,
         username: newUser.username,
         photo_url: newUser.photo_url,
+        timezone: newUser.timezone,
         is_registered: true,
         is_approved: false
       }
@@ -352,63 +368,124 @@ export const updateUserPhoto = async (req, res) => {
 };
 
 /**
- * ✅ TUZATILGAN: Approve user with photo validation
+ * Approve registered applicant, photo is validated on the way (null if not pending)
  */
-export const approveUser = async (req, res) => {
-  try {
-    const { tg_id } = req.params;
-    
-    const telegramId = parseInt(tg_id);
-    if (!telegramId || telegramId <= 0) {
-      return sendError(res, 'Invalid tg_id', 400);
+async function applyApproval(telegramId) {
+  // ✅ Get user with current photo for validation
+  const { data: currentUser } = await supabase
+    .from('users')
+    .select('name, photo_url, is_registered, is_approved')
+    .eq('tg_id', telegramId)
+    .single();
+
+  if (!currentUser || !currentUser.is_registered || currentUser.is_approved) {
+    return null;
+  }
+
+  // ✅ Validate and fix photo URL if needed
+  let validatedPhotoUrl = currentUser.photo_url;
+  
+  if (currentUser.photo_url) {
+    const isPhotoValid = await validatePhotoUrl(currentUser.photo_url);
+    if (!isPhotoValid) {
+      validatedPhotoUrl = generateFallbackAvatar(currentUser.name);
+      console.warn(`Fixing invalid photo for user ${telegramId} during approval`);
     }
+  } else {
+    validatedPhotoUrl = generateFallbackAvatar(currentUser.name);
+  }
 
-    // ✅ Get user with current photo for validation
-    const { data: currentUser } = await supabase
-      .from('users')
-      .select('name, photo_url, is_registered, is_approved')
-      .eq('tg_id', telegramId)
-      .single();
+  // Update user approval status with validated photo
+  const { data: user, error } = await supabase
+    .from('users')
+    .update({ 
+      is_approved: true,
+      photo_url: validatedPhotoUrl, // ✅ Ensure valid photo
+      updated_at: new Date().toISOString() 
+    })
+    .eq('tg_id', telegramId)
+    .eq('is_registered', true)
+    .eq('is_approved', false)
+    .select()
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
 
-    if (!currentUser || !currentUser.is_registered || currentUser.is_approved) {
-      return sendNotFound(res, 'User not found, already approved, or not registered');
-    }
+  return user || null;
+}
 
-    // ✅ Validate and fix photo URL if needed
-    let validatedPhotoUrl = currentUser.photo_url;
-    
-    if (currentUser.photo_url) {
-      const isPhotoValid = await validatePhotoUrl(currentUser.photo_url);
-      if (!isPhotoValid) {
-        validatedPhotoUrl = generateFallbackAvatar(currentUser.name);
-        console.warn(`Fixing invalid photo for user ${telegramId} during approval`);
-      }
-    } else {
-      validatedPhotoUrl = generateFallbackAvatar(currentUser.name);
+/**
+ * Remove applicant that is not approved (rejection = removal, null if not found)
+ */
+async function applyRejection(telegramId) {
+  const { data: user, error } = await supabase
+    .from('users')
+    .delete()
+    .eq('tg_id', telegramId)
+    .eq('is_approved', false)
+    .select()
+    .single();
+
+  if (error && error.code !== 'PGRST116') {
+    throw error;
+  }
+
+  return user || null;
+}
+
+/**
+ * Resolve applicant and deciding staff member of approve / reject request
+ * Bot calls name the admin who pressed the button in X-Acting-User-Id.
+ */
+function getDecisionRequest(req, res) {
+  const telegramId = parseInt(req.params.tg_id);
+  if (!telegramId || telegramId <= 0) {
+    sendError(res, 'Invalid tg_id', 400);
+    return null;
+  }
+
+  if (!req.user?.tg_id) {
+    sendError(res, 'Deciding staff member is required (X-Acting-User-Id)', 400);
+    return null;
+  }
+
+  return { telegramId, decidedBy: req.user.tg_id };
+}
+
+/**
+ * ✅ TUZATILGAN: Approve user with photo validation
+ * Claimed like the bot buttons: only the first decision about an applicant applies
+ */
+export const approveUser = async (req, res) => {
+  try {
+    const decisionRequest = getDecisionRequest(req, res);
+    if (!decisionRequest) {
+      return;
     }
 
-    // Update user approval status with validated photo
-    const { data: user, error } = await supabase
-      .from('users')
-      .update({ 
-        is_approved: true,
-        photo_url: validatedPhotoUrl, // ✅ Ensure valid photo
-        updated_at: new Date().toISOString() 
-      })
-      .eq('tg_id', telegramId)
-      .eq('is_registered', true)
-      .eq('is_approved', false)
-      .select()
-      .single();
+    const { telegramId, decidedBy } = decisionRequest;
+    const { claimed, result: user, decision } = await AdminService.decideApplicant(
+      telegramId,
+      decidedBy,
+      AdminService.DECISIONS.APPROVED,
+      () => applyApproval(telegramId)
+    );
 
-    if (error && error.code !== 'PGRST116') {
-      return sendServerError(res, error);
+    if (!claimed) {
+      return sendError(res, 'Decision about this user was already made', 409, { decision });
     }
 
     if (!user) {
       return sendNotFound(res, 'User not found, already approved, or not registered');
     }
 
+    // Approved user joins leaderboards
+    TokenService.forgetApproval(telegramId);
+    CacheService.invalidateUser(telegramId);
+    EventService.userApproved(telegramId);
+
     // ✅ Return approved user data
     return sendSuccess(res, {
       user: {
@@ -418,7 +495,8 @@ export const approveUser = async (req, res) => {
         photo_url: user.photo_url, // ✅ Validated photo
         is_approved: true,
         approved_at: user.updated_at
-      }
+      },
+      decision
     }, 'User approved successfully');
 
   } catch (error) {
@@ -428,41 +506,44 @@ export const approveUser = async (req, res) => {
 };
 
 /**
- * ✅ Reject user by admin (no changes needed)
+ * ✅ Reject user by admin
+ * Claimed like the bot buttons: only the first decision about an applicant applies
  */
 export const rejectUser = async (req, res) => {
   try {
-    const { tg_id } = req.params;
-    
-    const telegramId = parseInt(tg_id);
-    if (!telegramId || telegramId <= 0) {
-      return sendError(res, 'Invalid tg_id', 400);
+    const decisionRequest = getDecisionRequest(req, res);
+    if (!decisionRequest) {
+      return;
     }
 
-    // Delete user from database (rejection = removal)
-    const { data: user, error } = await supabase
-      .from('users')
-      .delete()
-      .eq('tg_id', telegramId)
-      .eq('is_approved', false)
-      .select()
-      .single();
+    const { telegramId, decidedBy } = decisionRequest;
+    const { claimed, result: user, decision } = await AdminService.decideApplicant(
+      telegramId,
+      decidedBy,
+      AdminService.DECISIONS.REJECTED,
+      () => applyRejection(telegramId)
+    );
 
-    if (error && error.code !== 'PGRST116') {
-      return sendServerError(res, error);
+    if (!claimed) {
+      return sendError(res, 'Decision about this user was already made', 409, { decision });
     }
 
     if (!user) {
       return sendNotFound(res, 'User not found or already approved');
     }
 
+    // Sessions of rejected user end now (not only when their access token expires)
+    TokenService.forgetApproval(telegramId);
+    await TokenService.revokeAllTokens(telegramId);
+
     // ✅ Return rejection confirmation
     return sendSuccess(res, {
       tg_id: telegramId,
       rejected_user: {
         name: user.name,
         rejected_at: new Date().toISOString()
-      }
+      },
+      decision
     }, 'User rejected and removed from system');
 
   } catch (error) {
@@ -531,4 +612,63 @@ export const refreshAllPhotos = async (req, res) => {
     console.error('Error in refreshAllPhotos:', error);
     return sendServerError(res, error);
   }
+};
+
+/**
+ * ✅ YANGI: Rotate refresh token and issue new access token
+ * POST /api/auth/refresh
+ */
+export const refreshSession = async (req, res) => {
+  try {
+    const { refresh_token } = req.body;
+
+    const session = await TokenService.refreshTokens(refresh_token, {
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+
+    if (!session) {
+      return sendError(res, 'Invalid or expired refresh token', 401, {
+        reason: 'invalid_refresh_token',
+        help: 'Re-authenticate via POST /api/auth/check with Telegram initData'
+      });
+    }
+
+    const { tg_id, ...tokens } = session;
+
+    return sendSuccess(res, { user_id: tg_id, session: tokens }, 'Session refreshed');
+
+  } catch (error) {
+    console.error('Error in refreshSession:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ YANGI: Revoke refresh token (logout) or all sessions of its owner
+ * POST /api/auth/revoke
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const { refresh_token, all } = req.body;
+
+    const tg_id = await TokenService.revokeToken(refresh_token);
+
+    if (!tg_id) {
+      return sendNotFound(res, 'Active refresh token');
+    }
+
+    if (all) {
+      await TokenService.revokeAllTokens(tg_id);
+    }
+
+    return sendSuccess(res, {
+      user_id: tg_id,
+      revoked_all: Boolean(all)
+    }, all ? 'All sessions revoked' : 'Session revoked');
+
+  } catch (error) {
+    console.error('Error in revokeSession:', error);
+    return sendServerError(res, error);
+  }
 };
\ No newline at end of file
@@ -2,11 +2,27 @@
 // LEADERBOARD CONTROLLER - TO'LIQ TUZATILGAN VERSIYA  
 // =====================================================
 import supabase from '../config/database.js';
-import { sendSuccess, sendError, sendServerError } from '../utils/responses.js';
+import { sendSuccess, sendError, sendNotFound, sendServerError } from '../utils/responses.js';
+import { TaskService } from '../services/taskService.js';
+import { TimezoneService } from '../services/timezoneService.js';
+import { DatabaseService } from '../services/databaseService.js';
+import { LeaderboardService } from '../services/leaderboardService.js';
+import { StreakService } from '../services/streakService.js';
+import { getTodayInTimezone, getPastDates, addDays, isValidDateString } from '../utils/dateUtils.js';
 
 /**
- * ✅ TO'LIQ TUZATILGAN: Get leaderboard with proper sorting and score calculation
- * GET /leaderboard?period=weekly&type=overall&limit=100&tg_id=123456789
+ * ✅ Get leaderboard with server-side ranking (ties share the same rank)
+ * GET /leaderboard?period=weekly&type=overall&limit=100&tg_id=123456789&date=2024-12-01
+ *
+ * period: daily | weekly (rolling 7 days) | calendar_week (Monday - Sunday) | month |
+ *         custom (&from=YYYY-MM-DD&to=YYYY-MM-DD) | season (&season_id=, default: season of date) | all
+ * rank_mode: competition (1, 2, 2, 4) | dense (1, 2, 2, 3)
+ *
+ * Periods are taken around requester's local today (same day as getDailyTasks),
+ * or around optional date (YYYY-MM-DD)
+ *
+ * rank_delta: previous_rank (snapshot of the day before) - rank, positive = moved up.
+ * null for new entries and for periods without snapshots (calendar_week, custom, season)
  */
 export const getLeaderboard = async (req, res) => {
   try {
@@ -14,288 +30,121 @@ export const getLeaderboard = async (req, res) => {
       period = 'all',      
       type = 'overall', 
       limit = 100,
-      tg_id
+      tg_id,
+      date,
+      from,
+      to,
+      season_id,
+      rank_mode = LeaderboardService.RANK_MODES.COMPETITION
     } = req.query;
 
     const limitNum = Math.min(parseInt(limit) || 100, 500);
+    const userTgId = parseInt(tg_id) || req.user?.tg_id || null;
 
-    console.log(`🔍 Leaderboard request: period=${period}, type=${type}`);
+    if (date !== undefined && !isValidDateString(date)) {
+      return sendError(res, 'Invalid date format (YYYY-MM-DD)', 400);
+    }
 
-    // ✅ ASOSIY TUZATISH 1: Field mapping to'g'ri qilish
-    let orderField, scoreCalculation;
-    
-    // Period va Type bo'yicha to'g'ri field aniqlash
-    if (period === 'daily') {
-      switch (type) {
-        case 'reading':
-          orderField = 'daily_pages';
-          scoreCalculation = 'daily_pages';
-          break;
-        case 'distance':
-          orderField = 'daily_distance';
-          scoreCalculation = 'daily_distance';
-          break;
-        default: // overall
-          orderField = 'daily_points';
-          scoreCalculation = 'daily_points';
+    if (period === LeaderboardService.PERIODS.CUSTOM) {
+      if (!isValidDateString(from) || !isValidDateString(to)) {
+        return sendError(res, 'from and to (YYYY-MM-DD) are required for custom period', 400);
       }
-    } else if (period === 'weekly') {
-      switch (type) {
-        case 'reading':
-          orderField = 'weekly_pages';
-          scoreCalculation = 'weekly_pages';
-          break;
-        case 'distance':
-          orderField = 'weekly_distance';
-          scoreCalculation = 'weekly_distance';
-          break;
-        default: // overall
-          orderField = 'weekly_points';
-          scoreCalculation = 'weekly_points';
-      }
-    } else { // 'all' or 'all_time'
-      switch (type) {
-        case 'reading':
-          orderField = 'total_pages';
-          scoreCalculation = 'total_pages';
-          break;
-        case 'distance':
-          orderField = 'total_distance';
-          scoreCalculation = 'total_distance';
-          break;
-        default: // overall
-          orderField = 'total_points';
-          scoreCalculation = 'total_points';
+      if (to < from) {
+        return sendError(res, 'to must be on or after from', 400);
       }
     }
 
-    console.log(`📊 Query fields: orderField=${orderField}, scoreCalculation=${scoreCalculation}`);
+    // ✅ Reference date: "today" of requester, not database server's CURRENT_DATE
+    const referenceDate = date || await TimezoneService.getRequestToday(req, userTgId);
 
-    // ✅ ASOSIY TUZATISH 2: To'g'ri query with proper ordering
-    const { data: leaderboardData, error } = await supabase
-      .from('user_statistics')
-      .select(`
-        tg_id,
-        name,
-        username,
-        photo_url,
-        achievements,
-        daily_points,
-        daily_pages,
-        daily_distance,
-        weekly_points, 
-        weekly_pages,
-        weekly_distance,
-        total_points,
-        total_pages,
-        total_distance,
-        is_approved
-      `)
-      .eq('is_approved', true)                       // ✅ Faqat tasdiqlangan userlar
-      .gt(orderField, 0)                            // ✅ Faqat 0 dan katta natijalar
-      .order(orderField, { ascending: false })      // ✅ Eng kattadan kichikka
-      .order('tg_id', { ascending: true })          // ✅ Teng bo'lganda ID bo'yicha
-      .limit(limitNum);
-
-    if (error) {
-      console.error('❌ Database error in getLeaderboard:', error);
-      return sendServerError(res, error);
+    const { range, season } = await LeaderboardService.resolvePeriod(period, referenceDate, { from, to, season_id });
+    if (!range) {
+      return sendNotFound(res, 'Season');
     }
 
-    console.log(`✅ Query successful: Found ${leaderboardData?.length || 0} participants`);
-
-    if (!leaderboardData || leaderboardData.length === 0) {
-      return res.json({
-        success: true,
-        period: period,
-        type: type,
-        leaderboard: [],
-        current_user: null,
-        total_participants: 0,
-        message: 'No data found for selected period and type'
-      });
-    }
+    const rankOptions = { ...range, metric: type, rankMode: rank_mode };
 
-    // ✅ ASOSIY TUZATISH 3: To'g'ri score calculation va formatting
-    const leaderboard = leaderboardData.map((user, index) => {
-      // Calculate current score based on period and type
-      let currentScore = 0;
-      
-      switch (period) {
-        case 'daily':
-          if (type === 'reading') {
-            currentScore = user.daily_pages || 0;
-          } else if (type === 'distance') {
-            currentScore = parseFloat(user.daily_distance) || 0;
-          } else {
-            currentScore = user.daily_points || 0;
-          }
-          break;
-          
-        case 'weekly':
-          if (type === 'reading') {
-            currentScore = user.weekly_pages || 0;
-          } else if (type === 'distance') {
-            currentScore = parseFloat(user.weekly_distance) || 0;
-          } else {
-            currentScore = user.weekly_points || 0;
-          }
-          break;
-          
-        default: // 'all'
-          if (type === 'reading') {
-            currentScore = user.total_pages || 0;
-          } else if (type === 'distance') {
-            currentScore = parseFloat(user.total_distance) || 0;
-          } else {
-            currentScore = user.total_points || 0;
-          }
-      }
+    console.log(`🔍 Leaderboard request: period=${period}, type=${type}, range=${range.start_date || '∞'}..${range.end_date || '∞'}, rank_mode=${rank_mode}`);
 
-      // ✅ Format distance properly (2 decimal places)
-      if (type === 'distance') {
-        currentScore = Math.round(currentScore * 100) / 100;
-      }
+    const { entries, total } = await LeaderboardService.getRankedLeaderboard({ ...rankOptions, limit: limitNum });
+
+    console.log(`✅ Query successful: ${entries.length} of ${total} participants`);
+
+    // Current user: from top list, otherwise one position lookup (rank, percentile, neighbours)
+    const userIndex = userTgId ? entries.findIndex(entry => entry.tg_id === userTgId) : -1;
+    const position = userTgId && userIndex === -1
+      ? await LeaderboardService.getUserPosition(userTgId, rankOptions)
+      : null;
+    const userEntry = position?.entry || null;
+
+    const listedIds = [...entries, userEntry].filter(Boolean).map(entry => entry.tg_id);
+
+    // Rolling daily/weekly and all-time totals shown next to the period score
+    // ✅ Ranks of the previous day's snapshot for rank_delta (up / down arrows)
+    const [statsByUser, previousRanks] = await Promise.all([
+      getStatisticsByUser(listedIds, referenceDate),
+      LeaderboardService.getSnapshotRanks(listedIds, {
+        period: LeaderboardService.getSnapshotPeriod(period),
+        metric: type,
+        date: addDays(referenceDate, -1),
+        rankMode: rank_mode
+      })
+    ]);
 
+    const withRankDelta = (formatted) => {
+      const previousRank = previousRanks.get(formatted.tg_id) ?? null;
       return {
-        rank: index + 1,                    
-        tg_id: user.tg_id,
-        name: user.name,
-        username: user.username,
-        photo_url: user.photo_url,
-        achievements: user.achievements || [],
-        
-        // ✅ ALL STATISTICS (for frontend compatibility)
-        total_points: user.total_points || 0,
-        total_pages: user.total_pages || 0,
-        total_distance: Math.round((parseFloat(user.total_distance) || 0) * 100) / 100,
-        weekly_points: user.weekly_points || 0,
-        weekly_pages: user.weekly_pages || 0, 
-        weekly_distance: Math.round((parseFloat(user.weekly_distance) || 0) * 100) / 100,
-        daily_points: user.daily_points || 0,
-        daily_pages: user.daily_pages || 0,
-        daily_distance: Math.round((parseFloat(user.daily_distance) || 0) * 100) / 100,
-        
-        // ✅ ASOSIY TUZATISH: Current score for selected period/type
-        score: currentScore,
-        points: currentScore,  // Alias for compatibility
-        
-        // Additional metadata
-        current_period: period,
-        current_type: type
+        ...formatted,
+        previous_rank: previousRank,
+        rank_delta: previousRank !== null ? previousRank - formatted.rank : null
       };
-    });
+    };
 
-    // Log top 3 for debugging
-    console.log('🏆 Top 3 participants:');
-    leaderboard.slice(0, 3).forEach((user, index) => {
-      console.log(`  ${index + 1}. ${user.name}: ${user.score} (${scoreCalculation})`);
-    });
+    const leaderboard = entries.map(entry =>
+      withRankDelta(formatLeaderboardEntry(entry, statsByUser.get(entry.tg_id), period, type))
+    );
 
-    // ✅ TUZATISH 4: Current user position logic
     let current_user = null;
-    const userTgId = tg_id || req.headers['x-user-id'];
-    
-    if (userTgId) {
-      const telegramId = parseInt(userTgId);
-      const userIndex = leaderboard.findIndex(u => u.tg_id === telegramId);
-      
-      if (userIndex !== -1) {
-        // User is in top list
-        current_user = {
-          ...leaderboard[userIndex],
-          in_top_list: true
-        };
-        console.log(`👤 Current user found in top list: rank ${current_user.rank}, score ${current_user.score}`);
-      } else {
-        // User not in top list - get their actual data
-        const { data: userData } = await supabase
-          .from('user_statistics')
-          .select('*')
-          .eq('tg_id', telegramId)
-          .eq('is_approved', true)
-          .single();
-          
-        if (userData) {
-          // Calculate user's current score
-          let userScore = 0;
-          switch (period) {
-            case 'daily':
-              userScore = type === 'reading' ? userData.daily_pages : 
-                         type === 'distance' ? parseFloat(userData.daily_distance) || 0 : 
-                         userData.daily_points;
-              break;
-            case 'weekly':
-              userScore = type === 'reading' ? userData.weekly_pages : 
-                         type === 'distance' ? parseFloat(userData.weekly_distance) || 0 : 
-                         userData.weekly_points;
-              break;
-            default: // all
-              userScore = type === 'reading' ? userData.total_pages : 
-                         type === 'distance' ? parseFloat(userData.total_distance) || 0 : 
-                         userData.total_points;
-          }
-
-          // Format distance
-          if (type === 'distance') {
-            userScore = Math.round(userScore * 100) / 100;
-          }
-          
-          // Calculate actual rank by counting users with higher scores
-          const { count } = await supabase
-            .from('user_statistics')
-            .select('tg_id', { count: 'exact' })
-            .eq('is_approved', true)
-            .gt(orderField, userScore || 0);
-            
-          current_user = {
-            rank: (count || 0) + 1,
-            tg_id: userData.tg_id,
-            name: userData.name,
-            username: userData.username,
-            photo_url: userData.photo_url,
-            achievements: userData.achievements || [],
-            total_points: userData.total_points || 0,
-            total_pages: userData.total_pages || 0,
-            total_distance: Math.round((parseFloat(userData.total_distance) || 0) * 100) / 100,
-            weekly_points: userData.weekly_points || 0,
-            weekly_pages: userData.weekly_pages || 0,
-            weekly_distance: Math.round((parseFloat(userData.weekly_distance) || 0) * 100) / 100,
-            daily_points: userData.daily_points || 0,
-            daily_pages: userData.daily_pages || 0,
-            daily_distance: Math.round((parseFloat(userData.daily_distance) || 0) * 100) / 100,
-            score: userScore,
-            points: userScore,
-            in_top_list: false,
-            current_period: period,
-            current_type: type
-          };
-
-          console.log(`👤 Current user found outside top list: rank ${current_user.rank}, score ${current_user.score}`);
-        }
-      }
+    if (userIndex !== -1) {
+      current_user = {
+        ...leaderboard[userIndex],
+        percentile: LeaderboardService.calculatePercentile(leaderboard[userIndex].rank, total),
+        in_top_list: true
+      };
+    } else if (userEntry) {
+      current_user = {
+        ...withRankDelta(formatLeaderboardEntry(userEntry, statsByUser.get(userEntry.tg_id), period, type)),
+        percentile: position.percentile,
+        neighbours: {
+          above: position.above.map(entry => formatNeighbour(entry, type)),
+          below: position.below.map(entry => formatNeighbour(entry, type))
+        },
+        in_top_list: false
+      };
     }
 
-    // Get total participants for this period/type
-    const { count: totalUsers } = await supabase
-      .from('user_statistics')
-      .select('tg_id', { count: 'exact' })
-      .eq('is_approved', true)
-      .gt(orderField, 0);
+    if (current_user) {
+      console.log(`👤 Current user: rank ${current_user.rank}, score ${current_user.score}, in_top_list=${current_user.in_top_list}`);
+    }
 
     // ✅ FINAL RESPONSE
     const response = {
       success: true,
       period: period,
       type: type,
+      rank_mode: rank_mode,
+      reference_date: referenceDate,
+      period_range: range,
+      ...(season && { season }),
       leaderboard: leaderboard,
       current_user: current_user,
-      total_participants: totalUsers || 0,
+      total_participants: total,
+      ...(leaderboard.length === 0 && { message: 'No data found for selected period and type' }),
       
       // ✅ Query info for debugging
       query_info: {
-        order_field: orderField,
-        score_calculation: scoreCalculation,
+        metric: type,
+        rank_mode: rank_mode,
         result_count: leaderboard.length,
         ...(leaderboard.length > 0 && {
           top_score: leaderboard[0].score,
@@ -304,8 +153,6 @@ export const getLeaderboard = async (req, res) => {
       }
     };
 
-    console.log(`✅ Leaderboard response prepared: ${leaderboard.length} users, period=${period}, type=${type}`);
-
     return res.json(response);
 
   } catch (error) {
@@ -346,8 +193,14 @@ export const getWeeklyStats = async (req, res) => {
       return sendError(res, 'User not approved yet', 403);
     }
 
+    // ✅ User's local today (profile timezone)
+    const userTimezone = await TimezoneService.resolveTimezone(req, telegramId);
+    const todayDate = getTodayInTimezone(userTimezone);
+
     // Get weekly daily points (exactly 7 elements)
-    const weeklyDailyPoints = await getWeeklyDailyPointsHelper(telegramId);
+    const weeklyDailyPoints = await getWeeklyDailyPointsHelper(telegramId, todayDate);
+
+    const tasksPerDay = (await TaskService.getActiveTasks(todayDate)).length;
 
     // Format response as frontend expects
     const response = {
@@ -356,8 +209,8 @@ export const getWeeklyStats = async (req, res) => {
         weeklyPoints: stats.weekly_points || 0,
         dailyPoints: weeklyDailyPoints,
         completedTasks: stats.weekly_points || 0,  
-        totalTasks: 70,  // 7 days * 10 tasks
-        streak: await calculateUserStreakHelper(telegramId),
+        totalTasks: 7 * tasksPerDay,
+        streak: (await StreakService.getActivityStreak(telegramId, { today: todayDate })).current,
         bestDay: getBestDayFromWeekly(weeklyDailyPoints),
         improvement: "+15%"  // TODO: Calculate actual improvement
       }
@@ -371,18 +224,210 @@ export const getWeeklyStats = async (req, res) => {
   }
 };
 
+/**
+ * ✅ Stored leaderboard of closed day
+ * GET /leaderboard/history?period=weekly&type=overall&date=2024-12-01&limit=100&rank_mode=competition
+ *
+ * period: daily | weekly (7 days ending date, on Sundays = calendar week) | monthly (month to date) | all_time
+ * date: snapshot day, default yesterday of requester
+ */
+export const getLeaderboardHistory = async (req, res) => {
+  try {
+    const {
+      period = LeaderboardService.SNAPSHOT_PERIODS.WEEKLY,
+      type = 'overall',
+      limit = 100,
+      rank_mode = LeaderboardService.RANK_MODES.COMPETITION
+    } = req.query;
+
+    const userTgId = parseInt(req.query.tg_id) || req.user?.tg_id || null;
+    const date = req.query.date || addDays(await TimezoneService.getRequestToday(req, userTgId), -1);
+
+    const { entries, total } = await LeaderboardService.getSnapshotBoard({
+      period,
+      metric: type,
+      date,
+      rankMode: rank_mode,
+      limit
+    });
+
+    return res.json({
+      success: true,
+      period,
+      type,
+      rank_mode,
+      date,
+      leaderboard: entries,
+      total_participants: total,
+      ...(entries.length === 0 && { message: 'No snapshot found for selected date' })
+    });
+
+  } catch (error) {
+    console.error('❌ Error in getLeaderboardHistory:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ Rank history of user from daily snapshots (oldest first)
+ * GET /api/users/:userId/rank/history?period=weekly&type=overall&days=30&rank_mode=competition
+ */
+export const getUserRankHistory = async (req, res) => {
+  try {
+    const telegramId = parseInt(req.params.userId);
+    const {
+      period = LeaderboardService.SNAPSHOT_PERIODS.WEEKLY,
+      type = 'overall',
+      days = 30,
+      rank_mode = LeaderboardService.RANK_MODES.COMPETITION
+    } = req.query;
+
+    const todayDate = getTodayInTimezone(await TimezoneService.resolveTimezone(req, telegramId));
+    const from = addDays(todayDate, -days);
+
+    const history = await LeaderboardService.getUserRankHistory(telegramId, {
+      period,
+      metric: type,
+      from,
+      rankMode: rank_mode
+    });
+
+    const ranks = history.map(entry => entry.rank);
+
+    return sendSuccess(res, {
+      tg_id: telegramId,
+      period,
+      type,
+      rank_mode,
+      from,
+      to: addDays(todayDate, -1),
+      history,
+      best_rank: ranks.length > 0 ? Math.min(...ranks) : null,
+      latest: history[history.length - 1] || null
+    });
+
+  } catch (error) {
+    console.error('Error in getUserRankHistory:', error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * List leaderboard seasons (newest first)
+ * GET /leaderboard/seasons
+ */
+export const getSeasons = async (req, res) => {
+  try {
+    const seasons = await LeaderboardService.listSeasons();
+    return sendSuccess(res, { seasons }, 'Seasons retrieved');
+  } catch (error) {
+    console.error('Error in getSeasons:', error);
+    return sendServerError(res, error);
+  }
+};
+
 // =====================================================
 // HELPER FUNCTIONS
 // =====================================================
 
 /**
- * Get weekly daily points for chart (exactly 7 elements)
+ * Round distance to 2 decimal places
  */
-async function getWeeklyDailyPointsHelper(tg_id) {
+function roundDistance(value) {
+  return Math.round((parseFloat(value) || 0) * 100) / 100;
+}
+
+/**
+ * Get user_statistics rows (windows ending on referenceDate) keyed by tg_id
+ */
+async function getStatisticsByUser(tgIds, referenceDate) {
+  if (tgIds.length === 0) return new Map();
+
+  const { data, error } = await DatabaseService
+    .queryUserStatistics(referenceDate, `
+      tg_id,
+      daily_points,
+      daily_pages,
+      daily_distance,
+      weekly_points,
+      weekly_pages,
+      weekly_distance,
+      total_points,
+      total_pages,
+      total_distance
+    `)
+    .in('tg_id', tgIds);
+
+  if (error) {
+    console.error('❌ Database error in getStatisticsByUser:', error);
+    return new Map();
+  }
+
+  return new Map((data || []).map(stats => [stats.tg_id, stats]));
+}
+
+/**
+ * Short row of user ranked next to current user
+ */
+function formatNeighbour(entry, type) {
+  return {
+    rank: entry.rank,
+    tg_id: entry.tg_id,
+    name: entry.name,
+    username: entry.username,
+    photo_url: entry.photo_url,
+    score: type === 'distance' ? roundDistance(entry.score) : Number(entry.score) || 0
+  };
+}
+
+/**
+ * Format ranked row of get_period_leaderboard for frontend
+ */
+function formatLeaderboardEntry(entry, stats = {}, period, type) {
+  const score = type === 'distance' ? roundDistance(entry.score) : Number(entry.score) || 0;
+
+  return {
+    rank: entry.rank,
+    tg_id: entry.tg_id,
+    name: entry.name,
+    username: entry.username,
+    photo_url: entry.photo_url,
+    achievements: entry.achievements || [],
+
+    // ✅ ALL STATISTICS (for frontend compatibility)
+    total_points: stats.total_points || 0,
+    total_pages: stats.total_pages || 0,
+    total_distance: roundDistance(stats.total_distance),
+    weekly_points: stats.weekly_points || 0,
+    weekly_pages: stats.weekly_pages || 0,
+    weekly_distance: roundDistance(stats.weekly_distance),
+    daily_points: stats.daily_points || 0,
+    daily_pages: stats.daily_pages || 0,
+    daily_distance: roundDistance(stats.daily_distance),
+
+    // Totals of selected period
+    period_points: entry.period_points || 0,
+    period_earned_points: entry.period_earned_points || 0,
+    period_pages: entry.period_pages || 0,
+    period_distance: roundDistance(entry.period_distance),
+    active_days: entry.active_days || 0,
+
+    // Score for selected period/type
+    score: score,
+    points: score,  // Alias for compatibility
+
+    current_period: period,
+    current_type: type
+  };
+}
+
+/**
+ * Get weekly daily points for chart (exactly 7 elements, last 7 days up to today)
+ */
+async function getWeeklyDailyPointsHelper(tg_id, today) {
   try {
     const promises = [];
-    for (let i = 6; i >= 0; i--) {
-      const targetDate = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    for (const targetDate of getPastDates(today, 7)) {
       promises.push(
         supabase
           .from('daily_progress')
@@ -406,40 +451,6 @@ async function getWeeklyDailyPointsHelper(tg_id) {
   }
 }
 
-/**
- * Calculate user streak helper
- */
-async function calculateUserStreakHelper(tg_id) {
-  try {
-    const { data, error } = await supabase
-      .from('daily_progress')
-      .select('date, total_points')
-      .eq('tg_id', tg_id)
-      .order('date', { ascending: false })
-      .limit(30);
-
-    if (error || !data) return 0;
-
-    let streak = 0;
-    
-    for (let i = 0; i < data.length; i++) {
-      const expectedDate = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-      const dayData = data.find(d => d.date === expectedDate);
-      
-      if (dayData && dayData.total_points > 0) {
-        streak++;
-      } else {
-        break;
-      }
-    }
-
-    return streak;
-  } catch (error) {
-    console.error('Error calculating streak:', error);
-    return 0;
-  }
-}
-
 /**
  * Get best day from weekly points array
  */
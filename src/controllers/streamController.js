@@ -0,0 +1,62 @@
+// =====================================================
+// STREAM CONTROLLER - SERVER-SENT EVENTS
+// =====================================================
+import { EventService } from '../services/eventService.js';
+
+const HEARTBEAT_INTERVAL = 25000; // keeps proxies from closing idle streams
+const RETRY_INTERVAL = 5000;      // EventSource reconnect delay
+
+/**
+ * Write one SSE frame
+ */
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, created_at: event.created_at })}\n\n`);
+}
+
+/**
+ * ✅ Live updates for the signed user
+ * GET /api/stream (Authorization: Bearer <token> or ?access_token=<token>)
+ *
+ * Events: ready, progress.updated (own), achievement.earned (own), achievement.revoked (own),
+ *         user.approved (own), leaderboard.changed (everyone - refetch boards)
+ * Bearer streams are closed when the access token expires, reconnect with a fresh one.
+ */
+export const openStream = (req, res) => {
+  const tgId = req.user.tg_id;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // nginx: do not buffer the stream
+  });
+  res.write(`retry: ${RETRY_INTERVAL}\n\n`);
+
+  writeEvent(res, {
+    id: EventService.lastId,
+    type: 'ready',
+    data: { tg_id: tgId, events: Object.values(EventService.EVENTS) },
+    created_at: new Date().toISOString()
+  });
+
+  const unsubscribe = EventService.subscribe(tgId, (event) => writeEvent(res, event));
+  const stopOnShutdown = EventService.onShutdown(() => res.end());
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  const expiresIn = req.user.token_expires_at
+    ? req.user.token_expires_at * 1000 - Date.now()
+    : null;
+  const expiry = expiresIn !== null
+    ? setTimeout(() => res.end(), Math.max(expiresIn, 0))
+    : null;
+
+  console.log(`📡 Stream opened: ${tgId} (${EventService.getSubscriberCount()} open)`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+    stopOnShutdown();
+    console.log(`📡 Stream closed: ${tgId} (${EventService.getSubscriberCount()} open)`);
+  });
+};
@@ -3,185 +3,13 @@
 // =====================================================
 import supabase from '../config/database.js';
 import { sendSuccess, sendError, sendNotFound, sendServerError } from '../utils/responses.js';
-
-/**
- * ✅ YANGI: Foydalanuvchi timezone bo'yicha bugungi sanani olish
- */
-function getUserTodayDate(timezone = 'Asia/Tashkent') {
-  try {
-    // Foydalanuvchi timezone bo'yicha bugungi sana
-    const now = new Date();
-    const userDate = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
-    return userDate.toISOString().split('T')[0]; // YYYY-MM-DD format
-  } catch (error) {
-    console.error('Timezone error, using UTC:', error);
-    return new Date().toISOString().split('T')[0];
-  }
-}
-
-/**
- * ✅ YANGI: Foydalanuvchi timezone'ini aniqlash (Frontend'dan kelishi kerak)
- */
-function detectUserTimezone(req) {
-  // Frontend'dan timezone yuborilishi kerak: headers yoki body orqali
-  const timezone = req.headers['x-timezone'] || 
-                   req.body.timezone || 
-                   'Asia/Tashkent'; // O'zbekiston default
-  return timezone;
-}
-
-/**
- * ✅ TUZATILGAN: Update user achievements based on progress
- */
-async function updateUserAchievements(tg_id) {
-  try {
-    console.log(`🏆 Checking achievements for user ${tg_id}...`);
-    
-    // Get user's progress history for achievement calculation
-    const { data: progressHistory } = await supabase
-      .from('daily_progress')
-      .select('date, total_points, pages_read, distance_km, shart_1, shart_2, shart_3, shart_4, shart_5, shart_6, shart_7, shart_8, shart_9, shart_10')
-      .eq('tg_id', tg_id)
-      .order('date', { ascending: false })
-      .limit(60); // Last 60 days
-
-    if (!progressHistory || progressHistory.length === 0) {
-      console.log(`ℹ️ No progress history found for user ${tg_id}`);
-      return;
-    }
-
-    const currentAchievements = [];
-
-    // ✅ 1. FAOL (Consistent) - 21 kun ketma-ket faollik
-    let consecutiveDays = 0;
-    const today = new Date().toISOString().split('T')[0];
-    
-    for (let i = 0; i < 21; i++) {
-      const targetDate = new Date();
-      targetDate.setDate(targetDate.getDate() - i);
-      const dateStr = targetDate.toISOString().split('T')[0];
-      
-      const dayData = progressHistory.find(p => p.date === dateStr);
-      
-      if (dayData && dayData.total_points > 0) {
-        consecutiveDays++;
-      } else {
-        break; // Zanjir uzildi
-      }
-    }
-    
-    if (consecutiveDays >= 21) {
-      currentAchievements.push('consistent');
-      console.log(`✅ Achievement earned: consistent (${consecutiveDays} days)`);
-    } else {
-      console.log(`📊 Consistent progress: ${consecutiveDays}/21 days`);
-    }
-
-    // ✅ 2. KITOBXON (Reader) - 6000 bet o'qish
-    const totalPages = progressHistory.reduce((sum, day) => sum + (day.pages_read || 0), 0);
-    if (totalPages >= 6000) {
-      currentAchievements.push('reader');
-      console.log(`✅ Achievement earned: reader (${totalPages} pages)`);
-    } else {
-      console.log(`📊 Reader progress: ${totalPages}/6000 pages`);
-    }
-
-    // ✅ 3. SPORTCHI (Athlete) - 100 km yugurish
-    const totalDistance = progressHistory.reduce((sum, day) => sum + (parseFloat(day.distance_km) || 0), 0);
-    if (totalDistance >= 100) {
-      currentAchievements.push('athlete');
-      console.log(`✅ Achievement earned: athlete (${totalDistance} km)`);
-    } else {
-      console.log(`📊 Athlete progress: ${totalDistance}/100 km`);
-    }
-
-    // ✅ 4. UYG'OQ (Early Bird) - 21 kun ketma-ket erta turish (shart_9)
-    let earlyBirdStreak = 0;
-    for (let i = 0; i < 21; i++) {
-      const targetDate = new Date();
-      targetDate.setDate(targetDate.getDate() - i);
-      const dateStr = targetDate.toISOString().split('T')[0];
-      
-      const dayData = progressHistory.find(p => p.date === dateStr);
-      
-      if (dayData && dayData.shart_9 === 1) {
-        earlyBirdStreak++;
-      } else {
-        break; // Zanjir uzildi
-      }
-    }
-    
-    if (earlyBirdStreak >= 21) {
-      currentAchievements.push('early_bird');
-      console.log(`✅ Achievement earned: early_bird (${earlyBirdStreak} days)`);
-    } else {
-      console.log(`📊 Early bird progress: ${earlyBirdStreak}/21 days`);
-    }
-
-    // ✅ 5. OLOV (Perfectionist) - 21 kun ketma-ket 10/10 vazifa
-    let perfectionistStreak = 0;
-    for (let i = 0; i < 21; i++) {
-      const targetDate = new Date();
-      targetDate.setDate(targetDate.getDate() - i);
-      const dateStr = targetDate.toISOString().split('T')[0];
-      
-      const dayData = progressHistory.find(p => p.date === dateStr);
-      
-      if (dayData) {
-        // Barcha 10 ta vazifa bajarilganmi tekshirish
-        const allTasksCompleted = [
-          dayData.shart_1, dayData.shart_2, dayData.shart_3, dayData.shart_4, dayData.shart_5,
-          dayData.shart_6, dayData.shart_7, dayData.shart_8, dayData.shart_9, dayData.shart_10
-        ].every(task => task === 1);
-        
-        if (allTasksCompleted) {
-          perfectionistStreak++;
-        } else {
-          break; // Zanjir uzildi
-        }
-      } else {
-        break; // Ma'lumot yo'q
-      }
-    }
-    
-    if (perfectionistStreak >= 21) {
-      currentAchievements.push('perfectionist');
-      console.log(`✅ Achievement earned: perfectionist (${perfectionistStreak} days)`);
-    } else {
-      console.log(`📊 Perfectionist progress: ${perfectionistStreak}/21 days`);
-    }
-
-    // ✅ Update user achievements if any earned
-    if (currentAchievements.length > 0) {
-      // Get current achievements to merge
-      const { data: currentUser } = await supabase
-        .from('users')
-        .select('achievements')
-        .eq('tg_id', tg_id)
-        .single();
-
-      const existingAchievements = currentUser?.achievements || [];
-      const allAchievements = Array.from(new Set([...existingAchievements, ...currentAchievements]));
-
-      // Only update if there are new achievements
-      if (allAchievements.length > existingAchievements.length) {
-        await supabase
-          .from('users')
-          .update({ 
-            achievements: allAchievements,
-            updated_at: new Date().toISOString()
-          })
-          .eq('tg_id', tg_id);
-
-        const newAchievements = currentAchievements.filter(ach => !existingAchievements.includes(ach));
-        console.log(`🏆 NEW achievements for user ${tg_id}:`, newAchievements);
-      }
-    }
-
-  } catch (error) {
-    console.error('❌ Error updating achievements:', error);
-  }
-}
+import { TaskService } from '../services/taskService.js';
+import { ProgressService } from '../services/progressService.js';
+import { AuditService } from '../services/auditService.js';
+import { config } from '../config/environment.js';
+import { TimezoneService } from '../services/timezoneService.js';
+import { getRequestLanguage } from '../utils/helpers.js';
+import { getTodayInTimezone, isValidDateString, addDays, daysBetween } from '../utils/dateUtils.js';
 
 /**
  * ✅ TUZATILGAN: Get daily tasks for user with correct timezone
@@ -214,9 +42,9 @@ export const getDailyTasks = async (req, res) => {
       return sendError(res, 'User not approved yet', 403);
     }
 
-    // ✅ MUHIM: Foydalanuvchi timezone bo'yicha bugungi sana
-    const userTimezone = detectUserTimezone(req);
-    const todayDate = getUserTodayDate(userTimezone);
+    // ✅ MUHIM: Foydalanuvchi timezone (profil) bo'yicha bugungi sana
+    const userTimezone = await TimezoneService.resolveTimezone(req, telegramId);
+    const todayDate = getTodayInTimezone(userTimezone);
     
     console.log(`📅 Getting tasks for user ${telegramId} on ${todayDate} (${userTimezone})`);
 
@@ -232,28 +60,34 @@ export const getDailyTasks = async (req, res) => {
       console.error('Error getting daily progress:', progressError);
     }
 
-    // ✅ Task configuration matching frontend exactly
-    const TASKS_CONFIG = [
-      { id: 1, title: "Kunlik vird", description: "Zikr, Qur'on tilovati, ibodat", points: 50, category: "prayer", icon: "🕌", difficulty: "easy" },
-      { id: 2, title: "Silai rahm", description: "Ota-ona va qarindoshlar bilan aloqa", points: 50, category: "family", icon: "❤️", difficulty: "easy" },
-      { id: 3, title: "Qur'on tinglash", description: "Kamida 1/114 qism", points: 50, category: "quran", icon: "🎧", difficulty: "easy" },
-      { id: 4, title: "Ehson qilish", description: "1000 so'mdan ko'p", points: 50, category: "charity", icon: "💝", difficulty: "easy" },
-      { id: 5, title: "Kitob o'qish", description: "Kamida 10 bet", points: 50, category: "knowledge", icon: "📖", difficulty: "medium" },
-      { id: 6, title: "Dars/Kurs", description: "Ta'lim kursi yoki dars", points: 50, category: "education", icon: "🎓", difficulty: "easy" },
-      { id: 7, title: "Audio kitob", description: "Kamida 30 daqiqa", points: 50, category: "audio", icon: "🎧", difficulty: "easy" },
-      { id: 8, title: "Erta uxlash", description: "21:00 - 23:00 orasida", points: 50, category: "sleep", icon: "🌙", difficulty: "easy" },
-      { id: 9, title: "Erta turish", description: "03:00 - 06:00 orasida", points: 50, category: "wake", icon: "🌅", difficulty: "easy" },
-      { id: 10, title: "Sport/Mashqlar", description: "Yugurish yoki mashqlar", points: 50, category: "sport", icon: "🏃‍♂️", difficulty: "medium" }
-    ];
+    // ✅ Tasks catalog from database (active on this date)
+    const activeTasks = await TaskService.getActiveTasks(todayDate);
+    const completions = progress ? await TaskService.getCompletions(telegramId, todayDate) : [];
 
     // ✅ Har bir vazifa uchun completion holatini ko'rsatish
-    const tasks = TASKS_CONFIG.map(task => ({
-      ...task,
-      completed: progress ? Boolean(progress[`shart_${task.id}`]) : false,
-      completedAt: progress && progress[`shart_${task.id}`] ? progress.updated_at : null
-    }));
+    // Quantity tasks: value, credit (0..1) and partial points
+    const lang = getRequestLanguage(req);
+    const tasks = activeTasks.map(task => {
+      const completion = completions.find(c => c.task_id === task.id);
+      const credit = completion ? completion.credit : 0;
+
+      return {
+        ...TaskService.toPublicTask(task, lang),
+        completed: credit >= 1,
+        completedAt: completion ? completion.completed_at : null,
+        ...(task.task_type === TaskService.TASK_TYPES.QUANTITY && {
+          value: completion?.value || 0,
+          credit: credit,
+          progress_percentage: Math.min(Math.round(((completion?.value || 0) / parseFloat(task.daily_target)) * 100), 100)
+        }),
+        earned_points: completion ? completion.points_awarded : 0
+      };
+    });
 
-    const completedCount = progress ? progress.total_points : 0;
+    const completedCount = tasks.filter(task => task.completed).length;
+    const totalTasks = tasks.length;
+    const maxPoints = tasks.reduce((sum, task) => sum + task.points, 0);
+    const earnedPoints = tasks.reduce((sum, task) => sum + task.earned_points, 0);
 
     // ✅ Frontend kutayotgan format
     const response = {
@@ -262,10 +96,10 @@ export const getDailyTasks = async (req, res) => {
       user_timezone: userTimezone, // ✅ Debug uchun
       tasks: tasks,
       completedCount: completedCount,
-      totalTasks: 10,
-      totalPoints: 500,
-      earnedPoints: completedCount * 50,
-      completionPercentage: Math.round((completedCount / 10) * 100),
+      totalTasks: totalTasks,
+      totalPoints: maxPoints,
+      earnedPoints: earnedPoints,
+      completionPercentage: totalTasks > 0 ? Math.round((completedCount / totalTasks) * 100) : 0,
       // Additional stats
       pages_read: progress?.pages_read || 0,
       distance_km: parseFloat(progress?.distance_km) || 0,
@@ -279,7 +113,7 @@ export const getDailyTasks = async (req, res) => {
 
     console.log(`✅ Daily tasks sent for user ${telegramId}:`, {
       completed: completedCount,
-      total: 10,
+      total: totalTasks,
       date: todayDate,
       timezone: userTimezone
     });
@@ -300,11 +134,8 @@ export const submitDailyProgress = async (req, res) => {
     const {
       tg_id,
       name,
-      shart_1, shart_2, shart_3, shart_4, shart_5,
-      shart_6, shart_7, shart_8, shart_9, shart_10,
       pages_read,
-      distance_km,
-      timezone // ✅ Frontend'dan timezone qabul qilish
+      distance_km
     } = req.body;
 
     // ✅ Validate required fields
@@ -317,20 +148,16 @@ export const submitDailyProgress = async (req, res) => {
       return sendError(res, 'Invalid tg_id format', 400);
     }
 
-    // ✅ MUHIM: Foydalanuvchi timezone bo'yicha bugungi sana
-    const userTimezone = timezone || detectUserTimezone(req);
-    const todayDate = getUserTodayDate(userTimezone);
+    // ✅ MUHIM: Foydalanuvchi timezone (profil) bo'yicha bugungi sana
+    const userTimezone = await TimezoneService.resolveTimezone(req, telegramId);
+    const todayDate = getTodayInTimezone(userTimezone);
     
     console.log(`💾 Submitting progress for user ${telegramId} on ${todayDate} (${userTimezone})`);
 
-    // ✅ Validate task values (must be 0 or 1)
-    const tasks = [shart_1, shart_2, shart_3, shart_4, shart_5, shart_6, shart_7, shart_8, shart_9, shart_10];
-    for (let i = 0; i < tasks.length; i++) {
-      const task = tasks[i];
-      if (task !== undefined && task !== null && ![0, 1].includes(parseInt(task))) {
-        return sendError(res, `shart_${i + 1} must be 0 or 1`, 400);
-      }
-    }
+    // ✅ Completed tasks: { completed_tasks: [ids] } or legacy shart_<id> flags
+    // Quantity tasks: { quantities: { <task_id>: value } }
+    const completedTaskIds = TaskService.parseCompletedTaskIds(req.body);
+    const quantities = TaskService.parseQuantities(req.body);
 
     // ✅ Validate additional metrics
     const pagesRead = parseInt(pages_read) || 0;
@@ -363,35 +190,27 @@ export const submitDailyProgress = async (req, res) => {
       return sendError(res, 'User not approved yet', 403);
     }
 
-    // ✅ Prepare progress data with correct date
-    const progressData = {
-      tg_id: telegramId,
-      date: todayDate, // ✅ Foydalanuvchi timezone bo'yicha sana
-      shart_1: parseInt(shart_1) || 0,
-      shart_2: parseInt(shart_2) || 0,
-      shart_3: parseInt(shart_3) || 0,
-      shart_4: parseInt(shart_4) || 0,
-      shart_5: parseInt(shart_5) || 0,
-      shart_6: parseInt(shart_6) || 0,
-      shart_7: parseInt(shart_7) || 0,
-      shart_8: parseInt(shart_8) || 0,
-      shart_9: parseInt(shart_9) || 0,
-      shart_10: parseInt(shart_10) || 0,
-      pages_read: pagesRead,
-      distance_km: distanceKm
-    };
+    // ✅ Only tasks active today can be completed, with matching task type
+    const activeTasks = await TaskService.getActiveTasks(todayDate);
+    const selectionError = TaskService.findSelectionError(activeTasks, completedTaskIds, quantities);
 
-    // ✅ UPSERT (insert or update) today's progress
-    const { data: progress, error: progressError } = await supabase
-      .from('daily_progress')
-      .upsert(progressData, {
-        onConflict: 'tg_id,date',
-        returning: 'representation'
-      })
-      .select()
-      .single();
+    if (selectionError) {
+      return sendError(res, selectionError.message, 400, selectionError.details);
+    }
 
-    if (progressError) {
+    // ✅ Save metrics and completions atomically (old/new values go to progress_audit)
+    let progress;
+    try {
+      progress = await ProgressService.saveProgress(telegramId, todayDate, {
+        completed_tasks: completedTaskIds,
+        quantities: quantities,
+        pages_read: pagesRead,
+        distance_km: distanceKm
+      }, {
+        ...AuditService.getRequestContext(req),
+        action: AuditService.PROGRESS_ACTIONS.SUBMIT
+      });
+    } catch (progressError) {
       console.error('Database error in submitProgress:', progressError);
       
       if (progressError.code === '23503') {
@@ -401,10 +220,8 @@ export const submitDailyProgress = async (req, res) => {
       return sendServerError(res, progressError);
     }
 
-    // ✅ Update user achievements asynchronously
-    updateUserAchievements(telegramId).catch(error => {
-      console.error('Achievement update failed (non-critical):', error);
-    });
+    const completions = await TaskService.getCompletions(telegramId, todayDate);
+    const fullyCompletedIds = TaskService.getCompletedIds(completions);
 
     console.log(`✅ Progress saved for user ${telegramId}:`, {
       date: progress.date,
@@ -418,28 +235,29 @@ export const submitDailyProgress = async (req, res) => {
     const response = {
       success: true,
       totalPoints: progress.total_points,
-      message: `Ma'lumotlar muvaffaqiyatli saqlandi! ${progress.total_points}/10 vazifa bajarildi.`,
+      message: `Ma'lumotlar muvaffaqiyatli saqlandi! ${progress.total_points}/${progress.total_tasks} vazifa bajarildi.`,
       progress: {
         date: progress.date,
         user_timezone: userTimezone, // ✅ Debug uchun
         total_points: progress.total_points,
+        earned_points: progress.earned_points,
+        total_tasks: progress.total_tasks,
         pages_read: progress.pages_read,
         distance_km: parseFloat(progress.distance_km),
-        completion_percentage: Math.round((progress.total_points / 10) * 100),
+        completion_percentage: progress.total_tasks > 0
+          ? Math.round((progress.total_points / progress.total_tasks) * 100)
+          : 0,
         
-        // Individual task status
-        tasks: {
-          shart_1: progress.shart_1,
-          shart_2: progress.shart_2,
-          shart_3: progress.shart_3,
-          shart_4: progress.shart_4,
-          shart_5: progress.shart_5,
-          shart_6: progress.shart_6,
-          shart_7: progress.shart_7,
-          shart_8: progress.shart_8,
-          shart_9: progress.shart_9,
-          shart_10: progress.shart_10
-        },
+        // Individual task status (legacy shart_<id> flags + task ids)
+        tasks: TaskService.toLegacyTaskFlags(activeTasks, fullyCompletedIds),
+        completed_tasks: fullyCompletedIds,
+        quantities: TaskService.getQuantities(completions),
+        task_results: completions.map(c => ({
+          task_id: c.task_id,
+          value: c.value,
+          credit: c.credit,
+          earned_points: c.points_awarded
+        })),
         
         // Timestamps
         created_at: progress.created_at,
@@ -496,6 +314,11 @@ export const getUserDailyProgress = async (req, res) => {
       return sendServerError(res, error);
     }
 
+    // Archived tasks stay visible in history
+    const activeTasks = await TaskService.getActiveTasks(date, { includeArchived: true });
+    const completions = progress ? await TaskService.getCompletions(telegramId, date) : [];
+    const completedIds = TaskService.getCompletedIds(completions);
+
     // Return progress or empty state
     const response = {
       success: true,
@@ -503,30 +326,24 @@ export const getUserDailyProgress = async (req, res) => {
       exists: !!progress,
       progress: progress ? {
         total_points: progress.total_points,
+        earned_points: progress.earned_points,
+        total_tasks: progress.total_tasks,
         pages_read: progress.pages_read,
         distance_km: parseFloat(progress.distance_km),
-        tasks: {
-          shart_1: progress.shart_1,
-          shart_2: progress.shart_2,
-          shart_3: progress.shart_3,
-          shart_4: progress.shart_4,
-          shart_5: progress.shart_5,
-          shart_6: progress.shart_6,
-          shart_7: progress.shart_7,
-          shart_8: progress.shart_8,
-          shart_9: progress.shart_9,
-          shart_10: progress.shart_10
-        },
+        tasks: TaskService.toLegacyTaskFlags(activeTasks, completedIds),
+        completed_tasks: completedIds,
+        quantities: TaskService.getQuantities(completions),
         created_at: progress.created_at,
         updated_at: progress.updated_at
       } : {
         total_points: 0,
+        earned_points: 0,
+        total_tasks: activeTasks.length,
         pages_read: 0,
         distance_km: 0,
-        tasks: {
-          shart_1: 0, shart_2: 0, shart_3: 0, shart_4: 0, shart_5: 0,
-          shart_6: 0, shart_7: 0, shart_8: 0, shart_9: 0, shart_10: 0
-        }
+        tasks: TaskService.toLegacyTaskFlags(activeTasks),
+        completed_tasks: [],
+        quantities: {}
       }
     };
 
@@ -538,6 +355,104 @@ export const getUserDailyProgress = async (req, res) => {
   }
 };
 
+/**
+ * ✅ YANGI: Edit progress of today or a past day
+ * Within PROGRESS_EDIT_GRACE_DAYS the edit is applied, older days create an edit request for admins
+ */
+export const editDailyProgress = async (req, res) => {
+  try {
+    const { userId, date } = req.params;
+    const telegramId = parseInt(userId);
+
+    if (!isValidDateString(date)) {
+      return sendError(res, 'Invalid date', 400);
+    }
+
+    const userTimezone = await TimezoneService.resolveTimezone(req, telegramId);
+    const todayDate = getTodayInTimezone(userTimezone);
+    const daysAgo = daysBetween(date, todayDate);
+
+    if (daysAgo < 0) {
+      return sendError(res, 'Cannot edit progress for future dates', 400, { today: todayDate });
+    }
+
+    // Check user exists and is approved
+    const { data: user } = await supabase
+      .from('users')
+      .select('is_approved')
+      .eq('tg_id', telegramId)
+      .single();
+
+    if (!user || !user.is_approved) {
+      return sendError(res, 'User not found or not approved', 403);
+    }
+
+    // ✅ Only explicitly sent tasks are checked, kept tasks may be archived since
+    const activeTasks = await TaskService.getActiveTasks(date);
+    const sentTaskIds = ProgressService.hasTaskSelection(req.body)
+      ? TaskService.parseCompletedTaskIds(req.body)
+      : [];
+    const selectionError = TaskService.findSelectionError(activeTasks, sentTaskIds, TaskService.parseQuantities(req.body));
+
+    if (selectionError) {
+      return sendError(res, selectionError.message, 400, selectionError.details);
+    }
+
+    const snapshot = await ProgressService.getSnapshot(telegramId, date);
+    const payload = ProgressService.buildEditPayload(snapshot, req.body);
+    const graceDays = config.PROGRESS_EDIT_GRACE_DAYS;
+
+    // ✅ Grace window'dan tashqari: admin tasdiqlashi kerak
+    if (!ProgressService.isWithinGraceWindow(date, todayDate)) {
+      const editRequest = await ProgressService.createEditRequest(telegramId, date, payload, req.body.reason || null);
+
+      console.log(`📝 Edit request ${editRequest.id} for user ${telegramId} on ${date} (${daysAgo} days ago)`);
+
+      return sendSuccess(res, {
+        applied: false,
+        date: date,
+        days_ago: daysAgo,
+        grace_days: graceDays,
+        edit_request: editRequest
+      }, `${graceDays} kundan eski kunlar admin tasdiqlashidan keyin o'zgaradi`, 202);
+    }
+
+    const progress = await ProgressService.saveProgress(telegramId, date, payload, {
+      ...AuditService.getRequestContext(req),
+      action: AuditService.PROGRESS_ACTIONS.EDIT
+    });
+
+    const completions = await TaskService.getCompletions(telegramId, date);
+    const completedIds = TaskService.getCompletedIds(completions);
+    const dayTasks = await TaskService.getActiveTasks(date, { includeArchived: true });
+
+    console.log(`✏️ Progress edited for user ${telegramId} on ${date}: ${progress.total_points}/${progress.total_tasks}`);
+
+    return sendSuccess(res, {
+      applied: true,
+      date: date,
+      days_ago: daysAgo,
+      grace_days: graceDays,
+      progress: {
+        total_points: progress.total_points,
+        earned_points: progress.earned_points,
+        total_tasks: progress.total_tasks,
+        pages_read: progress.pages_read,
+        distance_km: parseFloat(progress.distance_km),
+        tasks: TaskService.toLegacyTaskFlags(dayTasks, completedIds),
+        completed_tasks: completedIds,
+        quantities: TaskService.getQuantities(completions),
+        created_at: progress.created_at,
+        updated_at: progress.updated_at
+      }
+    }, `Ma'lumotlar yangilandi! ${progress.total_points}/${progress.total_tasks} vazifa bajarildi.`);
+
+  } catch (error) {
+    console.error('Error in editDailyProgress:', error);
+    return sendServerError(res, error);
+  }
+};
+
 /**
  * ✅ Get user progress history
  */
@@ -567,9 +482,9 @@ export const getUserProgressHistory = async (req, res) => {
     // Get progress history
     const { data: history, error } = await supabase
       .from('daily_progress')
-      .select('date, total_points, pages_read, distance_km, created_at')
+      .select('date, total_points, earned_points, total_tasks, pages_read, distance_km, created_at')
       .eq('tg_id', telegramId)
-      .gte('date', new Date(Date.now() - daysCount * 24 * 60 * 60 * 1000).toISOString().split('T')[0])
+      .gte('date', addDays(await TimezoneService.getUserToday(telegramId), -daysCount))
       .order('date', { ascending: false });
 
     if (error) {
@@ -581,7 +496,9 @@ export const getUserProgressHistory = async (req, res) => {
     const totalPoints = history?.reduce((sum, day) => sum + day.total_points, 0) || 0;
     const totalPages = history?.reduce((sum, day) => sum + day.pages_read, 0) || 0;
     const totalDistance = history?.reduce((sum, day) => sum + parseFloat(day.distance_km), 0) || 0;
-    const perfectDays = history?.filter(day => day.total_points === 10).length || 0;
+    const totalEarned = history?.reduce((sum, day) => sum + (day.earned_points || 0), 0) || 0;
+    const totalPossible = history?.reduce((sum, day) => sum + (day.total_tasks || 0), 0) || 0;
+    const perfectDays = history?.filter(day => day.total_tasks > 0 && day.total_points >= day.total_tasks).length || 0;
 
     const response = {
       success: true,
@@ -596,11 +513,12 @@ export const getUserProgressHistory = async (req, res) => {
       history: history || [],
       statistics: {
         total_points: totalPoints,
+        earned_points: totalEarned,
         total_pages: totalPages,
         total_distance: totalDistance,
         perfect_days: perfectDays,
         average_points_per_day: totalDays > 0 ? Math.round((totalPoints / totalDays) * 10) / 10 : 0,
-        completion_rate: totalDays > 0 ? Math.round((totalPoints / (totalDays * 10)) * 100) : 0
+        completion_rate: totalPossible > 0 ? Math.round((totalPoints / totalPossible) * 100) : 0
       }
     };
 
@@ -4,7 +4,17 @@
 // File: src/controllers/userController.js
 
 import supabase from "../config/database.js";
+import { config } from "../config/environment.js";
+import { STREAK_FREEZES, TASK_ANALYTICS } from "../config/constants.js";
 import { AchievementService } from "../services/achievementService.js";
+import { TaskService } from "../services/taskService.js";
+import { TimezoneService } from "../services/timezoneService.js";
+import { LeaderboardService } from "../services/leaderboardService.js";
+import { StreakFreezeService } from "../services/streakFreezeService.js";
+import { StreakService } from "../services/streakService.js";
+import { StatisticsService } from "../services/statisticsService.js";
+import { getRequestLanguage } from "../utils/helpers.js";
+import { getTodayInTimezone, getWeekDates, getMonthRange, addDays, daysBetween, isValidTimezone } from "../utils/dateUtils.js";
 import {
   sendSuccess,
   sendError,
@@ -12,54 +22,6 @@ import {
   sendServerError,
 } from "../utils/responses.js";
 
-// =====================================================
-// ✅ YANGI: TIMEZONE SUPPORT FUNCTIONS
-// =====================================================
-
-/**
- * Get current week data with timezone support
- */
-function getCurrentWeekData(timezone = 'UTC') {
-  const now = new Date();
-  const today = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
-  
-  // Get Monday of current week
-  const dayOfWeek = today.getDay(); // 0 = Sunday, 1 = Monday, ...
-  const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-  
-  const weekStart = new Date(today);
-  weekStart.setDate(today.getDate() - daysFromMonday);
-  weekStart.setHours(0, 0, 0, 0);
-  
-  const weekEnd = new Date(weekStart);
-  weekEnd.setDate(weekStart.getDate() + 6);
-  weekEnd.setHours(23, 59, 59, 999);
-  
-  // Generate week dates array (Monday to Sunday)
-  const weekDates = [];
-  for (let i = 0; i < 7; i++) {
-    const date = new Date(weekStart);
-    date.setDate(weekStart.getDate() + i);
-    weekDates.push(date.toISOString().split('T')[0]);
-  }
-  
-  return {
-    startDate: weekStart.toISOString().split('T')[0],
-    endDate: weekEnd.toISOString().split('T')[0],
-    weekDates,
-    currentDayIndex: daysFromMonday
-  };
-}
-
-/**
- * Get today's date in user timezone
- */
-function getTodayInTimezone(timezone = 'UTC') {
-  const now = new Date();
-  const today = new Date(now.toLocaleString('en-US', { timeZone: timezone }));
-  return today.toISOString().split('T')[0];
-}
-
 // =====================================================
 // ✅ TUZATILGAN: CURRENT WEEK DAILY POINTS (Du-Ya format)
 // =====================================================
@@ -68,13 +30,13 @@ function getTodayInTimezone(timezone = 'UTC') {
  * ✅ ASOSIY: Get current week daily points (Monday to Sunday)
  * Frontend expects: [Mon, Tue, Wed, Thu, Fri, Sat, Sun]
  */
-async function getCurrentWeekDailyPoints(tg_id, timezone = 'UTC') {
+async function getCurrentWeekDailyPoints(tg_id, today) {
   try {
-    const { weekDates } = getCurrentWeekData(timezone);
+    const { weekDates } = getWeekDates(today);
     
     console.log('📅 Backend getCurrentWeekDailyPoints:', {
       user: tg_id,
-      timezone,
+      today,
       weekDates,
       weekStart: weekDates[0],
       weekEnd: weekDates[6]
@@ -113,17 +75,15 @@ async function getCurrentWeekDailyPoints(tg_id, timezone = 'UTC') {
 // =====================================================
 
 /**
- * Get today's statistics with timezone support
+ * Get today's statistics (todayDate is user's local date)
  */
-async function getTodayStatistics(telegramId, timezone = 'UTC') {
+async function getTodayStatistics(telegramId, todayDate) {
   try {
-    const todayDate = getTodayInTimezone(timezone);
-    
-    console.log(`📅 Getting today stats for ${todayDate} (timezone: ${timezone})`);
+    console.log(`📅 Getting today stats for ${todayDate}`);
 
     const { data, error } = await supabase
       .from('daily_progress')
-      .select('total_points, pages_read, distance_km')
+      .select('total_points, earned_points, pages_read, distance_km')
       .eq('tg_id', telegramId)
       .eq('date', todayDate)
       .single();
@@ -135,6 +95,7 @@ async function getTodayStatistics(telegramId, timezone = 'UTC') {
 
     const stats = {
       completed: data?.total_points || 0,
+      earned_points: data?.earned_points || 0,
       pages_read: data?.pages_read || 0,
       distance_km: parseFloat(data?.distance_km) || 0
     };
@@ -151,34 +112,37 @@ async function getTodayStatistics(telegramId, timezone = 'UTC') {
 /**
  * Get all-time statistics
  */
-async function getAllTimeStatistics(telegramId) {
+async function getAllTimeStatistics(telegramId, todayDate) {
   try {
     // Get from user_statistics view if available
     const { data: userStats, error: statsError } = await supabase
       .from('user_statistics')
-      .select('total_points, total_pages, total_distance, total_days')
+      .select('total_points, total_earned_points, total_pages, total_distance, total_days')
       .eq('tg_id', telegramId)
       .single();
 
+    // Perfectionist / early bird streaks
+    const { perfect, early_bird } = await StreakService.getUserStreaks(telegramId, {
+      today: todayDate,
+      kinds: [StreakService.KINDS.PERFECT, StreakService.KINDS.EARLY_BIRD]
+    });
+
     if (!statsError && userStats) {
-      // Calculate streaks
-      const currentStreak = await calculateUserStreak(telegramId);
-      const longestStreak = await calculateLongestStreak(telegramId);
-      
       return {
         total_points: userStats.total_points || 0,
+        total_earned_points: userStats.total_earned_points || 0,
         total_pages: userStats.total_pages || 0,
         total_distance: parseFloat(userStats.total_distance) || 0,
         total_days: userStats.total_days || 0,
-        perfectionist_streak: currentStreak,
-        early_bird_streak: 0 // TODO: Implement early bird tracking
+        perfectionist_streak: perfect.current,
+        early_bird_streak: early_bird.current
       };
     }
 
     // Fallback: Calculate from daily_progress directly
     const { data, error } = await supabase
       .from('daily_progress')
-      .select('total_points, pages_read, distance_km, date')
+      .select('total_points, earned_points, pages_read, distance_km, date')
       .eq('tg_id', telegramId);
 
     if (error || !data) {
@@ -194,11 +158,12 @@ async function getAllTimeStatistics(telegramId) {
 
     const stats = {
       total_points: data.reduce((sum, d) => sum + (d.total_points || 0), 0),
+      total_earned_points: data.reduce((sum, d) => sum + (d.earned_points || 0), 0),
       total_pages: data.reduce((sum, d) => sum + (d.pages_read || 0), 0),
       total_distance: data.reduce((sum, d) => sum + parseFloat(d.distance_km || 0), 0),
       total_days: new Set(data.map(d => d.date)).size,
-      perfectionist_streak: await calculateUserStreak(telegramId),
-      early_bird_streak: 0
+      perfectionist_streak: perfect.current,
+      early_bird_streak: early_bird.current
     };
 
     console.log(`✅ All-time stats for ${telegramId}:`, stats);
@@ -217,94 +182,13 @@ async function getAllTimeStatistics(telegramId) {
   }
 }
 
-/**
- * Calculate user streak (consecutive days with points > 0)
- */
-async function calculateUserStreak(tg_id) {
-  try {
-    const { data, error } = await supabase
-      .from('daily_progress')
-      .select('date, total_points')
-      .eq('tg_id', tg_id)
-      .order('date', { ascending: false })
-      .limit(30);
-
-    if (error || !data) return 0;
-
-    let streak = 0;
-    const today = new Date();
-
-    for (let i = 0; i < 30; i++) {
-      const checkDate = new Date(today.getTime() - i * 24 * 60 * 60 * 1000);
-      const dateStr = checkDate.toISOString().split('T')[0];
-      const dayData = data.find(d => d.date === dateStr);
-
-      if (dayData && dayData.total_points > 0) {
-        streak++;
-      } else {
-        break;
-      }
-    }
-
-    return streak;
-  } catch (error) {
-    console.error('Error calculating streak:', error);
-    return 0;
-  }
-}
-
-/**
- * Calculate longest streak for user
- */
-async function calculateLongestStreak(tg_id) {
-  try {
-    const { data, error } = await supabase
-      .from('daily_progress')
-      .select('date, total_points')
-      .eq('tg_id', tg_id)
-      .gt('total_points', 0)
-      .order('date', { ascending: true });
-
-    if (error || !data || data.length === 0) return 0;
-
-    let longestStreak = 1;
-    let currentStreak = 1;
-
-    for (let i = 1; i < data.length; i++) {
-      const prevDate = new Date(data[i - 1].date);
-      const currDate = new Date(data[i].date);
-      const dayDiff = (currDate - prevDate) / (1000 * 60 * 60 * 24);
-
-      if (dayDiff === 1) {
-        currentStreak++;
-        longestStreak = Math.max(longestStreak, currentStreak);
-      } else {
-        currentStreak = 1;
-      }
-    }
-
-    return longestStreak;
-  } catch (error) {
-    console.error('Error calculating longest streak:', error);
-    return 0;
-  }
-}
-
 /**
  * Get user rank in leaderboard
  */
 async function getUserRank(tg_id) {
   try {
-    const { data, error } = await supabase
-      .from('user_statistics')
-      .select('tg_id, total_points')
-      .order('total_points', { ascending: false })
-      .order('tg_id', { ascending: true });
-
-    if (error || !data) return 0;
-
-    const userIndex = data.findIndex(u => u.tg_id === tg_id);
-    return userIndex !== -1 ? userIndex + 1 : 0;
+    const { rank } = await LeaderboardService.getUserPosition(tg_id, { neighbours: 0 });
+    return rank;
   } catch (error) {
     console.error('Error getting user rank:', error);
     return 0;
@@ -322,14 +206,15 @@ async function getUserRank(tg_id) {
 export const getUserStatistics = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { year, month, timezone } = req.query;
+    const { year, month } = req.query;
     const telegramId = parseInt(userId);
     
     if (!telegramId || telegramId <= 0) {
       return sendError(res, "Invalid userId", 400);
     }
 
-    const userTimezone = timezone || req.headers['x-timezone'] || 'UTC';
+    const userTimezone = await TimezoneService.resolveTimezone(req, telegramId);
+    const todayDate = getTodayInTimezone(userTimezone);
     
     console.log(`📊 Getting statistics for user ${telegramId}`, {
       year, month, timezone: userTimezone
@@ -355,10 +240,11 @@ export const getUserStatistics = async (req, res) => {
     }
 
     // ✅ Get all statistics
-    const [todayStats, weeklyPoints, allTimeStats] = await Promise.all([
-      getTodayStatistics(telegramId, userTimezone),
-      getCurrentWeekDailyPoints(telegramId, userTimezone),
-      getAllTimeStatistics(telegramId)
+    const [todayStats, weeklyPoints, allTimeStats, activeTasks] = await Promise.all([
+      getTodayStatistics(telegramId, todayDate),
+      getCurrentWeekDailyPoints(telegramId, todayDate),
+      getAllTimeStatistics(telegramId, todayDate),
+      TaskService.getActiveTasks(todayDate)
     ]);
 
     const response = {
@@ -366,7 +252,7 @@ export const getUserStatistics = async (req, res) => {
       weekly: {
         dailyPoints: weeklyPoints,
         weeklyTotal: weeklyPoints.reduce((sum, points) => sum + points, 0),
-        dailyTotal: 10
+        dailyTotal: activeTasks.length
       },
       all_time: allTimeStats,
       timezone: userTimezone,
@@ -376,7 +262,7 @@ export const getUserStatistics = async (req, res) => {
     // ✅ Add calendar data if requested
     if (year && month) {
       try {
-        const calendarData = await getCalendarData(telegramId, parseInt(year), parseInt(month), userTimezone);
+        const calendarData = await getCalendarData(telegramId, parseInt(year), parseInt(month), todayDate);
         response.calendar = calendarData;
       } catch (calendarError) {
         console.warn("Calendar data error:", calendarError);
@@ -453,8 +339,9 @@ export const getUserProfile = async (req, res) => {
     const firstName = nameParts[0] || "";
     const lastName = nameParts.slice(1).join(" ") || "";
 
-    const currentStreak = await calculateUserStreak(telegramId);
-    const longestStreak = await calculateLongestStreak(telegramId);
+    const userTimezone = await TimezoneService.resolveTimezone(req, telegramId);
+    const todayDate = getTodayInTimezone(userTimezone);
+    const { current: currentStreak, longest: longestStreak } = await StreakService.getActivityStreak(telegramId, { today: todayDate });
     const userRank = await getUserRank(telegramId);
 
     const profile = {
@@ -477,6 +364,7 @@ export const getUserProfile = async (req, res) => {
         longestStreak: longestStreak,
         rank: userRank,
         joinDate: userStats.created_at,
+        timezone: userTimezone,
         lastActivity: new Date().toISOString(),
 
         // Stats object
@@ -499,6 +387,188 @@ export const getUserProfile = async (req, res) => {
   }
 };
 
+/**
+ * ✅ YANGI: Update user timezone (Mini App settings or device change)
+ * PUT /api/users/:userId/timezone
+ */
+export const updateUserTimezone = async (req, res) => {
+  try {
+    const telegramId = parseInt(req.params.userId);
+    const { timezone } = req.body;
+
+    if (!isValidTimezone(timezone)) {
+      return sendError(res, "Invalid timezone. Use IANA name like Asia/Tashkent", 400);
+    }
+
+    const savedTimezone = await TimezoneService.setUserTimezone(telegramId, timezone);
+
+    console.log(`🌍 Timezone for user ${telegramId} set to ${savedTimezone}`);
+
+    return sendSuccess(res, {
+      timezone: savedTimezone,
+      today: getTodayInTimezone(savedTimezone)
+    }, "Timezone updated");
+
+  } catch (error) {
+    console.error("Error in updateUserTimezone:", error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ YANGI: Every streak of user (same numbers as profile, statistics and achievements)
+ * GET /api/users/:userId/streaks?timezone=Asia/Tashkent
+ */
+export const getUserStreaks = async (req, res) => {
+  try {
+    const telegramId = parseInt(req.params.userId);
+    const todayDate = getTodayInTimezone(await TimezoneService.resolveTimezone(req, telegramId));
+
+    const [streaks, tasks] = await Promise.all([
+      StreakService.getUserStreaks(telegramId, { today: todayDate }),
+      TaskService.getAllTasks()
+    ]);
+    const tasksById = new Map(tasks.map(task => [task.id, task]));
+
+    return sendSuccess(res, {
+      ...streaks,
+      tasks: streaks.tasks.map(streak => ({
+        ...streak,
+        title: tasksById.get(streak.task_id)?.title || null,
+        icon: tasksById.get(streak.task_id)?.icon || null
+      }))
+    });
+
+  } catch (error) {
+    console.error("Error in getUserStreaks:", error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ YANGI: Per-task analytics (completion rate, streaks, weekday pattern, trend)
+ * GET /api/users/:userId/tasks/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&lang=uz
+ */
+export const getTaskAnalytics = async (req, res) => {
+  try {
+    const telegramId = parseInt(req.params.userId);
+    const todayDate = getTodayInTimezone(await TimezoneService.resolveTimezone(req, telegramId));
+    const period = StatisticsService.getAnalyticsPeriod(req.query, todayDate);
+
+    if (period.to < period.from) {
+      return sendError(res, "from must be on or before to (to is capped at today)", 400);
+    }
+
+    if (period.days > TASK_ANALYTICS.MAX_DAYS) {
+      return sendError(res, `Period can not be longer than ${TASK_ANALYTICS.MAX_DAYS} days`, 400);
+    }
+
+    const analytics = await StatisticsService.getTaskAnalytics(telegramId, period, {
+      today: todayDate,
+      lang: getRequestLanguage(req)
+    });
+
+    return sendSuccess(res, analytics);
+
+  } catch (error) {
+    console.error("Error in getTaskAnalytics:", error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ YANGI: Streak freeze balance and neutral days of the last 90 days
+ * GET /api/users/:userId/streak/freezes
+ */
+export const getStreakFreezes = async (req, res) => {
+  try {
+    const telegramId = parseInt(req.params.userId);
+    const today = await TimezoneService.getUserToday(telegramId);
+
+    const [freezes, neutralDays] = await Promise.all([
+      StreakFreezeService.getBalance(telegramId),
+      StreakFreezeService.listExcusedDays({ tg_id: telegramId, from: addDays(today, -89), to: today })
+    ]);
+
+    return sendSuccess(res, {
+      freezes,
+      rules: {
+        earn_every_days: STREAK_FREEZES.EARN_EVERY_DAYS,
+        max_balance: STREAK_FREEZES.MAX_BALANCE,
+        max_age_days: STREAK_FREEZES.MAX_AGE_DAYS
+      },
+      neutral_days: neutralDays.map(({ date, kind, reason, tg_id }) => ({
+        date,
+        kind,
+        reason,
+        community: tg_id === null
+      })),
+      today
+    });
+
+  } catch (error) {
+    console.error("Error in getStreakFreezes:", error);
+    return sendServerError(res, error);
+  }
+};
+
+/**
+ * ✅ YANGI: Spend a streak freeze on a missed day
+ * POST /api/users/:userId/streak/freezes
+ * Body: { date: "YYYY-MM-DD" }  // before today, at most MAX_AGE_DAYS back
+ */
+export const useStreakFreeze = async (req, res) => {
+  try {
+    const telegramId = parseInt(req.params.userId);
+    const { date } = req.body;
+    const today = await TimezoneService.getUserToday(telegramId);
+    const daysAgo = daysBetween(date, today);
+
+    if (daysAgo < 1 || daysAgo > STREAK_FREEZES.MAX_AGE_DAYS) {
+      return sendError(res, `Only missed days of the last ${STREAK_FREEZES.MAX_AGE_DAYS} days (before today) can be frozen`, 400);
+    }
+
+    const { data: dayData, error } = await supabase
+      .from("daily_progress")
+      .select("total_points")
+      .eq("tg_id", telegramId)
+      .eq("date", date)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+    if (dayData?.total_points > 0) {
+      return sendError(res, "Day already counts for the streak", 400);
+    }
+
+    const result = await StreakFreezeService.useFreeze(telegramId, date);
+
+    if (result === "no_tokens") {
+      return sendError(res, "No streak freezes left", 409);
+    }
+    if (result === "already_neutral") {
+      return sendError(res, "Day is already frozen or excused", 409);
+    }
+
+    // Bridged streak may complete a streak badge
+    if (config.ENABLE_ACHIEVEMENT_SYSTEM) {
+      AchievementService.updateUserAchievements(telegramId);
+    }
+
+    console.log(`🧊 Streak freeze used by ${telegramId} on ${date}`);
+
+    return sendSuccess(res, {
+      date,
+      freezes: await StreakFreezeService.getBalance(telegramId)
+    }, "Streak freeze used", 201);
+
+  } catch (error) {
+    console.error("Error in useStreakFreeze:", error);
+    return sendServerError(res, error);
+  }
+};
+
 /**
  * ✅ Get calendar data for specific month
  * GET /api/users/:userId/calendar?year=2024&month=12&timezone=Asia/Tashkent
@@ -506,7 +576,7 @@ export const getUserProfile = async (req, res) => {
 export const getUserCalendar = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { year, month, timezone } = req.query;
+    const { year, month } = req.query;
     const telegramId = parseInt(userId);
     
     if (!telegramId || telegramId <= 0) {
@@ -519,11 +589,11 @@ export const getUserCalendar = async (req, res) => {
 
     const calendarYear = parseInt(year);
     const calendarMonth = parseInt(month);
-    const userTimezone = timezone || req.headers['x-timezone'] || 'UTC';
+    const userTimezone = await TimezoneService.resolveTimezone(req, telegramId);
 
     console.log(`📅 Getting calendar for user ${telegramId}: ${calendarYear}-${calendarMonth}`);
 
-    const calendarData = await getCalendarData(telegramId, calendarYear, calendarMonth, userTimezone);
+    const calendarData = await getCalendarData(telegramId, calendarYear, calendarMonth, getTodayInTimezone(userTimezone));
 
     return sendSuccess(res, {
       calendar: calendarData,
@@ -545,18 +615,18 @@ export const getUserCalendar = async (req, res) => {
 export const getWeeklyStats = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { timezone } = req.query;
     const telegramId = parseInt(userId);
     
     if (!telegramId || telegramId <= 0) {
       return sendError(res, "Invalid userId", 400);
     }
 
-    const userTimezone = timezone || req.headers['x-timezone'] || 'UTC';
+    const userTimezone = await TimezoneService.resolveTimezone(req, telegramId);
+    const todayDate = getTodayInTimezone(userTimezone);
     
     // Get current week data
-    const { currentDayIndex } = getCurrentWeekData(userTimezone);
-    const weeklyPoints = await getCurrentWeekDailyPoints(telegramId, userTimezone);
+    const { currentDayIndex } = getWeekDates(todayDate);
+    const weeklyPoints = await getCurrentWeekDailyPoints(telegramId, todayDate);
     
     // Calculate weekly statistics
     const completedDaysInWeek = currentDayIndex + 1;
@@ -564,7 +634,8 @@ export const getWeeklyStats = async (req, res) => {
       .slice(0, completedDaysInWeek)
       .reduce((sum, points) => sum + points, 0);
     
-    const maxPossiblePoints = completedDaysInWeek * 10;
+    const tasksPerDay = (await TaskService.getActiveTasks(todayDate)).length;
+    const maxPossiblePoints = completedDaysInWeek * tasksPerDay;
     const weeklyCompletionRate = maxPossiblePoints > 0 ? 
       Math.round((currentWeekPoints / maxPossiblePoints) * 100) : 0;
 
@@ -575,7 +646,7 @@ export const getWeeklyStats = async (req, res) => {
         weeklyCompletionRate: weeklyCompletionRate,
         completedDaysInWeek: completedDaysInWeek,
         maxPossibleThisWeek: maxPossiblePoints,
-        streak: await calculateUserStreak(telegramId),
+        streak: (await StreakService.getActivityStreak(telegramId, { today: todayDate })).current,
         bestDay: getBestDayFromWeekly(weeklyPoints.slice(0, completedDaysInWeek)),
         improvement: calculateWeeklyImprovement(weeklyPoints)
       },
@@ -597,29 +668,30 @@ export const getWeeklyStats = async (req, res) => {
 export const getUserMonthlyStatistics = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { year, month, timezone } = req.query;
+    const { year, month } = req.query;
     const telegramId = parseInt(userId);
     
     if (!telegramId || telegramId <= 0) {
       return sendError(res, "Invalid userId", 400);
     }
 
-    const calendarYear = year ? parseInt(year) : new Date().getFullYear();
-    const calendarMonth = month ? parseInt(month) : new Date().getMonth() + 1;
-    const userTimezone = timezone || req.headers['x-timezone'] || 'UTC';
+    const userTimezone = await TimezoneService.resolveTimezone(req, telegramId);
+    const todayDate = getTodayInTimezone(userTimezone);
+    const calendarYear = year ? parseInt(year) : parseInt(todayDate.slice(0, 4));
+    const calendarMonth = month ? parseInt(month) : parseInt(todayDate.slice(5, 7));
 
-    const calendarData = await getCalendarData(telegramId, calendarYear, calendarMonth, userTimezone);
+    const calendarData = await getCalendarData(telegramId, calendarYear, calendarMonth, todayDate);
     
-    // Convert to monthly statistics format
-    const daily_stats = calendarData.days
+    // Convert to monthly statistics format (total = tasks active on that day)
+    const daily_stats = await Promise.all(calendarData.days
       .filter(day => day.hasProgress)
-      .map(day => ({
+      .map(async day => ({
         date: day.fullDate,
         completed: day.totalPoints,
-        total: 10,
+        total: (await TaskService.getActiveTasks(day.fullDate, { includeArchived: true })).length,
         pages_read: day.pagesRead,
         distance_km: day.distanceKm
-      }));
+      })));
 
     return sendSuccess(res, {
       daily_stats,
@@ -674,21 +746,21 @@ export const getAchievementProgress = async (req, res) => {
 // =====================================================
 
 /**
- * Get calendar data for specific month
+ * Get calendar data for specific month (todayDate marks the user's local today)
  */
-async function getCalendarData(telegramId, year, month, timezone = 'UTC') {
+async function getCalendarData(telegramId, year, month, todayDate = null) {
   try {
-    const daysInMonth = new Date(year, month, 0).getDate();
+    const { startDate, nextMonthStart, daysInMonth } = getMonthRange(year, month);
     
     console.log(`📅 Getting calendar data for ${year}-${month} (${daysInMonth} days)`);
 
     // Get all progress data for the month
     const { data, error } = await supabase
       .from('daily_progress')
-      .select('date, total_points, pages_read, distance_km')
+      .select('date, total_points, total_tasks, pages_read, distance_km')
       .eq('tg_id', telegramId)
-      .gte('date', `${year}-${month.toString().padStart(2, '0')}-01`)
-      .lt('date', `${year}-${(month + 1).toString().padStart(2, '0')}-01`)
+      .gte('date', startDate)
+      .lt('date', nextMonthStart)
       .order('date');
 
     if (error) {
@@ -701,9 +773,10 @@ async function getCalendarData(telegramId, year, month, timezone = 'UTC') {
     // Map progress data by day
     if (data) {
       data.forEach(row => {
-        const day = new Date(row.date).getDate();
+        const day = parseInt(row.date.slice(8, 10));
         progressMap.set(day, {
           totalPoints: row.total_points || 0,
+          totalTasks: row.total_tasks || 0,
           pagesRead: row.pages_read || 0,
           distanceKm: parseFloat(row.distance_km) || 0
         });
@@ -714,14 +787,16 @@ async function getCalendarData(telegramId, year, month, timezone = 'UTC') {
     const days = [];
     for (let day = 1; day <= daysInMonth; day++) {
       const dayData = progressMap.get(day);
+      const fullDate = `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
       const hasProgress = !!dayData;
-      const completionPercentage = hasProgress 
-        ? Math.round((dayData.totalPoints / 10) * 100) 
+      const completionPercentage = hasProgress && dayData.totalTasks > 0
+        ? Math.round((dayData.totalPoints / dayData.totalTasks) * 100) 
         : 0;
 
       days.push({
         date: day,
-        fullDate: `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`,
+        fullDate,
+        isToday: fullDate === todayDate,
         hasProgress,
         completionPercentage,
         totalPoints: dayData?.totalPoints || 0,
@@ -0,0 +1,152 @@
+// =====================================================
+// ACHIEVEMENT RECOMPUTE JOB - Re-evaluate stored badges of every approved user
+// =====================================================
+import { AchievementService } from '../services/achievementService.js';
+import { DatabaseService } from '../services/databaseService.js';
+import logger from '../utils/logger.js';
+
+const MAX_STORED_JOBS = 10; // finished jobs kept in memory (lost on restart)
+
+const jobs = new Map();
+let lastJobId = 0;
+
+/**
+ * Job currently running (null if none)
+ */
+export function getRunningAchievementRecompute() {
+  return [...jobs.values()].find(job => job.status === 'running') || null;
+}
+
+/**
+ * Get job with full report (null if unknown)
+ */
+export function getAchievementRecomputeJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * Recent jobs, newest first, without per-user report
+ */
+export function listAchievementRecomputeJobs() {
+  return [...jobs.values()]
+    .reverse()
+    .map(({ changes, errors, ...job }) => ({ ...job, error_count: errors.length }));
+}
+
+/**
+ * Start recompute in the background (one job at a time)
+ * @param {boolean} dry_run - Only report the diff
+ * @param {boolean} revoke - Apply mode also removes badges that are no longer deserved
+ * @param {number[]} user_ids - Limit to these users (default: every approved user)
+ * @param {number|null} started_by - Admin tg_id
+ * @returns {Object|null} Job, null when another job is running
+ */
+export function startAchievementRecompute({ dry_run = true, revoke = false, user_ids = null, started_by = null } = {}) {
+  if (getRunningAchievementRecompute()) {
+    return null;
+  }
+
+  const job = {
+    id: ++lastJobId,
+    status: 'running',
+    dry_run,
+    revoke,
+    started_by,
+    started_at: new Date().toISOString(),
+    finished_at: null,
+    rules: [],
+    progress: { total: user_ids ? user_ids.length : null, processed: 0, failed: 0, percentage: 0 },
+    summary: { users_changed: 0, granted: 0, not_deserved: 0, revoked: 0, by_achievement: {} },
+    changes: [],
+    errors: [],
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  for (const id of jobs.keys()) {
+    if (jobs.size <= MAX_STORED_JOBS) break;
+    jobs.delete(id);
+  }
+
+  runAchievementRecompute(job, user_ids);
+  return job;
+}
+
+/**
+ * Evaluate users one by one; a failing user is recorded and skipped
+ */
+async function runAchievementRecompute(job, userIds) {
+  const mode = job.dry_run ? 'dry run' : `apply${job.revoke ? ' + revoke' : ''}`;
+  console.log(`🔁 Achievement recompute #${job.id} started (${mode})`);
+
+  try {
+    const rules = (await AchievementService.getAllRules()).filter(rule => rule.is_active);
+    const tgIds = userIds || await DatabaseService.getApprovedUserIds();
+
+    job.rules = rules.map(rule => rule.id);
+    job.progress.total = tgIds.length;
+
+    for (const tgId of tgIds) {
+      try {
+        const result = await AchievementService.recomputeUserAchievements(tgId, rules, {
+          apply: !job.dry_run,
+          revoke: job.revoke
+        });
+
+        if (result) {
+          recordChanges(job, result);
+        }
+      } catch (error) {
+        job.progress.failed++;
+        job.errors.push({ tg_id: tgId, error: error.message });
+      }
+
+      job.progress.processed++;
+      job.progress.percentage = Math.round((job.progress.processed / job.progress.total) * 100);
+    }
+
+    job.status = 'completed';
+    job.progress.percentage = 100;
+    console.log(`✅ Achievement recompute #${job.id} completed:`, job.summary);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message;
+    logger.error(`Achievement recompute #${job.id} failed:`, error);
+  } finally {
+    job.finished_at = new Date().toISOString();
+  }
+}
+
+/**
+ * Add user's diff to the report and counters
+ * not_deserved counts every badge failing its rule, revoked only those the job (would) remove.
+ */
+function recordChanges(job, { tg_id, grant, revoke, applied }) {
+  if (grant.length === 0 && revoke.length === 0) {
+    return;
+  }
+
+  job.changes.push({ tg_id, grant, revoke, applied });
+  job.summary.users_changed++;
+
+  const countFor = (id) => {
+    job.summary.by_achievement[id] ||= { granted: 0, not_deserved: 0, revoked: 0 };
+    return job.summary.by_achievement[id];
+  };
+
+  for (const change of grant) {
+    job.summary.granted++;
+    countFor(change.achievement_id).granted++;
+  }
+
+  for (const change of revoke) {
+    const counts = countFor(change.achievement_id);
+    job.summary.not_deserved++;
+    counts.not_deserved++;
+
+    if (job.revoke) {
+      job.summary.revoked++;
+      counts.revoked++;
+    }
+  }
+}
@@ -0,0 +1,47 @@
+// =====================================================
+// LEADERBOARD SNAPSHOT JOB - Rank history of closed days
+// =====================================================
+import { config } from '../config/environment.js';
+import { LeaderboardService } from '../services/leaderboardService.js';
+import { getTodayInTimezone, addDays } from '../utils/dateUtils.js';
+import logger from '../utils/logger.js';
+
+const CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Snapshot yesterday (community timezone) unless it is already stored
+ * Checked every hour, so restarts and missed runs catch up on their own
+ * @returns {Promise<number|null>} Stored rows, null when skipped or failed
+ */
+export async function runLeaderboardSnapshot() {
+  const date = addDays(getTodayInTimezone(), -1);
+
+  try {
+    if (await LeaderboardService.hasSnapshot(date)) {
+      return null;
+    }
+
+    return await LeaderboardService.takeSnapshot(date);
+  } catch (error) {
+    logger.error(`Leaderboard snapshot job failed for ${date}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Start hourly snapshot check (disabled with ENABLE_LEADERBOARD_SNAPSHOTS=false)
+ * @returns {NodeJS.Timeout|null} Interval handle
+ */
+export function startLeaderboardSnapshotJob() {
+  if (!config.ENABLE_LEADERBOARD_SNAPSHOTS) {
+    console.log('⏸️ Leaderboard snapshot job disabled');
+    return null;
+  }
+
+  runLeaderboardSnapshot();
+  const interval = setInterval(runLeaderboardSnapshot, CHECK_INTERVAL);
+  interval.unref();
+
+  console.log('📸 Leaderboard snapshot job started (hourly check)');
+  return interval;
+}
@@ -0,0 +1,339 @@
+// =====================================================
+// AUTH MIDDLEWARE - TELEGRAM INITDATA + BEARER TOKENS
+// =====================================================
+// File: src/middleware/auth.js
+
+import crypto from 'crypto';
+import { config } from '../config/environment.js';
+import { createServiceKey } from '../utils/helpers.js';
+import { TokenService } from '../services/tokenService.js';
+import { AdminService } from '../services/adminService.js';
+import { sendError } from '../utils/responses.js';
+import logger from '../utils/logger.js';
+
+// =====================================================
+// INITDATA VERIFICATION
+// =====================================================
+
+/**
+ * Verify Telegram Mini App initData signature and freshness
+ * @see https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+ * @param {string} initData - Raw initData query string from Telegram.WebApp.initData
+ * @param {string} botToken - Bot token used to derive the HMAC secret
+ * @param {number} maxAgeSeconds - Maximum allowed age of auth_date
+ * @returns {Object} { valid, reason?, user?, auth_date? }
+ */
+export function verifyInitData(initData, botToken, maxAgeSeconds = config.INIT_DATA_MAX_AGE) {
+  if (!initData || typeof initData !== 'string') {
+    return { valid: false, reason: 'initData is missing' };
+  }
+
+  if (!botToken) {
+    return { valid: false, reason: 'BOT_TOKEN is not configured' };
+  }
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+
+  if (!hash || !/^[a-f0-9]{64}$/i.test(hash)) {
+    return { valid: false, reason: 'initData hash is missing or malformed' };
+  }
+
+  params.delete('hash');
+
+  // data_check_string: all fields except hash, sorted by key, joined with \n
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const computedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+  if (!crypto.timingSafeEqual(Buffer.from(computedHash, 'hex'), Buffer.from(hash, 'hex'))) {
+    return { valid: false, reason: 'initData signature mismatch' };
+  }
+
+  const authDate = parseInt(params.get('auth_date'));
+  if (!authDate) {
+    return { valid: false, reason: 'auth_date is missing' };
+  }
+
+  const ageSeconds = Math.floor(Date.now() / 1000) - authDate;
+  if (ageSeconds > maxAgeSeconds) {
+    return { valid: false, reason: 'initData has expired' };
+  }
+
+  let user;
+  try {
+    user = JSON.parse(params.get('user') || 'null');
+  } catch (error) {
+    return { valid: false, reason: 'initData user is not valid JSON' };
+  }
+
+  if (!user || !Number.isInteger(user.id) || user.id <= 0) {
+    return { valid: false, reason: 'initData user is missing' };
+  }
+
+  return { valid: true, user, auth_date: authDate };
+}
+
+/**
+ * Extract raw initData from request
+ * Supports "X-Telegram-Init-Data: <initData>" and "Authorization: tma <initData>"
+ */
+function extractInitData(req) {
+  const headerValue = req.headers['x-telegram-init-data'];
+  if (headerValue) {
+    return headerValue;
+  }
+
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('tma ')) {
+    return authorization.slice(4).trim();
+  }
+
+  return null;
+}
+
+/**
+ * Check internal service key (bot -> API calls)
+ */
+function isServiceRequest(req) {
+  const providedKey = req.headers['x-service-key'];
+  if (!providedKey || !config.BOT_TOKEN) {
+    return false;
+  }
+
+  const expectedKey = createServiceKey(config.BOT_TOKEN);
+  const provided = Buffer.from(String(providedKey));
+  const expected = Buffer.from(expectedKey);
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+// =====================================================
+// MIDDLEWARES
+// =====================================================
+
+/**
+ * ✅ Authenticate request with Telegram initData
+ * Binds req.user = { tg_id, first_name, last_name, username, ... }
+ */
+export const authenticateTelegram = (req, res, next) => {
+  // Trusted server-to-server calls from the Telegram bot
+  // X-Acting-User-Id names the Telegram user the bot acts for (role checks apply to them)
+  if (isServiceRequest(req)) {
+    const actingUserId = parseInt(req.headers['x-acting-user-id']);
+    req.user = {
+      tg_id: actingUserId > 0 ? actingUserId : null,
+      is_service: true,
+      auth_method: 'service'
+    };
+    return next();
+  }
+
+  const initData = extractInitData(req);
+  const result = verifyInitData(initData, config.BOT_TOKEN);
+
+  if (!result.valid) {
+    logger.warn('Telegram auth failed:', {
+      reason: result.reason,
+      path: req.path,
+      method: req.method,
+      ip: req.ip
+    });
+
+    return sendError(res, 'Unauthorized', 401, {
+      reason: result.reason,
+      help: 'Send Telegram.WebApp.initData in the X-Telegram-Init-Data header'
+    });
+  }
+
+  req.user = {
+    tg_id: result.user.id,
+    first_name: result.user.first_name || null,
+    last_name: result.user.last_name || null,
+    username: result.user.username || null,
+    photo_url: result.user.photo_url || null,
+    language_code: result.user.language_code || null,
+    auth_date: result.auth_date,
+    auth_method: 'init_data'
+  };
+
+  next();
+};
+
+/**
+ * ✅ Authenticate request with Bearer access token or Telegram initData
+ * "Authorization: Bearer <access_token>" is preferred for polling,
+ * initData is still accepted so the Mini App can bootstrap a session.
+ * Access tokens of users who are no longer approved are refused.
+ */
+export const requireAuth = async (req, res, next) => {
+  const authorization = req.headers.authorization || '';
+
+  if (!authorization.startsWith('Bearer ')) {
+    return authenticateTelegram(req, res, next);
+  }
+
+  let payload;
+  try {
+    payload = TokenService.verifyAccessToken(authorization.slice(7).trim());
+  } catch (error) {
+    const expired = error.name === 'TokenExpiredError';
+
+    logger.warn('Bearer auth failed:', {
+      reason: error.message,
+      path: req.path,
+      method: req.method,
+      ip: req.ip
+    });
+
+    return sendError(res, 'Unauthorized', 401, {
+      reason: expired ? 'token_expired' : 'invalid_token',
+      help: expired ? 'Refresh the session via POST /api/auth/refresh' : undefined
+    });
+  }
+
+  try {
+    if (!(await TokenService.isApproved(payload.tg_id))) {
+      logger.warn('Bearer token of user who is not approved:', {
+        tg_id: payload.tg_id,
+        path: req.path,
+        method: req.method
+      });
+
+      return sendError(res, 'Unauthorized', 401, { reason: 'not_approved' });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.user = {
+    tg_id: payload.tg_id,
+    auth_method: 'bearer',
+    token_expires_at: payload.exp
+  };
+
+  next();
+};
+
+/**
+ * ✅ Authenticate only when credentials are sent, anonymous requests pass without req.user
+ * Used on public views that highlight the signed user (leaderboard).
+ */
+export const optionalAuth = (req, res, next) => {
+  const hasCredentials = req.headers.authorization ||
+    req.headers['x-telegram-init-data'] ||
+    req.headers['x-service-key'];
+
+  if (!hasCredentials) {
+    return next();
+  }
+
+  return requireAuth(req, res, next);
+};
+
+/**
+ * Accept access token from ?access_token= (EventSource cannot send headers)
+ * Only used on the stream route, an Authorization header still wins.
+ */
+export const acceptQueryToken = (req, res, next) => {
+  const token = req.query?.access_token;
+
+  if (token && !req.headers.authorization) {
+    req.headers.authorization = `Bearer ${token}`;
+  }
+
+  next();
+};
+
+/**
+ * ✅ Reject requests whose path/body user differs from the signed user
+ * @param {string} field - Field name holding the Telegram ID (e.g. 'userId', 'tg_id')
+ * @param {string} target - Where to look: 'params' | 'body'
+ */
+export const requireSameUser = (field, target = 'params') => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, 'Unauthorized', 401);
+    }
+
+    if (req.user.is_service) {
+      return next();
+    }
+
+    const source = target === 'body' ? req.body : req.params;
+    const value = source?.[field];
+
+    if (value === undefined || value === null || value === '') {
+      return next();
+    }
+
+    if (parseInt(value) !== req.user.tg_id) {
+      logger.warn('User mismatch rejected:', {
+        path: req.path,
+        method: req.method,
+        signed_user: req.user.tg_id,
+        requested_user: value,
+        field: `${target}.${field}`
+      });
+
+      return sendError(res, 'Forbidden: you can only access your own data', 403);
+    }
+
+    next();
+  };
+};
+
+/**
+ * ✅ Require staff role (admin > moderator)
+ * Must run after requireAuth. Bot service calls acting for a Telegram user are
+ * checked against that user, service calls without one pass.
+ * @param {string} role - Minimum role: 'moderator' | 'admin'
+ */
+export const requireRole = (role) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, 'Unauthorized', 401);
+    }
+
+    if (req.user.is_service && !req.user.tg_id) {
+      return next();
+    }
+
+    try {
+      const allowed = await AdminService.hasRole(req.user.tg_id, role);
+
+      if (!allowed) {
+        logger.warn('Role check rejected:', {
+          path: req.path,
+          method: req.method,
+          tg_id: req.user.tg_id,
+          required_role: role
+        });
+
+        return sendError(res, `Forbidden: ${role} role required`, 403);
+      }
+
+      req.user.role = await AdminService.getRole(req.user.tg_id);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// =====================================================
+// PRE-BUILT AUTH MIDDLEWARES
+// =====================================================
+
+export const authorizeUserParam = [requireAuth, requireSameUser('userId', 'params')];
+export const authorizeTgIdParam = [requireAuth, requireSameUser('tg_id', 'params')];
+export const authorizeTgIdBody = [requireAuth, requireSameUser('tg_id', 'body')];
+export const authorizeUserIdBody = [requireAuth, requireSameUser('userId', 'body')];
+export const authorizeStream = [acceptQueryToken, requireAuth];
+
+export const requireModerator = [requireAuth, requireRole(AdminService.ROLES.MODERATOR)];
+export const requireAdmin = [requireAuth, requireRole(AdminService.ROLES.ADMIN)];
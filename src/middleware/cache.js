@@ -0,0 +1,85 @@
+// =====================================================
+// RESPONSE CACHE MIDDLEWARE - TTL + ETAG / 304
+// =====================================================
+// File: src/middleware/cache.js
+
+import { config } from '../config/environment.js';
+import { CACHE_TTLS } from '../config/constants.js';
+import { CacheService } from '../services/cacheService.js';
+import { TimezoneService } from '../services/timezoneService.js';
+
+/**
+ * Stable "a=1&b=2" form of (validated) query
+ */
+const describeQuery = (query = {}) => Object.keys(query)
+  .sort()
+  .filter(name => query[name] !== undefined)
+  .map(name => `${name}=${query[name]}`)
+  .join('&');
+
+/**
+ * Signed user and (valid) timezone reported by the Mini App change "today" of shared views
+ * Raw headers never reach the key, so clients cannot mint unbounded keys.
+ */
+const describeRequester = (req) =>
+  `u=${req.user?.tg_id || ''}|tz=${TimezoneService.getReportedTimezone(req) || ''}`;
+
+/**
+ * Cache successful GET responses under key(req)
+ * Hits are answered from memory; If-None-Match matching the stored ETag gets 304.
+ * Mount after auth/validation so only authorized, normalized requests are cached.
+ */
+export const cacheResponse = ({ ttl, key }) => {
+  return (req, res, next) => {
+    if (!config.ENABLE_RESPONSE_CACHE || req.method !== 'GET') {
+      return next();
+    }
+
+    const cacheKey = key(req);
+    res.set('Cache-Control', 'private, no-cache');
+
+    const cached = CacheService.get(cacheKey);
+    if (cached) {
+      res.set('ETag', cached.etag);
+      res.set('X-Cache', 'HIT');
+
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      return res.status(200).json(cached.body);
+    }
+
+    // Express answers 304 itself when the ETag set here matches If-None-Match
+    const generation = CacheService.generation;
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      if (res.statusCode === 200 && body?.success !== false) {
+        const entry = CacheService.set(cacheKey, body, ttl, generation);
+        if (entry) {
+          res.set('ETag', entry.etag);
+        }
+      }
+      res.set('X-Cache', 'MISS');
+      return json(body);
+    };
+
+    next();
+  };
+};
+
+/**
+ * Shared leaderboard views ("leaderboard:<name>|...")
+ */
+export const cacheLeaderboard = (name, ttl = CACHE_TTLS.LEADERBOARD) => cacheResponse({
+  ttl,
+  key: (req) => `leaderboard:${name}|${describeQuery(req.query)}|${describeRequester(req)}`
+});
+
+/**
+ * Per-user views ("user:<userId>:<name>|...")
+ */
+export const cacheUserResponse = (name, ttl = CACHE_TTLS.USER_STATISTICS) => cacheResponse({
+  ttl,
+  key: (req) => `${CacheService.userPrefix(parseInt(req.params.userId))}${name}|${describeQuery(req.query)}|${describeRequester(req)}`
+});
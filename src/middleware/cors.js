@@ -41,6 +41,7 @@ const corsOptions = {
     'Authorization',
     'X-Request-ID',
     'X-Timezone',
+    'X-Telegram-Init-Data',
     'X-User-Agent',
     'X-Forwarded-For',
     'Cache-Control',
@@ -79,7 +80,7 @@ export const handlePreflightOptions = (req, res, next) => {
       res.header('Access-Control-Allow-Origin', origin || '*');
       res.header('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS,PATCH');
       res.header('Access-Control-Allow-Headers',
-        'Origin,X-Requested-With,Content-Type,Accept,Authorization,X-Request-ID,X-Timezone,X-User-Agent,X-Forwarded-For,Cache-Control,Pragma'
+        'Origin,X-Requested-With,Content-Type,Accept,Authorization,X-Request-ID,X-Timezone,X-Telegram-Init-Data,X-User-Agent,X-Forwarded-For,Cache-Control,Pragma'
       );
       res.header('Access-Control-Allow-Credentials', 'true');
       res.header('Access-Control-Max-Age', '86400');
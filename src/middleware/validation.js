@@ -3,11 +3,54 @@
 // =====================================================
 import Joi from 'joi';
 import logger from '../utils/logger.js';
+import { SUPPORTED_LANGUAGES, ACHIEVEMENT_TIERS } from '../config/constants.js';
+import { isValidTimezone } from '../utils/dateUtils.js';
 
 // =====================================================
 // VALIDATION SCHEMAS
 // =====================================================
 
+// IANA timezone name, e.g. "Asia/Tashkent"
+const timezone = Joi.string().max(64).custom((value, helpers) =>
+  isValidTimezone(value) ? value : helpers.error('any.invalid')
+).messages({ 'any.invalid': '{#label} must be a valid IANA timezone' });
+
+// Shared pieces for task catalog schemas
+const isoDate = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/)
+  .messages({ 'string.pattern.base': '{#label} must be in YYYY-MM-DD format' });
+
+const scoringTiers = Joi.array().items(
+  Joi.object({
+    ratio: Joi.number().positive().max(10).required(),   // value / daily_target
+    credit: Joi.number().min(0).max(1).required()         // share of task points
+  })
+).max(10);
+
+const taskTranslations = Joi.object().pattern(
+  Joi.string().valid(...SUPPORTED_LANGUAGES),
+  Joi.object({
+    title: Joi.string().trim().max(200).allow(''),
+    description: Joi.string().trim().max(1000).allow('')
+  })
+);
+
+const achievementRuleId = Joi.string().pattern(/^[a-z_]+$/).max(50)
+  .messages({ 'string.pattern.base': '{#label} must contain only lowercase letters and underscores' });
+
+// Tasks counted by task_completed / task_completions rules
+const achievementTaskFilter = Joi.object({
+  task_ids: Joi.array().items(Joi.number().integer().positive()).unique().max(50),
+  categories: Joi.array().items(Joi.string().pattern(/^[a-z_]+$/).max(50)).unique().max(50)
+}).or('task_ids', 'categories');
+
+// Ascending levels, e.g. [{ name: "bronze", threshold: 1000 }, { name: "silver", threshold: 6000 }]
+const achievementTiers = Joi.array().items(
+  Joi.object({
+    name: Joi.string().valid(...Object.keys(ACHIEVEMENT_TIERS)).required(),
+    threshold: Joi.number().positive().max(1000000).required()
+  })
+).min(2).max(Object.keys(ACHIEVEMENT_TIERS).length).unique('name');
+
 export const schemas = {
   // User registration validation
   registerUser: Joi.object({
@@ -26,7 +69,8 @@ export const schemas = {
         'any.required': 'Name is required'
       }),
     username: Joi.string().alphanum().min(3).max(50).optional().allow(null),
-    photo_url: Joi.string().uri().optional().allow(null)
+    photo_url: Joi.string().uri().optional().allow(null),
+    timezone: timezone.optional()
   }),
 
   // Auth check validation - Frontend sends { userId }
@@ -43,6 +87,22 @@ export const schemas = {
       })
   }),
 
+  // ✅ NEW: Session refresh / revoke validation
+  refreshToken: Joi.object({
+    refresh_token: Joi.string().min(32).max(128).required()
+      .messages({
+        'any.required': 'refresh_token is required'
+      })
+  }),
+
+  revokeToken: Joi.object({
+    refresh_token: Joi.string().min(32).max(128).required()
+      .messages({
+        'any.required': 'refresh_token is required'
+      }),
+    all: Joi.boolean().default(false)
+  }),
+
   // ✅ FIXED: Daily progress validation - Enhanced
   dailyProgress: Joi.object({
     tg_id: Joi.number().integer().positive().required()
@@ -53,17 +113,17 @@ export const schemas = {
       }),
     name: Joi.string().min(2).max(200).optional(),
     
-    // All 10 tasks validation
-    shart_1: Joi.number().integer().min(0).max(1).default(0),
-    shart_2: Joi.number().integer().min(0).max(1).default(0),
-    shart_3: Joi.number().integer().min(0).max(1).default(0),
-    shart_4: Joi.number().integer().min(0).max(1).default(0),
-    shart_5: Joi.number().integer().min(0).max(1).default(0),
-    shart_6: Joi.number().integer().min(0).max(1).default(0),
-    shart_7: Joi.number().integer().min(0).max(1).default(0),
-    shart_8: Joi.number().integer().min(0).max(1).default(0),
-    shart_9: Joi.number().integer().min(0).max(1).default(0),
-    shart_10: Joi.number().integer().min(0).max(1).default(0),
+    // ✅ Completed task ids from tasks catalog
+    completed_tasks: Joi.array().items(Joi.number().integer().positive()).unique().max(100).optional()
+      .messages({
+        'array.unique': 'completed_tasks must not contain duplicates'
+      }),
+    
+    // ✅ Quantity task values: { "<task_id>": 30 }
+    quantities: Joi.object().pattern(/^\d+$/, Joi.number().min(0).max(1000000)).optional()
+      .messages({
+        'object.unknown': 'quantities keys must be task ids'
+      }),
     
     // Additional metrics with proper validation
     pages_read: Joi.number().integer().min(0).max(10000).default(0)
@@ -75,14 +135,67 @@ export const schemas = {
       .messages({
         'number.min': 'distance_km cannot be negative',
         'number.max': 'distance_km cannot exceed 1000'
+      }),
+    timezone: timezone.optional()
+  })
+    // Legacy task flags: shart_<task_id> = 0 | 1
+    .pattern(/^shart_\d+$/, Joi.number().integer().min(0).max(1)),
+
+  // ✅ YANGI: Past day edit - omitted fields keep previous values
+  progressEdit: Joi.object({
+    completed_tasks: Joi.array().items(Joi.number().integer().positive()).unique().max(100).optional()
+      .messages({
+        'array.unique': 'completed_tasks must not contain duplicates'
+      }),
+    quantities: Joi.object().pattern(/^\d+$/, Joi.number().min(0).max(1000000)).optional(),
+    pages_read: Joi.number().integer().min(0).max(10000).optional(),
+    distance_km: Joi.number().min(0).max(1000).precision(2).optional(),
+    reason: Joi.string().trim().max(500).optional()
+      .messages({
+        'string.max': 'reason cannot exceed 500 characters'
+      }),
+    timezone: timezone.optional()
+  })
+    .pattern(/^shart_\d+$/, Joi.number().integer().min(0).max(1))
+    .min(1).messages({
+      'object.min': 'At least one field is required'
+    }),
+
+  editRequestIdParam: Joi.object({
+    requestId: Joi.number().integer().positive().required()
+      .messages({
+        'number.base': 'requestId must be a number',
+        'any.required': 'requestId parameter is required'
       })
   }),
 
+  editRequestsQuery: Joi.object({
+    status: Joi.string().valid('pending', 'approved', 'rejected', 'all').default('pending'),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+  }),
+
+  reviewEditRequest: Joi.object({
+    note: Joi.string().trim().max(500).optional()
+  }),
+
+  auditQuery: Joi.object({
+    from: isoDate.optional(),
+    to: isoDate.optional(),
+    date: isoDate.optional(),
+    limit: Joi.number().integer().min(1).max(500).default(100)
+  }),
+
+  updateTimezone: Joi.object({
+    timezone: timezone.required()
+  }),
+
   // ✅ Enhanced leaderboard query validation
   leaderboardQuery: Joi.object({
-    period: Joi.string().valid('daily', 'weekly', 'all_time', 'all').default('weekly')
+    period: Joi.string()
+      .valid('daily', 'weekly', 'calendar_week', 'month', 'custom', 'season', 'all_time', 'all')
+      .default('all')
       .messages({
-        'any.only': 'period must be one of: daily, weekly, all_time, all'
+        'any.only': 'period must be one of: daily, weekly, calendar_week, month, custom, season, all_time, all'
       }),
     type: Joi.string().valid('overall', 'reading', 'distance').default('overall')
       .messages({
@@ -97,7 +210,38 @@ export const schemas = {
       .messages({
         'number.min': 'offset cannot be negative'
       }),
-    tg_id: Joi.number().integer().positive().optional()
+    tg_id: Joi.number().integer().positive().optional(),
+    date: isoDate.optional(),
+    from: isoDate.when('period', { is: 'custom', then: Joi.required() }),
+    to: isoDate.when('period', { is: 'custom', then: Joi.required() }),
+    season_id: Joi.number().integer().positive().optional(),
+    timezone: timezone.optional(),
+    rank_mode: Joi.string().valid('competition', 'dense').default('competition')
+      .messages({
+        'any.only': 'rank_mode must be one of: competition, dense'
+      })
+  }),
+
+  // ✅ YANGI: Leaderboard snapshots (rank history)
+  leaderboardHistoryQuery: Joi.object({
+    period: Joi.string().valid('daily', 'weekly', 'monthly', 'all_time').default('weekly'),
+    type: Joi.string().valid('overall', 'reading', 'distance').default('overall'),
+    date: isoDate.optional(),
+    limit: Joi.number().integer().min(1).max(500).default(100),
+    rank_mode: Joi.string().valid('competition', 'dense').default('competition'),
+    tg_id: Joi.number().integer().positive().optional(),
+    timezone: timezone.optional()
+  }),
+
+  rankHistoryQuery: Joi.object({
+    period: Joi.string().valid('daily', 'weekly', 'monthly', 'all_time').default('weekly'),
+    type: Joi.string().valid('overall', 'reading', 'distance').default('overall'),
+    days: Joi.number().integer().min(1).max(365).default(30),
+    rank_mode: Joi.string().valid('competition', 'dense').default('competition')
+  }),
+
+  takeSnapshot: Joi.object({
+    date: isoDate.optional()
   }),
 
   // User ID parameter validation (for URLs like /users/:userId)
@@ -140,6 +284,203 @@ export const schemas = {
         'number.positive': 'tg_id must be positive',
         'any.required': 'tg_id parameter is required'
       })
+  }),
+
+  // ✅ YANGI: Admin task catalog validation
+  taskIdParam: Joi.object({
+    taskId: Joi.number().integer().positive().required()
+      .messages({
+        'number.base': 'taskId must be a number',
+        'any.required': 'taskId parameter is required'
+      })
+  }),
+
+  adminTasksQuery: Joi.object({
+    include_archived: Joi.boolean().default(true),
+    lang: Joi.string().valid(...SUPPORTED_LANGUAGES).optional()
+  }),
+
+  createTask: Joi.object({
+    title: Joi.string().trim().min(2).max(200).required(),
+    description: Joi.string().trim().max(1000).allow('', null).optional(),
+    icon: Joi.string().max(20).allow(null).optional(),
+    category: Joi.string().pattern(/^[a-z_]+$/).max(50).required()
+      .messages({
+        'string.pattern.base': 'category must contain only lowercase letters and underscores'
+      }),
+    points: Joi.number().integer().min(0).max(1000).default(50),
+    difficulty: Joi.string().valid('easy', 'medium', 'hard').default('easy'),
+    sort_order: Joi.number().integer().min(0).optional(),
+    task_type: Joi.string().valid('boolean', 'quantity').default('boolean'),
+    unit: Joi.string().trim().max(30).when('task_type', {
+      is: 'quantity', then: Joi.required(), otherwise: Joi.allow(null).optional()
+    }),
+    daily_target: Joi.number().positive().max(1000000).when('task_type', {
+      is: 'quantity', then: Joi.required(), otherwise: Joi.allow(null).optional()
+    }),
+    scoring_tiers: scoringTiers.optional(),
+    translations: taskTranslations.default({}),
+    active_from: isoDate.allow(null).optional(),
+    active_to: isoDate.allow(null).optional(),
+    is_archived: Joi.boolean().default(false)
+  }),
+
+  updateTask: Joi.object({
+    title: Joi.string().trim().min(2).max(200),
+    description: Joi.string().trim().max(1000).allow('', null),
+    icon: Joi.string().max(20).allow(null),
+    category: Joi.string().pattern(/^[a-z_]+$/).max(50)
+      .messages({
+        'string.pattern.base': 'category must contain only lowercase letters and underscores'
+      }),
+    points: Joi.number().integer().min(0).max(1000),
+    difficulty: Joi.string().valid('easy', 'medium', 'hard'),
+    sort_order: Joi.number().integer().min(0),
+    task_type: Joi.string().valid('boolean', 'quantity'),
+    unit: Joi.string().trim().max(30).allow(null),
+    daily_target: Joi.number().positive().max(1000000).allow(null),
+    scoring_tiers: scoringTiers,
+    translations: taskTranslations,
+    active_from: isoDate.allow(null),
+    active_to: isoDate.allow(null),
+    is_archived: Joi.boolean()
+  }).min(1).messages({
+    'object.min': 'At least one field is required'
+  }),
+
+  reorderTasks: Joi.object({
+    task_ids: Joi.array().items(Joi.number().integer().positive()).unique().min(1).required()
+  }),
+
+  // ✅ YANGI: Leaderboard seasons
+  seasonIdParam: Joi.object({
+    seasonId: Joi.number().integer().positive().required()
+      .messages({
+        'number.base': 'seasonId must be a number',
+        'any.required': 'seasonId parameter is required'
+      })
+  }),
+
+  createSeason: Joi.object({
+    name: Joi.string().trim().min(2).max(100).required(),
+    start_date: isoDate.required(),
+    end_date: isoDate.required()
+  }),
+
+  updateSeason: Joi.object({
+    name: Joi.string().trim().min(2).max(100),
+    start_date: isoDate,
+    end_date: isoDate
+  }).min(1),
+
+  // ✅ YANGI: Achievement rules (metric / task_filter combination is checked by AchievementService)
+  achievementRuleIdParam: Joi.object({
+    ruleId: achievementRuleId.required()
+  }),
+
+  achievementRulesQuery: Joi.object({
+    include_inactive: Joi.boolean().default(false)
+  }),
+
+  achievementSummaryQuery: Joi.object({
+    days: Joi.number().integer().min(1).max(365).default(7)
+  }),
+
+  createAchievementRule: Joi.object({
+    id: achievementRuleId.required(),
+    name: Joi.string().trim().min(2).max(100).required(),
+    description: Joi.string().trim().max(1000).allow('', null).optional(),
+    icon: Joi.string().max(20).allow(null).optional(),
+    color: Joi.string().max(20).allow(null).optional(),
+    rule_type: Joi.string().valid('streak', 'count_days', 'cumulative').required(),
+    metric: Joi.string().max(30).required(),
+    threshold: Joi.number().positive().max(1000000)
+      .when('tiers', { is: Joi.array().required(), then: Joi.optional(), otherwise: Joi.required() }),
+    window_days: Joi.number().integer().min(1).max(3650).allow(null).default(null),
+    task_filter: achievementTaskFilter.allow(null).default(null),
+    tiers: achievementTiers.allow(null).default(null),
+    sort_order: Joi.number().integer().min(0).optional(),
+    is_active: Joi.boolean().default(true)
+  }),
+
+  updateAchievementRule: Joi.object({
+    name: Joi.string().trim().min(2).max(100),
+    description: Joi.string().trim().max(1000).allow('', null),
+    icon: Joi.string().max(20).allow(null),
+    color: Joi.string().max(20).allow(null),
+    rule_type: Joi.string().valid('streak', 'count_days', 'cumulative'),
+    metric: Joi.string().max(30),
+    threshold: Joi.number().positive().max(1000000),
+    window_days: Joi.number().integer().min(1).max(3650).allow(null),
+    task_filter: achievementTaskFilter.allow(null),
+    tiers: achievementTiers.allow(null),
+    sort_order: Joi.number().integer().min(0),
+    is_active: Joi.boolean()
+  }).min(1).messages({
+    'object.min': 'At least one field is required'
+  }),
+
+  // Bulk re-evaluation of stored badges (dry run by default)
+  recomputeAchievements: Joi.object({
+    dry_run: Joi.boolean().default(true),
+    revoke: Joi.boolean().default(false),
+    user_ids: Joi.array().items(Joi.number().integer().positive()).min(1).max(1000).unique().optional()
+  }),
+
+  // ✅ YANGI: Streak freezes and excused days
+  useStreakFreeze: Joi.object({
+    date: isoDate.required()
+  }),
+
+  grantStreakFreezes: Joi.object({
+    amount: Joi.number().integer().min(1).max(10).default(1),
+    note: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+
+  excusedDayIdParam: Joi.object({
+    dayId: Joi.number().integer().positive().required()
+      .messages({
+        'number.base': 'dayId must be a number',
+        'any.required': 'dayId parameter is required'
+      })
+  }),
+
+  excusedDaysQuery: Joi.object({
+    tg_id: Joi.number().integer().positive().optional(),
+    from: isoDate.optional(),
+    to: isoDate.optional()
+  }),
+
+  taskAnalyticsQuery: Joi.object({
+    from: isoDate.optional(),
+    to: isoDate.optional(),
+    lang: Joi.string().valid(...SUPPORTED_LANGUAGES).optional(),
+    timezone: timezone.optional()
+  }),
+
+  createExcusedDay: Joi.object({
+    date: isoDate.required(),
+    tg_id: Joi.number().integer().positive().allow(null).default(null), // null = everyone
+    reason: Joi.string().trim().max(500).allow('', null).optional()
+  }),
+
+  recomputeJobIdParam: Joi.object({
+    jobId: Joi.number().integer().positive().required()
+      .messages({
+        'number.base': 'jobId must be a number',
+        'any.required': 'jobId parameter is required'
+      })
+  }),
+
+  addStaff: Joi.object({
+    tg_id: Joi.number().integer().positive().required(),
+    role: Joi.string().lowercase().valid('admin', 'moderator').default('admin')
+  }),
+
+  applicantNotification: Joi.object({
+    admin_tg_id: Joi.number().integer().positive().required(),
+    chat_id: Joi.number().integer().required(),
+    message_id: Joi.number().integer().positive().required()
   })
 };
 
@@ -209,21 +550,66 @@ export const validate = (schema, target = 'body') => {
 // Auth validations
 export const validateAuthCheck = validate(schemas.authCheck);
 export const validateRegisterUser = validate(schemas.registerUser);
+export const validateRefreshToken = validate(schemas.refreshToken);
+export const validateRevokeToken = validate(schemas.revokeToken);
 
 // Task validations
 export const validateDailyProgress = validate(schemas.dailyProgress);
+export const validateProgressEdit = validate(schemas.progressEdit);
 
 // User validations
 export const validateUserIdParam = validate(schemas.userIdParam, 'params');
+export const validateUpdateTimezone = validate(schemas.updateTimezone);
 
 // Leaderboard validations
 export const validateLeaderboardQuery = validate(schemas.leaderboardQuery, 'query');
 
+export const validateLeaderboardHistoryQuery = validate(schemas.leaderboardHistoryQuery, 'query');
+export const validateRankHistoryQuery = validate(schemas.rankHistoryQuery, 'query');
+export const validateTakeSnapshot = validate(schemas.takeSnapshot);
+
 // ✅ NEW: Additional parameter validations
 export const validateDateParam = validate(schemas.dateParam, 'params');
 export const validateHistoryQuery = validate(schemas.historyQuery, 'query');
 export const validateTelegramIdParam = validate(schemas.telegramIdParam, 'params');
 
+// ✅ YANGI: Admin task catalog validations
+export const validateTaskIdParam = validate(schemas.taskIdParam, 'params');
+export const validateAdminTasksQuery = validate(schemas.adminTasksQuery, 'query');
+export const validateCreateTask = validate(schemas.createTask);
+export const validateUpdateTask = validate(schemas.updateTask);
+export const validateReorderTasks = validate(schemas.reorderTasks);
+
+// ✅ YANGI: Progress edit request validations
+export const validateEditRequestIdParam = validate(schemas.editRequestIdParam, 'params');
+export const validateEditRequestsQuery = validate(schemas.editRequestsQuery, 'query');
+export const validateReviewEditRequest = validate(schemas.reviewEditRequest);
+export const validateAuditQuery = validate(schemas.auditQuery, 'query');
+
+// ✅ YANGI: Leaderboard season validations
+export const validateSeasonIdParam = validate(schemas.seasonIdParam, 'params');
+export const validateCreateSeason = validate(schemas.createSeason);
+export const validateUpdateSeason = validate(schemas.updateSeason);
+
+// ✅ YANGI: Achievement rule validations
+export const validateAchievementRuleIdParam = validate(schemas.achievementRuleIdParam, 'params');
+export const validateAchievementRulesQuery = validate(schemas.achievementRulesQuery, 'query');
+export const validateAchievementSummaryQuery = validate(schemas.achievementSummaryQuery, 'query');
+export const validateCreateAchievementRule = validate(schemas.createAchievementRule);
+export const validateUpdateAchievementRule = validate(schemas.updateAchievementRule);
+export const validateRecomputeAchievements = validate(schemas.recomputeAchievements);
+export const validateRecomputeJobIdParam = validate(schemas.recomputeJobIdParam, 'params');
+
+// ✅ YANGI: Streak freeze validations
+export const validateUseStreakFreeze = validate(schemas.useStreakFreeze);
+export const validateGrantStreakFreezes = validate(schemas.grantStreakFreezes);
+export const validateExcusedDayIdParam = validate(schemas.excusedDayIdParam, 'params');
+export const validateExcusedDaysQuery = validate(schemas.excusedDaysQuery, 'query');
+export const validateCreateExcusedDay = validate(schemas.createExcusedDay);
+export const validateTaskAnalyticsQuery = validate(schemas.taskAnalyticsQuery, 'query');
+export const validateAddStaff = validate(schemas.addStaff);
+export const validateApplicantNotification = validate(schemas.applicantNotification);
+
 // ✅ NEW: Combined validations for complex routes
 export const validateUserProgress = [
   validate(schemas.userIdParam, 'params'),
@@ -0,0 +1,345 @@
+// =====================================================
+// ADMIN ROUTES - TASK CATALOG, ANALYTICS, PROGRESS EDITS, AUDIT, LEADERBOARD, ACHIEVEMENTS, STREAKS AND STAFF
+// =====================================================
+import express from 'express';
+import {
+  listTasks,
+  getTask,
+  createTask,
+  updateTask,
+  deleteTask,
+  reorderTasks,
+  getCommunityTaskAnalytics,
+  listEditRequests,
+  approveEditRequest,
+  rejectEditRequest,
+  getUserAudit,
+  createSeason,
+  updateSeason,
+  deleteSeason,
+  takeLeaderboardSnapshot,
+  listAchievementRules,
+  getAchievementRule,
+  createAchievementRule,
+  updateAchievementRule,
+  deleteAchievementRule,
+  recomputeAchievements,
+  listRecomputeJobs,
+  getRecomputeJob,
+  grantStreakFreezes,
+  listExcusedDays,
+  createExcusedDay,
+  deleteExcusedDay,
+  listStaff,
+  addStaff,
+  removeStaff,
+  clearApplicantNotifications,
+  recordApplicantNotification
+} from '../controllers/adminController.js';
+import { asyncHandler } from '../utils/responses.js';
+import { requireAdmin, requireModerator } from '../middleware/auth.js';
+import {
+  validateTaskIdParam,
+  validateAdminTasksQuery,
+  validateCreateTask,
+  validateUpdateTask,
+  validateReorderTasks,
+  validateEditRequestIdParam,
+  validateEditRequestsQuery,
+  validateReviewEditRequest,
+  validateTelegramIdParam,
+  validateAuditQuery,
+  validateSeasonIdParam,
+  validateCreateSeason,
+  validateUpdateSeason,
+  validateTakeSnapshot,
+  validateAchievementRuleIdParam,
+  validateAchievementRulesQuery,
+  validateCreateAchievementRule,
+  validateUpdateAchievementRule,
+  validateRecomputeAchievements,
+  validateRecomputeJobIdParam,
+  validateGrantStreakFreezes,
+  validateExcusedDayIdParam,
+  validateExcusedDaysQuery,
+  validateCreateExcusedDay,
+  validateTaskAnalyticsQuery,
+  validateAddStaff,
+  validateApplicantNotification
+} from '../middleware/validation.js';
+
+const router = express.Router();
+
+// =====================================================
+// TASK CATALOG (admin role)
+// =====================================================
+
+/**
+ * List tasks
+ * GET /api/admin/tasks?include_archived=true&lang=ru
+ */
+router.get('/tasks', requireAdmin, validateAdminTasksQuery, asyncHandler(listTasks));
+
+/**
+ * Create task
+ * POST /api/admin/tasks
+ * Body: {
+ *   title, description?, icon?, category, points?: 50, difficulty?: "easy",
+ *   task_type?: "boolean" | "quantity",
+ *   unit?: "daqiqa", daily_target?: 30,  // required for quantity tasks
+ *   scoring_tiers?: [{ ratio: 0.5, credit: 0.5 }, { ratio: 1, credit: 1 }],
+ *   sort_order?, active_from?: "YYYY-MM-DD", active_to?: "YYYY-MM-DD",
+ *   translations?: { ru: { title, description }, en: { title, description } },
+ *   is_archived?: false
+ * }
+ */
+router.post('/tasks', requireAdmin, validateCreateTask, asyncHandler(createTask));
+
+/**
+ * Reorder tasks
+ * PUT /api/admin/tasks/reorder
+ * Body: { task_ids: [3, 1, 2, ...] }  // sort_order = position
+ */
+router.put('/tasks/reorder', requireAdmin, validateReorderTasks, asyncHandler(reorderTasks));
+
+/**
+ * Community-wide per-task analytics (every approved user)
+ * GET /api/admin/tasks/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&lang=uz
+ *
+ * Default period: 30 days ending today, compared with the 30 days before.
+ */
+router.get('/tasks/analytics', requireAdmin, validateTaskAnalyticsQuery, asyncHandler(getCommunityTaskAnalytics));
+
+/**
+ * Get task
+ * GET /api/admin/tasks/:taskId
+ */
+router.get('/tasks/:taskId', requireAdmin, validateTaskIdParam, asyncHandler(getTask));
+
+/**
+ * Update task
+ * PUT /api/admin/tasks/:taskId
+ * Body: any createTask field (is_archived: false restores an archived task)
+ */
+router.put('/tasks/:taskId', requireAdmin, validateTaskIdParam, validateUpdateTask, asyncHandler(updateTask));
+
+/**
+ * Archive task (or delete permanently when it has no history)
+ * DELETE /api/admin/tasks/:taskId?hard=true
+ */
+router.delete('/tasks/:taskId', requireAdmin, validateTaskIdParam, asyncHandler(deleteTask));
+
+// =====================================================
+// PROGRESS EDIT REQUESTS (moderator role)
+// =====================================================
+
+/**
+ * List edit requests for days outside the grace window
+ * GET /api/admin/progress-edits?status=pending|approved|rejected|all&limit=50
+ */
+router.get('/progress-edits', requireModerator, validateEditRequestsQuery, asyncHandler(listEditRequests));
+
+/**
+ * Approve edit request - applies the edit and records it in progress_audit
+ * POST /api/admin/progress-edits/:requestId/approve
+ * Body: { note?: "..." }
+ */
+router.post('/progress-edits/:requestId/approve', requireModerator, validateEditRequestIdParam, validateReviewEditRequest, asyncHandler(approveEditRequest));
+
+/**
+ * Reject edit request
+ * POST /api/admin/progress-edits/:requestId/reject
+ * Body: { note?: "..." }
+ */
+router.post('/progress-edits/:requestId/reject', requireModerator, validateEditRequestIdParam, validateReviewEditRequest, asyncHandler(rejectEditRequest));
+
+// =====================================================
+// PROGRESS AUDIT (moderator role)
+// =====================================================
+
+/**
+ * Browse progress changes of user (submits, edits, approved edits)
+ * GET /api/admin/users/:tg_id/audit?from=YYYY-MM-DD&to=YYYY-MM-DD&date=YYYY-MM-DD&limit=100
+ *
+ * from / to: when the change was made, date: progress day that was changed
+ * Returns: { entries: [{ action, source, ip, changed_by, old_values, new_values, changed_fields, created_at }] }
+ */
+router.get('/users/:tg_id/audit', requireModerator, validateTelegramIdParam, validateAuditQuery, asyncHandler(getUserAudit));
+
+// =====================================================
+// LEADERBOARD SEASONS AND SNAPSHOTS (admin role)
+// List: GET /api/leaderboard/seasons
+// =====================================================
+
+/**
+ * Create season
+ * POST /api/admin/seasons
+ * Body: { name: "Ramazon 2025", start_date: "YYYY-MM-DD", end_date: "YYYY-MM-DD" }
+ */
+router.post('/seasons', requireAdmin, validateCreateSeason, asyncHandler(createSeason));
+
+/**
+ * Update season
+ * PUT /api/admin/seasons/:seasonId
+ * Body: { name?, start_date?, end_date? }
+ */
+router.put('/seasons/:seasonId', requireAdmin, validateSeasonIdParam, validateUpdateSeason, asyncHandler(updateSeason));
+
+/**
+ * Delete season
+ * DELETE /api/admin/seasons/:seasonId
+ */
+router.delete('/seasons/:seasonId', requireAdmin, validateSeasonIdParam, asyncHandler(deleteSeason));
+
+/**
+ * Snapshot leaderboards of a closed day (backfill; the job snapshots yesterday hourly)
+ * POST /api/admin/leaderboard/snapshots
+ * Body: { date?: "YYYY-MM-DD" }  // default yesterday
+ */
+router.post('/leaderboard/snapshots', requireAdmin, validateTakeSnapshot, asyncHandler(takeLeaderboardSnapshot));
+
+// =====================================================
+// ACHIEVEMENT RULES (admin role)
+// =====================================================
+
+/**
+ * List rules
+ * GET /api/admin/achievements?include_inactive=true
+ */
+router.get('/achievements', requireAdmin, validateAchievementRulesQuery, asyncHandler(listAchievementRules));
+
+/**
+ * Create rule
+ * POST /api/admin/achievements
+ * Body: {
+ *   id: "bookworm", name, description?, icon?, color?,
+ *   rule_type: "streak" | "count_days" | "cumulative",
+ *   metric: streak / count_days -> active | perfect_day | task_completed | pages_read | distance_km
+ *           cumulative -> pages_read | distance_km | total_points | earned_points | task_completions,
+ *   threshold: 30,      // or tiers (threshold = first tier):
+ *   tiers?: [{ name: "bronze", threshold: 1000 }, { name: "silver", threshold: 6000 }, { name: "gold", threshold: 20000 }],
+ *   window_days?: 90,  // null = lifetime (streak: look back up to threshold days)
+ *   task_filter?: { task_ids?: [5], categories?: ["knowledge"] },  // task_completed / task_completions
+ *   sort_order?, is_active?: true
+ * }
+ * Example: { id: "reader_month", rule_type: "count_days", metric: "task_completed",
+ *            threshold: 20, window_days: 30, task_filter: { categories: ["knowledge"] } }
+ */
+router.post('/achievements', requireAdmin, validateCreateAchievementRule, asyncHandler(createAchievementRule));
+
+/**
+ * Re-evaluate stored badges of every approved user against active rules (background job)
+ * POST /api/admin/achievements/recompute
+ * Body: {
+ *   dry_run?: true,     // only report the diff (grant / revoke per user)
+ *   revoke?: false,     // apply mode: also remove badges no longer deserved
+ *   user_ids?: [123]    // default: every approved user
+ * }
+ * 202 { job, status_url }, 409 while another job is running
+ */
+router.post('/achievements/recompute', requireAdmin, validateRecomputeAchievements, asyncHandler(recomputeAchievements));
+
+/**
+ * Recent recompute jobs (status, progress, summary)
+ * GET /api/admin/achievements/recompute
+ */
+router.get('/achievements/recompute', requireAdmin, asyncHandler(listRecomputeJobs));
+
+/**
+ * Recompute job status and report
+ * GET /api/admin/achievements/recompute/:jobId
+ * status: running | completed | failed; changes: [{ tg_id, grant, revoke, applied }]
+ */
+router.get('/achievements/recompute/:jobId', requireAdmin, validateRecomputeJobIdParam, asyncHandler(getRecomputeJob));
+
+/**
+ * Get rule (with number of users holding the badge)
+ * GET /api/admin/achievements/:ruleId
+ */
+router.get('/achievements/:ruleId', requireAdmin, validateAchievementRuleIdParam, asyncHandler(getAchievementRule));
+
+/**
+ * Update rule
+ * PUT /api/admin/achievements/:ruleId
+ * Body: any createAchievementRule field except id (is_active: true re-activates)
+ */
+router.put('/achievements/:ruleId', requireAdmin, validateAchievementRuleIdParam, validateUpdateAchievementRule, asyncHandler(updateAchievementRule));
+
+/**
+ * Deactivate rule (or delete permanently when nobody holds the badge)
+ * DELETE /api/admin/achievements/:ruleId?hard=true
+ */
+router.delete('/achievements/:ruleId', requireAdmin, validateAchievementRuleIdParam, asyncHandler(deleteAchievementRule));
+
+// =====================================================
+// STREAK FREEZES AND EXCUSED DAYS (admin role)
+// =====================================================
+// Neutral days neither break nor extend streaks (statistics, profile, streak badges)
+
+/**
+ * Grant streak freezes
+ * POST /api/admin/users/:tg_id/streak-freezes
+ * Body: { amount?: 1, note?: "Kasallik" }
+ */
+router.post('/users/:tg_id/streak-freezes', requireAdmin, validateTelegramIdParam, validateGrantStreakFreezes, asyncHandler(grantStreakFreezes));
+
+/**
+ * List excused and frozen days (tg_id: that user's days plus community days)
+ * GET /api/admin/excused-days?tg_id=123&from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+router.get('/excused-days', requireModerator, validateExcusedDaysQuery, asyncHandler(listExcusedDays));
+
+/**
+ * Excuse day (illness, travel, religious holidays)
+ * POST /api/admin/excused-days
+ * Body: { date: "YYYY-MM-DD", tg_id?: 123, reason? }  // tg_id null / omitted = whole community
+ *
+ * Freezes spent on that day are refunded. After community days run
+ * POST /api/admin/achievements/recompute to re-check streak badges.
+ */
+router.post('/excused-days', requireAdmin, validateCreateExcusedDay, asyncHandler(createExcusedDay));
+
+/**
+ * Delete excused or frozen day
+ * DELETE /api/admin/excused-days/:dayId
+ */
+router.delete('/excused-days/:dayId', requireAdmin, validateExcusedDayIdParam, asyncHandler(deleteExcusedDay));
+
+// =====================================================
+// STAFF AND APPLICANT NOTIFICATIONS
+// =====================================================
+// The bot manages staff through these (X-Acting-User-Id = Telegram user issuing the command)
+
+/**
+ * List admins and moderators
+ * GET /api/admin/staff (moderator+)
+ */
+router.get('/staff', requireModerator, asyncHandler(listStaff));
+
+/**
+ * Add staff member or change role
+ * POST /api/admin/staff (admin)
+ * Body: { tg_id: 123, role?: "admin" | "moderator" }
+ */
+router.post('/staff', requireAdmin, validateAddStaff, asyncHandler(addStaff));
+
+/**
+ * Remove staff member
+ * DELETE /api/admin/staff/:tg_id (admin)
+ */
+router.delete('/staff/:tg_id', requireAdmin, validateTelegramIdParam, asyncHandler(removeStaff));
+
+/**
+ * Forget applicant messages of previous application
+ * DELETE /api/admin/applicants/:tg_id/notifications (moderator+)
+ */
+router.delete('/applicants/:tg_id/notifications', requireModerator, validateTelegramIdParam, asyncHandler(clearApplicantNotifications));
+
+/**
+ * Remember applicant message sent to staff member
+ * POST /api/admin/applicants/:tg_id/notifications (moderator+)
+ * Body: { admin_tg_id, chat_id, message_id }
+ */
+router.post('/applicants/:tg_id/notifications', requireModerator, validateTelegramIdParam, validateApplicantNotification, asyncHandler(recordApplicantNotification));
+
+export default router;
@@ -8,9 +8,21 @@ import {
   approveUser, 
   rejectUser, 
   updateUserPhoto,
-  refreshAllPhotos
+  refreshAllPhotos,
+  refreshSession,
+  revokeSession
 } from '../controllers/authController.js';
 import { asyncHandler } from '../utils/responses.js';
+import {
+  authorizeUserParam,
+  authorizeTgIdParam,
+  authorizeTgIdBody,
+  authorizeUserIdBody,
+  requireModerator,
+  requireAdmin
+} from '../middleware/auth.js';
+import { validateRefreshToken, validateRevokeToken } from '../middleware/validation.js';
+import { authRateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
@@ -21,41 +33,60 @@ const router = express.Router();
 /**
  * Check user authentication status
  * POST /api/auth/check
+ * Headers: { X-Telegram-Init-Data: <initData> } or { Authorization: Bearer <access_token> }
  * Body: { userId: 123456789 }
+ * Returns session tokens for approved users authenticated with initData
  */
-router.post('/check', asyncHandler(checkUserAuth));
+router.post('/check', authorizeUserIdBody, asyncHandler(checkUserAuth));
+
+/**
+ * ✅ YANGI: Refresh session (rotates refresh token)
+ * POST /api/auth/refresh
+ * Body: { refresh_token }
+ * Returns: { session: { access_token, expires_in, refresh_token, ... } }
+ */
+router.post('/refresh', authRateLimit, validateRefreshToken, asyncHandler(refreshSession));
+
+/**
+ * ✅ YANGI: Revoke session (logout)
+ * POST /api/auth/revoke
+ * Body: { refresh_token, all?: boolean }
+ */
+router.post('/revoke', authRateLimit, validateRevokeToken, asyncHandler(revokeSession));
 
 /**
  * Register new user via Telegram Bot
  * POST /api/auth/register
  * Body: { tg_id, name, username?, photo_url? }
  */
-router.post('/register', asyncHandler(registerUser));
+router.post('/register', authorizeTgIdBody, asyncHandler(registerUser));
 
 /**
  * ✅ Update user photo with validation
  * PUT /api/auth/update-photo/:userId
  * Body: { photo_url: "https://..." }
  */
-router.put('/update-photo/:userId', asyncHandler(updateUserPhoto));
+router.put('/update-photo/:userId', authorizeUserParam, asyncHandler(updateUserPhoto));
 
 /**
  * ✅ YANGI: Refresh all user photos (Admin/Maintenance)
- * POST /api/auth/refresh-photos
+ * POST /api/auth/refresh-photos (admin)
  */
-router.post('/refresh-photos', asyncHandler(refreshAllPhotos));
+router.post('/refresh-photos', requireAdmin, asyncHandler(refreshAllPhotos));
 
 /**
  * Approve user by admin
- * POST /api/auth/approve/:tg_id
+ * POST /api/auth/approve/:tg_id (moderator+, bot: X-Acting-User-Id)
+ * 409 when another staff member already decided, every admin's Telegram message is updated
  */
-router.post('/approve/:tg_id', asyncHandler(approveUser));
+router.post('/approve/:tg_id', requireModerator, asyncHandler(approveUser));
 
 /**
  * Reject user by admin  
- * POST /api/auth/reject/:tg_id
+ * POST /api/auth/reject/:tg_id (moderator+, bot: X-Acting-User-Id)
+ * 409 when another staff member already decided, every admin's Telegram message is updated
  */
-router.post('/reject/:tg_id', asyncHandler(rejectUser));
+router.post('/reject/:tg_id', requireModerator, asyncHandler(rejectUser));
 
 // =====================================================
 // BACKWARD COMPATIBILITY ROUTES
@@ -65,7 +96,7 @@ router.post('/reject/:tg_id', asyncHandler(rejectUser));
  * Legacy GET route support
  * GET /api/auth/check/:tg_id
  */
-router.get('/check/:tg_id', asyncHandler(async (req, res) => {
+router.get('/check/:tg_id', authorizeTgIdParam, asyncHandler(async (req, res) => {
   req.body = { userId: req.params.tg_id };
   return await checkUserAuth(req, res);
 }));
@@ -2,20 +2,44 @@
 // LEADERBOARD ROUTES - Updated for Frontend
 // =====================================================
 import express from 'express';
-import { getLeaderboard, getWeeklyStats } from '../controllers/leaderboardController.js';
+import { getLeaderboard, getLeaderboardHistory, getWeeklyStats, getSeasons } from '../controllers/leaderboardController.js';
 import { asyncHandler } from '../utils/responses.js';
+import { authorizeUserParam, optionalAuth } from '../middleware/auth.js';
+import { validateLeaderboardQuery, validateLeaderboardHistoryQuery, validateUserIdParam } from '../middleware/validation.js';
+import { cacheLeaderboard } from '../middleware/cache.js';
+import { CACHE_TTLS } from '../config/constants.js';
 
 const router = express.Router();
 
 /**
  * ✅ FIXED: Get dynamic leaderboard with tg_id support
  * GET /api/leaderboard?period=weekly&type=overall&limit=100&tg_id=123456789
+ * Signed requests (Bearer / initData) highlight the signed user when tg_id is omitted
+ *
+ * period: daily | weekly | calendar_week | month | custom (&from=&to=) | season (&season_id=) | all
+ * rank_mode: competition (1, 2, 2, 4, default) | dense (1, 2, 2, 3)
+ * Cached (ETag / 304), progress submits and approvals invalidate
  */
-router.get('/', asyncHandler(getLeaderboard));
+router.get('/', optionalAuth, validateLeaderboardQuery, cacheLeaderboard('board'), asyncHandler(getLeaderboard));
 
 /**
- * Weekly stats compatibility route
+ * Stored board of closed day (daily snapshots)
+ * GET /api/leaderboard/history?period=weekly&type=overall&date=YYYY-MM-DD&limit=100
+ *
+ * period: daily | weekly (7 days ending date) | monthly (month to date) | all_time
+ * date: default yesterday, use a Sunday for "last week"
  */
-router.get('/stats/weekly/:userId', asyncHandler(getWeeklyStats));
+router.get('/history', optionalAuth, validateLeaderboardHistoryQuery, cacheLeaderboard('history', CACHE_TTLS.LEADERBOARD_HISTORY), asyncHandler(getLeaderboardHistory));
 
-export default router;
\ No newline at end of file
+/**
+ * List seasons for period=season
+ * GET /api/leaderboard/seasons
+ */
+router.get('/seasons', cacheLeaderboard('seasons', CACHE_TTLS.LEADERBOARD_HISTORY), asyncHandler(getSeasons));
+
+/**
+ * Weekly stats compatibility route (same guard as /api/users/:userId/weekly)
+ */
+router.get('/stats/weekly/:userId', authorizeUserParam, validateUserIdParam, asyncHandler(getWeeklyStats));
+
+export default router;
@@ -0,0 +1,19 @@
+// =====================================================
+// STREAM ROUTES - Live updates (Server-Sent Events)
+// =====================================================
+import express from 'express';
+import { openStream } from '../controllers/streamController.js';
+import { authorizeStream } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * ✅ Subscribe to live updates instead of polling
+ * GET /api/stream
+ * Headers: { Authorization: Bearer <access_token> } or ?access_token=<access_token> (EventSource)
+ *
+ * Events: progress.updated, leaderboard.changed, achievement.earned, user.approved
+ */
+router.get('/', authorizeStream, openStream);
+
+export default router;
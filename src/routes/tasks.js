@@ -6,10 +6,15 @@ import {
   submitDailyProgress, 
   getDailyTasks, 
   getUserDailyProgress,
+  editDailyProgress,
   getUserProgressHistory 
 } from '../controllers/taskController.js';
 import { asyncHandler } from '../utils/responses.js';
-import { validateDailyProgress, validateUserIdParam } from '../middleware/validation.js';
+import { validateDailyProgress, validateUserIdParam, validateUserProgress, validateProgressEdit } from '../middleware/validation.js';
+import { authorizeUserParam, authorizeTgIdBody } from '../middleware/auth.js';
+import { TaskService } from '../services/taskService.js';
+import { getRequestLanguage } from '../utils/helpers.js';
+import { getTodayInTimezone, normalizeTimezone, isValidDateString } from '../utils/dateUtils.js';
 
 const router = express.Router();
 
@@ -20,25 +25,28 @@ const router = express.Router();
 /**
  * ✅ Submit daily progress (MAIN FRONTEND ENDPOINT)
  * POST /api/tasks/submit
+ * Headers: { Authorization: Bearer <access_token> } or { X-Telegram-Init-Data: <initData> }
  * Body: {
  *   tg_id: 123456789,
  *   name?: "Muhammad Said",  // Optional
- *   shart_1: 1, shart_2: 0, ... shart_10: 1,
+ *   completed_tasks: [1, 3, 9],  // Task ids from /api/tasks/definitions
+ *   // or legacy flags: shart_1: 1, shart_2: 0, ... shart_<task_id>: 1
+ *   quantities: { "11": 30 },    // Quantity tasks: value towards daily_target
  *   pages_read: 25,
  *   distance_km: 5.2
  * }
  * 
  * Frontend DailyTasks component uses this exact format
  */
-router.post('/submit', validateDailyProgress, asyncHandler(submitDailyProgress));
+router.post('/submit', authorizeTgIdBody, validateDailyProgress, asyncHandler(submitDailyProgress));
 
 /**
  * ✅ Get daily tasks for user
- * GET /api/tasks/daily/:userId
+ * GET /api/tasks/daily/:userId?lang=uz|ru|en
  * 
  * Returns: { success, date, tasks[], completedCount, totalTasks, ... }
  */
-router.get('/daily/:userId', validateUserIdParam, asyncHandler(getDailyTasks));
+router.get('/daily/:userId', authorizeUserParam, validateUserIdParam, asyncHandler(getDailyTasks));
 
 /**
  * ✅ Get user progress for specific date
@@ -46,7 +54,23 @@ router.get('/daily/:userId', validateUserIdParam, asyncHandler(getDailyTasks));
  * 
  * Returns: { success, date, exists, progress: {...} }
  */
-router.get('/progress/:userId/:date', validateUserIdParam, asyncHandler(getUserDailyProgress));
+router.get('/progress/:userId/:date', authorizeUserParam, validateUserIdParam, asyncHandler(getUserDailyProgress));
+
+/**
+ * ✅ Edit progress of today or a past day
+ * PUT /api/tasks/progress/:userId/:date
+ * Body: {
+ *   completed_tasks?: [1, 3],     // Replaces checkbox tasks (or shart_<id> flags)
+ *   quantities?: { "11": 45 },    // Replaces only the sent quantity tasks
+ *   pages_read?: 30,
+ *   distance_km?: 4.5,
+ *   reason?: "Internet yo'q edi"  // Shown to admins for old days
+ * }
+ *
+ * Within PROGRESS_EDIT_GRACE_DAYS: 200 { applied: true, progress }
+ * Older days: 202 { applied: false, edit_request } - waits for admin approval
+ */
+router.put('/progress/:userId/:date', authorizeUserParam, validateUserProgress, validateProgressEdit, asyncHandler(editDailyProgress));
 
 /**
  * ✅ Get user progress history
@@ -54,7 +78,7 @@ router.get('/progress/:userId/:date', validateUserIdParam, asyncHandler(getUserD
  * 
  * Returns: { success, history[], statistics: {...} }
  */
-router.get('/history/:userId', validateUserIdParam, asyncHandler(getUserProgressHistory));
+router.get('/history/:userId', authorizeUserParam, validateUserIdParam, asyncHandler(getUserProgressHistory));
 
 // =====================================================
 // DEPRECATED ROUTES (For API Evolution)
@@ -74,7 +98,7 @@ router.post('/complete', asyncHandler(async (req, res) => {
     correct_endpoint: '/api/tasks/submit',
     migration_guide: {
       old_format: '{ userId, taskId }',
-      new_format: '{ tg_id, name?, shart_1..10, pages_read, distance_km }'
+      new_format: '{ tg_id, name?, completed_tasks: [task_id], pages_read, distance_km }'
     },
     documentation: 'Visit / for complete API documentation',
     timestamp: new Date().toISOString()
@@ -93,7 +117,7 @@ router.put('/:taskId/complete', asyncHandler(async (req, res) => {
     error: 'Deprecated endpoint',
     message: 'Individual task completion is deprecated. Use /api/tasks/submit for all tasks.',
     correct_endpoint: '/api/tasks/submit',
-    migration_info: 'Submit all 10 tasks together with shart_1 through shart_10 fields',
+    migration_info: 'Submit all completed task ids together in completed_tasks field',
     timestamp: new Date().toISOString()
   });
 }));
@@ -104,28 +128,26 @@ router.put('/:taskId/complete', asyncHandler(async (req, res) => {
 
 /**
  * Get task definitions
- * GET /api/tasks/definitions
+ * GET /api/tasks/definitions?date=YYYY-MM-DD&lang=uz|ru|en
  * 
- * Returns: Static task configuration for frontend
+ * Returns: Tasks catalog active on date (default: today in X-Timezone) for frontend
  */
 router.get('/definitions', asyncHandler(async (req, res) => {
-  const TASK_DEFINITIONS = [
-    { id: 1, title: "Kunlik vird", description: "Zikr, Qur'on tilovati, ibodat", points: 50, category: "prayer", icon: "🕌", difficulty: "easy" },
-    { id: 2, title: "Silai rahm", description: "Ota-ona va qarindoshlar bilan aloqa", points: 50, category: "family", icon: "❤️", difficulty: "easy" },
-    { id: 3, title: "Qur'on tinglash", description: "Kamida 1/114 qism", points: 50, category: "quran", icon: "🎧", difficulty: "easy" },
-    { id: 4, title: "Ehson qilish", description: "1000 so'mdan ko'p", points: 50, category: "charity", icon: "💝", difficulty: "easy" },
-    { id: 5, title: "Kitob o'qish", description: "Kamida 10 bet", points: 50, category: "knowledge", icon: "📖", difficulty: "medium" },
-    { id: 6, title: "Dars/Kurs", description: "Ta'lim kursi yoki dars", points: 50, category: "education", icon: "🎓", difficulty: "easy" },
-    { id: 7, title: "Audio kitob", description: "Kamida 30 daqiqa", points: 50, category: "audio", icon: "🎧", difficulty: "easy" },
-    { id: 8, title: "Erta uxlash", description: "21:00 - 23:00 orasida", points: 50, category: "sleep", icon: "🌙", difficulty: "easy" },
-    { id: 9, title: "Erta turish", description: "03:00 - 06:00 orasida", points: 50, category: "wake", icon: "🌅", difficulty: "easy" },
-    { id: 10, title: "Sport/Mashqlar", description: "Yugurish yoki mashqlar", points: 50, category: "sport", icon: "🏃‍♂️", difficulty: "medium" }
-  ];
+  const date = isValidDateString(req.query.date)
+    ? req.query.date
+    : getTodayInTimezone(normalizeTimezone(req.headers['x-timezone']));
+
+  const tasks = await TaskService.getActiveTasks(date);
+
+  const lang = getRequestLanguage(req);
+  const TASK_DEFINITIONS = tasks.map(task => TaskService.toPublicTask(task, lang));
 
   return res.json({
     success: true,
-    total_tasks: 10,
-    max_daily_points: 500,
+    date: date,
+    lang: lang,
+    total_tasks: TASK_DEFINITIONS.length,
+    max_daily_points: TASK_DEFINITIONS.reduce((sum, task) => sum + task.points, 0),
     task_definitions: TASK_DEFINITIONS,
     categories: {
       prayer: "Ibodat",
@@ -10,11 +10,22 @@ import {
   getAchievementProgress,
   getUserCalendar,
   getWeeklyStats,
-  getUserMonthlyStatistics
+  getUserMonthlyStatistics,
+  updateUserTimezone,
+  getUserStreaks,
+  getTaskAnalytics,
+  getStreakFreezes,
+  useStreakFreeze
 } from "../controllers/userController.js";
+import { getUserRankHistory } from "../controllers/leaderboardController.js";
 import { AchievementService } from "../services/achievementService.js";
+import { LeaderboardService } from "../services/leaderboardService.js";
+import { TimezoneService } from "../services/timezoneService.js";
 import { asyncHandler } from "../utils/responses.js";
 import { sendSuccess, sendError, sendServerError } from "../utils/responses.js";
+import { authorizeUserParam, requireAdmin } from "../middleware/auth.js";
+import { validateUserIdParam, validateUpdateTimezone, validateRankHistoryQuery, validateAchievementSummaryQuery, validateUseStreakFreeze, validateTaskAnalyticsQuery } from "../middleware/validation.js";
+import { cacheUserResponse } from "../middleware/cache.js";
 
 const router = express.Router();
 
@@ -27,9 +38,9 @@ const router = express.Router();
  * GET /api/users/:userId/statistics?year=2024&month=12&timezone=Asia/Tashkent
  * 
  * Frontend expects: { today, weekly, all_time, calendar? }
- * Polling: Every 15-30 seconds
+ * Polling: Every 15-30 seconds (cached, ETag / 304 for unchanged polls)
  */
-router.get("/:userId/statistics", asyncHandler(getUserStatistics));
+router.get("/:userId/statistics", authorizeUserParam, cacheUserResponse("statistics"), asyncHandler(getUserStatistics));
 
 /**
  * ✅ Get user profile with real-time achievements
@@ -38,7 +49,52 @@ router.get("/:userId/statistics", asyncHandler(getUserStatistics));
  * Frontend expects: { user: { id, name, achievements, stats, ... } }
  * Used by: UserProfile component
  */
-router.get("/:userId", asyncHandler(getUserProfile));
+router.get("/:userId", authorizeUserParam, cacheUserResponse("profile"), asyncHandler(getUserProfile));
+
+/**
+ * ✅ Update user timezone - every "today" of the user is computed in it
+ * PUT /api/users/:userId/timezone
+ * Body: { timezone: "Asia/Tashkent" }
+ * 
+ * The Mini App may also send X-Timezone header, the profile is updated automatically
+ */
+router.put("/:userId/timezone", authorizeUserParam, validateUserIdParam, validateUpdateTimezone, asyncHandler(updateUserTimezone));
+
+/**
+ * ✅ Per-task analytics: completion rate, current / longest streak,
+ * day-of-week pattern and trend versus the previous period of the same length
+ * GET /api/users/:userId/tasks/analytics?from=YYYY-MM-DD&to=YYYY-MM-DD&lang=uz
+ *
+ * Default period: 30 days ending today (to is capped at today, at most 366 days).
+ * Days a task was not due (inactive, before joining, frozen / excused) are not counted.
+ */
+router.get("/:userId/tasks/analytics", authorizeUserParam, validateUserIdParam, validateTaskAnalyticsQuery, cacheUserResponse("task-analytics"), asyncHandler(getTaskAnalytics));
+
+/**
+ * ✅ Current and longest streaks: activity, perfect days, early bird and per task
+ * GET /api/users/:userId/streaks
+ *
+ * Days are the user's local dates; an empty today does not break a streak yet.
+ */
+router.get("/:userId/streaks", authorizeUserParam, validateUserIdParam, cacheUserResponse("streaks"), asyncHandler(getUserStreaks));
+
+/**
+ * ✅ Streak freeze balance and neutral (frozen / excused) days
+ * GET /api/users/:userId/streak/freezes
+ *
+ * Neutral days neither break nor extend streaks. One freeze is earned per
+ * 7 consecutive active days (up to 3 held), admins may grant more.
+ */
+router.get("/:userId/streak/freezes", authorizeUserParam, validateUserIdParam, asyncHandler(getStreakFreezes));
+
+/**
+ * ✅ Spend a streak freeze on a missed day
+ * POST /api/users/:userId/streak/freezes
+ * Body: { date: "YYYY-MM-DD" }  // missed day of the last 7 days (not today)
+ *
+ * 409: no freezes left, or the day is already frozen / excused
+ */
+router.post("/:userId/streak/freezes", authorizeUserParam, validateUserIdParam, validateUseStreakFreeze, asyncHandler(useStreakFreeze));
 
 /**
  * ✅ Get calendar data for specific month
@@ -47,7 +103,7 @@ router.get("/:userId", asyncHandler(getUserProfile));
  * Frontend expects: { calendar: { days: [...], monthName, year } }
  * Used by: MonthlyCalendar component
  */
-router.get("/:userId/calendar", asyncHandler(getUserCalendar));
+router.get("/:userId/calendar", authorizeUserParam, asyncHandler(getUserCalendar));
 
 /**
  * ✅ Get weekly statistics  
@@ -56,7 +112,7 @@ router.get("/:userId/calendar", asyncHandler(getUserCalendar));
  * Frontend expects: { stats: { weeklyPoints, dailyPoints, ... } }
  * Used by: UserProfile weekly chart
  */
-router.get("/:userId/weekly", asyncHandler(getWeeklyStats));
+router.get("/:userId/weekly", authorizeUserParam, cacheUserResponse("weekly"), asyncHandler(getWeeklyStats));
 
 /**
  * ✅ Get monthly statistics (for calendar fallback)
@@ -64,7 +120,7 @@ router.get("/:userId/weekly", asyncHandler(getWeeklyStats));
  * 
  * Used by: MonthlyCalendar as fallback
  */
-router.get("/:userId/statistics/monthly", asyncHandler(getUserMonthlyStatistics));
+router.get("/:userId/statistics/monthly", authorizeUserParam, asyncHandler(getUserMonthlyStatistics));
 
 /**
  * ✅ Get real-time achievement progress
@@ -73,7 +129,7 @@ router.get("/:userId/statistics/monthly", asyncHandler(getUserMonthlyStatistics)
  * Frontend expects: { data: [{ id, current, max, completed, ... }] }
  * Used by: UserProfile achievements section
  */
-router.get("/:userId/achievements/progress", asyncHandler(getAchievementProgress));
+router.get("/:userId/achievements/progress", authorizeUserParam, asyncHandler(getAchievementProgress));
 
 // =====================================================
 // YANGI ENDPOINTS (FRONTEND UCHUN)
@@ -82,8 +138,11 @@ router.get("/:userId/achievements/progress", asyncHandler(getAchievementProgress
 /**
  * ✅ Get user rank across different metrics
  * GET /api/users/:userId/rank?period=weekly&metric=overall
+ *
+ * period: daily | weekly | calendar_week | month | season (current) | all_time
+ * Returns: { rank, score, percentile, total_participants, neighbours: { above, below } }
  */
-router.get("/:userId/rank", asyncHandler(async (req, res) => {
+router.get("/:userId/rank", authorizeUserParam, asyncHandler(async (req, res) => {
   try {
     const { userId } = req.params;
     const { period = 'weekly', metric = 'overall' } = req.query;
@@ -99,7 +158,9 @@ router.get("/:userId/rank", asyncHandler(async (req, res) => {
     return sendSuccess(res, {
       rank: rankData.rank || 0,
       score: rankData.score || 0,
+      percentile: rankData.percentile,
       total_participants: rankData.total || 0,
+      neighbours: { above: rankData.above, below: rankData.below },
       period,
       metric
     });
@@ -110,11 +171,22 @@ router.get("/:userId/rank", asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * ✅ Rank history from daily leaderboard snapshots (oldest first)
+ * GET /api/users/:userId/rank/history?period=weekly&type=overall&days=30
+ *
+ * period: daily | weekly | monthly | all_time
+ * Each entry: { date, rank, score, total_participants, previous_rank, rank_delta }
+ */
+router.get("/:userId/rank/history", authorizeUserParam, validateRankHistoryQuery, asyncHandler(getUserRankHistory));
+
 /**
  * ✅ Get achievement summary
- * GET /api/users/:userId/achievements/summary
+ * GET /api/users/:userId/achievements/summary?days=7
+ *
+ * recently_earned: badges earned in the last `days` days (earned_at, stat_snapshot), newest first
  */
-router.get("/:userId/achievements/summary", asyncHandler(async (req, res) => {
+router.get("/:userId/achievements/summary", authorizeUserParam, validateAchievementSummaryQuery, asyncHandler(async (req, res) => {
   try {
     const { userId } = req.params;
     const telegramId = parseInt(userId);
@@ -123,7 +195,7 @@ router.get("/:userId/achievements/summary", asyncHandler(async (req, res) => {
       return sendError(res, "Invalid userId", 400);
     }
 
-    const summary = await AchievementService.getAchievementSummary(telegramId);
+    const summary = await AchievementService.getAchievementSummary(telegramId, req.query.days);
     return sendSuccess(res, summary);
     
   } catch (error) {
@@ -138,10 +210,10 @@ router.get("/:userId/achievements/summary", asyncHandler(async (req, res) => {
 
 if (process.env.NODE_ENV !== 'production') {
   /**
-   * ✅ Debug achievement status (Development only)
+   * ✅ Debug achievement status (Development only, admin)
    * GET /api/users/:userId/debug/achievements
    */
-  router.get("/:userId/debug/achievements", asyncHandler(async (req, res) => {
+  router.get("/:userId/debug/achievements", requireAdmin, asyncHandler(async (req, res) => {
     try {
       const { userId } = req.params;
       const telegramId = parseInt(userId);
@@ -168,10 +240,10 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 
   /**
-   * ✅ Force update achievements (Development only) 
+   * ✅ Force update achievements (Development only, admin)
    * POST /api/users/:userId/debug/update-achievements
    */
-  router.post("/:userId/debug/update-achievements", asyncHandler(async (req, res) => {
+  router.post("/:userId/debug/update-achievements", requireAdmin, asyncHandler(async (req, res) => {
     try {
       const { userId } = req.params;
       const telegramId = parseInt(userId);
@@ -201,10 +273,10 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 
   /**
-   * ✅ Test all user endpoints
+   * ✅ Test all user endpoints (admin)
    * GET /api/users/:userId/debug/test-all
    */
-  router.get("/:userId/debug/test-all", asyncHandler(async (req, res) => {
+  router.get("/:userId/debug/test-all", requireAdmin, asyncHandler(async (req, res) => {
     try {
       const { userId } = req.params;
       const telegramId = parseInt(userId);
@@ -290,34 +362,26 @@ router.get("/stats/monthly/:userId", (req, res) => {
 // =====================================================
 
 /**
- * Get user rank by specific metric and period
+ * Get user rank by specific metric and period (periods end on user's local today)
  */
 async function getUserRankByMetric(telegramId, period, metric) {
-  try {
-    // Import leaderboard service if available
-    const { getLeaderboard } = await import("../controllers/leaderboardController.js");
-    
-    const leaderboardData = await getLeaderboard({
-      period,
-      type: metric,
-      limit: 1000,
-      tg_id: telegramId
-    });
-    
-    if (leaderboardData.current_user) {
-      return {
-        rank: leaderboardData.current_user.rank,
-        score: leaderboardData.current_user.score,
-        total: leaderboardData.total_participants
-      };
-    }
-    
-    return { rank: 0, score: 0, total: 0 };
-    
-  } catch (error) {
-    console.warn("getUserRankByMetric fallback:", error.message);
-    return { rank: 0, score: 0, total: 0 };
+  const today = await TimezoneService.getUserToday(telegramId);
+  const { range } = await LeaderboardService.resolvePeriod(period, today);
+
+  if (!range) {
+    return { rank: 0, score: 0, percentile: 0, total: 0, above: [], below: [] };
   }
+
+  const position = await LeaderboardService.getUserPosition(telegramId, { ...range, metric });
+
+  return {
+    rank: position.rank,
+    score: position.score,
+    percentile: position.percentile,
+    total: position.total_participants,
+    above: position.above.map(({ rank, tg_id, name, username, score }) => ({ rank, tg_id, name, username, score })),
+    below: position.below.map(({ rank, tg_id, name, username, score }) => ({ rank, tg_id, name, username, score }))
+  };
 }
 
 export default router;
\ No newline at end of file
@@ -1,429 +1,878 @@
 // =====================================================
-// ACHIEVEMENT SERVICE - TO'LIQ TUZATILGAN VERSIYA
+// ACHIEVEMENT SERVICE - DECLARATIVE RULES (achievement_rules)
 // =====================================================
+import supabase from "../config/database.js";
 import { DatabaseService } from "./databaseService.js";
+import { TimezoneService } from "./timezoneService.js";
+import { EventService } from "./eventService.js";
+import { CacheService } from "./cacheService.js";
+import { StreakFreezeService } from "./streakFreezeService.js";
+import { StreakService } from "./streakService.js";
 import logger from "../utils/logger.js";
+import { addDays } from "../utils/dateUtils.js";
+import { ACHIEVEMENT_TIERS } from "../config/constants.js";
+
+const RULE_COLUMNS =
+  "id, name, description, icon, color, rule_type, metric, threshold, window_days, task_filter, tiers, sort_order, is_active, created_at, updated_at";
+
+const RULES_CACHE_TTL = 60 * 1000; // 1 minute
 
 export class AchievementService {
+  static RULE_TYPES = {
+    STREAK: "streak",         // consecutive days ending today matching metric (neutral days skipped)
+    COUNT_DAYS: "count_days", // days matching metric inside window
+    CUMULATIVE: "cumulative", // sum of metric inside window
+  };
+
+  /**
+   * Day conditions of streak / count_days rules
+   */
+  static DAY_CONDITIONS = {
+    active: (day) => day.total_points > 0,
+    perfect_day: (day) => this.isPerfectDay(day),
+    task_completed: (day, rule) => this.getMatchingCompletions(day, rule.task_filter).length > 0,
+    pages_read: (day) => (day.pages_read || 0) > 0,
+    distance_km: (day) => (parseFloat(day.distance_km) || 0) > 0,
+  };
+
+  /**
+   * Day values summed by cumulative rules
+   */
+  static METRICS = {
+    pages_read: (day) => day.pages_read || 0,
+    distance_km: (day) => parseFloat(day.distance_km) || 0,
+    total_points: (day) => day.total_points || 0,
+    earned_points: (day) => day.earned_points || 0,
+    task_completions: (day, rule) => this.getMatchingCompletions(day, rule.task_filter).length,
+  };
+
+  // Lifetime sums kept in user_stats (no history scan needed)
+  static TOTAL_COLUMNS = {
+    pages_read: "total_pages",
+    distance_km: "total_distance",
+    total_points: "total_points",
+    earned_points: "total_earned_points",
+  };
+
+  // Displayed streaks (statistics) are counted up to this many days
+  static MAX_STREAK_DAYS = 30;
+
+  /**
+   * Default rules, same rows as seeded in achievement_rules
+   * Used when the table cannot be read. The former single thresholds are the silver tiers.
+   */
   static ACHIEVEMENT_DEFINITIONS = {
     consistent: {
       id: "consistent",
       name: "Faol",
-      description: "21 kun ketma-ket faol bo'lish",
+      description: "7 / 21 / 60 kun ketma-ket faol bo'lish",
       icon: "🔥",
       color: "#ef4444",
-      checkFunction: "checkConsistentAchievement",
+      rule_type: "streak",
+      metric: "active",
+      threshold: 7,
+      window_days: null,
+      task_filter: null,
+      tiers: [
+        { name: "bronze", threshold: 7 },
+        { name: "silver", threshold: 21 },
+        { name: "gold", threshold: 60 },
+      ],
+      sort_order: 1,
     },
     reader: {
       id: "reader",
       name: "Kitobxon", 
-      description: "6,000 bet kitob o'qish",
+      description: "1,000 / 6,000 / 20,000 bet kitob o'qish",
       icon: "📚",
       color: "#3b82f6",
-      checkFunction: "checkReaderAchievement",
+      rule_type: "cumulative",
+      metric: "pages_read",
+      threshold: 1000,
+      window_days: null,
+      task_filter: null,
+      tiers: [
+        { name: "bronze", threshold: 1000 },
+        { name: "silver", threshold: 6000 },
+        { name: "gold", threshold: 20000 },
+      ],
+      sort_order: 2,
     },
     athlete: {
       id: "athlete",
       name: "Sportchi",
-      description: "100 km yugurish",
+      description: "25 / 100 / 500 km yugurish",
       icon: "🏃‍♂️",
       color: "#10b981",
-      checkFunction: "checkAthleteAchievement",
+      rule_type: "cumulative",
+      metric: "distance_km",
+      threshold: 25,
+      window_days: null,
+      task_filter: null,
+      tiers: [
+        { name: "bronze", threshold: 25 },
+        { name: "silver", threshold: 100 },
+        { name: "gold", threshold: 500 },
+      ],
+      sort_order: 3,
     },
     early_bird: {
       id: "early_bird", 
       name: "Uyg'oq",
-      description: "21 kun ketma-ket erta turish",
+      description: "7 / 21 / 60 kun ketma-ket erta turish",
       icon: "🌅",
       color: "#8b5cf6",
-      checkFunction: "checkEarlyBirdAchievement",
+      rule_type: "streak",
+      metric: "task_completed",
+      threshold: 7,
+      window_days: null,
+      task_filter: { categories: ["wake"] },
+      tiers: [
+        { name: "bronze", threshold: 7 },
+        { name: "silver", threshold: 21 },
+        { name: "gold", threshold: 60 },
+      ],
+      sort_order: 4,
     },
     perfectionist: {
       id: "perfectionist",
       name: "Olov",
-      description: "21 kun ketma-ket 10/10 vazifa",
+      description: "7 / 21 / 60 kun ketma-ket barcha vazifalar",
       icon: "⭐",
       color: "#f59e0b",
-      checkFunction: "checkPerfectionistAchievement",
+      rule_type: "streak",
+      metric: "perfect_day",
+      threshold: 7,
+      window_days: null,
+      task_filter: null,
+      tiers: [
+        { name: "bronze", threshold: 7 },
+        { name: "silver", threshold: 21 },
+        { name: "gold", threshold: 60 },
+      ],
+      sort_order: 5,
     },
   };
 
+  static rulesCache = null;
+
+  // =====================================================
+  // RULES
+  // =====================================================
+
   /**
-   * ✅ ASOSIY FUNKSIYA: Check and update all achievements for a user
+   * NUMERIC comes back as string from PostgREST, tiers are kept ascending
    */
-  static async updateUserAchievements(tg_id) {
+  static normalizeRule(rule) {
+    const tiers = rule.tiers?.length
+      ? rule.tiers
+        .map((tier) => ({ name: tier.name, threshold: Number(tier.threshold) }))
+        .sort((a, b) => a.threshold - b.threshold)
+      : null;
+
+    return { ...rule, threshold: Number(rule.threshold), tiers };
+  }
+
+  /**
+   * Rule fields with threshold taken from the first tier (when tiers are given)
+   */
+  static withTierThreshold(ruleData) {
+    if (!ruleData.tiers?.length) {
+      return ruleData;
+    }
+
+    const threshold = Math.min(...ruleData.tiers.map((tier) => tier.threshold));
+    return { ...ruleData, threshold };
+  }
+
+  /**
+   * Get all rules including inactive ones (cached)
+   */
+  static async getAllRules() {
+    if (this.rulesCache && Date.now() - this.rulesCache.timestamp < RULES_CACHE_TTL) {
+      return this.rulesCache.rules;
+    }
+
     try {
-      console.log(`🏆 Checking achievements for user ${tg_id}...`);
-      
-      const progressHistory = await DatabaseService.getUserProgressHistory(tg_id, 60);
-      const user = await DatabaseService.getUserByTelegramId(tg_id);
+      const { data, error } = await supabase
+        .from("achievement_rules")
+        .select(RULE_COLUMNS)
+        .order("sort_order", { ascending: true })
+        .order("id", { ascending: true });
+
+      if (error) {
+        logger.error("Database error in getAllRules:", error);
+        throw error;
+      }
 
-      if (!user || !progressHistory) {
-        console.log(`ℹ️ No user or progress data for ${tg_id}`);
-        return [];
+      const rules = (data || []).map((rule) => this.normalizeRule(rule));
+      this.rulesCache = { rules, timestamp: Date.now() };
+      return rules;
+    } catch (error) {
+      logger.error("Error in getAllRules:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rules the engine evaluates (defaults if the table cannot be read)
+   */
+  static async getActiveRules() {
+    try {
+      return (await this.getAllRules()).filter((rule) => rule.is_active);
+    } catch {
+      logger.warn("Achievement rules unavailable, using default definitions");
+      return Object.values(this.ACHIEVEMENT_DEFINITIONS);
+    }
+  }
+
+  /**
+   * Drop cached rules (after admin changes)
+   */
+  static invalidateRules() {
+    this.rulesCache = null;
+    CacheService.invalidate("user:"); // profiles embed achievement progress
+  }
+
+  /**
+   * Check metric / filter combination of rule
+   * @returns {string|null} Error message
+   */
+  static findRuleError(rule) {
+    const metrics = rule.rule_type === this.RULE_TYPES.CUMULATIVE ? this.METRICS : this.DAY_CONDITIONS;
+
+    if (!metrics[rule.metric]) {
+      return `metric of ${rule.rule_type} rule must be one of: ${Object.keys(metrics).join(", ")}`;
+    }
+
+    const usesTasks = rule.metric === "task_completed" || rule.metric === "task_completions";
+    const hasFilter = rule.task_filter?.task_ids?.length > 0 || rule.task_filter?.categories?.length > 0;
+
+    if (rule.metric === "task_completed" && !hasFilter) {
+      return "task_filter (task_ids or categories) is required for task_completed";
+    }
+    if (hasFilter && !usesTasks) {
+      return "task_filter only applies to task_completed and task_completions";
+    }
+
+    if (rule.tiers?.length) {
+      const thresholds = rule.tiers.map((tier) => tier.threshold);
+
+      if (thresholds.some((threshold, index) => index > 0 && threshold <= thresholds[index - 1])) {
+        return "tier thresholds must be strictly ascending";
+      }
+      if (rule.threshold !== thresholds[0]) {
+        return "threshold must equal the first tier threshold (omit it when tiers are given)";
       }
 
-      const currentAchievements = user.achievements || [];
-      const newAchievements = [...currentAchievements];
+      const names = Object.keys(ACHIEVEMENT_TIERS);
+      if (rule.tiers.some((tier, index) => names.indexOf(tier.name) <= names.indexOf(rule.tiers[index - 1]?.name))) {
+        return `tier names must follow the order: ${names.join(", ")}`;
+      }
+    }
 
-      console.log(`📊 Current achievements for ${tg_id}:`, currentAchievements);
+    return null;
+  }
 
-      // Check each achievement
-      for (const achievement of Object.values(this.ACHIEVEMENT_DEFINITIONS)) {
-        if (!currentAchievements.includes(achievement.id)) {
-          const earned = await this[achievement.checkFunction](progressHistory);
-          if (earned) {
-            newAchievements.push(achievement.id);
-            console.log(`🎉 NEW achievement earned: ${tg_id} - ${achievement.id} (${achievement.name})`);
-          }
-        }
+  /**
+   * Get rule by id (null if not found)
+   */
+  static async getRuleById(id) {
+    const rules = await this.getAllRules();
+    return rules.find((rule) => rule.id === id) || null;
+  }
+
+  /**
+   * Create rule
+   */
+  static async createRule(ruleData) {
+    try {
+      const payload = { ...ruleData };
+
+      if (payload.sort_order === undefined) {
+        const rules = await this.getAllRules();
+        payload.sort_order = rules.reduce((max, rule) => Math.max(max, rule.sort_order || 0), 0) + 1;
       }
 
-      // Update if new achievements earned
-      if (newAchievements.length > currentAchievements.length) {
-        await DatabaseService.updateUserAchievements(tg_id, newAchievements);
-        const earnedNew = newAchievements.filter((a) => !currentAchievements.includes(a));
-        console.log(`✅ Updated achievements for ${tg_id}. New:`, earnedNew);
-        return earnedNew;
+      const { data, error } = await supabase
+        .from("achievement_rules")
+        .insert(payload)
+        .select(RULE_COLUMNS)
+        .single();
+
+      if (error) {
+        logger.error("Database error in createRule:", error);
+        throw error;
       }
 
-      console.log(`ℹ️ No new achievements for ${tg_id}`);
-      return [];
+      this.invalidateRules();
+      logger.info(`Achievement rule created: ${data.id} - ${data.rule_type}/${data.metric} >= ${data.threshold}`);
+      return this.normalizeRule(data);
     } catch (error) {
-      logger.error("Error in updateUserAchievements:", error);
-      return [];
+      logger.error("Error in createRule:", error);
+      throw error;
     }
   }
 
   /**
-   * ✅ TUZATILGAN: Check consistent achievement (21 consecutive days with activity)
-   * MUHIM: Zanjir uzilsa 0 dan boshlanadi!
+   * Update rule fields
+   * @returns {Promise<Object|null>} Updated rule or null if not found
    */
-  static async checkConsistentAchievement(progressHistory) {
-    let consecutiveDays = 0;
-    const today = new Date();
-
-    console.log('🔍 Checking consistent achievement...');
+  static async updateRule(id, updates) {
+    try {
+      const { data, error } = await supabase
+        .from("achievement_rules")
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", id)
+        .select(RULE_COLUMNS)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in updateRule:", error);
+        throw error;
+      }
 
-    // Bugundan boshlab orqaga qarab 60 kun tekshirish
-    for (let i = 0; i < 60; i++) {
-      const targetDate = new Date(today.getTime() - i * 24 * 60 * 60 * 1000)
-        .toISOString()
-        .split("T")[0];
-      
-      const dayData = progressHistory.find((p) => p.date === targetDate);
-
-      if (dayData && dayData.total_points > 0) {
-        consecutiveDays++;
-        // 21 kun to'lsa - achievement earned!
-        if (consecutiveDays >= 21) {
-          console.log(`✅ Consistent achievement earned! ${consecutiveDays} consecutive days`);
-          return true;
-        }
-      } else {
-        // ❌ Zanjir uzildi - to'xtash
-        console.log(`❌ Consistent streak broken at day ${i}, total consecutive: ${consecutiveDays}`);
-        break;
+      this.invalidateRules();
+      if (data) {
+        logger.info(`Achievement rule updated: ${id} - ${Object.keys(updates).join(", ")}`);
       }
+      return data ? this.normalizeRule(data) : null;
+    } catch (error) {
+      logger.error("Error in updateRule:", error);
+      throw error;
     }
+  }
 
-    console.log(`📊 Consistent progress: ${consecutiveDays}/21 consecutive days`);
-    return false;
+  /**
+   * Deactivate rule: no longer evaluated, earned badges stay
+   */
+  static async deactivateRule(id) {
+    return this.updateRule(id, { is_active: false });
   }
 
   /**
-   * ✅ TUZATILGAN: Check reader achievement (6000+ pages total)
+   * Count users holding badge (used to protect earned badges on delete)
+   * Every holder has the level 1 row, higher tiers are granted on top of it.
    */
-  static async checkReaderAchievement(progressHistory) {
-    const totalPages = progressHistory.reduce(
-      (sum, day) => sum + (day.pages_read || 0),
-      0
-    );
-    
-    console.log(`📚 Reader check: ${totalPages}/6000 pages`);
-    
-    const earned = totalPages >= 6000;
-    if (earned) {
-      console.log(`✅ Reader achievement earned! ${totalPages} pages read`);
+  static async countEarnedUsers(id) {
+    try {
+      const { count, error } = await supabase
+        .from("user_achievements")
+        .select("id", { count: "exact", head: true })
+        .eq("achievement_id", id)
+        .eq("level", 1);
+
+      if (error) {
+        logger.error("Database error in countEarnedUsers:", error);
+        throw error;
+      }
+
+      return count || 0;
+    } catch (error) {
+      logger.error("Error in countEarnedUsers:", error);
+      throw error;
     }
-    
-    return earned;
   }
 
   /**
-   * ✅ TUZATILGAN: Check athlete achievement (100+ km total)
+   * Delete rule permanently
+   * @returns {Promise<Object|null>} Deleted rule or null if not found
    */
-  static async checkAthleteAchievement(progressHistory) {
-    const totalDistance = progressHistory.reduce(
-      (sum, day) => sum + (parseFloat(day.distance_km) || 0),
-      0
-    );
-    
-    console.log(`🏃‍♂️ Athlete check: ${totalDistance}/100 km`);
-    
-    const earned = totalDistance >= 100;
-    if (earned) {
-      console.log(`✅ Athlete achievement earned! ${totalDistance} km distance`);
+  static async deleteRule(id) {
+    try {
+      const { data, error } = await supabase
+        .from("achievement_rules")
+        .delete()
+        .eq("id", id)
+        .select(RULE_COLUMNS)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in deleteRule:", error);
+        throw error;
+      }
+
+      this.invalidateRules();
+      if (data) {
+        logger.info(`Achievement rule deleted: ${id}`);
+      }
+      return data ? this.normalizeRule(data) : null;
+    } catch (error) {
+      logger.error("Error in deleteRule:", error);
+      throw error;
     }
-    
-    return earned;
   }
 
+  // =====================================================
+  // ENGINE
+  // =====================================================
+
   /**
-   * ✅ TUZATILGAN: Check perfectionist achievement (21 consecutive days 10/10 tasks)
-   * MUHIM: Zanjir uzilsa 0 dan boshlanadi!
+   * Levels of rule ({ level, name, threshold }), single level rules have one unnamed tier
    */
-  static async checkPerfectionistAchievement(progressHistory) {
-    let consecutiveStreak = 0;
-    const today = new Date();
+  static getTiers(rule) {
+    const tiers = rule.tiers?.length ? rule.tiers : [{ name: null, threshold: rule.threshold }];
+    return tiers.map((tier, index) => ({ level: index + 1, name: tier.name, threshold: tier.threshold }));
+  }
 
-    console.log('🔍 Checking perfectionist achievement...');
+  /**
+   * Threshold of the highest tier (streaks are counted up to it)
+   */
+  static getTopThreshold(rule) {
+    return rule.tiers?.length ? rule.tiers[rule.tiers.length - 1].threshold : rule.threshold;
+  }
 
-    // Bugundan boshlab orqaga qarab tekshirish
-    for (let i = 0; i < 60; i++) {
-      const targetDate = new Date(today.getTime() - i * 24 * 60 * 60 * 1000)
-        .toISOString()
-        .split("T")[0];
+  /**
+   * Highest level reached by value (0 = not earned)
+   */
+  static getLevel(rule, value) {
+    return this.getTiers(rule).filter((tier) => value >= tier.threshold).length;
+  }
 
-      const dayData = progressHistory.find((p) => p.date === targetDate);
+  /**
+   * Level of badge only found in users.achievements (earned before user_achievements)
+   * Default badges were earned at their former single threshold, now the silver tier.
+   */
+  static getLegacyLevel(id) {
+    const tiers = this.ACHIEVEMENT_DEFINITIONS[id]?.tiers || [];
+    return tiers.findIndex((tier) => tier.name === "silver") + 1 || 1;
+  }
 
-      if (dayData) {
-        // ✅ MUHIM: Barcha 10 ta vazifa bajarilganmi tekshirish
-        const allTasksCompleted = [
-          dayData.shart_1, dayData.shart_2, dayData.shart_3, dayData.shart_4, dayData.shart_5,
-          dayData.shart_6, dayData.shart_7, dayData.shart_8, dayData.shart_9, dayData.shart_10
-        ].every((task) => task === 1 || task === true);
+  /**
+   * Highest stored level per achievement id
+   * Ids only found in users.achievements (not yet copied) count as their legacy level.
+   */
+  static getEarnedLevels(user, earnedRows) {
+    const levels = new Map();
 
-        if (allTasksCompleted) {
-          consecutiveStreak++;
-          console.log(`✅ Perfect day ${i}: ${targetDate} (${consecutiveStreak}/21)`);
-          
-          // Agar 21 kun to'lsa - muvaffaqiyat!
-          if (consecutiveStreak >= 21) {
-            console.log(`🎉 Perfectionist achievement earned! ${consecutiveStreak} consecutive perfect days`);
-            return true;
-          }
-        } else {
-          // ❌ Zanjir uzildi - to'xtash
-          console.log(`❌ Perfectionist streak broken at day ${i} (${targetDate}). Total points: ${dayData.total_points}/10`);
-          break;
-        }
-      } else {
-        // ❌ Ma'lumot yo'q - zanjir uzildi
-        console.log(`❌ Perfectionist streak broken at day ${i} (${targetDate}) - no data`);
-        break;
+    for (const row of earnedRows) {
+      levels.set(row.achievement_id, Math.max(levels.get(row.achievement_id) || 0, row.level || 1));
+    }
+
+    // users.achievements mirrors stored rows, so only ids without any row are legacy
+    for (const id of user?.achievements || []) {
+      if (!levels.has(id)) {
+        levels.set(id, this.getLegacyLevel(id));
       }
     }
 
-    console.log(`📊 Perfectionist progress: ${consecutiveStreak}/21 perfect days`);
-    return false;
+    return levels;
   }
 
   /**
-   * ✅ TUZATILGAN: Check early bird achievement (21 consecutive days task 9 completed)
-   * MUHIM: Faqat shart_9 (erta turish) vazifasi tekshiriladi!
+   * Lifetime cumulative rule answered from user_stats
    */
-  static async checkEarlyBirdAchievement(progressHistory) {
-    let consecutiveStreak = 0;
-    const today = new Date();
+  static usesTotals(rule) {
+    return rule.rule_type === this.RULE_TYPES.CUMULATIVE && !rule.window_days && Boolean(this.TOTAL_COLUMNS[rule.metric]);
+  }
 
-    console.log('🔍 Checking early bird achievement (task 9 - early wake up)...');
+  /**
+   * Days of history rules need (null = whole history)
+   */
+  static getHistoryDays(rules) {
+    let days = 0;
+
+    for (const rule of rules) {
+      if (rule.rule_type === this.RULE_TYPES.STREAK) {
+        days = Math.max(days, rule.window_days || Math.ceil(this.getTopThreshold(rule)));
+      } else if (rule.window_days) {
+        days = Math.max(days, rule.window_days);
+      } else if (!this.usesTotals(rule)) {
+        return null;
+      }
+    }
 
-    // Bugundan boshlab orqaga qarab tekshirish
-    for (let i = 0; i < 60; i++) {
-      const targetDate = new Date(today.getTime() - i * 24 * 60 * 60 * 1000)
-        .toISOString()
-        .split("T")[0];
+    return days;
+  }
 
-      const dayData = progressHistory.find((p) => p.date === targetDate);
+  /**
+   * Load everything rules are evaluated on
+   * Days are in user's timezone, lifetime sums come from user_stats
+   * @param {boolean} fullHistory - Read whole history (recompute looks at every past window)
+   * @returns {Promise<Object|null>} { user, today, progressHistory, totals, neutralDates } (null if user is missing)
+   */
+  static async getAchievementContext(tg_id, rules, { fullHistory = false } = {}) {
+    const user = await DatabaseService.getUserByTelegramId(tg_id);
+    if (!user) {
+      return null;
+    }
 
-      if (dayData && (dayData.shart_9 === 1 || dayData.shart_9 === true)) {
-        consecutiveStreak++;
-        console.log(`🌅 Early wake day ${i}: ${targetDate} (${consecutiveStreak}/21)`);
-        
-        // Agar 21 kun to'lsa - muvaffaqiyat!
-        if (consecutiveStreak >= 21) {
-          console.log(`🎉 Early Bird achievement earned! ${consecutiveStreak} consecutive early wake days`);
-          return true;
-        }
-      } else {
-        // ❌ Zanjir uzildi - to'xtash  
-        console.log(`❌ Early bird streak broken at day ${i} (${targetDate}). Task 9 status: ${dayData?.shart_9 || 'no data'}`);
-        break;
-      }
+    const [today, neutralDates] = await Promise.all([
+      TimezoneService.getUserToday(tg_id),
+      StreakFreezeService.getNeutralDates(tg_id),
+    ]);
+
+    // Skipped neutral days stretch streaks over more calendar days
+    const historyDays = fullHistory ? null : this.getHistoryDays(rules);
+    const [progressHistory, totals] = await Promise.all([
+      DatabaseService.getUserProgressHistory(tg_id, historyDays === null ? null : historyDays + neutralDates.size, today),
+      DatabaseService.getUserTotals(tg_id),
+    ]);
+
+    return { user, today, progressHistory: progressHistory || [], totals, neutralDates };
+  }
+
+  /**
+   * Completions of day matching task_filter ({ task_ids?, categories? })
+   */
+  static getMatchingCompletions(dayData, taskFilter) {
+    const taskIds = taskFilter?.task_ids || [];
+    const categories = taskFilter?.categories || [];
+
+    return (dayData.completed_tasks || []).filter((completion) =>
+      taskIds.includes(completion.task_id) || categories.includes(completion.category)
+    );
+  }
+
+  /**
+   * Days of history inside window ending today (all days when window is null)
+   */
+  static getWindowDays(progressHistory, today, windowDays) {
+    if (!windowDays) {
+      return progressHistory.filter((day) => day.date <= today);
     }
 
-    console.log(`📊 Early bird progress: ${consecutiveStreak}/21 consecutive early wake days`);
-    return false;
+    const firstDate = addDays(today, -(windowDays - 1));
+    return progressHistory.filter((day) => day.date >= firstDate && day.date <= today);
   }
 
   /**
-   * ✅ YANGI: Get current consistent streak
+   * Current value of rule (streak days, matching days or metric sum)
    */
-  static async getConsistentStreak(progressHistory) {
-    let consecutive = 0;
-    const today = new Date();
-    
-    for (let i = 0; i < progressHistory.length; i++) {
-      const expectedDate = new Date(today.getTime() - i * 24 * 60 * 60 * 1000)
-        .toISOString()
-        .split("T")[0];
-      const dayData = progressHistory.find((p) => p.date === expectedDate);
+  static getRuleProgress(rule, { progressHistory, today, totals, neutralDates }) {
+    switch (rule.rule_type) {
+      case this.RULE_TYPES.STREAK: {
+        const condition = this.DAY_CONDITIONS[rule.metric];
+        const maxDays = rule.window_days || Math.ceil(this.getTopThreshold(rule));
+        return condition
+          ? this.countStreak(progressHistory, today, (day) => condition(day, rule), maxDays, neutralDates)
+          : 0;
+      }
 
-      if (dayData && dayData.total_points > 0) {
-        consecutive++;
-      } else {
-        break;
+      case this.RULE_TYPES.COUNT_DAYS: {
+        const condition = this.DAY_CONDITIONS[rule.metric];
+        return condition
+          ? this.getWindowDays(progressHistory, today, rule.window_days).filter((day) => condition(day, rule)).length
+          : 0;
       }
 
-      // Maksimal 30 kun hisoblash
-      if (i >= 30) break;
+      case this.RULE_TYPES.CUMULATIVE: {
+        if (this.usesTotals(rule)) {
+          return totals[this.TOTAL_COLUMNS[rule.metric]] || 0;
+        }
+
+        const metric = this.METRICS[rule.metric];
+        return metric
+          ? this.getWindowDays(progressHistory, today, rule.window_days).reduce((sum, day) => sum + metric(day, rule), 0)
+          : 0;
+      }
+
+      default:
+        logger.warn(`Unknown achievement rule type: ${rule.id} - ${rule.rule_type}`);
+        return 0;
     }
-    
-    return consecutive;
   }
 
   /**
-   * ✅ YANGI: Get current early bird streak
+   * Best value rule reached on any day up to today
+   * Streaks: longest run; windowed rules: best window; lifetime rules: current value.
+   * A tier is deserved while this is at least its threshold.
    */
-  static async getEarlyBirdStreak(progressHistory) {
-    let consecutiveStreak = 0;
-    const today = new Date();
+  static getBestRuleProgress(rule, context) {
+    const isStreak = rule.rule_type === this.RULE_TYPES.STREAK;
+    if (!isStreak && !rule.window_days) {
+      return this.getRuleProgress(rule, context);
+    }
+
+    const days = context.progressHistory
+      .filter((day) => day.date <= context.today)
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    if (isStreak) {
+      const condition = this.DAY_CONDITIONS[rule.metric];
+      if (!condition) {
+        return 0;
+      }
+
+      const best = StreakService.countLongestStreak(
+        days.filter((day) => condition(day, rule)).map((day) => day.date),
+        context.neutralDates
+      );
+
+      return Math.min(best, rule.window_days || Math.ceil(this.getTopThreshold(rule)));
+    }
+
+    const dayValue = rule.rule_type === this.RULE_TYPES.COUNT_DAYS
+      ? (day) => (this.DAY_CONDITIONS[rule.metric]?.(day, rule) ? 1 : 0)
+      : (day) => this.METRICS[rule.metric]?.(day, rule) || 0;
 
-    // Bugundan boshlab orqaga qarab tekshirish
-    for (let i = 0; i < 60; i++) {
-      const targetDate = new Date(today.getTime() - i * 24 * 60 * 60 * 1000)
-        .toISOString()
-        .split("T")[0];
+    // Sliding window of window_days ending on each stored day
+    let best = 0;
+    let sum = 0;
+    let first = 0;
 
-      const dayData = progressHistory.find((p) => p.date === targetDate);
+    for (const day of days) {
+      sum += dayValue(day);
 
-      if (dayData && (dayData.shart_9 === 1 || dayData.shart_9 === true)) {
-        consecutiveStreak++;
-      } else {
-        break;
+      const firstDate = addDays(day.date, -(rule.window_days - 1));
+      while (days[first].date < firstDate) {
+        sum -= dayValue(days[first]);
+        first++;
       }
 
-      // Maksimal 30 kun hisoblash
-      if (i >= 30) break;
+      best = Math.max(best, sum);
     }
 
-    return consecutiveStreak;
+    return best;
+  }
+
+  /**
+   * Stat that earned the tier (stored in user_achievements.stat_snapshot)
+   */
+  static getStatSnapshot(rule, tier, value, today, extra = {}) {
+    return {
+      rule_type: rule.rule_type,
+      metric: rule.metric,
+      value: Math.round(value * 100) / 100,
+      threshold: tier.threshold,
+      window_days: rule.window_days || null,
+      date: today,
+      tier: tier.name,
+      ...extra,
+    };
+  }
+
+  /**
+   * Rows for tiers above heldLevel up to level
+   */
+  static getTierEntries(rule, heldLevel, level, value, today, extra = {}) {
+    return this.getTiers(rule)
+      .filter((tier) => tier.level > heldLevel && tier.level <= level)
+      .map((tier) => ({
+        achievement_id: rule.id,
+        level: tier.level,
+        stat_snapshot: this.getStatSnapshot(rule, tier, value, today, extra),
+      }));
   }
 
   /**
-   * ✅ YANGI: Get current perfectionist streak
+   * Re-evaluate stored badges of one user against rules (used by the recompute job)
+   * Only badges of the given rules are granted or revoked, others are left alone.
+   * Every missing tier is a grant entry, every stored tier above the deserved level a revoke entry.
+   * @param {Array} rules - Rules to check (normally every active rule)
+   * @param {boolean} apply - Write changes (false = dry run)
+   * @param {boolean} revoke - Also remove tiers that are no longer deserved
+   * @returns {Promise<Object|null>} { tg_id, grant: [...], revoke: [...], applied } (null if user is missing)
    */
-  static async getPerfectionistStreak(progressHistory) {
-    let consecutiveStreak = 0;
-    const today = new Date();
+  static async recomputeUserAchievements(tg_id, rules, { apply = false, revoke = false } = {}) {
+    try {
+      const [context, earnedRows] = await Promise.all([
+        this.getAchievementContext(tg_id, rules, { fullHistory: true }),
+        DatabaseService.getUserAchievements(tg_id),
+      ]);
+
+      if (!context) {
+        return null;
+      }
+
+      const heldLevels = this.getEarnedLevels(context.user, earnedRows);
+      const grantEntries = [];
+      const toRevoke = [];
+
+      for (const rule of rules) {
+        const value = this.getBestRuleProgress(rule, context);
+        const level = this.getLevel(rule, value);
+        const heldLevel = heldLevels.get(rule.id) || 0;
+        const describe = (tier) => ({
+          achievement_id: rule.id,
+          level: tier.level,
+          tier: tier.name,
+          value: Math.round(value * 100) / 100,
+          threshold: tier.threshold,
+        });
 
-    // Bugundan boshlab orqaga qarab tekshirish
-    for (let i = 0; i < 60; i++) {
-      const targetDate = new Date(today.getTime() - i * 24 * 60 * 60 * 1000)
-        .toISOString()
-        .split("T")[0];
+        grantEntries.push(...this.getTierEntries(rule, heldLevel, level, value, context.today, { source: "recompute" }));
+        toRevoke.push(...this.getTiers(rule)
+          .filter((tier) => tier.level > level && tier.level <= heldLevel)
+          .map(describe));
+      }
 
-      const dayData = progressHistory.find((p) => p.date === targetDate);
+      const result = {
+        tg_id,
+        grant: grantEntries.map(({ achievement_id, level, stat_snapshot }) => ({
+          achievement_id,
+          level,
+          tier: stat_snapshot.tier,
+          value: stat_snapshot.value,
+          threshold: stat_snapshot.threshold,
+        })),
+        revoke: toRevoke,
+        applied: false,
+      };
 
-      if (dayData) {
-        // Barcha 10 ta vazifa bajarilganmi tekshirish
-        const allTasksCompleted = [
-          dayData.shart_1, dayData.shart_2, dayData.shart_3, dayData.shart_4, dayData.shart_5,
-          dayData.shart_6, dayData.shart_7, dayData.shart_8, dayData.shart_9, dayData.shart_10
-        ].every((task) => task === 1 || task === true);
+      if (!apply) {
+        return result;
+      }
 
-        if (allTasksCompleted) {
-          consecutiveStreak++;
-        } else {
-          break;
-        }
-      } else {
-        break;
+      if (grantEntries.length > 0) {
+        const inserted = await DatabaseService.addUserAchievements(tg_id, grantEntries);
+        EventService.achievementsEarned(tg_id, inserted);
       }
 
-      // Maksimal 30 kun hisoblash
-      if (i >= 30) break;
-    }
+      if (revoke && toRevoke.length > 0) {
+        const removed = await DatabaseService.removeUserAchievements(tg_id, toRevoke);
+        EventService.achievementsRevoked(tg_id, removed);
+      }
 
-    return consecutiveStreak;
+      result.applied = true;
+      return result;
+    } catch (error) {
+      logger.error("Error in recomputeUserAchievements:", error);
+      throw error;
+    }
   }
 
   /**
-   * ✅ ASOSIY FUNKSIYA: Get achievement progress for user (Frontend uchun)
+   * ✅ ASOSIY FUNKSIYA: Check and update all achievements for a user
+   * Single engine for every progress write (submit, edit, approved edit request)
+   * Reaching a higher tier stores every tier up to it.
+   * @returns {Promise<string[]>} Ids of achievements with a newly earned tier
    */
-  static async getAchievementProgress(tg_id) {
+  static async updateUserAchievements(tg_id) {
     try {
-      console.log(`🏆 Getting achievement progress for user ${tg_id}...`);
+      logger.debug(`Checking achievements for user ${tg_id}`);
       
-      const progressHistory = await DatabaseService.getUserProgressHistory(tg_id, 60);
-      const user = await DatabaseService.getUserByTelegramId(tg_id);
-
-      if (!user || !progressHistory) {
-        console.log(`❌ No user or progress data for ${tg_id}`);
+      const rules = await this.getActiveRules();
+      const [context, earnedRows] = await Promise.all([
+        this.getAchievementContext(tg_id, rules),
+        DatabaseService.getUserAchievements(tg_id),
+      ]);
+
+      if (!context) {
+        logger.debug(`No user data for ${tg_id}`);
         return [];
       }
 
-      const userAchievements = user.achievements || [];
-      const progress = [];
-
-      console.log(`📊 User ${tg_id} current achievements:`, userAchievements);
-
-      for (const achievement of Object.values(this.ACHIEVEMENT_DEFINITIONS)) {
-        const earned = userAchievements.includes(achievement.id);
-        let currentProgress = 0;
-        let maxProgress = 100;
-
-        // ✅ Calculate real-time progress based on achievement type
-        switch (achievement.id) {
-          case "consistent":
-            currentProgress = await this.getConsistentStreak(progressHistory);
-            maxProgress = 21;
-            break;
-            
-          case "reader":
-            currentProgress = progressHistory.reduce(
-              (sum, day) => sum + (day.pages_read || 0),
-              0
-            );
-            maxProgress = 6000;
-            break;
-            
-          case "athlete":
-            currentProgress = Math.round(progressHistory.reduce(
-              (sum, day) => sum + (parseFloat(day.distance_km) || 0),
-              0
-            ) * 100) / 100; // 2 decimal places
-            maxProgress = 100;
-            break;
-            
-          case "perfectionist":
-            currentProgress = await this.getPerfectionistStreak(progressHistory);
-            maxProgress = 21;
-            break;
-            
-          case "early_bird":
-            currentProgress = await this.getEarlyBirdStreak(progressHistory);
-            maxProgress = 21;
-            break;
-        }
+      const heldLevels = this.getEarnedLevels(context.user, earnedRows);
+      const entries = [];
 
-        const percentage = Math.min((currentProgress / maxProgress) * 100, 100);
+      for (const rule of rules) {
+        const heldLevel = heldLevels.get(rule.id) || 0;
+        if (heldLevel >= this.getTiers(rule).length) {
+          continue;
+        }
 
-        progress.push({
-          ...achievement,
-          earned,
-          current: Math.min(currentProgress, maxProgress),
-          max: maxProgress,
-          percentage: Math.round(percentage * 10) / 10, // 1 decimal place
-        });
+        const current = this.getRuleProgress(rule, context);
+        const level = this.getLevel(rule, current);
+        if (level > heldLevel) {
+          entries.push(...this.getTierEntries(rule, heldLevel, level, current, context.today));
+          logger.info(`Achievement earned: ${tg_id} - ${rule.id} level ${level} (${current})`);
+        }
+      }
 
-        console.log(`📊 ${achievement.name}: ${currentProgress}/${maxProgress} (${percentage.toFixed(1)}%) - ${earned ? 'EARNED' : 'NOT EARNED'}`);
+      if (entries.length === 0) {
+        logger.debug(`No new achievements for ${tg_id}`);
+        return [];
       }
 
-      console.log(`✅ Achievement progress calculated for user ${tg_id}: ${progress.length} achievements`);
-      return progress;
+      // Rows already written by a concurrent evaluation are skipped
+      const inserted = await DatabaseService.addUserAchievements(tg_id, entries);
+      const earnedNew = [...new Set(inserted.map((row) => row.achievement_id))];
+
+      EventService.achievementsEarned(tg_id, inserted);
+      logger.info(`Updated achievements for ${tg_id}`, { earned: earnedNew });
+      return earnedNew;
+    } catch (error) {
+      logger.error("Error in updateUserAchievements:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Day with every active task completed
+   */
+  static isPerfectDay(dayData) {
+    return dayData.total_tasks > 0 && dayData.total_points >= dayData.total_tasks;
+  }
+
+  /**
+   * Day with early wake-up ('wake' category) task completed
+   */
+  static isEarlyWakeDay(dayData) {
+    return (dayData.completed_categories || []).includes("wake");
+  }
+
+  /**
+   * Consecutive days ending today that match isMatchingDay (at most maxDays)
+   * MUHIM: Zanjir uzilsa 0 dan boshlanadi! Counted like every other streak (StreakService).
+   */
+  static countStreak(progressHistory, today, isMatchingDay, maxDays = this.MAX_STREAK_DAYS, neutralDates = new Set()) {
+    const byDate = new Map(progressHistory.map((day) => [day.date, day]));
+    const isActiveDate = (date) => byDate.has(date) && isMatchingDay(byDate.get(date));
+
+    return StreakService.countCurrentStreak(today, isActiveDate, neutralDates, maxDays);
+  }
+
+  /**
+   * ✅ ASOSIY FUNKSIYA: Get achievement progress for user (Frontend uchun)
+   * One entry per active rule: { id, name, ..., earned, earned_at, level, tier, next_tier, current, max, percentage }
+   * max / percentage refer to the next tier (the top tier once every level is earned).
+   */
+  static async getAchievementProgress(tg_id) {
+    try {
+      logger.debug(`Getting achievement progress for user ${tg_id}`);
       
+      const rules = await this.getActiveRules();
+      const [context, earnedRows] = await Promise.all([
+        this.getAchievementContext(tg_id, rules),
+        DatabaseService.getUserAchievements(tg_id),
+      ]);
+
+      if (!context) {
+        logger.debug(`No user data for ${tg_id}`);
+        return [];
+      }
+
+      const heldLevels = this.getEarnedLevels(context.user, earnedRows);
+      const rowByTier = new Map(earnedRows.map((row) => [`${row.achievement_id}:${row.level || 1}`, row]));
+
+      return rules.map(({ is_active, created_at, updated_at, ...rule }) => {
+        const current = this.getRuleProgress(rule, context);
+        const allTiers = this.getTiers(rule);
+
+        // Stored levels stay even when a streak breaks
+        const level = Math.max(heldLevels.get(rule.id) || 0, this.getLevel(rule, current));
+        const earned = level > 0;
+        const tiers = allTiers.map((tier) => ({
+          ...tier,
+          earned: tier.level <= level,
+          earned_at: rowByTier.get(`${rule.id}:${tier.level}`)?.earned_at || null,
+        }));
+
+        const currentTier = tiers[level - 1] || null;
+        const nextTier = tiers[level] || null;
+        const target = (nextTier || tiers[tiers.length - 1]).threshold;
+        const percentage = Math.min((current / target) * 100, 100);
+        const firstRow = rowByTier.get(`${rule.id}:1`) || null;
+        const levelRow = currentTier ? rowByTier.get(`${rule.id}:${currentTier.level}`) || null : null;
+
+        return {
+          ...rule,
+          earned,
+          completed: earned,
+          earned_at: firstRow?.earned_at || null,
+          stat_snapshot: levelRow?.stat_snapshot || firstRow?.stat_snapshot || null,
+          level,
+          max_level: tiers.length,
+          tier: currentTier?.name || null,
+          level_earned_at: levelRow?.earned_at || null,
+          next_tier: nextTier ? { level: nextTier.level, name: nextTier.name, threshold: nextTier.threshold } : null,
+          tiers,
+          current: Math.min(Math.round(current * 100) / 100, target), // 2 decimal places
+          max: target,
+          percentage: Math.round(percentage * 10) / 10, // 1 decimal place
+        };
+      });
     } catch (error) {
       logger.error("Error in getAchievementProgress:", error);
       return [];
@@ -432,24 +881,33 @@ export class AchievementService {
 
   /**
    * ✅ YANGI: Get achievement summary for user profile
+   * @param {number} days - Badges earned within this many days are "recently earned"
    */
-  static async getAchievementSummary(tg_id) {
+  static async getAchievementSummary(tg_id, days = 7) {
     try {
       const progress = await this.getAchievementProgress(tg_id);
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
       
       const summary = {
         total_achievements: progress.length,
         earned_count: progress.filter(p => p.earned).length,
         in_progress_count: progress.filter(p => !p.earned && p.current > 0).length,
         completion_percentage: Math.round((progress.filter(p => p.earned).length / progress.length) * 100),
+        levels_earned: progress.reduce((sum, p) => sum + p.level, 0),
+        levels_total: progress.reduce((sum, p) => sum + p.max_level, 0),
         
-        // Closest to completion
+        // Closest to its next tier
         closest_achievement: progress
-          .filter(p => !p.earned)
+          .filter(p => p.next_tier)
           .sort((a, b) => b.percentage - a.percentage)[0] || null,
           
-        // Recently earned (last 7 days)
-        recently_earned: progress.filter(p => p.earned), // TODO: Add date tracking
+        // Tiers earned within the last `days` days (newest first)
+        recently_earned: progress
+          .flatMap(p => p.tiers
+            .filter(tier => tier.earned_at && new Date(tier.earned_at).toISOString() >= since)
+            .map(tier => ({ ...p, earned_level: tier.level, earned_tier: tier.name, earned_at: tier.earned_at })))
+          .sort((a, b) => new Date(b.earned_at) - new Date(a.earned_at)),
+        recent_days: days,
         
         // Progress details
         achievements: progress
@@ -463,43 +921,51 @@ export class AchievementService {
         earned_count: 0,
         in_progress_count: 0,
         completion_percentage: 0,
+        levels_earned: 0,
+        levels_total: 0,
         closest_achievement: null,
         recently_earned: [],
+        recent_days: days,
         achievements: []
       };
     }
   }
 
   /**
-   * ✅ YANGI: Check if user deserves a badge display name update
+   * ✅ YANGI: Name with badge icons, each followed by the medal of the highest tier earned
+   * e.g. "Ali 🔥🥈📚🥇" (single level badges show the icon only)
    */
   static async getBadgeDisplayName(tg_id, originalName) {
     try {
-      const user = await DatabaseService.getUserByTelegramId(tg_id);
-      if (!user || !user.achievements) {
+      const [user, earnedRows] = await Promise.all([
+        DatabaseService.getUserByTelegramId(tg_id),
+        DatabaseService.getUserAchievements(tg_id),
+      ]);
+      if (!user) {
         return originalName;
       }
 
-      const achievements = user.achievements;
-      const badges = [];
-
-      // Add badges based on achievements
-      if (achievements.includes('perfectionist')) {
-        badges.push('🔥'); // Olov
-      }
-      if (achievements.includes('early_bird')) {
-        badges.push('🌅'); // Uyg'oq
-      }
-      if (achievements.includes('consistent')) {
-        badges.push('⚡'); // Faol
-      }
-      if (achievements.includes('reader')) {
-        badges.push('📚'); // Kitobxon
+      const levels = this.getEarnedLevels(user, earnedRows);
+      if (levels.size === 0) {
+        return originalName;
       }
-      if (achievements.includes('athlete')) {
-        badges.push('🏃‍♂️'); // Sportchi
+
+      // Badges of deactivated rules stay on the name
+      let rules;
+      try {
+        rules = await this.getAllRules();
+      } catch {
+        rules = Object.values(this.ACHIEVEMENT_DEFINITIONS);
       }
 
+      const badges = rules
+        .filter((rule) => levels.has(rule.id) && rule.icon)
+        .map((rule) => {
+          const tiers = this.getTiers(rule);
+          const tier = tiers[Math.min(levels.get(rule.id), tiers.length) - 1];
+          return `${rule.icon}${ACHIEVEMENT_TIERS[tier?.name] || ""}`;
+        });
+
       // Return name with badges
       if (badges.length > 0) {
         return `${originalName} ${badges.join('')}`;
@@ -517,48 +983,48 @@ export class AchievementService {
    */
   static async debugAchievements(tg_id) {
     try {
-      console.log(`🔍 DEBUGGING achievements for user ${tg_id}...`);
+      logger.debug(`Debugging achievements for user ${tg_id}`);
       
-      const progressHistory = await DatabaseService.getUserProgressHistory(tg_id, 30);
-      const user = await DatabaseService.getUserByTelegramId(tg_id);
+      const rules = await this.getActiveRules();
+      const context = await this.getAchievementContext(tg_id, rules);
+      if (!context) {
+        logger.debug(`No user data for ${tg_id}`);
+        return false;
+      }
+
+      const { user, today, progressHistory, totals } = context;
 
-      console.log(`📊 Progress history: ${progressHistory?.length || 0} days`);
-      console.log(`👤 User achievements:`, user?.achievements || []);
+      logger.debug(`Progress history: ${progressHistory.length} days`);
+      logger.debug("Lifetime totals:", totals);
+      logger.debug("User achievements:", { achievements: user.achievements || [] });
 
-      // Debug each achievement
-      for (const achievement of Object.values(this.ACHIEVEMENT_DEFINITIONS)) {
-        console.log(`\n🏆 Checking ${achievement.name} (${achievement.id}):`);
+      // Debug each rule
+      for (const rule of rules) {
+        logger.debug(`Checking ${rule.name} (${rule.id}, ${rule.rule_type}/${rule.metric})`);
         
-        const isEarned = await this[achievement.checkFunction](progressHistory);
-        console.log(`   Result: ${isEarned ? '✅ EARNED' : '❌ NOT EARNED'}`);
+        const current = this.getRuleProgress(rule, context);
+        const level = this.getLevel(rule, current);
+        const tiers = this.getTiers(rule).map((tier) => `${tier.name || 'level'} ${tier.threshold}`).join(' / ');
+        logger.debug(`${rule.id} result: ${current} (${tiers}) ${level > 0 ? `level ${level}` : 'not earned'}`);
       }
 
       // Debug recent progress
-      console.log(`\n📅 Recent progress (last 7 days):`);
-      const today = new Date();
+      logger.debug("Recent progress (last 7 days):");
       for (let i = 0; i < 7; i++) {
-        const targetDate = new Date(today.getTime() - i * 24 * 60 * 60 * 1000)
-          .toISOString()
-          .split("T")[0];
+        const targetDate = addDays(today, -i);
         
-        const dayData = progressHistory?.find(p => p.date === targetDate);
+        const dayData = progressHistory.find(p => p.date === targetDate);
         
         if (dayData) {
-          const allTasks = [
-            dayData.shart_1, dayData.shart_2, dayData.shart_3, dayData.shart_4, dayData.shart_5,
-            dayData.shart_6, dayData.shart_7, dayData.shart_8, dayData.shart_9, dayData.shart_10
-          ];
-          const completedTasks = allTasks.filter(t => t === 1).length;
-          
-          console.log(`   ${targetDate}: ${completedTasks}/10 tasks, task9: ${dayData.shart_9 ? '✅' : '❌'}, pages: ${dayData.pages_read || 0}, km: ${dayData.distance_km || 0}`);
+          logger.debug(`${targetDate}: ${dayData.total_points}/${dayData.total_tasks} tasks, early wake: ${this.isEarlyWakeDay(dayData)}, pages: ${dayData.pages_read || 0}, km: ${dayData.distance_km || 0}`);
         } else {
-          console.log(`   ${targetDate}: No data`);
+          logger.debug(`${targetDate}: no data`);
         }
       }
 
       return true;
     } catch (error) {
-      console.error('❌ Debug error:', error);
+      logger.error("Error in debugAchievements:", error);
       return false;
     }
   }
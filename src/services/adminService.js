@@ -0,0 +1,435 @@
+import supabase from "../config/database.js";
+import { config } from "../config/environment.js";
+import logger from "../utils/logger.js";
+import { TelegramService } from "./telegramService.js";
+
+const ROLE_CACHE_TTL = 60 * 1000; // 1 minute
+
+export class AdminService {
+  static ROLES = {
+    ADMIN: "admin",
+    MODERATOR: "moderator",
+  };
+
+  // Higher level includes every permission of lower levels
+  static ROLE_LEVELS = {
+    moderator: 1,
+    admin: 2,
+  };
+
+  static roleCache = new Map();
+
+  /**
+   * Get role of user (null if not staff)
+   */
+  static async getRole(tg_id) {
+    const cached = this.roleCache.get(tg_id);
+    if (cached && Date.now() - cached.timestamp < ROLE_CACHE_TTL) {
+      return cached.role;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from("admins")
+        .select("role")
+        .eq("tg_id", tg_id)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in getRole:", error);
+        throw error;
+      }
+
+      const role = data?.role || null;
+      this.roleCache.set(tg_id, { role, timestamp: Date.now() });
+      return role;
+    } catch (error) {
+      logger.error("Error in getRole:", error);
+      // Env admin keeps access even if the admins table is unavailable
+      return tg_id === config.ADMIN_ID ? this.ROLES.ADMIN : null;
+    }
+  }
+
+  /**
+   * Check if user has at least the given role
+   */
+  static async hasRole(tg_id, minimumRole = this.ROLES.MODERATOR) {
+    const role = await this.getRole(tg_id);
+    if (!role) {
+      return false;
+    }
+
+    return (this.ROLE_LEVELS[role] || 0) >= (this.ROLE_LEVELS[minimumRole] || Infinity);
+  }
+
+  /**
+   * List all staff members with their user names
+   */
+  static async listAdmins() {
+    try {
+      const { data: admins, error } = await supabase
+        .from("admins")
+        .select("tg_id, role, added_by, created_at")
+        .order("created_at", { ascending: true });
+
+      if (error) {
+        logger.error("Database error in listAdmins:", error);
+        throw error;
+      }
+
+      if (!admins || admins.length === 0) {
+        return [];
+      }
+
+      const { data: users } = await supabase
+        .from("users")
+        .select("tg_id, name, username")
+        .in("tg_id", admins.map((a) => a.tg_id));
+
+      return admins.map((admin) => {
+        const user = users?.find((u) => u.tg_id === admin.tg_id);
+        return {
+          ...admin,
+          name: user?.name || null,
+          username: user?.username || null,
+        };
+      });
+    } catch (error) {
+      logger.error("Error in listAdmins:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add or update staff member (the ADMIN_ID from environment cannot be demoted)
+   */
+  static async addAdmin(tg_id, role = this.ROLES.ADMIN, added_by = null) {
+    try {
+      if (!this.ROLE_LEVELS[role]) {
+        throw new Error(`Unknown role: ${role}`);
+      }
+
+      if (tg_id === config.ADMIN_ID && role !== this.ROLES.ADMIN) {
+        throw new Error("ADMIN_ID from environment cannot be demoted");
+      }
+
+      const { data, error } = await supabase
+        .from("admins")
+        .upsert({ tg_id, role, added_by }, { onConflict: "tg_id" })
+        .select()
+        .single();
+
+      if (error) {
+        logger.error("Database error in addAdmin:", error);
+        throw error;
+      }
+
+      this.roleCache.delete(tg_id);
+      logger.info(`Admin added: ${tg_id} - ${role} (by ${added_by})`);
+      return data;
+    } catch (error) {
+      logger.error("Error in addAdmin:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove staff member (the ADMIN_ID from environment cannot be removed)
+   * @returns {Promise<Object|null>} Removed row or null if not found
+   */
+  static async removeAdmin(tg_id) {
+    try {
+      if (tg_id === config.ADMIN_ID) {
+        throw new Error("ADMIN_ID from environment cannot be removed");
+      }
+
+      const { data, error } = await supabase
+        .from("admins")
+        .delete()
+        .eq("tg_id", tg_id)
+        .select()
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in removeAdmin:", error);
+        throw error;
+      }
+
+      this.roleCache.delete(tg_id);
+      if (data) {
+        logger.info(`Admin removed: ${tg_id}`);
+      }
+      return data;
+    } catch (error) {
+      logger.error("Error in removeAdmin:", error);
+      throw error;
+    }
+  }
+
+  // =====================================================
+  // APPLICANT NOTIFICATIONS (one message per staff member)
+  // =====================================================
+
+  /**
+   * Remember notification message sent to staff member about applicant
+   */
+  static async recordNotification(applicant_tg_id, admin_tg_id, chat_id, message_id) {
+    try {
+      const { error } = await supabase.from("admin_notifications").insert({
+        applicant_tg_id,
+        admin_tg_id,
+        chat_id,
+        message_id,
+      });
+
+      if (error) {
+        logger.error("Database error in recordNotification:", error);
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Error in recordNotification:", error);
+    }
+  }
+
+  /**
+   * Forget notifications from a previous application (re-registration after reject)
+   */
+  static async clearNotifications(applicant_tg_id) {
+    try {
+      const { error } = await supabase
+        .from("admin_notifications")
+        .delete()
+        .eq("applicant_tg_id", applicant_tg_id);
+
+      if (error) {
+        logger.error("Database error in clearNotifications:", error);
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Error in clearNotifications:", error);
+    }
+  }
+
+  /**
+   * Get all notification messages about applicant
+   */
+  static async getNotifications(applicant_tg_id) {
+    try {
+      const { data, error } = await supabase
+        .from("admin_notifications")
+        .select("admin_tg_id, chat_id, message_id, decision, decided_by, decided_at")
+        .eq("applicant_tg_id", applicant_tg_id)
+        .order("created_at", { ascending: false });
+
+      if (error) {
+        logger.error("Database error in getNotifications:", error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error("Error in getNotifications:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Get existing decision about applicant (null if undecided)
+   */
+  static async getDecision(applicant_tg_id) {
+    const notifications = await this.getNotifications(applicant_tg_id);
+    return notifications.find((n) => n.decision) || null;
+  }
+
+  /**
+   * Claim decision about applicant (atomic: only undecided notifications are updated)
+   * Of two staff members deciding at the same time only one gets true.
+   * Applicants without stored notifications have nothing to claim and are let through.
+   * @returns {Promise<boolean>} Caller may approve / reject
+   */
+  static async claimDecision(applicant_tg_id, decided_by, decision) {
+    try {
+      const { data, error } = await supabase
+        .from("admin_notifications")
+        .update({
+          decision,
+          decided_by,
+          decided_at: new Date().toISOString(),
+        })
+        .eq("applicant_tg_id", applicant_tg_id)
+        .is("decision", null)
+        .select("id");
+
+      if (error) {
+        logger.error("Database error in claimDecision:", error);
+        throw error;
+      }
+
+      if (data && data.length > 0) {
+        return true;
+      }
+
+      return (await this.getNotifications(applicant_tg_id)).length === 0;
+    } catch (error) {
+      logger.error("Error in claimDecision:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo claimed decision when approve / reject failed, so it can be retried
+   */
+  static async releaseDecision(applicant_tg_id, decided_by) {
+    try {
+      const { error } = await supabase
+        .from("admin_notifications")
+        .update({ decision: null, decided_by: null, decided_at: null })
+        .eq("applicant_tg_id", applicant_tg_id)
+        .eq("decided_by", decided_by);
+
+      if (error) {
+        logger.error("Database error in releaseDecision:", error);
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Error in releaseDecision:", error);
+    }
+  }
+
+  // =====================================================
+  // APPLICANT DECISIONS (bot buttons and HTTP share this flow)
+  // =====================================================
+
+  static DECISIONS = {
+    APPROVED: "approved",
+    REJECTED: "rejected",
+  };
+
+  /**
+   * Claim decision, apply it, then show it on every staff member's message
+   * The claim is released when apply throws or returns nothing, so it can be retried.
+   * @param {Function} apply - async () => result (null when the user is not in a decidable state)
+   * @returns {Promise<Object>} { claimed, result, decision } - decision is the existing one when not claimed
+   */
+  static async decideApplicant(applicant_tg_id, decided_by, decision, apply) {
+    const claimed = await this.claimDecision(applicant_tg_id, decided_by, decision);
+    if (!claimed) {
+      // Someone decided first - make sure every copy shows it (stale buttons)
+      const existing = await this.getDecision(applicant_tg_id);
+      if (!existing) {
+        return { claimed: false, result: null, decision: null };
+      }
+
+      const { decision: existingDecision, decided_by: existingDecidedBy, decided_at } = existing;
+      const message = await this.buildDecisionMessage(applicant_tg_id, {
+        decision: existingDecision,
+        decided_by: existingDecidedBy,
+        decided_at,
+      });
+      await this.syncDecisionMessages(applicant_tg_id, message);
+
+      return {
+        claimed: false,
+        result: null,
+        decision: { decision: existingDecision, decided_by: existingDecidedBy, decided_at, message },
+      };
+    }
+
+    let result = null;
+    try {
+      result = await apply();
+    } finally {
+      if (!result) {
+        await this.releaseDecision(applicant_tg_id, decided_by);
+      }
+    }
+
+    if (!result) {
+      return { claimed: true, result: null, decision: null };
+    }
+
+    const decided = {
+      decision,
+      decided_by,
+      decided_at: new Date().toISOString(),
+      name: result.name || null,
+    };
+    decided.message = await this.buildDecisionMessage(applicant_tg_id, decided);
+    await this.syncDecisionMessages(applicant_tg_id, decided.message);
+
+    return { claimed: true, result, decision: decided };
+  }
+
+  /**
+   * Decision text shown on every staff member's copy of the applicant message
+   */
+  static async buildDecisionMessage(applicant_tg_id, { decision, decided_by, decided_at, name = null }) {
+    const header = decision === this.DECISIONS.APPROVED ? "✅ QABUL QILINDI!" : "🚫 RAD ETILDI!";
+    const time = new Date(decided_at || Date.now()).toLocaleString("uz-UZ", {
+      timeZone: "Asia/Tashkent",
+    });
+
+    return `${header}\n\n` +
+      `🆔 User ID: ${applicant_tg_id}\n` +
+      (name ? `👤 Ism: ${name}\n` : "") +
+      `👮 Qaror: ${await this.getDeciderName(decided_by)}\n` +
+      `📅 ${time}`;
+  }
+
+  /**
+   * Name of staff member who decided ("ID <tg_id>" when unknown)
+   */
+  static async getDeciderName(tg_id) {
+    try {
+      const admin = (await this.listAdmins()).find((a) => a.tg_id === tg_id);
+      if (admin?.name) {
+        return admin.username ? `${admin.name} (@${admin.username})` : admin.name;
+      }
+    } catch (error) {
+      logger.error("Failed to resolve decider name:", error);
+    }
+    return `ID ${tg_id}`;
+  }
+
+  /**
+   * Edit every stored notification about applicant to show the decision
+   */
+  static async syncDecisionMessages(applicant_tg_id, text) {
+    const notifications = await this.getNotifications(applicant_tg_id);
+
+    for (const { chat_id, message_id } of notifications) {
+      await TelegramService.editMessageText(chat_id, message_id, text);
+    }
+  }
+
+  /**
+   * Seed ADMIN_ID from environment as admin
+   */
+  static async seedFromEnvironment() {
+    if (!config.ADMIN_ID) {
+      logger.warn("ADMIN_ID is not set - no admin will be seeded");
+      return false;
+    }
+
+    try {
+      const { error } = await supabase
+        .from("admins")
+        .upsert(
+          { tg_id: config.ADMIN_ID, role: this.ROLES.ADMIN },
+          { onConflict: "tg_id" }
+        );
+
+      if (error) {
+        logger.error("Database error in seedFromEnvironment:", error);
+        throw error;
+      }
+
+      this.roleCache.delete(config.ADMIN_ID);
+      logger.info(`Admin seeded from environment: ${config.ADMIN_ID}`);
+      return true;
+    } catch (error) {
+      logger.error("Error in seedFromEnvironment:", error);
+      return false;
+    }
+  }
+}
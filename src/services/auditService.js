@@ -0,0 +1,121 @@
+import supabase from "../config/database.js";
+import logger from "../utils/logger.js";
+
+const AUDIT_COLUMNS =
+  "id, tg_id, date, action, changed_by, source, ip, old_values, new_values, edit_request_id, created_at";
+
+export class AuditService {
+  static PROGRESS_ACTIONS = {
+    SUBMIT: "submit",
+    EDIT: "edit",
+    EDIT_APPROVED: "edit_approved",
+  };
+
+  static SOURCES = {
+    MINI_APP: "mini_app",
+    BOT: "bot",
+    ADMIN: "admin",
+    IMPORT: "import",
+  };
+
+  /**
+   * Who made the request: { changed_by, source, ip }
+   * Bot calls authenticate with the service key, everything else comes from the Mini App
+   */
+  static getRequestContext(req, source = null) {
+    return {
+      changed_by: req.user?.tg_id || null,
+      source: source || (req.user?.is_service ? this.SOURCES.BOT : this.SOURCES.MINI_APP),
+      ip: req.ip || null,
+    };
+  }
+
+  /**
+   * Record change of daily progress (old values are null for a new day)
+   * Audit failures are logged, they never block the change itself
+   */
+  static async recordProgressChange({
+    tg_id,
+    date,
+    action,
+    changed_by = null,
+    source = this.SOURCES.MINI_APP,
+    ip = null,
+    old_values = null,
+    new_values = null,
+    edit_request_id = null,
+  }) {
+    try {
+      const { error } = await supabase.from("progress_audit").insert({
+        tg_id,
+        date,
+        action,
+        changed_by,
+        source,
+        ip,
+        old_values,
+        new_values,
+        edit_request_id,
+      });
+
+      if (error) {
+        logger.error("Database error in recordProgressChange:", error);
+        throw error;
+      }
+    } catch (error) {
+      logger.error("Error in recordProgressChange:", error);
+    }
+  }
+
+  /**
+   * Names of fields that differ between old and new values
+   */
+  static getChangedFields(oldValues, newValues) {
+    const fields = new Set([...Object.keys(oldValues || {}), ...Object.keys(newValues || {})]);
+
+    return [...fields].filter(
+      (field) => JSON.stringify(oldValues?.[field]) !== JSON.stringify(newValues?.[field])
+    );
+  }
+
+  /**
+   * Get audit entries of user (newest first)
+   * from / to (YYYY-MM-DD, inclusive) filter when the change was made,
+   * date filters the progress day that was changed
+   */
+  static async getProgressAudit(tg_id, { from, to, date, limit = 100 } = {}) {
+    try {
+      let query = supabase
+        .from("progress_audit")
+        .select(AUDIT_COLUMNS)
+        .eq("tg_id", tg_id)
+        .order("created_at", { ascending: false })
+        .limit(limit);
+
+      if (from) {
+        query = query.gte("created_at", `${from}T00:00:00`);
+      }
+      if (to) {
+        query = query.lte("created_at", `${to}T23:59:59.999`);
+      }
+      if (date) {
+        query = query.eq("date", date);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error("Database error in getProgressAudit:", error);
+        throw error;
+      }
+
+      return (data || []).map((entry) => ({
+        ...entry,
+        changed_fields: this.getChangedFields(entry.old_values, entry.new_values),
+      }));
+    } catch (error) {
+      logger.error("Error in getProgressAudit:", error);
+      throw error;
+    }
+  }
+}
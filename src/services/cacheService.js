@@ -0,0 +1,144 @@
+import crypto from "crypto";
+import logger from "../utils/logger.js";
+import { CACHE_MAX_ENTRIES } from "../config/constants.js";
+
+const SWEEP_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * In-process response cache
+ * Keys are "<scope>:..." strings, e.g. "leaderboard:period=weekly|..." or
+ * "user:123:statistics|...". Writes invalidate by prefix, TTL bounds the rest
+ * (day rollover, changes made by other processes).
+ */
+export class CacheService {
+  static entries = new Map();
+
+  // Bumped on every invalidation, responses built before it are not stored
+  static generation = 0;
+
+  /**
+   * Key prefix of user's cached responses
+   */
+  static userPrefix(tg_id) {
+    return `user:${tg_id}:`;
+  }
+
+  /**
+   * Weak ETag of a JSON body
+   */
+  static createEtag(body) {
+    const json = JSON.stringify(body);
+    const hash = crypto.createHash("sha1").update(json).digest("base64").substring(0, 27);
+    return `W/"${Buffer.byteLength(json).toString(16)}-${hash}"`;
+  }
+
+  /**
+   * Get entry { body, etag, expires_at } (null if missing or expired)
+   */
+  static get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expires_at <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Store body for ttl ms
+   * At CACHE_MAX_ENTRIES expired entries are swept, then the oldest stored ones evicted.
+   * @param {number} generation - Value of CacheService.generation when building started;
+   *   the body is dropped when an invalidation happened in the meantime
+   * @returns {Object|null} Stored entry
+   */
+  static set(key, body, ttl, generation = this.generation) {
+    if (generation !== this.generation) {
+      return null;
+    }
+
+    // Map keeps insertion order: re-stored keys move to the end
+    this.entries.delete(key);
+    if (this.entries.size >= CACHE_MAX_ENTRIES) {
+      this.sweep();
+    }
+    for (const oldestKey of this.entries.keys()) {
+      if (this.entries.size < CACHE_MAX_ENTRIES) {
+        break;
+      }
+      this.entries.delete(oldestKey);
+    }
+
+    const entry = { body, etag: this.createEtag(body), expires_at: Date.now() + ttl };
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Delete all keys starting with prefix
+   * @returns {number} Number of deleted keys
+   */
+  static invalidate(prefix) {
+    this.generation++;
+
+    let deleted = 0;
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        deleted++;
+      }
+    }
+
+    if (deleted > 0) {
+      logger.debug(`Cache invalidated: ${prefix}* (${deleted} keys)`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Leaderboards (all periods, types and history)
+   */
+  static invalidateLeaderboards() {
+    return this.invalidate("leaderboard:");
+  }
+
+  /**
+   * User's statistics / profile and every leaderboard they may appear on
+   */
+  static invalidateUser(tg_id) {
+    return this.invalidate(this.userPrefix(tg_id)) + this.invalidateLeaderboards();
+  }
+
+  /**
+   * Drop everything
+   */
+  static clear() {
+    this.generation++;
+    this.entries.clear();
+  }
+
+  /**
+   * Remove expired entries
+   */
+  static sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expires_at <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Number of stored keys and current generation
+   */
+  static getStats() {
+    return { keys: this.entries.size, generation: this.generation };
+  }
+}
+
+setInterval(() => CacheService.sweep(), SWEEP_INTERVAL).unref();
@@ -1,5 +1,7 @@
 import supabase from '../config/database.js';
 import logger from '../utils/logger.js';
+import { CacheService } from './cacheService.js';
+import { getTodayInTimezone, addDays } from '../utils/dateUtils.js';
 
 export class DatabaseService {
   /**
@@ -77,6 +79,7 @@ export class DatabaseService {
         throw error;
       }
 
+      CacheService.invalidateUser(tg_id);
       logger.info(`User approval updated: ${tg_id} - ${is_approved}`);
       return data;
     } catch (error) {
@@ -109,30 +112,15 @@ export class DatabaseService {
   }
 
   /**
-   * Submit or update daily progress
+   * Query user statistics with daily/weekly windows ending on referenceDate
+   * (YYYY-MM-DD, usually requester's local today). Without date every user's
+   * own local today is used, same as user_statistics view.
+   * Returns query builder, filters and ordering are added by caller.
    */
-  static async upsertDailyProgress(progressData) {
-    try {
-      const { data, error } = await supabase
-        .from('daily_progress')
-        .upsert(progressData, {
-          onConflict: 'tg_id,date',
-          returning: 'representation'
-        })
-        .select()
-        .single();
-
-      if (error) {
-        logger.error('Database error in upsertDailyProgress:', error);
-        throw error;
-      }
-
-      logger.info(`Progress updated: ${progressData.tg_id} - ${progressData.date} - ${data.total_points} points`);
-      return data;
-    } catch (error) {
-      logger.error('Error in upsertDailyProgress:', error);
-      throw error;
-    }
+  static queryUserStatistics(referenceDate = null, columns = '*', { count } = {}) {
+    return supabase
+      .rpc('get_user_statistics', { p_reference_date: referenceDate }, { count })
+      .select(columns);
   }
 
   /**
@@ -144,7 +132,8 @@ export class DatabaseService {
         period = 'weekly',
         type = 'overall',
         limit = 100,
-        offset = 0
+        offset = 0,
+        referenceDate = getTodayInTimezone()
       } = options;
 
       // Determine score field based on period
@@ -160,9 +149,7 @@ export class DatabaseService {
           orderField = 'weekly_points';
       }
 
-      const { data, error } = await supabase
-        .from('user_statistics')
-        .select(`
+      const { data, error } = await this.queryUserStatistics(referenceDate, `
           tg_id,
           name,
           username,
@@ -193,28 +180,73 @@ export class DatabaseService {
 
   /**
    * ✅ TUZATILDI: Get user progress history (barcha vazifalar bilan)
+   * @param {number|null} days - Days before today to include (null = whole history)
+   * @param {string} today - User's local date (YYYY-MM-DD), see TimezoneService.getUserToday
    */
-  static async getUserProgressHistory(tg_id, days = 60) {
+  static async getUserProgressHistory(tg_id, days = 60, today = getTodayInTimezone()) {
     try {
-      const { data, error } = await supabase
+      let query = supabase
         .from('daily_progress')
-        .select('date, total_points, pages_read, distance_km, shart_1, shart_2, shart_3, shart_4, shart_5, shart_6, shart_7, shart_8, shart_9, shart_10')
+        .select('date, total_points, earned_points, total_tasks, pages_read, distance_km, task_completions(task_id, tasks(category))')
         .eq('tg_id', tg_id)
-        .gte('date', new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0])
         .order('date', { ascending: false });
 
+      if (days !== null) {
+        query = query.gte('date', addDays(today, -days));
+      }
+
+      const { data, error } = await query;
+
       if (error) {
         logger.error('Database error in getUserProgressHistory:', error);
         throw error;
       }
 
-      return data || [];
+      // Flatten completions: completed_tasks ({ task_id, category }), completed_task_ids + completed_categories
+      return (data || []).map(({ task_completions: completions = [], ...day }) => ({
+        ...day,
+        completed_tasks: completions.map(c => ({ task_id: c.task_id, category: c.tasks?.category || null })),
+        completed_task_ids: completions.map(c => c.task_id),
+        completed_categories: completions.map(c => c.tasks?.category).filter(Boolean)
+      }));
     } catch (error) {
       logger.error('Error in getUserProgressHistory:', error);
       throw error;
     }
   }
 
+  /**
+   * Get lifetime totals of user (user_stats, kept up to date by trigger)
+   * Zeros when the user has no progress yet
+   */
+  static async getUserTotals(tg_id) {
+    try {
+      const { data, error } = await supabase
+        .from('user_stats')
+        .select('total_points, total_earned_points, total_pages, total_distance, total_days, first_date, last_date')
+        .eq('tg_id', tg_id)
+        .maybeSingle();
+
+      if (error) {
+        logger.error('Database error in getUserTotals:', error);
+        throw error;
+      }
+
+      return {
+        total_points: Number(data?.total_points) || 0,
+        total_earned_points: Number(data?.total_earned_points) || 0,
+        total_pages: Number(data?.total_pages) || 0,
+        total_distance: parseFloat(data?.total_distance) || 0,
+        total_days: Number(data?.total_days) || 0,
+        first_date: data?.first_date || null,
+        last_date: data?.last_date || null
+      };
+    } catch (error) {
+      logger.error('Error in getUserTotals:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get total user count
    */
@@ -238,29 +270,131 @@ export class DatabaseService {
   }
 
   /**
-   * Bulk update user achievements
+   * Telegram IDs of all approved users (ascending, read in pages)
+   */
+  static async getApprovedUserIds(pageSize = 1000) {
+    const users = await this.getApprovedUsers('tg_id', pageSize);
+    return users.map(user => user.tg_id);
+  }
+
+  /**
+   * All approved users with given columns (ascending tg_id, read in pages)
+   */
+  static async getApprovedUsers(columns = 'tg_id', pageSize = 1000) {
+    try {
+      const users = [];
+
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await supabase
+          .from('users')
+          .select(columns)
+          .eq('is_approved', true)
+          .order('tg_id', { ascending: true })
+          .range(offset, offset + pageSize - 1);
+
+        if (error) {
+          logger.error('Database error in getApprovedUsers:', error);
+          throw error;
+        }
+
+        users.push(...(data || []));
+        if (!data || data.length < pageSize) {
+          return users;
+        }
+      }
+    } catch (error) {
+      logger.error('Error in getApprovedUsers:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record earned achievement tiers (users.achievements is synced by trigger)
+   * @param {Array} entries - [{ achievement_id, level, stat_snapshot }]
+   * @returns {Promise<Array>} Inserted rows (already earned ones are skipped)
    */
-  static async updateUserAchievements(tg_id, achievements) {
+  static async addUserAchievements(tg_id, entries) {
     try {
       const { data, error } = await supabase
-        .from('users')
-        .update({ 
-          achievements,
-          updated_at: new Date().toISOString()
-        })
+        .from('user_achievements')
+        .upsert(
+          entries.map(entry => ({ tg_id, ...entry })),
+          { onConflict: 'tg_id,achievement_id,level', ignoreDuplicates: true }
+        )
+        .select('achievement_id, level, earned_at, stat_snapshot');
+
+      if (error) {
+        logger.error('Database error in addUserAchievements:', error);
+        throw error;
+      }
+
+      CacheService.invalidateUser(tg_id);
+      logger.info(`Achievements earned: ${tg_id} - ${entries.map(entry => `${entry.achievement_id}:${entry.level}`).join(', ')}`);
+      return data || [];
+    } catch (error) {
+      logger.error('Error in addUserAchievements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke earned achievement tiers (users.achievements is synced by trigger)
+   * @param {Array} tiers - [{ achievement_id, level }]
+   * @returns {Promise<Array>} Removed rows [{ achievement_id, level }]
+   */
+  static async removeUserAchievements(tg_id, tiers) {
+    try {
+      const filter = tiers
+        .map(tier => `and(achievement_id.eq.${tier.achievement_id},level.eq.${tier.level})`)
+        .join(',');
+
+      const { data, error } = await supabase
+        .from('user_achievements')
+        .delete()
         .eq('tg_id', tg_id)
-        .select()
-        .single();
+        .or(filter)
+        .select('achievement_id, level');
 
       if (error) {
-        logger.error('Database error in updateUserAchievements:', error);
+        logger.error('Database error in removeUserAchievements:', error);
         throw error;
       }
 
-      logger.info(`Achievements updated: ${tg_id} - ${achievements.join(', ')}`);
-      return data;
+      CacheService.invalidateUser(tg_id);
+      logger.info(`Achievements revoked: ${tg_id} - ${tiers.map(tier => `${tier.achievement_id}:${tier.level}`).join(', ')}`);
+      return data || [];
+    } catch (error) {
+      logger.error('Error in removeUserAchievements:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get earned achievements of user (newest first)
+   * @param {string} since - ISO timestamp, only badges earned at or after it
+   */
+  static async getUserAchievements(tg_id, { since } = {}) {
+    try {
+      let query = supabase
+        .from('user_achievements')
+        .select('achievement_id, level, earned_at, stat_snapshot')
+        .eq('tg_id', tg_id)
+        .order('earned_at', { ascending: false });
+
+      if (since) {
+        query = query.gte('earned_at', since);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error('Database error in getUserAchievements:', error);
+        throw error;
+      }
+
+      return data || [];
     } catch (error) {
-      logger.error('Error in updateUserAchievements:', error);
+      logger.error('Error in getUserAchievements:', error);
       throw error;
     }
   }
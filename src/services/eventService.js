@@ -0,0 +1,153 @@
+import { EventEmitter } from "events";
+import logger from "../utils/logger.js";
+
+const CHANNEL = "event";
+const SHUTDOWN_CHANNEL = "shutdown";
+
+/**
+ * In-process event bus for live updates (GET /api/stream)
+ * Events with tg_id go to that user's streams only, events without one are broadcast.
+ */
+export class EventService {
+  static EVENTS = {
+    PROGRESS_UPDATED: "progress.updated",
+    LEADERBOARD_CHANGED: "leaderboard.changed",
+    ACHIEVEMENT_EARNED: "achievement.earned",
+    ACHIEVEMENT_REVOKED: "achievement.revoked",
+    USER_APPROVED: "user.approved",
+  };
+
+  static emitter = new EventEmitter().setMaxListeners(0);
+  static lastId = 0;
+
+  /**
+   * Publish event, listener errors never reach the writer
+   * @param {string} type - One of EVENTS
+   * @param {Object} data - JSON payload
+   * @param {number|null} tg_id - Recipient (null = everyone)
+   * @returns {Object} { id, type, tg_id, data, created_at }
+   */
+  static publish(type, data = {}, tg_id = null) {
+    const event = {
+      id: ++this.lastId,
+      type,
+      tg_id,
+      data,
+      created_at: new Date().toISOString(),
+    };
+
+    try {
+      this.emitter.emit(CHANNEL, event);
+    } catch (error) {
+      logger.error(`Error publishing ${type}:`, error);
+    }
+    return event;
+  }
+
+  /**
+   * Listen to events addressed to tg_id (and broadcasts)
+   * @returns {Function} Unsubscribe
+   */
+  static subscribe(tg_id, listener) {
+    const handler = (event) => {
+      if (event.tg_id === null || event.tg_id === tg_id) {
+        listener(event);
+      }
+    };
+
+    this.emitter.on(CHANNEL, handler);
+    return () => this.emitter.off(CHANNEL, handler);
+  }
+
+  /**
+   * Run listener once when the server shuts down
+   * @returns {Function} Unsubscribe
+   */
+  static onShutdown(listener) {
+    this.emitter.once(SHUTDOWN_CHANNEL, listener);
+    return () => this.emitter.off(SHUTDOWN_CHANNEL, listener);
+  }
+
+  /**
+   * Ask open streams to end, so server.close() does not wait for them
+   */
+  static shutdown() {
+    this.emitter.emit(SHUTDOWN_CHANNEL);
+  }
+
+  /**
+   * Number of open subscriptions
+   */
+  static getSubscriberCount() {
+    return this.emitter.listenerCount(CHANNEL);
+  }
+
+  // =====================================================
+  // DOMAIN EVENTS
+  // =====================================================
+
+  /**
+   * Day of user was saved (submit, edit or approved edit request)
+   * Also tells every client that boards may have moved (without who moved).
+   */
+  static progressUpdated(tg_id, progress, action) {
+    this.publish(this.EVENTS.PROGRESS_UPDATED, {
+      tg_id,
+      date: progress.date,
+      action,
+      total_points: progress.total_points,
+      earned_points: progress.earned_points,
+      total_tasks: progress.total_tasks,
+      pages_read: progress.pages_read,
+      distance_km: parseFloat(progress.distance_km) || 0,
+    }, tg_id);
+    this.leaderboardChanged("progress", { date: progress.date });
+  }
+
+  /**
+   * Boards should be refetched (sent to every stream - no user ids in details)
+   * @param {string} reason - progress | user_approved | season | snapshot
+   */
+  static leaderboardChanged(reason, details = {}) {
+    this.publish(this.EVENTS.LEADERBOARD_CHANGED, { reason, ...details });
+  }
+
+  /**
+   * User earned achievement tiers
+   * @param {Array} tiers - user_achievements rows [{ achievement_id, level }]
+   */
+  static achievementsEarned(tg_id, tiers) {
+    if (tiers.length > 0) {
+      this.publish(this.EVENTS.ACHIEVEMENT_EARNED, this.describeTiers(tg_id, tiers), tg_id);
+    }
+  }
+
+  /**
+   * Tiers were revoked by an achievement recompute
+   * @param {Array} tiers - [{ achievement_id, level }]
+   */
+  static achievementsRevoked(tg_id, tiers) {
+    if (tiers.length > 0) {
+      this.publish(this.EVENTS.ACHIEVEMENT_REVOKED, this.describeTiers(tg_id, tiers), tg_id);
+    }
+  }
+
+  /**
+   * { tg_id, achievements: [ids], tiers: [{ achievement_id, level }] }
+   */
+  static describeTiers(tg_id, tiers) {
+    return {
+      tg_id,
+      achievements: [...new Set(tiers.map((tier) => tier.achievement_id))],
+      tiers: tiers.map(({ achievement_id, level }) => ({ achievement_id, level })),
+    };
+  }
+
+  /**
+   * Pending user was approved, the waiting screen can open the app
+   */
+  static userApproved(tg_id) {
+    this.publish(this.EVENTS.USER_APPROVED, { tg_id }, tg_id);
+    this.leaderboardChanged("user_approved");
+  }
+}
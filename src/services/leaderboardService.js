@@ -0,0 +1,550 @@
+import supabase from "../config/database.js";
+import logger from "../utils/logger.js";
+import { CacheService } from "./cacheService.js";
+import { EventService } from "./eventService.js";
+import { addDays, getWeekDates, getMonthRange } from "../utils/dateUtils.js";
+
+const SEASON_COLUMNS = "id, name, start_date, end_date, created_at, updated_at";
+
+export class LeaderboardService {
+  static PERIODS = {
+    DAILY: "daily",
+    WEEKLY: "weekly",               // Rolling 7 days up to reference date
+    CALENDAR_WEEK: "calendar_week", // Monday - Sunday
+    MONTH: "month",
+    CUSTOM: "custom",
+    SEASON: "season",
+    ALL_TIME: "all_time",
+  };
+
+  static RANK_MODES = {
+    COMPETITION: "competition", // 1, 2, 2, 4
+    DENSE: "dense",             // 1, 2, 2, 3
+  };
+
+  // Boards stored by take_leaderboard_snapshot() for every closed day
+  static SNAPSHOT_PERIODS = {
+    DAILY: "daily",
+    WEEKLY: "weekly",     // 7 days ending snapshot date
+    MONTHLY: "monthly",   // Month to date
+    ALL_TIME: "all_time",
+  };
+
+  /**
+   * Date range of period ending on / containing referenceDate (YYYY-MM-DD)
+   * "all" and "all_time" have no bounds (nulls)
+   * @param {Object} options - { from, to } for custom, { season } for season
+   * @returns {Object} { start_date, end_date }
+   */
+  static getPeriodRange(period, referenceDate, { from = null, to = null, season = null } = {}) {
+    switch (period) {
+      case this.PERIODS.DAILY:
+        return { start_date: referenceDate, end_date: referenceDate };
+
+      case this.PERIODS.WEEKLY:
+        return { start_date: addDays(referenceDate, -6), end_date: referenceDate };
+
+      case this.PERIODS.CALENDAR_WEEK: {
+        const { startDate, endDate } = getWeekDates(referenceDate);
+        return { start_date: startDate, end_date: endDate };
+      }
+
+      case this.PERIODS.MONTH: {
+        const [year, month] = referenceDate.split("-").map(Number);
+        const { startDate, nextMonthStart } = getMonthRange(year, month);
+        return { start_date: startDate, end_date: addDays(nextMonthStart, -1) };
+      }
+
+      case this.PERIODS.CUSTOM:
+        return { start_date: from, end_date: to };
+
+      case this.PERIODS.SEASON:
+        return { start_date: season.start_date, end_date: season.end_date };
+
+      default: // all / all_time
+        return { start_date: null, end_date: null };
+    }
+  }
+
+  /**
+   * Ranked leaderboard of date range, ties share a rank (computed in get_period_leaderboard)
+   * @param {Object} options - { start_date, end_date, metric, rankMode, limit }
+   * @returns {Promise<Object>} { entries, total }
+   */
+  static async getRankedLeaderboard({
+    start_date = null,
+    end_date = null,
+    metric = "overall",
+    rankMode = this.RANK_MODES.COMPETITION,
+    limit = 100,
+  } = {}) {
+    try {
+      const { data, error, count } = await supabase
+        .rpc("get_period_leaderboard", {
+          p_start_date: start_date,
+          p_end_date: end_date,
+          p_metric: metric,
+          p_rank_mode: rankMode,
+        }, { count: "exact" })
+        .select("*")
+        .order("rank", { ascending: true })
+        .order("tg_id", { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        logger.error("Database error in getRankedLeaderboard:", error);
+        throw error;
+      }
+
+      return { entries: data || [], total: count || 0 };
+    } catch (error) {
+      logger.error("Error in getRankedLeaderboard:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve period to date range, looking up season of period=season
+   * (season_id, otherwise season containing referenceDate)
+   * @returns {Promise<Object>} { range, season } - season is null when not found
+   */
+  static async resolvePeriod(period, referenceDate, { from = null, to = null, season_id = null } = {}) {
+    let season = null;
+
+    if (period === this.PERIODS.SEASON) {
+      season = season_id
+        ? await this.getSeason(season_id)
+        : await this.getSeasonForDate(referenceDate);
+
+      if (!season) {
+        return { range: null, season: null };
+      }
+    }
+
+    return { range: this.getPeriodRange(period, referenceDate, { from, to, season }), season };
+  }
+
+  /**
+   * Share of participants ranked below user (0-100, 1 decimal)
+   */
+  static calculatePercentile(rank, total) {
+    if (!rank || !total) return 0;
+    return Math.round(((total - rank) / total) * 1000) / 10;
+  }
+
+  /**
+   * Position of user in ranked leaderboard of date range (single query)
+   * Shared by leaderboard current user, user rank endpoint and statistics
+   * @param {Object} options - { start_date, end_date, metric, rankMode, neighbours }
+   * @returns {Promise<Object>} {
+   *   rank, score, percentile, total_participants, entry,
+   *   above: [...], below: [...]   // nearest ranked users, closest last / first
+   * }  rank is 0 and entry null when user has no score in range
+   */
+  static async getUserPosition(tg_id, {
+    start_date = null,
+    end_date = null,
+    metric = "overall",
+    rankMode = this.RANK_MODES.COMPETITION,
+    neighbours = 2,
+  } = {}) {
+    try {
+      const { data, error } = await supabase.rpc("get_leaderboard_position", {
+        p_tg_id: tg_id,
+        p_start_date: start_date,
+        p_end_date: end_date,
+        p_metric: metric,
+        p_rank_mode: rankMode,
+        p_neighbours: neighbours,
+      });
+
+      if (error) {
+        logger.error("Database error in getUserPosition:", error);
+        throw error;
+      }
+
+      const rows = data || [];
+      const entry = rows.find((row) => row.is_current) || null;
+      const total = rows[0]?.total_participants || 0;
+      const stripRow = ({ is_current, row_position, total_participants, ...row }) => row;
+
+      return {
+        rank: entry?.rank || 0,
+        score: entry ? parseFloat(entry.score) || 0 : 0,
+        percentile: this.calculatePercentile(entry?.rank, total),
+        total_participants: total,
+        entry: entry ? stripRow(entry) : null,
+        above: rows
+          .filter((row) => !row.is_current && (!entry || row.row_position < entry.row_position))
+          .map(stripRow),
+        below: entry ? rows.filter((row) => row.row_position > entry.row_position).map(stripRow) : [],
+      };
+    } catch (error) {
+      logger.error("Error in getUserPosition:", error);
+      throw error;
+    }
+  }
+
+  // =====================================================
+  // SNAPSHOTS (rank history)
+  // =====================================================
+
+  /**
+   * Snapshot period comparable to leaderboard period (null: no history for period)
+   */
+  static getSnapshotPeriod(period) {
+    switch (period) {
+      case this.PERIODS.DAILY:
+        return this.SNAPSHOT_PERIODS.DAILY;
+      case this.PERIODS.WEEKLY:
+        return this.SNAPSHOT_PERIODS.WEEKLY;
+      case this.PERIODS.MONTH:
+        return this.SNAPSHOT_PERIODS.MONTHLY;
+      case this.PERIODS.ALL_TIME:
+      case "all":
+        return this.SNAPSHOT_PERIODS.ALL_TIME;
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Rank column of snapshot for rank mode
+   */
+  static getSnapshotRankColumn(rankMode) {
+    return rankMode === this.RANK_MODES.DENSE ? "dense_rank" : "rank";
+  }
+
+  /**
+   * Store all boards of closed day (re-running replaces that day)
+   * @returns {Promise<number>} Stored rows
+   */
+  static async takeSnapshot(date) {
+    try {
+      const { data, error } = await supabase.rpc("take_leaderboard_snapshot", { p_date: date });
+
+      if (error) {
+        logger.error("Database error in takeSnapshot:", error);
+        throw error;
+      }
+
+      CacheService.invalidateLeaderboards();
+      EventService.leaderboardChanged("snapshot", { date });
+      logger.info(`Leaderboard snapshot taken: ${date} (${data || 0} rows)`);
+      return data || 0;
+    } catch (error) {
+      logger.error("Error in takeSnapshot:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if day was already snapshotted
+   */
+  static async hasSnapshot(date) {
+    try {
+      const { data, error } = await supabase
+        .from("leaderboard_snapshots")
+        .select("id")
+        .eq("snapshot_date", date)
+        .limit(1);
+
+      if (error) {
+        logger.error("Database error in hasSnapshot:", error);
+        throw error;
+      }
+
+      return (data || []).length > 0;
+    } catch (error) {
+      logger.error("Error in hasSnapshot:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stored board of snapshot date with user names
+   * @returns {Promise<Object>} { entries, total }
+   */
+  static async getSnapshotBoard({
+    period = this.SNAPSHOT_PERIODS.WEEKLY,
+    metric = "overall",
+    date,
+    rankMode = this.RANK_MODES.COMPETITION,
+    limit = 100,
+  }) {
+    const rankColumn = this.getSnapshotRankColumn(rankMode);
+
+    try {
+      const { data, error, count } = await supabase
+        .from("leaderboard_snapshots")
+        .select("tg_id, rank, dense_rank, score, period_start, snapshot_date, users(name, username, photo_url)", { count: "exact" })
+        .eq("period", period)
+        .eq("metric", metric)
+        .eq("snapshot_date", date)
+        .order(rankColumn, { ascending: true })
+        .order("tg_id", { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        logger.error("Database error in getSnapshotBoard:", error);
+        throw error;
+      }
+
+      const entries = (data || []).map(({ users, ...entry }) => ({
+        rank: entry[rankColumn],
+        tg_id: entry.tg_id,
+        name: users?.name || null,
+        username: users?.username || null,
+        photo_url: users?.photo_url || null,
+        score: parseFloat(entry.score) || 0,
+        period_start: entry.period_start,
+        period_end: entry.snapshot_date,
+      }));
+
+      return { entries, total: count || 0 };
+    } catch (error) {
+      logger.error("Error in getSnapshotBoard:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ranks of users in snapshot of date, keyed by tg_id
+   * Used for rank deltas, failures are logged and give an empty map
+   */
+  static async getSnapshotRanks(tgIds, { period, metric = "overall", date, rankMode = this.RANK_MODES.COMPETITION }) {
+    if (!period || tgIds.length === 0) return new Map();
+
+    const rankColumn = this.getSnapshotRankColumn(rankMode);
+
+    try {
+      const { data, error } = await supabase
+        .from("leaderboard_snapshots")
+        .select(`tg_id, ${rankColumn}`)
+        .eq("period", period)
+        .eq("metric", metric)
+        .eq("snapshot_date", date)
+        .in("tg_id", tgIds);
+
+      if (error) {
+        logger.error("Database error in getSnapshotRanks:", error);
+        throw error;
+      }
+
+      return new Map((data || []).map((row) => [row.tg_id, row[rankColumn]]));
+    } catch (error) {
+      logger.error("Error in getSnapshotRanks:", error);
+      return new Map();
+    }
+  }
+
+  /**
+   * Rank history of user (oldest first), from / to are snapshot dates
+   * Each entry has rank_delta against previous stored day (positive = moved up)
+   */
+  static async getUserRankHistory(tg_id, {
+    period = this.SNAPSHOT_PERIODS.WEEKLY,
+    metric = "overall",
+    from,
+    to,
+    rankMode = this.RANK_MODES.COMPETITION,
+  } = {}) {
+    const rankColumn = this.getSnapshotRankColumn(rankMode);
+
+    try {
+      let query = supabase
+        .from("leaderboard_snapshots")
+        .select(`snapshot_date, period_start, ${rankColumn}, score, total_participants`)
+        .eq("tg_id", tg_id)
+        .eq("period", period)
+        .eq("metric", metric)
+        .order("snapshot_date", { ascending: true });
+
+      if (from) {
+        query = query.gte("snapshot_date", from);
+      }
+      if (to) {
+        query = query.lte("snapshot_date", to);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error("Database error in getUserRankHistory:", error);
+        throw error;
+      }
+
+      return (data || []).map((row, index, rows) => {
+        const previousRank = index > 0 && rows[index - 1].snapshot_date === addDays(row.snapshot_date, -1)
+          ? rows[index - 1][rankColumn]
+          : null;
+
+        return {
+          date: row.snapshot_date,
+          period_start: row.period_start,
+          rank: row[rankColumn],
+          score: parseFloat(row.score) || 0,
+          total_participants: row.total_participants,
+          previous_rank: previousRank,
+          rank_delta: previousRank !== null ? previousRank - row[rankColumn] : null,
+        };
+      });
+    } catch (error) {
+      logger.error("Error in getUserRankHistory:", error);
+      throw error;
+    }
+  }
+
+  // =====================================================
+  // SEASONS
+  // =====================================================
+
+  /**
+   * List seasons (newest first)
+   */
+  static async listSeasons() {
+    try {
+      const { data, error } = await supabase
+        .from("seasons")
+        .select(SEASON_COLUMNS)
+        .order("start_date", { ascending: false });
+
+      if (error) {
+        logger.error("Database error in listSeasons:", error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error("Error in listSeasons:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get season by id (null if not found)
+   */
+  static async getSeason(id) {
+    try {
+      const { data, error } = await supabase
+        .from("seasons")
+        .select(SEASON_COLUMNS)
+        .eq("id", id)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in getSeason:", error);
+        throw error;
+      }
+
+      return data || null;
+    } catch (error) {
+      logger.error("Error in getSeason:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get season containing date (latest started one if seasons overlap)
+   */
+  static async getSeasonForDate(date) {
+    try {
+      const { data, error } = await supabase
+        .from("seasons")
+        .select(SEASON_COLUMNS)
+        .lte("start_date", date)
+        .gte("end_date", date)
+        .order("start_date", { ascending: false })
+        .limit(1);
+
+      if (error) {
+        logger.error("Database error in getSeasonForDate:", error);
+        throw error;
+      }
+
+      return data?.[0] || null;
+    } catch (error) {
+      logger.error("Error in getSeasonForDate:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create season
+   */
+  static async createSeason(seasonData) {
+    try {
+      const { data, error } = await supabase
+        .from("seasons")
+        .insert(seasonData)
+        .select(SEASON_COLUMNS)
+        .single();
+
+      if (error) {
+        logger.error("Database error in createSeason:", error);
+        throw error;
+      }
+
+      CacheService.invalidateLeaderboards();
+      EventService.leaderboardChanged("season", { season_id: data.id });
+      logger.info(`Season created: ${data.id} - ${data.name}`);
+      return data;
+    } catch (error) {
+      logger.error("Error in createSeason:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update season (null if not found)
+   */
+  static async updateSeason(id, updates) {
+    try {
+      const { data, error } = await supabase
+        .from("seasons")
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", id)
+        .select(SEASON_COLUMNS)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in updateSeason:", error);
+        throw error;
+      }
+
+      if (data) {
+        CacheService.invalidateLeaderboards();
+        EventService.leaderboardChanged("season", { season_id: id });
+        logger.info(`Season updated: ${id} - ${Object.keys(updates).join(", ")}`);
+      }
+      return data || null;
+    } catch (error) {
+      logger.error("Error in updateSeason:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete season (progress is not touched)
+   */
+  static async deleteSeason(id) {
+    try {
+      const { error } = await supabase
+        .from("seasons")
+        .delete()
+        .eq("id", id);
+
+      if (error) {
+        logger.error("Database error in deleteSeason:", error);
+        throw error;
+      }
+
+      CacheService.invalidateLeaderboards();
+      EventService.leaderboardChanged("season", { season_id: id });
+      logger.info(`Season deleted: ${id}`);
+    } catch (error) {
+      logger.error("Error in deleteSeason:", error);
+      throw error;
+    }
+  }
+}
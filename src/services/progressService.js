@@ -0,0 +1,342 @@
+import supabase from "../config/database.js";
+import { config } from "../config/environment.js";
+import logger from "../utils/logger.js";
+import { TaskService } from "./taskService.js";
+import { AuditService } from "./auditService.js";
+import { CacheService } from "./cacheService.js";
+import { EventService } from "./eventService.js";
+import { AchievementService } from "./achievementService.js";
+import { StreakFreezeService } from "./streakFreezeService.js";
+import { StreakService } from "./streakService.js";
+import { daysBetween } from "../utils/dateUtils.js";
+
+export class ProgressService {
+  static REQUEST_STATUSES = {
+    PENDING: "pending",
+    APPROVED: "approved",
+    REJECTED: "rejected",
+  };
+
+  /**
+   * Check if user may edit date without admin approval
+   */
+  static isWithinGraceWindow(date, todayDate) {
+    const daysAgo = daysBetween(date, todayDate);
+    return daysAgo >= 0 && daysAgo <= config.PROGRESS_EDIT_GRACE_DAYS;
+  }
+
+  /**
+   * Current values of a day in submit format (null if nothing was logged)
+   * @returns {Promise<Object|null>} { pages_read, distance_km, completed_tasks, quantities }
+   */
+  static async getSnapshot(tg_id, date) {
+    try {
+      const { data: progress, error } = await supabase
+        .from("daily_progress")
+        .select("pages_read, distance_km")
+        .eq("tg_id", tg_id)
+        .eq("date", date)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in getSnapshot:", error);
+        throw error;
+      }
+
+      if (!progress) {
+        return null;
+      }
+
+      const completions = await TaskService.getCompletions(tg_id, date);
+
+      return {
+        pages_read: progress.pages_read || 0,
+        distance_km: parseFloat(progress.distance_km) || 0,
+        // Checkbox tasks have no value, quantity tasks are kept in quantities
+        completed_tasks: completions.filter((c) => c.value === null).map((c) => c.task_id),
+        quantities: TaskService.getQuantities(completions),
+      };
+    } catch (error) {
+      logger.error("Error in getSnapshot:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if body changes checkbox tasks (completed_tasks or shart_<id> flags)
+   */
+  static hasTaskSelection(body = {}) {
+    return Array.isArray(body.completed_tasks) ||
+      Object.keys(body).some((key) => /^shart_\d+$/.test(key));
+  }
+
+  /**
+   * Merge edit body into current values of the day
+   * Omitted fields keep previous values, sent quantities replace only their tasks
+   */
+  static buildEditPayload(snapshot, body = {}) {
+    const previous = snapshot || { pages_read: 0, distance_km: 0, completed_tasks: [], quantities: {} };
+
+    return {
+      completed_tasks: this.hasTaskSelection(body)
+        ? TaskService.parseCompletedTaskIds(body)
+        : previous.completed_tasks,
+      quantities: { ...previous.quantities, ...TaskService.parseQuantities(body) },
+      pages_read: body.pages_read !== undefined ? body.pages_read : previous.pages_read,
+      distance_km: body.distance_km !== undefined ? body.distance_km : previous.distance_km,
+    };
+  }
+
+  /**
+   * Save day payload and record old/new values in progress_audit
+   * Used by submit (today), edits within grace window and approved edit requests,
+   * achievements are re-evaluated and streak freezes awarded after every save
+   * @returns {Promise<Object>} daily_progress row
+   */
+  static async saveProgress(tg_id, date, payload, {
+    action = AuditService.PROGRESS_ACTIONS.SUBMIT,
+    changed_by = null,
+    source = AuditService.SOURCES.MINI_APP,
+    ip = null,
+    edit_request_id = null,
+  } = {}) {
+    const oldValues = await this.getSnapshot(tg_id, date);
+
+    const progress = await TaskService.submitProgress(tg_id, date, payload.completed_tasks, {
+      pages_read: payload.pages_read,
+      distance_km: payload.distance_km,
+    }, payload.quantities);
+
+    const newValues = await this.getSnapshot(tg_id, date);
+    CacheService.invalidateUser(tg_id);
+
+    await AuditService.recordProgressChange({
+      tg_id,
+      date,
+      action,
+      changed_by,
+      source,
+      ip,
+      old_values: oldValues,
+      new_values: newValues,
+      edit_request_id,
+    });
+
+    if (action !== AuditService.PROGRESS_ACTIONS.SUBMIT) {
+      logger.info(`Progress edited: ${tg_id} - ${date} (${action} by ${changed_by || source})`);
+    }
+
+    EventService.progressUpdated(tg_id, progress, action);
+
+    // Streaks and totals changed - re-evaluate achievements in background
+    if (config.ENABLE_ACHIEVEMENT_SYSTEM) {
+      AchievementService.updateUserAchievements(tg_id).catch((error) => {
+        logger.error("Achievement update failed (non-critical):", error);
+      });
+    }
+
+    this.awardStreakFreeze(tg_id).catch((error) => {
+      logger.error("Streak freeze award failed (non-critical):", error);
+    });
+    return progress;
+  }
+
+  /**
+   * Every EARN_EVERY_DAYS consecutive active days earn a streak freeze
+   */
+  static async awardStreakFreeze(tg_id) {
+    const { current, last_date } = await StreakService.getActivityStreak(tg_id);
+    return StreakFreezeService.awardEarnedFreeze(tg_id, last_date, current);
+  }
+
+  // =====================================================
+  // EDIT REQUESTS (outside of grace window)
+  // =====================================================
+
+  /**
+   * Create edit request, a pending request for the same day is replaced
+   */
+  static async createEditRequest(tg_id, date, payload, reason = null) {
+    try {
+      const { data: existing, error: findError } = await supabase
+        .from("progress_edit_requests")
+        .select("id")
+        .eq("tg_id", tg_id)
+        .eq("date", date)
+        .eq("status", this.REQUEST_STATUSES.PENDING)
+        .maybeSingle();
+
+      if (findError) {
+        logger.error("Database error in createEditRequest:", findError);
+        throw findError;
+      }
+
+      // Only a still pending request is replaced, once claimed by a reviewer a new one is created
+      let updated = null;
+      if (existing) {
+        const { data, error } = await supabase
+          .from("progress_edit_requests")
+          .update({ payload, reason, created_at: new Date().toISOString() })
+          .eq("id", existing.id)
+          .eq("status", this.REQUEST_STATUSES.PENDING)
+          .select();
+
+        if (error) {
+          logger.error("Database error in createEditRequest:", error);
+          throw error;
+        }
+
+        updated = data?.[0] || null;
+      }
+
+      if (updated) {
+        logger.info(`Edit request updated: ${updated.id} - ${tg_id} - ${date}`);
+        return updated;
+      }
+
+      const { data, error } = await supabase
+        .from("progress_edit_requests")
+        .insert({ tg_id, date, payload, reason })
+        .select()
+        .single();
+
+      if (error) {
+        logger.error("Database error in createEditRequest:", error);
+        throw error;
+      }
+
+      logger.info(`Edit request created: ${data.id} - ${tg_id} - ${date}`);
+      return data;
+    } catch (error) {
+      logger.error("Error in createEditRequest:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * List edit requests with user names (newest first)
+   */
+  static async listEditRequests({ status = this.REQUEST_STATUSES.PENDING, limit = 50 } = {}) {
+    try {
+      let query = supabase
+        .from("progress_edit_requests")
+        .select("*, users(name, username)")
+        .order("created_at", { ascending: false })
+        .limit(limit);
+
+      if (status !== "all") {
+        query = query.eq("status", status);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error("Database error in listEditRequests:", error);
+        throw error;
+      }
+
+      return (data || []).map(({ users, ...request }) => ({
+        ...request,
+        name: users?.name || null,
+        username: users?.username || null,
+      }));
+    } catch (error) {
+      logger.error("Error in listEditRequests:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get edit request by id (null if not found)
+   */
+  static async getEditRequest(id) {
+    try {
+      const { data, error } = await supabase
+        .from("progress_edit_requests")
+        .select("*")
+        .eq("id", id)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in getEditRequest:", error);
+        throw error;
+      }
+
+      return data || null;
+    } catch (error) {
+      logger.error("Error in getEditRequest:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve (apply payload) or reject pending edit request
+   * The request is claimed first (pending -> reviewed), only the claimed row's payload is applied.
+   * @param {Object} context - Reviewer { changed_by, ip } from AuditService.getRequestContext
+   * @returns {Promise<Object|null>} { request, progress }, null if request is not pending anymore
+   */
+  static async reviewEditRequest(id, context, approve, review_note = null) {
+    const reviewed_by = context.changed_by || null;
+
+    try {
+      const { data, error } = await supabase
+        .from("progress_edit_requests")
+        .update({
+          status: approve ? this.REQUEST_STATUSES.APPROVED : this.REQUEST_STATUSES.REJECTED,
+          reviewed_by,
+          reviewed_at: new Date().toISOString(),
+          review_note,
+        })
+        .eq("id", id)
+        .eq("status", this.REQUEST_STATUSES.PENDING)
+        .select();
+
+      if (error) {
+        logger.error("Database error in reviewEditRequest:", error);
+        throw error;
+      }
+
+      const request = data?.[0];
+      if (!request) {
+        return null;
+      }
+
+      let progress = null;
+
+      if (approve) {
+        try {
+          progress = await this.saveProgress(request.tg_id, request.date, request.payload, {
+            ...context,
+            action: AuditService.PROGRESS_ACTIONS.EDIT_APPROVED,
+            source: AuditService.SOURCES.ADMIN,
+            edit_request_id: request.id,
+          });
+        } catch (applyError) {
+          await this.releaseEditRequest(request);
+          throw applyError;
+        }
+      }
+
+      logger.info(`Edit request ${request.id} ${request.status} by ${reviewed_by || "service"}`);
+      return { request, progress };
+    } catch (error) {
+      logger.error("Error in reviewEditRequest:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Put claimed request back to pending (its payload could not be applied)
+   */
+  static async releaseEditRequest(request) {
+    const { error } = await supabase
+      .from("progress_edit_requests")
+      .update({ status: this.REQUEST_STATUSES.PENDING, reviewed_by: null, reviewed_at: null, review_note: null })
+      .eq("id", request.id)
+      .eq("status", request.status);
+
+    if (error) {
+      logger.error("Database error in releaseEditRequest:", error);
+    }
+  }
+}
@@ -1,7 +1,12 @@
 import { DatabaseService } from "./databaseService.js";
 import logger from "../utils/logger.js";
-import { AchievementService } from "./achievementService.js";
 import supabase from "../config/database.js";
+import { TimezoneService } from "./timezoneService.js";
+import { LeaderboardService } from "./leaderboardService.js";
+import { StreakService } from "./streakService.js";
+import { TaskService } from "./taskService.js";
+import { TASK_ANALYTICS, DEFAULT_LANGUAGE } from "../config/constants.js";
+import { getTodayInTimezone, getPastDates, addDays, daysBetween } from "../utils/dateUtils.js";
 
 export class StatisticsService {
   /**
@@ -14,19 +19,18 @@ export class StatisticsService {
         return null;
       }
 
+      // User's local today (profile timezone)
+      const today = await TimezoneService.getUserToday(tg_id);
+
       // Get weekly daily points for chart
-      const weeklyDailyPoints = await this.getWeeklyDailyPoints(tg_id);
-      const streak = await this.calculateUserStreak(tg_id);
-      const longestStreak = await this.calculateLongestStreak(tg_id);
-      const progressHistory = await DatabaseService.getUserProgressHistory(tg_id, 60);
-
-      
-      // 💡 Yangi statistika: perfectionist va early bird
-      const perfectionistStreak =
-        await AchievementService.getPerfectionistStreak(progressHistory);
-      const earlyBirdStreak = await AchievementService.getEarlyBirdProgress(
-        progressHistory
-      );
+      const weeklyDailyPoints = await this.getWeeklyDailyPoints(tg_id, today);
+      const activeTasks = await TaskService.getActiveTasks(today);
+
+      // 💡 Activity, perfectionist va early bird streaks (one query)
+      const streaks = await StreakService.getUserStreaks(tg_id, {
+        today,
+        kinds: [StreakService.KINDS.ACTIVE, StreakService.KINDS.PERFECT, StreakService.KINDS.EARLY_BIRD],
+      });
 
       return {
         today: {
@@ -36,7 +40,7 @@ export class StatisticsService {
         },
         weekly: {
           dailyPoints: weeklyDailyPoints,
-          dailyTotal: 10,
+          dailyTotal: activeTasks.length,
           total_points: stats.weekly_points || 0,
           total_pages: stats.weekly_pages || 0,
           total_distance: stats.weekly_distance || 0,
@@ -46,12 +50,12 @@ export class StatisticsService {
           total_pages: stats.total_pages || 0,
           total_distance: stats.total_distance || 0,
           total_days: stats.total_days || 0,
-          perfectionist_streak: perfectionistStreak,
-          early_bird_streak: earlyBirdStreak,
+          perfectionist_streak: streaks.perfect.current,
+          early_bird_streak: streaks.early_bird.current,
         },
         streaks: {
-          current: streak,
-          longest: longestStreak,
+          current: streaks.active.current,
+          longest: streaks.active.longest,
         },
       };
     } catch (error) {
@@ -61,20 +65,18 @@ export class StatisticsService {
   }
 
   /**
-   * Get weekly daily points for chart (last 7 days)
+   * Get weekly daily points for chart (last 7 days up to today)
    */
-  static async getWeeklyDailyPoints(tg_id) {
+  static async getWeeklyDailyPoints(tg_id, today) {
     try {
       const progressHistory = await DatabaseService.getUserProgressHistory(
         tg_id,
-        7
+        7,
+        today
       );
 
       const weeklyPoints = [];
-      for (let i = 6; i >= 0; i--) {
-        const targetDate = new Date(Date.now() - i * 24 * 60 * 60 * 1000)
-          .toISOString()
-          .split("T")[0];
+      for (const targetDate of getPastDates(today, 7)) {
         const dayData = progressHistory.find((p) => p.date === targetDate);
         weeklyPoints.push(dayData ? dayData.total_points : 0);
       }
@@ -86,95 +88,26 @@ export class StatisticsService {
     }
   }
 
-  /**
-   * Calculate current user streak
-   */
-  static async calculateUserStreak(tg_id) {
-    try {
-      const progressHistory = await DatabaseService.getUserProgressHistory(
-        tg_id,
-        60
-      );
-
-      let streak = 0;
-      for (let i = 0; i < progressHistory.length; i++) {
-        const expectedDate = new Date(Date.now() - i * 24 * 60 * 60 * 1000)
-          .toISOString()
-          .split("T")[0];
-        const dayData = progressHistory.find((p) => p.date === expectedDate);
-
-        if (dayData && dayData.total_points > 0) {
-          streak++;
-        } else {
-          break;
-        }
-      }
-
-      return streak;
-    } catch (error) {
-      logger.error("Error in calculateUserStreak:", error);
-      return 0;
-    }
-  }
-
-  /**
-   * Calculate longest streak for user
-   */
-  static async calculateLongestStreak(tg_id) {
-    try {
-      const { data: allProgress } = await supabase
-        .from("daily_progress")
-        .select("date, total_points")
-        .eq("tg_id", tg_id)
-        .gt("total_points", 0)
-        .order("date", { ascending: true });
-
-      if (!allProgress || allProgress.length === 0) {
-        return 0;
-      }
-
-      let longestStreak = 1;
-      let currentStreak = 1;
-
-      for (let i = 1; i < allProgress.length; i++) {
-        const prevDate = new Date(allProgress[i - 1].date);
-        const currDate = new Date(allProgress[i].date);
-        const dayDiff = (currDate - prevDate) / (1000 * 60 * 60 * 24);
-
-        if (dayDiff === 1) {
-          currentStreak++;
-          longestStreak = Math.max(longestStreak, currentStreak);
-        } else {
-          currentStreak = 1;
-        }
-      }
-
-      return longestStreak;
-    } catch (error) {
-      logger.error("Error in calculateLongestStreak:", error);
-      return 0;
-    }
-  }
-
   /**
    * Get global statistics
    */
   static async getGlobalStatistics() {
     try {
       const totalUsers = await DatabaseService.getTotalUserCount();
+      const today = getTodayInTimezone(); // Community default timezone
 
       // Get today's active users
       const { count: todayActiveUsers } = await supabase
         .from("daily_progress")
         .select("tg_id", { count: "exact" })
-        .eq("date", new Date().toISOString().split("T")[0])
+        .eq("date", today)
         .gt("total_points", 0);
 
       // Get total points today
       const { data: todayStats } = await supabase
         .from("daily_progress")
         .select("total_points")
-        .eq("date", new Date().toISOString().split("T")[0]);
+        .eq("date", today);
 
       const totalPointsToday =
         todayStats?.reduce((sum, item) => sum + item.total_points, 0) || 0;
@@ -200,38 +133,161 @@ export class StatisticsService {
   }
 
   /**
-   * Get user rank in leaderboard
+   * Get user rank in leaderboard (periods end on user's local today)
    */
   static async getUserRank(tg_id, period = "weekly") {
     try {
-      let orderField;
-      switch (period) {
-        case "daily":
-          orderField = "daily_points";
-          break;
-        case "all_time":
-          orderField = "total_points";
-          break;
-        default:
-          orderField = "weekly_points";
-      }
+      const today = await TimezoneService.getUserToday(tg_id);
+      const range = LeaderboardService.getPeriodRange(period, today);
+      const { rank } = await LeaderboardService.getUserPosition(tg_id, { ...range, neighbours: 0 });
+      return rank;
+    } catch (error) {
+      logger.error("Error in getUserRank:", error);
+      return 0;
+    }
+  }
 
-      const { data: allUsers } = await supabase
-        .from("user_statistics")
-        .select(`tg_id, ${orderField}`)
-        .gt(orderField, 0)
-        .order(orderField, { ascending: false })
-        .order("tg_id", { ascending: true });
+  // =====================================================
+  // TASK ANALYTICS
+  // =====================================================
+
+  /**
+   * Analytics period: `to` defaults to (and is capped at) today,
+   * `from` defaults to DEFAULT_DAYS days ending on `to`
+   * @returns {Object} { from, to, days }
+   */
+  static getAnalyticsPeriod({ from, to } = {}, today) {
+    const end = to && to < today ? to : today;
+    const start = from || addDays(end, -(TASK_ANALYTICS.DEFAULT_DAYS - 1));
+    return { from: start, to: end, days: daysBetween(start, end) + 1 };
+  }
 
-      if (!allUsers) {
-        return 0;
+  /**
+   * Due / completed / partial days per task and weekday (get_task_analytics)
+   * @param {number|null} tg_id - User (null = every approved user)
+   */
+  static async queryTaskAnalytics(from, to, tg_id = null) {
+    try {
+      const { data, error } = await supabase.rpc("get_task_analytics", {
+        p_from: from,
+        p_to: to,
+        p_tg_id: tg_id,
+      });
+
+      if (error) {
+        logger.error("Database error in queryTaskAnalytics:", error);
+        throw error;
       }
 
-      const userIndex = allUsers.findIndex((u) => u.tg_id === tg_id);
-      return userIndex !== -1 ? userIndex + 1 : 0;
+      return data || [];
     } catch (error) {
-      logger.error("Error in getUserRank:", error);
-      return 0;
+      logger.error("Error in queryTaskAnalytics:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Per-task completion rate, streaks, weekday pattern and trend
+   * The period is compared with the same number of days just before it.
+   * Days on which a task was not due (inactive, before joining, neutral) are not counted.
+   * @param {number|null} tg_id - User (null = community: summed over every approved user,
+   *                              streaks are the best current / longest of any user)
+   * @param {Object} period - { from, to, days } from getAnalyticsPeriod
+   * @returns {Promise<Object>} { from, to, days, previous: { from, to }, tasks, most_skipped, best }
+   */
+  static async getTaskAnalytics(tg_id, period, { today = null, lang = DEFAULT_LANGUAGE } = {}) {
+    try {
+      const previous = { from: addDays(period.from, -period.days), to: addDays(period.from, -1) };
+
+      const [rows, previousRows, streaks, catalog] = await Promise.all([
+        this.queryTaskAnalytics(period.from, period.to, tg_id),
+        this.queryTaskAnalytics(previous.from, previous.to, tg_id),
+        tg_id
+          ? StreakService.getUserStreaks(tg_id, { today, kinds: [StreakService.KINDS.TASK] }).then((result) => result.tasks)
+          : StreakService.getCommunityTaskStreaks(),
+        TaskService.getAllTasks(),
+      ]);
+
+      const sumByTask = (list) => {
+        const sums = new Map();
+        for (const row of list) {
+          const sum = sums.get(row.task_id) || { due: 0, completed: 0, partial: 0, weekdays: new Map() };
+          sum.due += Number(row.due_days);
+          sum.completed += Number(row.completed_days);
+          sum.partial += Number(row.partial_days);
+          sum.weekdays.set(row.weekday, row);
+          sums.set(row.task_id, sum);
+        }
+        return sums;
+      };
+
+      const current = sumByTask(rows);
+      const before = sumByTask(previousRows);
+      const streaksByTask = new Map(streaks.map(({ task_id, ...streak }) => [task_id, streak]));
+
+      const tasks = catalog
+        .filter((task) => current.has(task.id) || before.has(task.id))
+        .map((task) => {
+          const sum = current.get(task.id) || { due: 0, completed: 0, partial: 0, weekdays: new Map() };
+          const completionRate = this.getRate(sum.completed, sum.due);
+          const previousSum = before.get(task.id);
+          const previousRate = previousSum ? this.getRate(previousSum.completed, previousSum.due) : null;
+          const change = completionRate !== null && previousRate !== null ? completionRate - previousRate : null;
+          const localized = TaskService.localize(task, lang);
+
+          return {
+            task_id: task.id,
+            title: localized.title,
+            icon: task.icon,
+            category: task.category,
+            task_type: task.task_type,
+            is_archived: task.is_archived,
+            due_days: sum.due,
+            completed_days: sum.completed,
+            partial_days: sum.partial,
+            skipped_days: sum.due - sum.completed - sum.partial,
+            completion_rate: completionRate,
+            streak: streaksByTask.get(task.id) || (tg_id
+              ? { current: 0, longest: 0, last_date: null }
+              : { current: 0, longest: 0, users_on_streak: 0 }),
+            // [Mon, Tue, Wed, Thu, Fri, Sat, Sun]
+            day_of_week: [1, 2, 3, 4, 5, 6, 7].map((weekday) => {
+              const day = sum.weekdays.get(weekday);
+              const due = Number(day?.due_days) || 0;
+              const completed = Number(day?.completed_days) || 0;
+              return { weekday, due_days: due, completed_days: completed, completion_rate: this.getRate(completed, due) };
+            }),
+            trend: {
+              previous_rate: previousRate,
+              change,
+              direction: change === null ? null : change > 0 ? "up" : change < 0 ? "down" : "flat",
+            },
+          };
+        });
+
+      const rated = tasks.filter((task) => task.completion_rate !== null);
+      const pick = (better) => rated.reduce((best, task) => (!best || better(task, best) ? task : best), null)?.task_id || null;
+
+      return {
+        tg_id,
+        from: period.from,
+        to: period.to,
+        days: period.days,
+        previous,
+        tasks,
+        most_skipped: pick((task, best) => task.completion_rate < best.completion_rate),
+        best: pick((task, best) => task.completion_rate > best.completion_rate),
+      };
+    } catch (error) {
+      logger.error("Error in getTaskAnalytics:", error);
+      throw error;
     }
   }
+
+  /**
+   * Percentage of due days completed (null when nothing was due)
+   */
+  static getRate(completed, due) {
+    return due > 0 ? Math.round((completed / due) * 100) : null;
+  }
 }
@@ -0,0 +1,414 @@
+import supabase from "../config/database.js";
+import { STREAK_FREEZES } from "../config/constants.js";
+import logger from "../utils/logger.js";
+import { CacheService } from "./cacheService.js";
+
+const EXCUSED_DAY_COLUMNS = "id, tg_id, date, kind, reason, created_by, created_at";
+
+/**
+ * Streak freezes and excused days (streak_excused_days, streak_freeze_credits)
+ * Both make a day neutral: it neither breaks nor extends a streak (counted in StreakService).
+ */
+export class StreakFreezeService {
+  static KINDS = {
+    FREEZE: "freeze",   // user spent a token
+    EXCUSED: "excused", // marked by admin (tg_id null = everyone)
+  };
+
+  static CREDIT_REASONS = {
+    EARNED: "earned",
+    GRANTED: "granted",
+  };
+
+  // =====================================================
+  // NEUTRAL DAYS
+  // =====================================================
+
+  /**
+   * Neutral dates of user: own freezes / excused days and community excused days
+   * @param {string} from - YYYY-MM-DD (default: no lower bound)
+   * @returns {Promise<Set<string>>}
+   */
+  static async getNeutralDates(tg_id, { from = null } = {}) {
+    try {
+      let query = supabase
+        .from("streak_excused_days")
+        .select("date")
+        .or(`tg_id.eq.${tg_id},tg_id.is.null`);
+
+      if (from) {
+        query = query.gte("date", from);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error("Database error in getNeutralDates:", error);
+        throw error;
+      }
+
+      return new Set((data || []).map((row) => row.date));
+    } catch (error) {
+      // Streaks fall back to plain counting
+      logger.error("Error in getNeutralDates:", error);
+      return new Set();
+    }
+  }
+
+  /**
+   * Neutral dates of every user (community analytics), read in pages
+   * @returns {Promise<Object>} { community: Set<string>, byUser: Map<tg_id, Set<string>> }
+   */
+  static async getAllNeutralDates({ from = null, pageSize = 1000 } = {}) {
+    try {
+      const community = new Set();
+      const byUser = new Map();
+
+      for (let offset = 0; ; offset += pageSize) {
+        let query = supabase
+          .from("streak_excused_days")
+          .select("id, tg_id, date")
+          .order("id", { ascending: true })
+          .range(offset, offset + pageSize - 1);
+
+        if (from) {
+          query = query.gte("date", from);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+          logger.error("Database error in getAllNeutralDates:", error);
+          throw error;
+        }
+
+        for (const row of data || []) {
+          if (row.tg_id === null) {
+            community.add(row.date);
+          } else {
+            if (!byUser.has(row.tg_id)) {
+              byUser.set(row.tg_id, new Set());
+            }
+            byUser.get(row.tg_id).add(row.date);
+          }
+        }
+
+        if (!data || data.length < pageSize) {
+          return { community, byUser };
+        }
+      }
+    } catch (error) {
+      logger.error("Error in getAllNeutralDates:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Excused / frozen days (newest first)
+   * @param {number|null} tg_id - User (their days and community days), undefined = all
+   */
+  static async listExcusedDays({ tg_id, from, to, limit = 200 } = {}) {
+    try {
+      let query = supabase
+        .from("streak_excused_days")
+        .select(EXCUSED_DAY_COLUMNS)
+        .order("date", { ascending: false })
+        .limit(limit);
+
+      if (tg_id) {
+        query = query.or(`tg_id.eq.${tg_id},tg_id.is.null`);
+      }
+      if (from) {
+        query = query.gte("date", from);
+      }
+      if (to) {
+        query = query.lte("date", to);
+      }
+
+      const { data, error } = await query;
+
+      if (error) {
+        logger.error("Database error in listExcusedDays:", error);
+        throw error;
+      }
+
+      return data || [];
+    } catch (error) {
+      logger.error("Error in listExcusedDays:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get neutral day of user (or community day when tg_id is null) on date
+   */
+  static async findExcusedDay(tg_id, date) {
+    try {
+      let query = supabase
+        .from("streak_excused_days")
+        .select(EXCUSED_DAY_COLUMNS)
+        .eq("date", date);
+
+      query = tg_id ? query.eq("tg_id", tg_id) : query.is("tg_id", null);
+
+      const { data, error } = await query.maybeSingle();
+
+      if (error) {
+        logger.error("Database error in findExcusedDay:", error);
+        throw error;
+      }
+
+      return data;
+    } catch (error) {
+      logger.error("Error in findExcusedDay:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Excuse day for one user or everyone (tg_id null)
+   * Freeze tokens spent on the same day are refunded (the freeze becomes the excuse).
+   * @returns {Promise<Object>} { day, refunded }
+   */
+  static async excuseDay({ tg_id = null, date, reason = null, created_by = null }) {
+    try {
+      let day;
+      let refunded = 0;
+
+      const freezes = supabase
+        .from("streak_excused_days")
+        .select("id")
+        .eq("date", date)
+        .eq("kind", this.KINDS.FREEZE);
+      const { data: frozen, error: findError } = tg_id ? await freezes.eq("tg_id", tg_id) : await freezes;
+
+      if (findError) {
+        logger.error("Database error in excuseDay:", findError);
+        throw findError;
+      }
+
+      if (tg_id && frozen?.length > 0) {
+        const { data, error } = await supabase
+          .from("streak_excused_days")
+          .update({ kind: this.KINDS.EXCUSED, reason, created_by })
+          .eq("id", frozen[0].id)
+          .select(EXCUSED_DAY_COLUMNS)
+          .single();
+
+        if (error) {
+          logger.error("Database error in excuseDay:", error);
+          throw error;
+        }
+        day = data;
+        refunded = 1;
+      } else {
+        const { data, error } = await supabase
+          .from("streak_excused_days")
+          .insert({ tg_id, date, kind: this.KINDS.EXCUSED, reason, created_by })
+          .select(EXCUSED_DAY_COLUMNS)
+          .single();
+
+        if (error) {
+          logger.error("Database error in excuseDay:", error);
+          throw error;
+        }
+        day = data;
+
+        // Community day: freezes of that day are no longer needed
+        if (!tg_id && frozen?.length > 0) {
+          const { error: refundError } = await supabase
+            .from("streak_excused_days")
+            .delete()
+            .in("id", frozen.map((row) => row.id));
+
+          if (refundError) {
+            logger.error("Database error in excuseDay:", refundError);
+            throw refundError;
+          }
+          refunded = frozen.length;
+        }
+      }
+
+      this.invalidate(tg_id);
+      logger.info(`Day excused: ${date} for ${tg_id || "everyone"} (${refunded} freezes refunded)`);
+      return { day, refunded };
+    } catch (error) {
+      logger.error("Error in excuseDay:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete excused / frozen day (a deleted freeze returns its token)
+   * @returns {Promise<Object|null>} Deleted row or null if not found
+   */
+  static async deleteExcusedDay(id) {
+    try {
+      const { data, error } = await supabase
+        .from("streak_excused_days")
+        .delete()
+        .eq("id", id)
+        .select(EXCUSED_DAY_COLUMNS)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in deleteExcusedDay:", error);
+        throw error;
+      }
+
+      if (data) {
+        this.invalidate(data.tg_id);
+        logger.info(`Excused day deleted: ${data.date} for ${data.tg_id || "everyone"} (${data.kind})`);
+      }
+      return data;
+    } catch (error) {
+      logger.error("Error in deleteExcusedDay:", error);
+      throw error;
+    }
+  }
+
+  // =====================================================
+  // FREEZE TOKENS
+  // =====================================================
+
+  /**
+   * Token balance: { balance, earned, granted, used }
+   */
+  static async getBalance(tg_id) {
+    try {
+      const [credits, used] = await Promise.all([
+        supabase.from("streak_freeze_credits").select("amount, reason").eq("tg_id", tg_id),
+        supabase
+          .from("streak_excused_days")
+          .select("id", { count: "exact", head: true })
+          .eq("tg_id", tg_id)
+          .eq("kind", this.KINDS.FREEZE),
+      ]);
+
+      const error = credits.error || used.error;
+      if (error) {
+        logger.error("Database error in getBalance:", error);
+        throw error;
+      }
+
+      const sumOf = (reason) => (credits.data || [])
+        .filter((credit) => credit.reason === reason)
+        .reduce((sum, credit) => sum + credit.amount, 0);
+
+      const earned = sumOf(this.CREDIT_REASONS.EARNED);
+      const granted = sumOf(this.CREDIT_REASONS.GRANTED);
+      const usedCount = used.count || 0;
+
+      return { balance: earned + granted - usedCount, earned, granted, used: usedCount };
+    } catch (error) {
+      logger.error("Error in getBalance:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Earn one token when the current streak reaches a multiple of EARN_EVERY_DAYS
+   * (once per milestone day, not above MAX_BALANCE)
+   * @param {string} milestoneDate - Last day of the streak (the day that reached the multiple)
+   * @returns {Promise<boolean>} Token earned
+   */
+  static async awardEarnedFreeze(tg_id, milestoneDate, currentStreak) {
+    if (currentStreak <= 0 || currentStreak % STREAK_FREEZES.EARN_EVERY_DAYS !== 0) {
+      return false;
+    }
+
+    try {
+      const { balance } = await this.getBalance(tg_id);
+      if (balance >= STREAK_FREEZES.MAX_BALANCE) {
+        return false;
+      }
+
+      const { data, error } = await supabase
+        .from("streak_freeze_credits")
+        .upsert(
+          { tg_id, amount: 1, reason: this.CREDIT_REASONS.EARNED, milestone_date: milestoneDate },
+          { onConflict: "tg_id,milestone_date", ignoreDuplicates: true }
+        )
+        .select("id");
+
+      if (error) {
+        logger.error("Database error in awardEarnedFreeze:", error);
+        throw error;
+      }
+
+      const earned = (data || []).length > 0;
+      if (earned) {
+        CacheService.invalidate(CacheService.userPrefix(tg_id));
+        logger.info(`Streak freeze earned: ${tg_id} - ${currentStreak} day streak on ${milestoneDate}`);
+      }
+      return earned;
+    } catch (error) {
+      logger.error("Error in awardEarnedFreeze:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Admin grant of tokens
+   */
+  static async grantFreezes(tg_id, amount, { note = null, granted_by = null } = {}) {
+    try {
+      const { data, error } = await supabase
+        .from("streak_freeze_credits")
+        .insert({ tg_id, amount, reason: this.CREDIT_REASONS.GRANTED, note, granted_by })
+        .select("id, tg_id, amount, reason, note, granted_by, created_at")
+        .single();
+
+      if (error) {
+        logger.error("Database error in grantFreezes:", error);
+        throw error;
+      }
+
+      CacheService.invalidate(CacheService.userPrefix(tg_id));
+      logger.info(`Streak freezes granted: ${tg_id} +${amount} by ${granted_by || "service"}`);
+      return data;
+    } catch (error) {
+      logger.error("Error in grantFreezes:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Spend one token on a missed day (atomic, via RPC)
+   * @returns {Promise<string>} frozen | no_tokens | already_neutral
+   */
+  static async useFreeze(tg_id, date) {
+    try {
+      const { data, error } = await supabase.rpc("use_streak_freeze", {
+        p_tg_id: tg_id,
+        p_date: date,
+      });
+
+      if (error) {
+        logger.error("Database error in useFreeze:", error);
+        throw error;
+      }
+
+      if (data === "frozen") {
+        this.invalidate(tg_id);
+        logger.info(`Streak freeze used: ${tg_id} - ${date}`);
+      }
+      return data;
+    } catch (error) {
+      logger.error("Error in useFreeze:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cached streaks of user (or everyone) and boards are stale
+   */
+  static invalidate(tg_id) {
+    if (tg_id) {
+      CacheService.invalidateUser(tg_id);
+    } else {
+      CacheService.invalidate("user:");
+      CacheService.invalidateLeaderboards();
+    }
+  }
+}
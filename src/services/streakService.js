@@ -0,0 +1,230 @@
+import supabase from "../config/database.js";
+import logger from "../utils/logger.js";
+import { DatabaseService } from "./databaseService.js";
+import { TimezoneService } from "./timezoneService.js";
+import { StreakFreezeService } from "./streakFreezeService.js";
+import { addDays, getTodayInTimezone } from "../utils/dateUtils.js";
+
+/**
+ * Single source of every streak in the API (profile, statistics, leaderboard, achievements)
+ *
+ * - Days are the user's local dates (YYYY-MM-DD), "today" comes from their timezone.
+ * - Today only counts once it qualifies: an empty today does not break the streak yet.
+ * - Neutral days (freezes / excused days) neither break nor extend a streak.
+ * - Stored streaks are read as runs (get_streak_runs), not as one row per day.
+ */
+export class StreakService {
+  static KINDS = {
+    ACTIVE: "active",         // at least one task completed
+    PERFECT: "perfect",       // every active task completed
+    EARLY_BIRD: "early_bird", // 'wake' task submitted
+    TASK: "task",             // one task fully completed (per task_id)
+  };
+
+  // =====================================================
+  // STREAK COUNTING (dates in memory)
+  // =====================================================
+
+  /**
+   * Consecutive qualifying days ending today (at most maxDays)
+   * Inactive neutral days are skipped, any other inactive day ends the streak.
+   * @param {Function} isActiveDate - (date) => boolean
+   * @param {Set<string>} neutralDates - Frozen / excused dates
+   */
+  static countCurrentStreak(today, isActiveDate, neutralDates = new Set(), maxDays = Infinity) {
+    let streak = 0;
+    let date = isActiveDate(today) ? today : addDays(today, -1);
+
+    for (; streak < maxDays; date = addDays(date, -1)) {
+      if (isActiveDate(date)) {
+        streak++;
+      } else if (!neutralDates.has(date)) {
+        break;
+      }
+    }
+
+    return streak;
+  }
+
+  /**
+   * Longest run of active dates, gaps made only of neutral days do not break it
+   */
+  static countLongestStreak(activeDates, neutralDates = new Set()) {
+    const dates = [...new Set(activeDates)].sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+
+    for (const date of dates) {
+      run = previous && this.isBridged(previous, date, neutralDates) ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previous = date;
+    }
+
+    return longest;
+  }
+
+  /**
+   * Every day strictly between the two dates is neutral
+   */
+  static isBridged(fromDate, toDate, neutralDates) {
+    for (let date = addDays(fromDate, 1); date < toDate; date = addDays(date, 1)) {
+      if (!neutralDates.has(date)) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  // =====================================================
+  // STREAK RUNS (stored progress)
+  // =====================================================
+
+  /**
+   * Runs of consecutive days up to today, oldest first (read in pages)
+   * @param {number|null} tg_id - User (null = every user, grouped by tg_id)
+   * @param {string[]|null} kinds - KINDS to load (null = every kind)
+   * @returns {Promise<Array>} [{ tg_id, kind, task_id, start_date, end_date, days }]
+   */
+  static async getRuns(tg_id, today, kinds = null, pageSize = 1000) {
+    try {
+      const runs = [];
+
+      for (let offset = 0; ; offset += pageSize) {
+        const { data, error } = await supabase
+          .rpc("get_streak_runs", {
+            p_tg_id: tg_id,
+            p_to: today,
+            p_kinds: kinds,
+          })
+          .range(offset, offset + pageSize - 1);
+
+        if (error) {
+          logger.error("Database error in getRuns:", error);
+          throw error;
+        }
+
+        runs.push(...(data || []));
+        if (!data || data.length < pageSize) {
+          return runs;
+        }
+      }
+    } catch (error) {
+      logger.error("Error in getRuns:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Current and longest streak of one kind from its runs (oldest first)
+   * Runs separated only by neutral days are joined.
+   * @returns {Object} { current, longest, last_date }
+   */
+  static summarizeRuns(runs, today, neutralDates = new Set()) {
+    let longest = 0;
+    let run = null;
+
+    for (const { start_date, end_date, days } of runs) {
+      run = run && this.isBridged(run.end_date, start_date, neutralDates)
+        ? { end_date, days: run.days + days }
+        : { end_date, days };
+      longest = Math.max(longest, run.days);
+    }
+
+    // Last run is still going if it reaches today or only neutral days (and an open today) follow it
+    const current = run && (run.end_date === today || this.isBridged(run.end_date, today, neutralDates))
+      ? run.days
+      : 0;
+
+    return { current, longest, last_date: run?.end_date || null };
+  }
+
+  /**
+   * Every streak of user
+   * @param {string} today - User's local today (default: from profile timezone)
+   * @param {Set<string>} neutralDates - Loaded when omitted
+   * @param {string[]|null} kinds - Limit to these KINDS
+   * @returns {Promise<Object>} { today, active, perfect, early_bird, tasks: [{ task_id, current, longest, last_date }] }
+   *          active / perfect / early_bird: { current, longest, last_date }
+   */
+  static async getUserStreaks(tg_id, { today = null, neutralDates = null, kinds = null } = {}) {
+    const date = today || await TimezoneService.getUserToday(tg_id);
+    const [runs, neutral] = await Promise.all([
+      this.getRuns(tg_id, date, kinds),
+      neutralDates || StreakFreezeService.getNeutralDates(tg_id),
+    ]);
+
+    const groups = new Map();
+    for (const run of runs) {
+      const key = run.kind === this.KINDS.TASK ? `${run.kind}:${run.task_id}` : run.kind;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(run);
+    }
+
+    const summarize = (key) => this.summarizeRuns(groups.get(key) || [], date, neutral);
+
+    return {
+      today: date,
+      active: summarize(this.KINDS.ACTIVE),
+      perfect: summarize(this.KINDS.PERFECT),
+      early_bird: summarize(this.KINDS.EARLY_BIRD),
+      tasks: [...groups.keys()]
+        .filter((key) => key.startsWith(`${this.KINDS.TASK}:`))
+        .map((key) => ({ task_id: groups.get(key)[0].task_id, ...summarize(key) })),
+    };
+  }
+
+  /**
+   * Current and longest activity streak (profile, statistics, leaderboard cards)
+   * @returns {Promise<Object>} { current, longest, last_date }
+   */
+  static async getActivityStreak(tg_id, options = {}) {
+    const streaks = await this.getUserStreaks(tg_id, { ...options, kinds: [this.KINDS.ACTIVE] });
+    return streaks.active;
+  }
+
+  /**
+   * Task streaks across every approved user (community analytics)
+   * Each user's streak ends on their own local today.
+   * @returns {Promise<Array>} [{ task_id, current, longest, users_on_streak }]
+   *          current / longest: best current and best ever streak of any user
+   */
+  static async getCommunityTaskStreaks() {
+    const [users, runs, neutral] = await Promise.all([
+      DatabaseService.getApprovedUsers("tg_id, timezone"),
+      this.getRuns(null, null, [this.KINDS.TASK]),
+      StreakFreezeService.getAllNeutralDates(),
+    ]);
+
+    const timezones = new Map(users.map((user) => [user.tg_id, user.timezone]));
+    const groups = new Map();
+    for (const run of runs) {
+      if (!timezones.has(run.tg_id)) {
+        continue;
+      }
+
+      const key = `${run.tg_id}:${run.task_id}`;
+      if (!groups.has(key)) {
+        groups.set(key, []);
+      }
+      groups.get(key).push(run);
+    }
+
+    const byTask = new Map();
+    for (const userRuns of groups.values()) {
+      const { tg_id, task_id } = userRuns[0];
+      const neutralDates = new Set([...neutral.community, ...(neutral.byUser.get(tg_id) || [])]);
+      const { current, longest } = this.summarizeRuns(userRuns, getTodayInTimezone(timezones.get(tg_id)), neutralDates);
+
+      const task = byTask.get(task_id) || { task_id, current: 0, longest: 0, users_on_streak: 0 };
+      task.current = Math.max(task.current, current);
+      task.longest = Math.max(task.longest, longest);
+      task.users_on_streak += current > 0 ? 1 : 0;
+      byTask.set(task_id, task);
+    }
+
+    return [...byTask.values()];
+  }
+}
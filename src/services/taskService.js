@@ -0,0 +1,470 @@
+import supabase from "../config/database.js";
+import logger from "../utils/logger.js";
+import { DEFAULT_LANGUAGE } from "../config/constants.js";
+
+const TASK_COLUMNS =
+  "id, title, description, icon, category, points, difficulty, sort_order, task_type, unit, daily_target, scoring_tiers, translations, active_from, active_to, is_archived, archived_at, created_at, updated_at";
+
+const TASKS_CACHE_TTL = 60 * 1000; // 1 minute
+
+export class TaskService {
+  static TASK_TYPES = {
+    BOOLEAN: "boolean",
+    QUANTITY: "quantity",
+  };
+
+  static tasksCache = null;
+
+  /**
+   * Get full task catalog including archived tasks (cached)
+   */
+  static async getAllTasks() {
+    if (this.tasksCache && Date.now() - this.tasksCache.timestamp < TASKS_CACHE_TTL) {
+      return this.tasksCache.tasks;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from("tasks")
+        .select(TASK_COLUMNS)
+        .order("sort_order", { ascending: true })
+        .order("id", { ascending: true });
+
+      if (error) {
+        logger.error("Database error in getAllTasks:", error);
+        throw error;
+      }
+
+      this.tasksCache = { tasks: data || [], timestamp: Date.now() };
+      return this.tasksCache.tasks;
+    } catch (error) {
+      logger.error("Error in getAllTasks:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop cached catalog (after admin changes)
+   */
+  static invalidateCache() {
+    this.tasksCache = null;
+  }
+
+  /**
+   * Check if task is active on date (YYYY-MM-DD)
+   */
+  static isActiveOn(task, date) {
+    return (!task.active_from || task.active_from <= date) &&
+      (!task.active_to || task.active_to >= date);
+  }
+
+  /**
+   * Get tasks active on date (YYYY-MM-DD)
+   * Archived tasks are skipped unless includeArchived (reading history)
+   */
+  static async getActiveTasks(date, { includeArchived = false } = {}) {
+    const tasks = await this.getAllTasks();
+    return tasks.filter(
+      (task) => (includeArchived || !task.is_archived) && this.isActiveOn(task, date)
+    );
+  }
+
+  /**
+   * Return task with title/description in requested language
+   */
+  static localize(task, lang = DEFAULT_LANGUAGE) {
+    const translation = task.translations?.[lang] || {};
+    return {
+      ...task,
+      title: translation.title || task.title,
+      description: translation.description || task.description,
+    };
+  }
+
+  /**
+   * Public task shape for frontend
+   */
+  static toPublicTask(task, lang = DEFAULT_LANGUAGE) {
+    const localized = this.localize(task, lang);
+    const publicTask = {
+      id: localized.id,
+      title: localized.title,
+      description: localized.description,
+      points: localized.points,
+      category: localized.category,
+      icon: localized.icon,
+      difficulty: localized.difficulty,
+      task_type: localized.task_type || this.TASK_TYPES.BOOLEAN,
+    };
+
+    if (publicTask.task_type === this.TASK_TYPES.QUANTITY) {
+      publicTask.unit = localized.unit;
+      publicTask.daily_target = parseFloat(localized.daily_target);
+      publicTask.scoring_tiers = localized.scoring_tiers || [];
+    }
+
+    return publicTask;
+  }
+
+  /**
+   * Credit (0..1) for quantity value - mirrors calculate_task_credit() in schema.sql
+   * Used for previews only, stored credit comes from the database
+   */
+  static calculateCredit(task, value) {
+    if (task.task_type !== this.TASK_TYPES.QUANTITY) {
+      return 1;
+    }
+
+    const target = parseFloat(task.daily_target);
+    if (!value || value <= 0 || !target) {
+      return 0;
+    }
+
+    const ratio = value / target;
+    const tiers = task.scoring_tiers || [];
+
+    if (tiers.length === 0) {
+      return ratio >= 1 ? 1 : 0;
+    }
+
+    const credit = tiers
+      .filter((tier) => ratio >= tier.ratio)
+      .reduce((best, tier) => Math.max(best, tier.credit), 0);
+
+    return Math.min(credit, 1);
+  }
+
+  // =====================================================
+  // ADMIN CATALOG MANAGEMENT
+  // =====================================================
+
+  /**
+   * Get single task by id (null if not found)
+   */
+  static async getTaskById(id) {
+    try {
+      const { data, error } = await supabase
+        .from("tasks")
+        .select(TASK_COLUMNS)
+        .eq("id", id)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in getTaskById:", error);
+        throw error;
+      }
+
+      return data || null;
+    } catch (error) {
+      logger.error("Error in getTaskById:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create task (appended to the end when sort_order is not given)
+   */
+  static async createTask(taskData) {
+    try {
+      const payload = { ...taskData };
+
+      if (payload.sort_order === undefined) {
+        const tasks = await this.getAllTasks();
+        payload.sort_order = tasks.reduce((max, task) => Math.max(max, task.sort_order || 0), 0) + 1;
+      }
+
+      if (payload.is_archived) {
+        payload.archived_at = new Date().toISOString();
+      }
+
+      const { data, error } = await supabase
+        .from("tasks")
+        .insert(payload)
+        .select(TASK_COLUMNS)
+        .single();
+
+      if (error) {
+        logger.error("Database error in createTask:", error);
+        throw error;
+      }
+
+      this.invalidateCache();
+      logger.info(`Task created: ${data.id} - ${data.title}`);
+      return data;
+    } catch (error) {
+      logger.error("Error in createTask:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update task fields
+   * @returns {Promise<Object|null>} Updated task or null if not found
+   */
+  static async updateTask(id, updates) {
+    try {
+      const payload = { ...updates };
+
+      if (payload.is_archived !== undefined) {
+        payload.archived_at = payload.is_archived ? new Date().toISOString() : null;
+      }
+
+      const { data, error } = await supabase
+        .from("tasks")
+        .update(payload)
+        .eq("id", id)
+        .select(TASK_COLUMNS)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in updateTask:", error);
+        throw error;
+      }
+
+      this.invalidateCache();
+      if (data) {
+        logger.info(`Task updated: ${id} - ${Object.keys(updates).join(", ")}`);
+      }
+      return data || null;
+    } catch (error) {
+      logger.error("Error in updateTask:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Archive task: hidden from daily tasks, completions are kept
+   */
+  static async archiveTask(id) {
+    return this.updateTask(id, { is_archived: true });
+  }
+
+  /**
+   * Count completions of task (used to protect history on delete)
+   */
+  static async countCompletions(id) {
+    try {
+      const { count, error } = await supabase
+        .from("task_completions")
+        .select("id", { count: "exact", head: true })
+        .eq("task_id", id);
+
+      if (error) {
+        logger.error("Database error in countCompletions:", error);
+        throw error;
+      }
+
+      return count || 0;
+    } catch (error) {
+      logger.error("Error in countCompletions:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete task without completions
+   * @returns {Promise<Object|null>} Deleted task or null if not found
+   */
+  static async deleteTask(id) {
+    try {
+      const { data, error } = await supabase
+        .from("tasks")
+        .delete()
+        .eq("id", id)
+        .select(TASK_COLUMNS)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in deleteTask:", error);
+        throw error;
+      }
+
+      this.invalidateCache();
+      if (data) {
+        logger.info(`Task deleted: ${id} - ${data.title}`);
+      }
+      return data || null;
+    } catch (error) {
+      logger.error("Error in deleteTask:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set sort_order by position in taskIds (1-based)
+   */
+  static async reorderTasks(taskIds) {
+    try {
+      for (const [index, id] of taskIds.entries()) {
+        const { error } = await supabase
+          .from("tasks")
+          .update({ sort_order: index + 1 })
+          .eq("id", id);
+
+        if (error) {
+          logger.error("Database error in reorderTasks:", error);
+          throw error;
+        }
+      }
+
+      this.invalidateCache();
+      logger.info(`Tasks reordered: ${taskIds.join(", ")}`);
+      return this.getAllTasks();
+    } catch (error) {
+      logger.error("Error in reorderTasks:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get task completions of user for date
+   * @returns {Promise<Array>} [{ task_id, value, credit, points_awarded, completed_at }]
+   */
+  static async getCompletions(tg_id, date) {
+    try {
+      const { data, error } = await supabase
+        .from("task_completions")
+        .select("task_id, value, credit, points_awarded, completed_at")
+        .eq("tg_id", tg_id)
+        .eq("date", date);
+
+      if (error) {
+        logger.error("Database error in getCompletions:", error);
+        throw error;
+      }
+
+      return (data || []).map((row) => ({
+        ...row,
+        value: row.value === null ? null : parseFloat(row.value),
+        credit: parseFloat(row.credit),
+      }));
+    } catch (error) {
+      logger.error("Error in getCompletions:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ids of fully completed tasks (credit = 1)
+   */
+  static getCompletedIds(completions = []) {
+    return completions.filter((c) => c.credit >= 1).map((c) => c.task_id);
+  }
+
+  /**
+   * Submitted quantities as { <task_id>: value }
+   */
+  static getQuantities(completions = []) {
+    return completions
+      .filter((c) => c.value !== null)
+      .reduce((quantities, c) => {
+        quantities[c.task_id] = c.value;
+        return quantities;
+      }, {});
+  }
+
+  /**
+   * Save daily progress: metrics + completed tasks + quantities (atomic, via RPC)
+   * @returns {Promise<Object>} daily_progress row
+   */
+  static async submitProgress(tg_id, date, taskIds, metrics = {}, quantities = {}) {
+    try {
+      const { data, error } = await supabase.rpc("submit_daily_progress", {
+        p_tg_id: tg_id,
+        p_date: date,
+        p_task_ids: taskIds,
+        p_pages_read: metrics.pages_read || 0,
+        p_distance_km: metrics.distance_km || 0,
+        p_quantities: quantities,
+      });
+
+      if (error) {
+        logger.error("Database error in submitProgress:", error);
+        throw error;
+      }
+
+      const progress = Array.isArray(data) ? data[0] : data;
+      logger.info(`Progress updated: ${tg_id} - ${date} - ${progress?.total_points}/${progress?.total_tasks} tasks`);
+      return progress;
+    } catch (error) {
+      logger.error("Error in submitProgress:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Read completed task ids from request body
+   * Supports { completed_tasks: [1, 5] } and legacy { shart_1: 1, shart_5: 1 }
+   */
+  static parseCompletedTaskIds(body = {}) {
+    if (Array.isArray(body.completed_tasks)) {
+      return [...new Set(body.completed_tasks.map((id) => parseInt(id)).filter((id) => id > 0))];
+    }
+
+    return Object.keys(body)
+      .filter((key) => /^shart_\d+$/.test(key) && parseInt(body[key]) === 1)
+      .map((key) => parseInt(key.slice(6)));
+  }
+
+  /**
+   * Read quantity task values from request body: { quantities: { "11": 30 } }
+   */
+  static parseQuantities(body = {}) {
+    return Object.entries(body.quantities || {}).reduce((quantities, [id, value]) => {
+      const taskId = parseInt(id);
+      if (taskId > 0) {
+        quantities[taskId] = parseFloat(value) || 0;
+      }
+      return quantities;
+    }, {});
+  }
+
+  /**
+   * Check submitted task ids and quantities against tasks active on the day
+   * @returns {Object|null} { message, details } for the first problem, null if valid
+   */
+  static findSelectionError(activeTasks, completedTaskIds = [], quantities = {}) {
+    const activeIds = activeTasks.map((task) => task.id);
+    const quantityIds = Object.keys(quantities).map((id) => parseInt(id));
+    const unknownIds = [...completedTaskIds, ...quantityIds].filter((id) => !activeIds.includes(id));
+
+    if (unknownIds.length > 0) {
+      return {
+        message: `Unknown or inactive tasks: ${unknownIds.join(", ")}`,
+        details: { active_tasks: activeIds },
+      };
+    }
+
+    // Task type must match: checkbox ids vs quantity values
+    const isQuantityTask = (id) =>
+      activeTasks.find((task) => task.id === id).task_type === this.TASK_TYPES.QUANTITY;
+
+    const quantityAsCheckbox = completedTaskIds.filter(isQuantityTask);
+    if (quantityAsCheckbox.length > 0) {
+      return {
+        message: `Tasks ${quantityAsCheckbox.join(", ")} are quantity tasks, send their values in quantities`,
+        details: {},
+      };
+    }
+
+    const checkboxAsQuantity = quantityIds.filter((id) => !isQuantityTask(id));
+    if (checkboxAsQuantity.length > 0) {
+      return {
+        message: `Tasks ${checkboxAsQuantity.join(", ")} are checkbox tasks, send them in completed_tasks`,
+        details: {},
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Build legacy { shart_<id>: 0|1 } map for frontend compatibility
+   */
+  static toLegacyTaskFlags(tasks, completedIds = []) {
+    return tasks.reduce((flags, task) => {
+      flags[`shart_${task.id}`] = completedIds.includes(task.id) ? 1 : 0;
+      return flags;
+    }, {});
+  }
+}
@@ -0,0 +1,46 @@
+import { config } from "../config/environment.js";
+import logger from "../utils/logger.js";
+
+const TELEGRAM_API_URL = "https://api.telegram.org";
+
+/**
+ * Bot API calls made by the API itself (the bot process may run elsewhere)
+ */
+export class TelegramService {
+  /**
+   * Call Bot API method
+   * @returns {Promise<any>} result field of the Bot API response
+   */
+  static async call(method, params = {}) {
+    if (!config.BOT_TOKEN) {
+      throw new Error("BOT_TOKEN is not configured");
+    }
+
+    const response = await fetch(`${TELEGRAM_API_URL}/bot${config.BOT_TOKEN}/${method}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(params),
+    });
+
+    const result = await response.json();
+    if (!result.ok) {
+      throw new Error(result.description || `Telegram ${method} failed`);
+    }
+
+    return result.result;
+  }
+
+  /**
+   * Replace text of sent message (inline buttons are removed)
+   * @returns {Promise<boolean>} false if Telegram refused (deleted / not modified message)
+   */
+  static async editMessageText(chat_id, message_id, text) {
+    try {
+      await this.call("editMessageText", { chat_id, message_id, text });
+      return true;
+    } catch (error) {
+      logger.warn(`Failed to edit message ${chat_id}/${message_id}: ${error.message}`);
+      return false;
+    }
+  }
+}
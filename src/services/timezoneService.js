@@ -0,0 +1,117 @@
+import supabase from "../config/database.js";
+import { DEFAULT_TIMEZONE } from "../config/constants.js";
+import logger from "../utils/logger.js";
+import { CacheService } from "./cacheService.js";
+import { isValidTimezone, normalizeTimezone, getTodayInTimezone } from "../utils/dateUtils.js";
+
+const TIMEZONE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+export class TimezoneService {
+  static timezoneCache = new Map();
+
+  /**
+   * Get stored timezone of user (default if user or column is missing)
+   */
+  static async getUserTimezone(tg_id) {
+    const cached = this.timezoneCache.get(tg_id);
+    if (cached && Date.now() - cached.timestamp < TIMEZONE_CACHE_TTL) {
+      return cached.timezone;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from("users")
+        .select("timezone")
+        .eq("tg_id", tg_id)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in getUserTimezone:", error);
+        throw error;
+      }
+
+      const timezone = normalizeTimezone(data?.timezone);
+      this.timezoneCache.set(tg_id, { timezone, timestamp: Date.now() });
+      return timezone;
+    } catch (error) {
+      logger.error("Error in getUserTimezone:", error);
+      return DEFAULT_TIMEZONE;
+    }
+  }
+
+  /**
+   * Store timezone on user profile
+   * @returns {Promise<string>} Saved timezone
+   */
+  static async setUserTimezone(tg_id, timezone) {
+    if (!isValidTimezone(timezone)) {
+      throw new Error(`Invalid timezone: ${timezone}`);
+    }
+
+    try {
+      const { error } = await supabase
+        .from("users")
+        .update({ timezone })
+        .eq("tg_id", tg_id);
+
+      if (error) {
+        logger.error("Database error in setUserTimezone:", error);
+        throw error;
+      }
+
+      this.timezoneCache.set(tg_id, { timezone, timestamp: Date.now() });
+      CacheService.invalidate(CacheService.userPrefix(tg_id));
+      logger.info(`Timezone updated: ${tg_id} - ${timezone}`);
+      return timezone;
+    } catch (error) {
+      logger.error("Error in setUserTimezone:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Timezone reported by the Mini App (X-Timezone header, body or query)
+   */
+  static getReportedTimezone(req) {
+    const reported = req.headers?.["x-timezone"] || req.body?.timezone || req.query?.timezone;
+    return isValidTimezone(reported) ? reported : null;
+  }
+
+  /**
+   * Resolve timezone for request about user
+   * Profile is the single source; when the user's own Mini App reports
+   * a different timezone (user travelled), the profile is updated first.
+   */
+  static async resolveTimezone(req, tg_id) {
+    const stored = await this.getUserTimezone(tg_id);
+    const reported = this.getReportedTimezone(req);
+
+    if (reported && reported !== stored && req.user?.tg_id === tg_id) {
+      try {
+        return await this.setUserTimezone(tg_id, reported);
+      } catch {
+        return stored;
+      }
+    }
+
+    return stored;
+  }
+
+  /**
+   * Get today's date (YYYY-MM-DD) for user
+   */
+  static async getUserToday(tg_id) {
+    return getTodayInTimezone(await this.getUserTimezone(tg_id));
+  }
+
+  /**
+   * Get today's date for requester of a shared view (leaderboard)
+   * Known user -> profile timezone, anonymous -> reported or default timezone
+   */
+  static async getRequestToday(req, tg_id = null) {
+    if (tg_id) {
+      return getTodayInTimezone(await this.resolveTimezone(req, tg_id));
+    }
+    return getTodayInTimezone(normalizeTimezone(this.getReportedTimezone(req)));
+  }
+}
@@ -0,0 +1,248 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import supabase from "../config/database.js";
+import { config } from "../config/environment.js";
+import logger from "../utils/logger.js";
+
+const TOKEN_ISSUER = "yoldagilar-backend";
+const APPROVAL_CACHE_TTL = 60 * 1000; // 1 minute
+
+/**
+ * Hash opaque refresh token for storage
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+export class TokenService {
+  static approvalCache = new Map();
+
+  /**
+   * Check that user exists and is approved (sessions end when approval is gone)
+   * @param {boolean} useCache - false reads the current value (token rotation)
+   */
+  static async isApproved(tg_id, { useCache = true } = {}) {
+    const cached = this.approvalCache.get(tg_id);
+    if (useCache && cached && Date.now() - cached.timestamp < APPROVAL_CACHE_TTL) {
+      return cached.approved;
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from("users")
+        .select("is_approved")
+        .eq("tg_id", tg_id)
+        .maybeSingle();
+
+      if (error) {
+        logger.error("Database error in isApproved:", error);
+        throw error;
+      }
+
+      const approved = Boolean(data?.is_approved);
+      this.approvalCache.set(tg_id, { approved, timestamp: Date.now() });
+      return approved;
+    } catch (error) {
+      logger.error("Error in isApproved:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop cached approval (after approve / reject)
+   */
+  static forgetApproval(tg_id) {
+    this.approvalCache.delete(tg_id);
+  }
+
+  /**
+   * Sign short-lived access token
+   */
+  static signAccessToken(tg_id) {
+    return jwt.sign({ tg_id, type: "access" }, config.JWT_SECRET, {
+      algorithm: "HS256",
+      subject: String(tg_id),
+      issuer: TOKEN_ISSUER,
+      expiresIn: config.ACCESS_TOKEN_TTL,
+    });
+  }
+
+  /**
+   * Verify access token
+   * @throws {jwt.JsonWebTokenError|jwt.TokenExpiredError}
+   */
+  static verifyAccessToken(token) {
+    const payload = jwt.verify(token, config.JWT_SECRET, {
+      algorithms: ["HS256"],
+      issuer: TOKEN_ISSUER,
+    });
+
+    if (payload.type !== "access" || !Number.isInteger(payload.tg_id)) {
+      throw new jwt.JsonWebTokenError("invalid token type");
+    }
+
+    return payload;
+  }
+
+  /**
+   * New opaque refresh token
+   */
+  static createRefreshToken() {
+    return crypto.randomBytes(48).toString("base64url");
+  }
+
+  /**
+   * Issue access + refresh token pair for user
+   * @param {string} refreshToken - Pre-generated token (rotation records it as replaced_by first)
+   */
+  static async issueTokens(tg_id, meta = {}, refreshToken = this.createRefreshToken()) {
+    try {
+      const expiresAt = new Date(Date.now() + config.REFRESH_TOKEN_TTL * 1000);
+
+      const { error } = await supabase.from("refresh_tokens").insert({
+        tg_id,
+        token_hash: hashToken(refreshToken),
+        expires_at: expiresAt.toISOString(),
+        user_agent: meta.userAgent || null,
+        ip: meta.ip || null,
+      });
+
+      if (error) {
+        logger.error("Database error in issueTokens:", error);
+        throw error;
+      }
+
+      return {
+        token_type: "Bearer",
+        access_token: this.signAccessToken(tg_id),
+        expires_in: config.ACCESS_TOKEN_TTL,
+        refresh_token: refreshToken,
+        refresh_expires_at: expiresAt.toISOString(),
+      };
+    } catch (error) {
+      logger.error("Error in issueTokens:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rotate refresh token: revoke the old one and issue a new pair (approved users only)
+   * The old token is claimed first (revoked_at IS NULL), so of two parallel
+   * refreshes with the same token only one gets a pair, the other counts as reuse.
+   * @returns {Promise<Object|null>} New token pair or null if token is invalid
+   */
+  static async refreshTokens(refreshToken, meta = {}) {
+    try {
+      const tokenHash = hashToken(refreshToken);
+
+      const { data: stored, error } = await supabase
+        .from("refresh_tokens")
+        .select("tg_id, expires_at, revoked_at")
+        .eq("token_hash", tokenHash)
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in refreshTokens:", error);
+        throw error;
+      }
+
+      if (!stored || new Date(stored.expires_at) <= new Date()) {
+        return null;
+      }
+
+      // Reuse of a rotated token - revoke the whole session family
+      if (stored.revoked_at) {
+        logger.warn("Revoked refresh token reused, revoking all sessions:", { tg_id: stored.tg_id });
+        await this.revokeAllTokens(stored.tg_id);
+        return null;
+      }
+
+      // Rejected / un-approved user - end every session instead of rotating
+      if (!(await this.isApproved(stored.tg_id, { useCache: false }))) {
+        logger.warn("Refresh by user who is not approved, revoking all sessions:", { tg_id: stored.tg_id });
+        await this.revokeAllTokens(stored.tg_id);
+        return null;
+      }
+
+      const nextRefreshToken = this.createRefreshToken();
+
+      const { data: claimed, error: revokeError } = await supabase
+        .from("refresh_tokens")
+        .update({
+          revoked_at: new Date().toISOString(),
+          replaced_by: hashToken(nextRefreshToken),
+        })
+        .eq("token_hash", tokenHash)
+        .is("revoked_at", null)
+        .select("tg_id");
+
+      if (revokeError) {
+        logger.error("Database error in refreshTokens:", revokeError);
+        throw revokeError;
+      }
+
+      // Another refresh rotated this token in the meantime
+      if (!claimed || claimed.length === 0) {
+        logger.warn("Refresh token rotated concurrently, revoking all sessions:", { tg_id: stored.tg_id });
+        await this.revokeAllTokens(stored.tg_id);
+        return null;
+      }
+
+      const tokens = await this.issueTokens(stored.tg_id, meta, nextRefreshToken);
+
+      return { tg_id: stored.tg_id, ...tokens };
+    } catch (error) {
+      logger.error("Error in refreshTokens:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke single refresh token
+   * @returns {Promise<number|null>} Owner tg_id or null if token not found
+   */
+  static async revokeToken(refreshToken) {
+    try {
+      const { data, error } = await supabase
+        .from("refresh_tokens")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("token_hash", hashToken(refreshToken))
+        .is("revoked_at", null)
+        .select("tg_id")
+        .single();
+
+      if (error && error.code !== "PGRST116") {
+        logger.error("Database error in revokeToken:", error);
+        throw error;
+      }
+
+      return data?.tg_id || null;
+    } catch (error) {
+      logger.error("Error in revokeToken:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every active refresh token of user
+   */
+  static async revokeAllTokens(tg_id) {
+    try {
+      const { error } = await supabase
+        .from("refresh_tokens")
+        .update({ revoked_at: new Date().toISOString() })
+        .eq("tg_id", tg_id)
+        .is("revoked_at", null);
+
+      if (error) {
+        logger.error("Database error in revokeAllTokens:", error);
+        throw error;
+      }
+
+      logger.info(`All refresh tokens revoked: ${tg_id}`);
+    } catch (error) {
+      logger.error("Error in revokeAllTokens:", error);
+      throw error;
+    }
+  }
+}
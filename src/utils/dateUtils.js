@@ -0,0 +1,116 @@
+import { DEFAULT_TIMEZONE } from '../config/constants.js';
+
+// =====================================================
+// DATE UTILITIES - Single source for "today" and day math
+// =====================================================
+// Progress rows are keyed by the user's local date (YYYY-MM-DD).
+// Day math is done on date strings in UTC so the server timezone never matters.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check if value is a valid IANA timezone (e.g. "Asia/Tashkent")
+ */
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Return timezone if valid, otherwise the default
+ */
+export function normalizeTimezone(timezone, fallback = DEFAULT_TIMEZONE) {
+  return isValidTimezone(timezone) ? timezone : fallback;
+}
+
+/**
+ * Get local date (YYYY-MM-DD) of instant in timezone
+ */
+export function getDateInTimezone(date = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: normalizeTimezone(timezone),
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}-${part('day')}`;
+}
+
+/**
+ * Get today's date (YYYY-MM-DD) in timezone
+ */
+export function getTodayInTimezone(timezone = DEFAULT_TIMEZONE) {
+  return getDateInTimezone(new Date(), timezone);
+}
+
+/**
+ * Check that YYYY-MM-DD string is a real calendar date (rejects 2024-02-31)
+ */
+export function isValidDateString(dateStr) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dateStr || '')) return false;
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === dateStr;
+}
+
+/**
+ * Add days to date string (negative days go back)
+ */
+export function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Whole days from fromDate to toDate, negative if fromDate is later
+ */
+export function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Last `count` dates ending with endDate (oldest first)
+ */
+export function getPastDates(endDate, count) {
+  return Array.from({ length: count }, (_, i) => addDays(endDate, i - count + 1));
+}
+
+/**
+ * Monday-Sunday week containing date
+ * @returns {Object} { startDate, endDate, weekDates, currentDayIndex } (0 = Monday)
+ */
+export function getWeekDates(dateStr) {
+  const dayOfWeek = new Date(`${dateStr}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+  const currentDayIndex = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
+  const startDate = addDays(dateStr, -currentDayIndex);
+  const weekDates = Array.from({ length: 7 }, (_, i) => addDays(startDate, i));
+
+  return {
+    startDate,
+    endDate: weekDates[6],
+    weekDates,
+    currentDayIndex
+  };
+}
+
+/**
+ * Date range of calendar month (month is 1-12)
+ * @returns {Object} { startDate, nextMonthStart, daysInMonth }
+ */
+export function getMonthRange(year, month) {
+  const start = new Date(Date.UTC(year, month - 1, 1));
+  const next = new Date(Date.UTC(year, month, 1));
+
+  return {
+    startDate: start.toISOString().slice(0, 10),
+    nextMonthStart: next.toISOString().slice(0, 10),
+    daysInMonth: Math.round((next - start) / DAY_MS)
+  };
+}
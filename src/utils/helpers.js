@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from '../config/constants.js';
 
 /**
  * Generate unique request ID
@@ -106,3 +107,30 @@ export function parseQueryString(query, defaults = {}) {
 export function delay(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
+
+/**
+ * Derive the internal service key used by the bot for server-to-server calls
+ */
+export function createServiceKey(botToken) {
+  return crypto.createHmac('sha256', 'ServiceKey').update(botToken || '').digest('hex');
+}
+
+/**
+ * Detect preferred language: ?lang=, Accept-Language, then Telegram language_code
+ */
+export function getRequestLanguage(req, supported = SUPPORTED_LANGUAGES, fallback = DEFAULT_LANGUAGE) {
+  const candidates = [
+    req.query?.lang,
+    req.headers?.['accept-language']?.split(',')[0],
+    req.user?.language_code
+  ];
+
+  for (const candidate of candidates) {
+    const lang = String(candidate || '').slice(0, 2).toLowerCase();
+    if (supported.includes(lang)) {
+      return lang;
+    }
+  }
+
+  return fallback;
+}
@@ -3,6 +3,7 @@
 // =====================================================
 import dotenv from 'dotenv';
 import TelegramBot from 'node-telegram-bot-api';
+import { createServiceKey } from './src/utils/helpers.js';
 
 // Load environment variables
 dotenv.config();
@@ -40,20 +41,24 @@ const userSessions = new Map();
 
 /**
  * Make API request to backend
+ * options.actingUserId - Telegram user the bot acts for (API checks their role)
  */
 async function makeAPIRequest(endpoint, options = {}) {
   try {
     const url = `${CONFIG.API_BASE_URL}${endpoint}`;
+    const { actingUserId, ...restOptions } = options;
     
     const defaultOptions = {
       method: 'GET',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        'X-Service-Key': createServiceKey(CONFIG.BOT_TOKEN), // ✅ Bot -> API trusted calls
+        ...(actingUserId && { 'X-Acting-User-Id': String(actingUserId) })
       },
       timeout: 15000
     };
 
-    const requestOptions = { ...defaultOptions, ...options };
+    const requestOptions = { ...defaultOptions, ...restOptions };
     
     if (requestOptions.body && typeof requestOptions.body === 'object') {
       requestOptions.body = JSON.stringify(requestOptions.body);
@@ -71,11 +76,14 @@ async function makeAPIRequest(endpoint, options = {}) {
     
     clearTimeout(timeoutId);
     
+    // Error bodies (403, 409, ...) carry details callers act on
+    const result = await response.json().catch(() => ({}));
+
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      console.error(`❌ API error [${response.status}]:`, result.message || response.statusText);
+      return { ...result, success: false, status: response.status };
     }
     
-    const result = await response.json();
     console.log(`📡 API Response [${response.status}]:`, result.success ? '✅' : '❌', result.message);
     
     return result;
@@ -108,21 +116,23 @@ async function registerUser(userData) {
 }
 
 /**
- * Approve user via API
+ * Approve user via API (claimed there, every admin's message is updated by the API)
  */
-async function approveUser(tgId) {
+async function approveUser(tgId, adminId) {
   const response = await makeAPIRequest(`/auth/approve/${tgId}`, {
-    method: 'POST'
+    method: 'POST',
+    actingUserId: adminId
   });
   return response;
 }
 
 /**
- * Reject user via API
+ * Reject user via API (claimed there, every admin's message is updated by the API)
  */
-async function rejectUser(tgId) {
+async function rejectUser(tgId, adminId) {
   const response = await makeAPIRequest(`/auth/reject/${tgId}`, {
-    method: 'POST'
+    method: 'POST',
+    actingUserId: adminId
   });
   return response;
 }
@@ -171,6 +181,44 @@ async function updateUserPhotoInAPI(tgId, photoUrl) {
   }
 }
 
+/**
+ * ✅ Staff roles as stored by the API
+ */
+const STAFF_ROLES = ['admin', 'moderator'];
+
+/**
+ * ✅ YANGI: Send applicant notification to every admin and moderator
+ * Messages are recorded in the API, a decision later edits all of them
+ */
+async function notifyAdmins(applicantId, text, options) {
+  const staff = await makeAPIRequest('/admin/staff');
+  const recipients = staff.success ? staff.admins.map(admin => admin.tg_id) : [];
+
+  if (!staff.success) {
+    console.error('Failed to load admins list:', staff.message || staff.error);
+  }
+
+  if (!recipients.includes(CONFIG.ADMIN_ID)) {
+    recipients.push(CONFIG.ADMIN_ID);
+  }
+
+  // Previous application (e.g. rejected before) must not block new decision
+  await makeAPIRequest(`/admin/applicants/${applicantId}/notifications`, { method: 'DELETE' });
+
+  for (const adminId of recipients) {
+    try {
+      const sent = await bot.sendMessage(adminId, text, options);
+      await makeAPIRequest(`/admin/applicants/${applicantId}/notifications`, {
+        method: 'POST',
+        body: { admin_tg_id: adminId, chat_id: sent.chat.id, message_id: sent.message_id }
+      });
+      console.log(`✅ Admin notification sent to ${adminId} for user ${applicantId}`);
+    } catch (adminError) {
+      console.error(`Failed to send admin notification to ${adminId}:`, adminError.message);
+    }
+  }
+}
+
 /**
  * Clean old sessions
  */
@@ -417,12 +465,7 @@ bot.on('message', async (msg) => {
         }
       };
 
-      try {
-        await bot.sendMessage(CONFIG.ADMIN_ID, adminMessage, adminButtons);
-        console.log(`✅ Admin notification sent for user ${userId}`);
-      } catch (adminError) {
-        console.error('Failed to send admin notification:', adminError);
-      }
+      await notifyAdmins(userId, adminMessage, adminButtons);
 
       userSessions.delete(userId);
 
@@ -445,114 +488,106 @@ bot.on('message', async (msg) => {
 
 /**
  * Handle admin callback queries
+ * Role check, claim and syncing every admin's message happen in the API
  */
 bot.on('callback_query', async (query) => {
   const callbackData = query.data;
   const adminChatId = query.message.chat.id;
   const messageId = query.message.message_id;
 
-  await bot.answerCallbackQuery(query.id);
+  const action = callbackData.startsWith('approve_') ? 'approved'
+    : callbackData.startsWith('reject_') ? 'rejected'
+    : null;
 
-  if (query.from.id !== CONFIG.ADMIN_ID) {
-    await bot.answerCallbackQuery(query.id, {
-      text: "❌ Sizda ruxsat yo'q!",
-      show_alert: true
-    });
+  if (!action) {
+    await bot.answerCallbackQuery(query.id);
     return;
   }
 
+  const userId = parseInt(callbackData.split('_')[1]);
+
   try {
-    if (callbackData.startsWith('approve_')) {
-      const userId = parseInt(callbackData.split('_')[1]);
-      console.log(`✅ Admin approved user: ${userId}`);
-
-      const result = await approveUser(userId);
-
-      if (result.success) {
-        await bot.editMessageText(
-          `✅ QABUL QILINDI!\n\n` +
-          `🆔 User ID: ${userId}\n` +
-          `👤 Ism: ${result.user?.name || 'N/A'}\n` +
-          `📅 ${new Date().toLocaleString('uz-UZ', {
-            timeZone: 'Asia/Tashkent'
-          })}`, 
-          {
-            chat_id: adminChatId,
-            message_id: messageId
-          }
-        );
+    console.log(`${action === 'approved' ? '✅' : '❌'} Admin ${query.from.id} ${action} user: ${userId}`);
 
-        try {
-          await bot.sendMessage(userId, 
-            `🎉 Tabriklaymiz! Challenge'ga qabul qilindingiz!\n\n` +
-            `🚀 Endi Mini App orqali kunlik vazifalarni bajarishingiz mumkin.\n` +
-            `🎯 Har kun 10 ta vazifa, kitob o'qish va sport bilan shug'ullaning.\n` +
-            `📊 Natijalaringizni kuzatib, boshqalar bilan raqobatlashing!\n\n` +
-            `💪 Omad tilaymiz!`, 
-            {
-              reply_markup: {
-                inline_keyboard: [[
-                  { 
-                    text: "🚀 Mini App'ni ochish", 
-                    web_app: { url: CONFIG.MINI_APP_URL } 
-                  }
-                ]]
-              }
-            }
-          );
-        } catch (userError) {
-          console.error(`Failed to notify approved user ${userId}:`, userError);
-        }
-      } else {
-        await bot.editMessageText(
-          `❌ Xatolik: ${result.message || 'Approve qilishda xatolik'}`, 
-          {
-            chat_id: adminChatId,
-            message_id: messageId
-          }
-        );
-      }
+    const result = action === 'approved'
+      ? await approveUser(userId, query.from.id)
+      : await rejectUser(userId, query.from.id);
 
-    } else if (callbackData.startsWith('reject_')) {
-      const userId = parseInt(callbackData.split('_')[1]);
-      console.log(`❌ Admin rejected user: ${userId}`);
+    if (result.status === 403) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "❌ Sizda ruxsat yo'q!",
+        show_alert: true
+      });
+      return;
+    }
 
-      const result = await rejectUser(userId);
+    // Another admin decided first (API already updated the messages)
+    if (result.status === 409) {
+      await bot.answerCallbackQuery(query.id, {
+        text: "ℹ️ Bu ariza bo'yicha allaqachon qaror qabul qilingan",
+        show_alert: true
+      });
+      return;
+    }
 
-      if (result.success) {
-        await bot.editMessageText(
-          `🚫 RAD ETILDI!\n\n` +
-          `🆔 User ID: ${userId}\n` +
-          `📅 ${new Date().toLocaleString('uz-UZ', {
-            timeZone: 'Asia/Tashkent'
-          })}`, 
-          {
-            chat_id: adminChatId,
-            message_id: messageId
-          }
-        );
+    await bot.answerCallbackQuery(query.id);
 
-        try {
-          await bot.sendMessage(userId, 
-            `❌ Kechirasiz, arizangiz rad etildi.\n\n` +
-            `📋 Sabablari:\n` +
-            `• To'liq ism kiritilmagan\n` +
-            `• Noto'g'ri ma'lumot\n` +
-            `• Boshqa texnik sabablar\n\n` +
-            `🔄 Agar xatolik bo'lgan deb hisoblasangiz, qaytadan ariza berishingiz mumkin.\n` +
-            `📞 Qo'shimcha ma'lumot: @muhammadsaid_buxoriy`
-          );
-        } catch (userError) {
-          console.error(`Failed to notify rejected user ${userId}:`, userError);
+    if (!result.success) {
+      await bot.editMessageText(
+        `❌ Xatolik: ${result.message || (action === 'approved' ? 'Approve qilishda xatolik' : 'Reject qilishda xatolik')}`, 
+        {
+          chat_id: adminChatId,
+          message_id: messageId
         }
-      } else {
-        await bot.editMessageText(
-          `❌ Xatolik: ${result.message || 'Reject qilishda xatolik'}`, 
+      );
+      return;
+    }
+
+    // Pressed message may not be among stored notifications
+    try {
+      await bot.editMessageText(result.decision.message, {
+        chat_id: adminChatId,
+        message_id: messageId
+      });
+    } catch (editError) {
+      // "message is not modified" - already synced by the API
+    }
+
+    if (action === 'approved') {
+      try {
+        await bot.sendMessage(userId, 
+          `🎉 Tabriklaymiz! Challenge'ga qabul qilindingiz!\n\n` +
+          `🚀 Endi Mini App orqali kunlik vazifalarni bajarishingiz mumkin.\n` +
+          `🎯 Har kun 10 ta vazifa, kitob o'qish va sport bilan shug'ullaning.\n` +
+          `📊 Natijalaringizni kuzatib, boshqalar bilan raqobatlashing!\n\n` +
+          `💪 Omad tilaymiz!`, 
           {
-            chat_id: adminChatId,
-            message_id: messageId
+            reply_markup: {
+              inline_keyboard: [[
+                { 
+                  text: "🚀 Mini App'ni ochish", 
+                  web_app: { url: CONFIG.MINI_APP_URL } 
+                }
+              ]]
+            }
           }
         );
+      } catch (userError) {
+        console.error(`Failed to notify approved user ${userId}:`, userError);
+      }
+    } else {
+      try {
+        await bot.sendMessage(userId, 
+          `❌ Kechirasiz, arizangiz rad etildi.\n\n` +
+          `📋 Sabablari:\n` +
+          `• To'liq ism kiritilmagan\n` +
+          `• Noto'g'ri ma'lumot\n` +
+          `• Boshqa texnik sabablar\n\n` +
+          `🔄 Agar xatolik bo'lgan deb hisoblasangiz, qaytadan ariza berishingiz mumkin.\n` +
+          `📞 Qo'shimcha ma'lumot: @muhammadsaid_buxoriy`
+        );
+      } catch (userError) {
+        console.error(`Failed to notify rejected user ${userId}:`, userError);
       }
     }
 
@@ -569,6 +604,151 @@ bot.on('callback_query', async (query) => {
   }
 });
 
+// ==================== ADMIN MANAGEMENT COMMANDS ====================
+
+/**
+ * List admins and moderators
+ */
+bot.onText(/^\/admins(?:@\w+)?$/, async (msg) => {
+  const chatId = msg.chat.id;
+
+  try {
+    const result = await makeAPIRequest('/admin/staff', { actingUserId: msg.from.id });
+
+    if (result.status === 403) {
+      await bot.sendMessage(chatId, `❌ Sizda ruxsat yo'q!`);
+      return;
+    }
+
+    if (!result.success) {
+      throw new Error(result.message || result.error);
+    }
+
+    const admins = result.admins;
+
+    if (admins.length === 0) {
+      await bot.sendMessage(chatId, `ℹ️ Adminlar ro'yxati bo'sh.`);
+      return;
+    }
+
+    const lines = admins.map((admin, index) =>
+      `${index + 1}. ${admin.role === 'admin' ? '👑' : '🛡️'} ` +
+      `${admin.name || 'Noma\'lum'}${admin.username ? ' (@' + admin.username + ')' : ''}\n` +
+      `    🆔 ${admin.tg_id} — ${admin.role}`
+    );
+
+    await bot.sendMessage(chatId, 
+      `👥 Adminlar ro'yxati (${admins.length}):\n\n${lines.join('\n')}`
+    );
+
+  } catch (error) {
+    console.error('Admins command error:', error);
+    await bot.sendMessage(chatId, `❌ Xatolik yuz berdi.`);
+  }
+});
+
+/**
+ * Add admin: /add_admin <tg_id> [admin|moderator]
+ */
+bot.onText(/^\/add_admin(?:@\w+)?(?:\s+(\S+))?(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+
+  try {
+    const targetId = parseInt(match[1]);
+    const role = (match[2] || 'admin').toLowerCase();
+
+    if (!targetId || targetId <= 0 || !STAFF_ROLES.includes(role)) {
+      await bot.sendMessage(chatId, 
+        `ℹ️ Foydalanish: /add_admin <tg_id> [admin|moderator]\n` +
+        `📝 Misol: /add_admin 123456789 moderator`
+      );
+      return;
+    }
+
+    if (targetId === CONFIG.ADMIN_ID && role !== 'admin') {
+      await bot.sendMessage(chatId, `❌ Asosiy adminning (ADMIN_ID) huquqini pasaytirib bo'lmaydi.`);
+      return;
+    }
+
+    const result = await makeAPIRequest('/admin/staff', {
+      method: 'POST',
+      actingUserId: msg.from.id,
+      body: { tg_id: targetId, role }
+    });
+
+    if (result.status === 403) {
+      await bot.sendMessage(chatId, `❌ Faqat adminlar yangi admin qo'sha oladi.`);
+      return;
+    }
+
+    if (!result.success) {
+      throw new Error(result.message || result.error);
+    }
+
+    await bot.sendMessage(chatId, `✅ ${targetId} ${role} sifatida qo'shildi.`);
+
+    try {
+      await bot.sendMessage(targetId, 
+        `👮 Sizga Yo'ldagilar botida "${role}" huquqi berildi.\n` +
+        `📋 Yangi arizalar haqida xabarlar shu yerga keladi.`
+      );
+    } catch (notifyError) {
+      console.warn(`Failed to notify new admin ${targetId}:`, notifyError.message);
+    }
+
+  } catch (error) {
+    console.error('Add admin command error:', error);
+    await bot.sendMessage(chatId, `❌ Xatolik yuz berdi: ${error.message}`);
+  }
+});
+
+/**
+ * Remove admin: /remove_admin <tg_id>
+ */
+bot.onText(/^\/remove_admin(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+  const chatId = msg.chat.id;
+
+  try {
+    const targetId = parseInt(match[1]);
+
+    if (!targetId || targetId <= 0) {
+      await bot.sendMessage(chatId, 
+        `ℹ️ Foydalanish: /remove_admin <tg_id>\n` +
+        `📝 Misol: /remove_admin 123456789`
+      );
+      return;
+    }
+
+    if (targetId === CONFIG.ADMIN_ID) {
+      await bot.sendMessage(chatId, `❌ Asosiy adminni (ADMIN_ID) o'chirib bo'lmaydi.`);
+      return;
+    }
+
+    const result = await makeAPIRequest(`/admin/staff/${targetId}`, {
+      method: 'DELETE',
+      actingUserId: msg.from.id
+    });
+
+    if (result.status === 403) {
+      await bot.sendMessage(chatId, `❌ Faqat adminlar adminni o'chira oladi.`);
+      return;
+    }
+
+    if (!result.success && result.status !== 404) {
+      throw new Error(result.message || result.error);
+    }
+
+    await bot.sendMessage(chatId, result.success
+      ? `✅ ${targetId} adminlar ro'yxatidan o'chirildi.`
+      : `ℹ️ ${targetId} adminlar ro'yxatida topilmadi.`
+    );
+
+  } catch (error) {
+    console.error('Remove admin command error:', error);
+    await bot.sendMessage(chatId, `❌ Xatolik yuz berdi: ${error.message}`);
+  }
+});
+
 /**
  * Handle Web App data
  */
@@ -647,7 +827,7 @@ async function initializeBot() {
     
     console.log('✅ Bot initialization complete!');
     console.log('🤖 Yoldagilar Telegram Bot - Webhook Mode');
-    console.log(`📊 Admin ID: ${CONFIG.ADMIN_ID}`);
+    console.log(`📊 Admin ID: ${CONFIG.ADMIN_ID} (+ admins table: /admins, /add_admin, /remove_admin)`);
     console.log(`🌐 Mini App: ${CONFIG.MINI_APP_URL}`);
     console.log(`📡 Webhook: ${CONFIG.WEBHOOK_URL}/webhook/${CONFIG.BOT_TOKEN}`);
     console.log('🔄 Bot ready for webhook updates...');